@@ -0,0 +1,274 @@
+const oracledb = require("oracledb");
+const { snapshotLines, snapshotLinesById, recordHistory } = require("../utils/audit");
+const { loadRules, validateLine, splitIssues } = require("../utils/validation");
+const { CLOSED_STATUSES, isDay } = require("../utils/search");
+const { BATCH_STATES, batchKey, loadBatchStates } = require("../utils/batches");
+const { loadStatusModel, findStatus, statusViolation } = require("../utils/statuses");
+const { roleHasPermission } = require("../utils/permissions");
+
+/**
+ * 📦 Batches
+ * Every batch (BATCHNUMBER) with the counts, statuses and dates of its lines, and the batch-level
+ * actions: closing, locking or reopening a batch (see utils/batches.js) and marking all its lines shipped.
+ * A line counts as shipped when its STATUS is one of CLOSED_STATUSES; marking a batch shipped sets the
+ * first of them.
+ */
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Binds of CLOSED_STATUSES for an IN list, with the list itself.
+ * @returns {{list: string, binds: Object}}
+ */
+const closedStatusBinds = () => {
+  const binds = Object.fromEntries(CLOSED_STATUSES.map((status, i) => [`closed${i}`, status.toUpperCase()]));
+  return { list: Object.keys(binds).map(name => `:${name}`).join(", "), binds };
+};
+
+/**
+ * Today on the server, YYYY-MM-DD.
+ * @returns {string}
+ */
+const today = () => {
+  const date = new Date();
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+/**
+ * 1️⃣ List Batches
+ * Returns every batch, the latest first: line, order and club counts, lines per STATUS, shipped lines,
+ * the order and ship-out date ranges and the batch state. Batches closed before any line was added
+ * to them are listed too. Batch numbers differing only in case or surrounding spaces are one batch,
+ * as for batch states and actions (see batchKey).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listBatches = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const closed = closedStatusBinds();
+    const result = await conn.execute(
+      `WITH BatchLines AS (
+         SELECT UPPER(TRIM(BATCHNUMBER)) AS BATCH_KEY,
+                MIN(TRIM(BATCHNUMBER)) AS BATCHNUMBER,
+                COUNT(*) AS LINE_COUNT,
+                COUNT(DISTINCT ORDERNUMBER) AS ORDER_COUNT,
+                COUNT(DISTINCT CLUB_NAME) AS CLUB_COUNT,
+                SUM(CASE WHEN UPPER(STATUS) IN (${closed.list}) THEN 1 ELSE 0 END) AS SHIPPED_COUNT,
+                MIN(ORDERDATE) AS FIRST_ORDER_DATE,
+                MAX(ORDERDATE) AS LAST_ORDER_DATE,
+                MIN(SHIPOUTDATE) AS FIRST_SHIPOUT_DATE,
+                MAX(SHIPOUTDATE) AS LAST_SHIPOUT_DATE
+         FROM SYSTEM.RECONCILIATION
+         WHERE TRIM(BATCHNUMBER) IS NOT NULL
+         GROUP BY UPPER(TRIM(BATCHNUMBER))
+       )
+       SELECT NVL(l.BATCH_KEY, UPPER(TRIM(b.BATCHNUMBER))) AS BATCH_KEY,
+              NVL(l.BATCHNUMBER, b.BATCHNUMBER) AS BATCHNUMBER,
+              NVL(l.LINE_COUNT, 0) AS LINE_COUNT,
+              NVL(l.ORDER_COUNT, 0) AS ORDER_COUNT,
+              NVL(l.CLUB_COUNT, 0) AS CLUB_COUNT,
+              NVL(l.SHIPPED_COUNT, 0) AS SHIPPED_COUNT,
+              l.FIRST_ORDER_DATE, l.LAST_ORDER_DATE, l.FIRST_SHIPOUT_DATE, l.LAST_SHIPOUT_DATE,
+              NVL(b.STATE, 'OPEN') AS STATE, b.NOTE, b.CHANGED_BY, b.CHANGED_AT
+       FROM BatchLines l
+       FULL OUTER JOIN SYSTEM.RECONCILIATION_BATCHES b
+         ON UPPER(TRIM(b.BATCHNUMBER)) = l.BATCH_KEY
+       ORDER BY l.LAST_ORDER_DATE DESC NULLS LAST, 1`,
+      closed.binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const statuses = await conn.execute(
+      `SELECT UPPER(TRIM(BATCHNUMBER)) AS BATCH_KEY, STATUS, COUNT(*) AS CNT
+       FROM SYSTEM.RECONCILIATION
+       WHERE TRIM(BATCHNUMBER) IS NOT NULL
+       GROUP BY UPPER(TRIM(BATCHNUMBER)), STATUS
+       ORDER BY CNT DESC`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const statusesByBatch = new Map();
+    for (const row of statuses.rows) {
+      if (!statusesByBatch.has(row.BATCH_KEY)) statusesByBatch.set(row.BATCH_KEY, []);
+      statusesByBatch.get(row.BATCH_KEY).push({ status: row.STATUS, count: row.CNT });
+    }
+
+    res.json({
+      success: true,
+      closedStatuses: CLOSED_STATUSES,
+      data: result.rows.map(({ BATCH_KEY, ...row }) => ({
+        ...row,
+        SHIPPED_PERCENT: row.LINE_COUNT > 0 ? Math.round((row.SHIPPED_COUNT / row.LINE_COUNT) * 1000) / 10 : null,
+        STATUSES: statusesByBatch.get(BATCH_KEY) || [],
+      })),
+    });
+  } catch (err) {
+    console.error("List Batches Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Set Batch State
+ * Closes, locks or reopens a batch, with an optional note. The batch doesn't need to have lines yet,
+ * so a batch can be closed before anything is uploaded into it. Locking a batch, or changing a locked
+ * one, needs the batches.lock permission (403).
+ * @param {Object} req - Express request object (batchNumber in params, state and note in body)
+ * @param {Object} res - Express response object
+ */
+exports.setBatchState = async (req, res) => {
+  const batchNumber = req.params.batchNumber?.trim();
+  const state = req.body?.state;
+  const note = req.body?.note?.toString().trim() || null;
+
+  if (!batchNumber || batchNumber.length > 100) {
+    return res.status(400).json({ success: false, message: "A batch number of at most 100 characters is required." });
+  }
+  if (!BATCH_STATES.includes(state)) {
+    return res.status(400).json({ success: false, message: `State must be one of: ${BATCH_STATES.join(", ")}.` });
+  }
+  if (note && note.length > MAX_NOTE_LENGTH) {
+    return res.status(400).json({ success: false, message: `The note must be at most ${MAX_NOTE_LENGTH} characters.` });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    // Locking keeps a batch's lines from being changed, so only those who may lock can lift it
+    const current = (await loadBatchStates(conn)).get(batchKey(batchNumber)) || "OPEN";
+    if ((state === "LOCKED" || current === "LOCKED") && !roleHasPermission(req.user.role, "batches.lock")) {
+      return res.status(403).json({ success: false, message: "Only an admin can lock a batch or unlock it." });
+    }
+
+    await conn.execute(
+      `MERGE INTO SYSTEM.RECONCILIATION_BATCHES b
+       USING (SELECT :batchNumber AS BATCHNUMBER FROM dual) s
+       ON (UPPER(TRIM(b.BATCHNUMBER)) = UPPER(TRIM(s.BATCHNUMBER)))
+       WHEN MATCHED THEN UPDATE SET
+         b.STATE = :state, b.NOTE = :note, b.CHANGED_BY = :username, b.CHANGED_AT = SYSTIMESTAMP
+       WHEN NOT MATCHED THEN INSERT (BATCHNUMBER, STATE, NOTE, CHANGED_BY)
+         VALUES (s.BATCHNUMBER, :state, :note, :username)`,
+      { batchNumber, state, note, username: req.user.username },
+      { autoCommit: true }
+    );
+
+    const messages = {
+      OPEN: `🔓 Batch ${batchNumber} reopened.`,
+      CLOSED: `📦 Batch ${batchNumber} closed; no lines can be added to it.`,
+      LOCKED: `🔒 Batch ${batchNumber} locked; its lines can't be changed.`,
+    };
+    res.json({ success: true, message: messages[state] });
+  } catch (err) {
+    console.error("Set Batch State Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Mark Batch Shipped
+ * Sets every line of the batch that isn't shipped yet to the first of CLOSED_STATUSES, and gives the
+ * lines without a ship-out date the date chosen (today by default), in one transaction with their
+ * history. Lines of locked batches can't be changed (409), nor, without an admin, lines whose status
+ * can't change to the shipped one (409, see utils/statuses.js); if any line would break an ERROR
+ * validation rule, nothing is changed and the lines are reported.
+ * @param {Object} req - Express request object (batchNumber in params, optional shipoutDate YYYY-MM-DD in body)
+ * @param {Object} res - Express response object
+ */
+exports.markBatchShipped = async (req, res) => {
+  const batchNumber = req.params.batchNumber?.trim();
+  const shipoutDate = req.body?.shipoutDate || today();
+  if (!batchNumber) {
+    return res.status(400).json({ success: false, message: "A batch number is required." });
+  }
+  if (!isDay(shipoutDate)) {
+    return res.status(400).json({ success: false, message: "The ship-out date must be YYYY-MM-DD." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    if ((await loadBatchStates(conn)).get(batchKey(batchNumber)) === "LOCKED") {
+      return res.status(409).json({ success: false, message: `🔒 Batch ${batchNumber} is locked; its lines can't be changed.` });
+    }
+    const statusModel = await loadStatusModel(conn);
+    const shippedStatus = findStatus(statusModel, CLOSED_STATUSES[0]).status?.STATUS || CLOSED_STATUSES[0];
+
+    const closed = closedStatusBinds();
+    const before = await snapshotLines(
+      conn,
+      `UPPER(TRIM(r.BATCHNUMBER)) = UPPER(:batchNumber) AND (TRIM(r.STATUS) IS NULL OR UPPER(r.STATUS) NOT IN (${closed.list}))`,
+      { batchNumber, ...closed.binds }
+    );
+    const lineIds = [...before.keys()];
+    if (lineIds.length === 0) {
+      return res.json({ success: true, message: `Every line of batch ${batchNumber} is already shipped.`, updatedCount: 0 });
+    }
+
+    const toResult = (lineId, message) => ({
+      lineId,
+      ORDERNUMBER: before.get(lineId).ORDERNUMBER,
+      MATERIAL_NUMBER: before.get(lineId).MATERIAL_NUMBER,
+      success: false,
+      message,
+    });
+    const blocked = roleHasPermission(req.user.role, "statuses.override")
+      ? []
+      : lineIds
+        .map(lineId => toResult(lineId, statusViolation(statusModel, before.get(lineId), { STATUS: shippedStatus })))
+        .filter(result => result.message);
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `🚦 ${blocked.length} line(s) can't change to ${shippedStatus} without an admin. No lines were changed.`,
+        results: blocked,
+      });
+    }
+
+    const rules = await loadRules(conn);
+    const rejected = lineIds
+      .map(lineId => {
+        const line = before.get(lineId);
+        const { errors } = splitIssues(validateLine({ ...line, STATUS: shippedStatus, SHIPOUTDATE: line.SHIPOUTDATE || shipoutDate }, rules));
+        return toResult(lineId, errors.join("; "));
+      })
+      .filter(result => result.message);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `❌ ${rejected.length} line(s) would break validation rules. No lines were changed.`,
+        results: rejected,
+      });
+    }
+
+    await conn.executeMany(
+      `UPDATE SYSTEM.RECONCILIATION
+       SET STATUS = :status, SHIPOUTDATE = NVL(SHIPOUTDATE, TO_DATE(:shipoutDate, 'YYYY-MM-DD'))
+       WHERE LINE_ID = :lineId`,
+      lineIds.map(lineId => ({ status: shippedStatus, shipoutDate, lineId }))
+    );
+
+    // Commit the updates together with their history
+    const after = await snapshotLinesById(conn, lineIds);
+    const entries = lineIds.map(id => ({ action: "UPDATE", before: before.get(id), after: after.get(id) }));
+    await recordHistory(conn, entries, { username: req.user.username, source: `Batch ${batchNumber} marked shipped` });
+    await conn.commit();
+
+    res.json({
+      success: true,
+      message: `🚚 ${lineIds.length} line(s) of batch ${batchNumber} marked ${shippedStatus}.`,
+      updatedCount: lineIds.length,
+    });
+  } catch (err) {
+    console.error("Mark Batch Shipped Error:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "❌ Marking the batch shipped failed, no lines were changed." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
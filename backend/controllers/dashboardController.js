@@ -0,0 +1,209 @@
+const oracledb = require("oracledb");
+const { TRUE_DUPLICATES_SQL, CLOSED_STATUSES, openLinesFilter, valueFilter, buildWhere } = require("../utils/search");
+
+/**
+ * 📊 Dashboard
+ * Live metrics for the dashboard, computed with aggregate queries over SYSTEM.RECONCILIATION and the
+ * uploads. Every figure that stands for a set of lines carries the search filters selecting those
+ * lines (see utils/search.js), so the dashboard can open them on the Search Data page.
+ */
+
+// Batch weeks shown by the orders per batch week chart (the most recent ones)
+const BATCH_WEEKS_SHOWN = 12;
+// Clubs shown by the top clubs chart
+const TOP_CLUBS_SHOWN = 10;
+// Days of uploads shown
+const UPLOAD_DAYS = 7;
+
+// Batches are named Week<week>#<batch of that week> (e.g. Week25#1)
+const BATCH_WEEK_SQL = `TO_NUMBER(REGEXP_SUBSTR(BATCHNUMBER, '^Week(\\d{1,2})#', 1, 1, 'i', 1))`;
+
+/**
+ * Counts the lines matching a list of filters.
+ * @param {Object} conn - Oracle connection
+ * @param {Object[]} filters - Search conditions
+ * @returns {Promise<{value: number, filters: Object[]}>}
+ */
+const countLines = async (conn, filters) => {
+  const { where, binds } = buildWhere(filters);
+  const result = await conn.execute(
+    `SELECT COUNT(*) AS CNT FROM SYSTEM.RECONCILIATION ${where}`,
+    binds,
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return { value: result.rows[0].CNT, filters };
+};
+
+// Each metric is loaded on its own by /reconciliation/dashboard/:metric, or all together
+const METRICS = {
+  /**
+   * Every line, the open ones and the ones without a tracking number.
+   */
+  lines: async (conn) => ({
+    total: await countLines(conn, []),
+    open: await countLines(conn, [openLinesFilter()]),
+    missingTracking: await countLines(conn, [{ column: "UPSTRACKINGNUMBER", op: "empty" }]),
+    openMissingTracking: await countLines(conn, [openLinesFilter(), { column: "UPSTRACKINGNUMBER", op: "empty" }]),
+    closedStatuses: CLOSED_STATUSES,
+  }),
+
+  /**
+   * Lines per STATUS, most frequent first.
+   */
+  linesByStatus: async (conn) => {
+    const result = await conn.execute(
+      `SELECT STATUS, COUNT(*) AS CNT
+       FROM SYSTEM.RECONCILIATION
+       GROUP BY STATUS
+       ORDER BY CNT DESC, STATUS`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map(row => ({
+      label: row.STATUS ?? "(no status)",
+      value: row.CNT,
+      filters: [valueFilter("STATUS", row.STATUS)],
+    }));
+  },
+
+  /**
+   * Distinct orders per batch week, for the most recent weeks, oldest first.
+   * Batches that don't follow the Week<week>#<n> naming are left out.
+   */
+  ordersPerBatchWeek: async (conn) => {
+    const result = await conn.execute(
+      `SELECT YEAR, BATCH_WEEK, ORDER_COUNT, LINE_COUNT FROM (
+         SELECT YEAR, ${BATCH_WEEK_SQL} AS BATCH_WEEK,
+                COUNT(DISTINCT ORDERNUMBER) AS ORDER_COUNT, COUNT(*) AS LINE_COUNT
+         FROM SYSTEM.RECONCILIATION
+         WHERE ${BATCH_WEEK_SQL} IS NOT NULL
+         GROUP BY YEAR, ${BATCH_WEEK_SQL}
+         ORDER BY YEAR DESC NULLS LAST, BATCH_WEEK DESC
+         FETCH FIRST :shown ROWS ONLY
+       )
+       ORDER BY YEAR NULLS FIRST, BATCH_WEEK`,
+      { shown: BATCH_WEEKS_SHOWN },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map(row => ({
+      label: row.YEAR ? `${row.YEAR} W${row.BATCH_WEEK}` : `W${row.BATCH_WEEK}`,
+      value: row.ORDER_COUNT,
+      lines: row.LINE_COUNT,
+      filters: [
+        row.YEAR ? { column: "YEAR", op: "equals", value: row.YEAR } : { column: "YEAR", op: "empty" },
+        { column: "BATCHNUMBER", op: "wildcard", value: `Week${row.BATCH_WEEK}#*` },
+      ],
+    }));
+  },
+
+  /**
+   * The clubs with the most open lines.
+   */
+  topClubs: async (conn) => {
+    const { where, binds } = buildWhere([openLinesFilter()]);
+    const result = await conn.execute(
+      `SELECT CLUB_NAME, COUNT(*) AS CNT
+       FROM SYSTEM.RECONCILIATION
+       ${where}
+       GROUP BY CLUB_NAME
+       ORDER BY CNT DESC, CLUB_NAME
+       FETCH FIRST :shown ROWS ONLY`,
+      { ...binds, shown: TOP_CLUBS_SHOWN },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return result.rows.map(row => ({
+      label: row.CLUB_NAME ?? "(no club)",
+      value: row.CNT,
+      filters: [valueFilter("CLUB_NAME", row.CLUB_NAME), openLinesFilter()],
+    }));
+  },
+
+  /**
+   * Lines of the duplicate check (same order and material in more than one batch).
+   */
+  duplicates: async (conn) => {
+    const result = await conn.execute(
+      `SELECT COUNT(*) AS LINE_COUNT, COUNT(DISTINCT ORDERNUMBER || '|' || MATERIAL_NUMBER) AS KEY_COUNT
+       FROM (${TRUE_DUPLICATES_SQL})`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    return { lines: result.rows[0].LINE_COUNT, keys: result.rows[0].KEY_COUNT };
+  },
+
+  /**
+   * Committed uploads of the last days, per day (days without uploads included).
+   */
+  uploads: async (conn) => {
+    const result = await conn.execute(
+      `SELECT TO_CHAR(TRUNC(FINISHED_AT), 'YYYY-MM-DD') AS DAY, COUNT(*) AS UPLOADS,
+              SUM(NVL(INSERTED_ROWS, 0)) AS INSERTED, SUM(NVL(UPDATED_ROWS, 0)) AS UPDATED
+       FROM SYSTEM.RECONCILIATION_UPLOADS
+       WHERE STATUS = 'COMMITTED' AND FINISHED_AT >= TRUNC(SYSDATE) - :days + 1
+       GROUP BY TRUNC(FINISHED_AT)`,
+      { days: UPLOAD_DAYS },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const byDay = new Map(result.rows.map(row => [row.DAY, row]));
+    const days = Array.from({ length: UPLOAD_DAYS }, (_, i) => {
+      const date = new Date();
+      date.setDate(date.getDate() - (UPLOAD_DAYS - 1 - i));
+      const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+      const row = byDay.get(day);
+      return { label: day, value: row?.UPLOADS || 0, inserted: row?.INSERTED || 0, updated: row?.UPDATED || 0 };
+    });
+    return {
+      uploads: days.reduce((sum, day) => sum + day.value, 0),
+      inserted: days.reduce((sum, day) => sum + day.inserted, 0),
+      updated: days.reduce((sum, day) => sum + day.updated, 0),
+      days,
+    };
+  },
+};
+
+/**
+ * 1️⃣ Dashboard Metrics
+ * Returns every metric of the dashboard.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getDashboard = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const data = {};
+    for (const [name, load] of Object.entries(METRICS)) {
+      data[name] = await load(conn);
+    }
+    res.json({ success: true, generatedAt: new Date(), data });
+  } catch (err) {
+    console.error("Dashboard Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Dashboard Metric
+ * Returns one metric of the dashboard (lines, linesByStatus, ordersPerBatchWeek, topClubs, duplicates or uploads).
+ * @param {Object} req - Express request object (contains metric in params)
+ * @param {Object} res - Express response object
+ */
+exports.getDashboardMetric = async (req, res) => {
+  const load = Object.hasOwn(METRICS, req.params.metric) ? METRICS[req.params.metric] : null;
+  if (!load) {
+    return res.status(404).json({ success: false, message: `Unknown metric: ${req.params.metric}.` });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    res.json({ success: true, generatedAt: new Date(), data: await load(conn) });
+  } catch (err) {
+    console.error("Dashboard Metric Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
@@ -0,0 +1,320 @@
+const fs = require("fs").promises;
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { signDownloadToken } = require("../utils/session");
+const { roleHasPermission } = require("../utils/permissions");
+const { reportPath } = require("../utils/reports");
+const { SEARCH_COLUMNS, TRUE_DUPLICATES_SQL, DUPLICATE_COLUMNS, parseSearch, selectColumns } = require("../utils/search");
+const {
+  EXPORT_FORMATS,
+  EXPORT_FETCH_ROWS,
+  pickColumns,
+  startExport,
+  exportResultSet,
+  exportCsvFile,
+  csvFileColumns,
+} = require("../utils/exporter");
+const { LATE_CATEGORIES, LATE_LINES_SQL, LATE_ORDER_COLUMNS, readDueDays } = require("../utils/lateOrders");
+
+/**
+ * ⬇️ Exports
+ * Streams the results of the search, duplicate check, As-of Check and late orders pages, and batch
+ * manifests, as CSV or XLSX.
+ * Every export takes format (csv or xlsx, default xlsx) and columns (comma-separated, in the order
+ * wanted; all columns by default) in the query string. Database rows are read from a result set a
+ * batch at a time, so the size of an export doesn't matter. The client asks for a download link first
+ * (createExportLink) and lets the browser save the stream straight to disk.
+ */
+
+// Columns offered by the search export, in their default order
+const SEARCH_EXPORT_COLUMNS = [...Object.keys(SEARCH_COLUMNS), "LINE_ID"];
+
+/**
+ * Reads the format and columns of an export request.
+ * @param {Object} query - req.query
+ * @param {string[]} available - Columns the export offers
+ * @returns {{format: string, columns: string[]|null, error: string|null}}
+ */
+const readExportOptions = (query, available) => {
+  const format = query.format || "xlsx";
+  if (!EXPORT_FORMATS[format]) {
+    return { format, columns: null, error: `Unknown export format: ${format}. Use csv or xlsx.` };
+  }
+  const { columns, error } = pickColumns(query.columns, available);
+  return { format, columns, error };
+};
+
+/**
+ * Reads the due soon window, category, format and columns of a late orders export.
+ * @param {Object} query - req.query
+ * @returns {{days: number, category: string, format: string, columns: string[]|null, error: string|null}}
+ */
+const readLateOrderOptions = (query) => {
+  const { days, error: daysError } = readDueDays(query.days);
+  const category = query.category || "all";
+  const { format, columns, error } = readExportOptions(query, LATE_ORDER_COLUMNS);
+  const categoryError = category !== "all" && !Object.hasOwn(LATE_CATEGORIES, category) ? `Unknown category: ${category}.` : null;
+  return { days, category, format, columns, error: daysError || error || categoryError };
+};
+
+/**
+ * Stops a failed export: with a JSON error while nothing was sent, otherwise by cutting the
+ * download short, so the client doesn't keep a truncated file as if it were complete.
+ * @param {Object} res - Express response object
+ * @param {Error} err - The error
+ * @param {string} label - Log label
+ */
+const failExport = (res, err, label) => {
+  console.error(`${label}:`, err);
+  if (res.headersSent) {
+    res.destroy(err);
+  } else {
+    res.status(500).json({ success: false, message: "Internal server error." });
+  }
+};
+
+/**
+ * 1️⃣ Export Search Results
+ * Exports every line matching the search, with the same filters and sorting as /reconciliation/datasearch
+ * (paging is ignored).
+ * @param {Object} req - Express request object (filters, sort, dir, format and columns in query)
+ * @param {Object} res - Express response object
+ */
+exports.exportSearch = async (req, res) => {
+  const { search, error: searchError } = parseSearch(req.query);
+  const { format, columns, error } = readExportOptions(req.query, SEARCH_EXPORT_COLUMNS);
+  if (searchError || error) {
+    return res.status(400).json({ success: false, message: searchError || error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT ${selectColumns(columns)}
+       FROM SYSTEM.RECONCILIATION
+       ${search.where}
+       ${search.orderBy}`,
+      search.binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT, resultSet: true, fetchArraySize: EXPORT_FETCH_ROWS }
+    );
+    const writer = await startExport(res, { format, columns, fileName: "reconciliation_search_results" });
+    await exportResultSet(result.resultSet, writer);
+  } catch (err) {
+    failExport(res, err, "Search Export Error");
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Export Duplicate Check
+ * Exports the lines listed by the duplicate check (see checkTrueDuplicates).
+ * @param {Object} req - Express request object (format and columns in query)
+ * @param {Object} res - Express response object
+ */
+exports.exportDuplicates = async (req, res) => {
+  const { format, columns, error } = readExportOptions(req.query, DUPLICATE_COLUMNS);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT ${columns.join(", ")} FROM (${TRUE_DUPLICATES_SQL})`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT, resultSet: true, fetchArraySize: EXPORT_FETCH_ROWS }
+    );
+    const writer = await startExport(res, { format, columns, fileName: "true_duplicates" });
+    await exportResultSet(result.resultSet, writer);
+  } catch (err) {
+    failExport(res, err, "Duplicate Export Error");
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Export As-of Check Results
+ * Exports the duplicates found by an As-of Check. They are only kept in the check's report, so
+ * they are read from the report file; its columns are the key columns plus those of the checked file.
+ * @param {Object} req - Express request object (reportId in params, format and columns in query)
+ * @param {Object} res - Express response object
+ */
+exports.exportAsOfReport = async (req, res) => {
+  const reportId = safeNumber(req.params.reportId, "REPORT_ID");
+  if (reportId === null) {
+    return res.status(400).json({ success: false, message: "Invalid report id." });
+  }
+
+  let conn;
+  let found;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT REPORT_ID FROM SYSTEM.RECONCILIATION_REPORTS
+       WHERE REPORT_ID = :reportId AND REPORT_TYPE = 'ASOF_CHECK'`,
+      { reportId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    found = result.rows.length > 0;
+  } catch (err) {
+    return failExport(res, err, "As-of Export Error");
+  } finally {
+    if (conn) await conn.close();
+  }
+
+  // The report file is read without holding a database connection
+  try {
+    const filePath = reportPath(reportId);
+    const exists = found && (await fs.access(filePath).then(() => true, () => false));
+    if (!exists) {
+      return res.status(404).json({ success: false, message: "🔍 Report not found. It may have expired." });
+    }
+
+    const { format, columns, error } = readExportOptions(req.query, await csvFileColumns(filePath));
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const writer = await startExport(res, { format, columns, fileName: `asof_check_duplicates_${reportId}` });
+    await exportCsvFile(filePath, writer);
+  } catch (err) {
+    failExport(res, err, "As-of Export Error");
+  }
+};
+
+/**
+ * 4️⃣ Export Late Orders
+ * Exports the lines of the late-orders report (see utils/lateOrders.js), the latest first, with
+ * their category; one category only when asked.
+ * @param {Object} req - Express request object (days, category, format and columns in query)
+ * @param {Object} res - Express response object
+ */
+exports.exportLateOrders = async (req, res) => {
+  const { days, category, format, columns, error } = readLateOrderOptions(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  // The category is exported by its label, bound when the column is exported
+  const binds = { days, category };
+  const select = columns.map(column => {
+    if (column !== "LATE_CATEGORY") return column;
+    Object.assign(binds, LATE_CATEGORIES);
+    const labels = Object.keys(LATE_CATEGORIES).map(key => `WHEN '${key}' THEN :${key}`).join(" ");
+    return `CASE LATE_CATEGORY ${labels} END AS LATE_CATEGORY`;
+  });
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT ${select.join(", ")}
+       FROM (${LATE_LINES_SQL})
+       WHERE LATE_CATEGORY IS NOT NULL
+         AND (:category = 'all' OR LATE_CATEGORY = :category)
+       ORDER BY DAYS_LATE DESC NULLS LAST, CDD, ORDERNUMBER, LINE_ID`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT, resultSet: true, fetchArraySize: EXPORT_FETCH_ROWS }
+    );
+    const writer = await startExport(res, { format, columns, fileName: `late_orders_${category}` });
+    await exportResultSet(result.resultSet, writer);
+  } catch (err) {
+    failExport(res, err, "Late Orders Export Error");
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 5️⃣ Export Batch Manifest
+ * Exports every line of a batch, by club and order, to go with the batch when it ships.
+ * @param {Object} req - Express request object (batchNumber in params, format and columns in query)
+ * @param {Object} res - Express response object
+ */
+exports.exportBatchManifest = async (req, res) => {
+  const batchNumber = req.params.batchNumber?.trim();
+  const { format, columns, error } = readExportOptions(req.query, SEARCH_EXPORT_COLUMNS);
+  if (!batchNumber || error) {
+    return res.status(400).json({ success: false, message: error || "A batch number is required." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT ${selectColumns(columns)}
+       FROM SYSTEM.RECONCILIATION
+       WHERE UPPER(TRIM(BATCHNUMBER)) = UPPER(:batchNumber)
+       ORDER BY CLUB_NAME, ORDERNUMBER, MATERIAL_NUMBER, LINE_ID`,
+      { batchNumber },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT, resultSet: true, fetchArraySize: EXPORT_FETCH_ROWS }
+    );
+    const fileName = `batch_${batchNumber.replace(/[^\w-]+/g, "_")}_manifest`;
+    const writer = await startExport(res, { format, columns, fileName });
+    await exportResultSet(result.resultSet, writer);
+  } catch (err) {
+    failExport(res, err, "Batch Manifest Export Error");
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+// The exports a download link can be made for, with the permission of their route and the checks
+// their handler makes before streaming (the As-of columns depend on the report file, so only the format)
+const EXPORT_LINKS = [
+  {
+    path: /^\/api\/reconciliation\/export\/search$/,
+    permission: "reconciliation.search",
+    check: (query) => parseSearch(query).error || readExportOptions(query, SEARCH_EXPORT_COLUMNS).error,
+  },
+  {
+    path: /^\/api\/reconciliation\/export\/duplicates$/,
+    permission: "reconciliation.check",
+    check: (query) => readExportOptions(query, DUPLICATE_COLUMNS).error,
+  },
+  {
+    path: /^\/api\/reconciliation\/export\/asof\/\d+$/,
+    permission: "reconciliation.check",
+    check: (query) => readExportOptions({ format: query.format }, []).error,
+  },
+  {
+    path: /^\/api\/reconciliation\/export\/late-orders$/,
+    permission: "reconciliation.search",
+    check: (query) => readLateOrderOptions(query).error,
+  },
+  {
+    path: /^\/api\/reconciliation\/export\/batches\/[^/]+$/,
+    permission: "reconciliation.search",
+    check: (query) => readExportOptions(query, SEARCH_EXPORT_COLUMNS).error,
+  },
+];
+
+/**
+ * 6️⃣ Create Export Link
+ * Checks an export request and signs a short-lived link to it (see signDownloadToken). The browser
+ * opens the link itself, so a large export streams to disk instead of being held in page memory,
+ * while mistakes in the request are still reported to the page.
+ * @param {Object} req - Express request object (url in body: the export path with its query string)
+ * @param {Object} res - Express response object
+ */
+exports.createExportLink = (req, res) => {
+  const url = typeof req.body?.url === "string" ? req.body.url : "";
+  const parsed = new URL(url, "http://localhost");
+  const target = url.startsWith("/api/") ? EXPORT_LINKS.find(({ path }) => path.test(parsed.pathname)) : null;
+  if (!target) {
+    return res.status(400).json({ success: false, message: "Not an export URL." });
+  }
+  if (!roleHasPermission(req.user.role, target.permission)) {
+    return res.status(403).json({ success: false, message: "You do not have permission to do this." });
+  }
+  const error = target.check(Object.fromEntries(parsed.searchParams));
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const token = signDownloadToken(req.user.sessionId, url);
+  res.json({ success: true, url: `${url}${parsed.search ? "&" : "?"}downloadToken=${encodeURIComponent(token)}` });
+};
@@ -0,0 +1,74 @@
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { getJob } = require("../utils/jobs");
+const { roleHasPermission } = require("../utils/permissions");
+
+/**
+ * ⏳ Jobs
+ * Status and results of background jobs (see utils/jobs.js), polled by the client while a job runs.
+ */
+
+/**
+ * 1️⃣ Get Job Status
+ * Returns one job with its progress, ETA and, once finished, its result or failure reason.
+ * Only the user who started the job (or an admin) can see it.
+ * @param {Object} req - Express request object (contains jobId in params)
+ * @param {Object} res - Express response object
+ */
+exports.getJobStatus = async (req, res) => {
+  const jobId = safeNumber(req.params.jobId, "JOB_ID");
+  if (jobId === null) {
+    return res.status(400).json({ success: false, message: "Invalid job id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const job = await getJob(conn, jobId);
+    if (!job || (job.CREATED_BY !== req.user.username && !roleHasPermission(req.user.role, "users.manage"))) {
+      return res.status(404).json({ success: false, message: "🔍 Job not found." });
+    }
+    res.json({ success: true, data: job });
+  } catch (err) {
+    console.error("Get Job Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ List My Jobs
+ * Returns the current user's most recent jobs (newest first), optionally filtered by type.
+ * @param {Object} req - Express request object (optional type in query)
+ * @param {Object} res - Express response object
+ */
+exports.listJobs = async (req, res) => {
+  const binds = { username: req.user.username };
+  let typeFilter = "";
+  if (req.query.type) {
+    typeFilter = "AND JOB_TYPE = :type";
+    binds.type = req.query.type;
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT JOB_ID, JOB_TYPE, STATUS, CREATED_AT, STARTED_AT, FINISHED_AT, SOURCE_FILE,
+              TOTAL_ROWS, PROCESSED_ROWS, FLAGGED_ROWS, ERROR_MESSAGE
+       FROM SYSTEM.RECONCILIATION_JOBS
+       WHERE CREATED_BY = :username ${typeFilter}
+       ORDER BY CREATED_AT DESC
+       FETCH FIRST 50 ROWS ONLY`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error("List Jobs Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
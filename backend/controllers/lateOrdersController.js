@@ -0,0 +1,131 @@
+const oracledb = require("oracledb");
+const { valueFilter } = require("../utils/search");
+const {
+  LATE_CATEGORIES,
+  AGING_BUCKETS,
+  LATE_LINES_SQL,
+  readDueDays,
+  categoryFilters,
+  agingFilter,
+  agingBucket,
+} = require("../utils/lateOrders");
+
+/**
+ * ⏰ Late Orders Report
+ * Lines past their CDD without a ship-out date, lines shipped after their CDD and lines due soon
+ * (see utils/lateOrders.js), with the aging of the late ones and breakdowns by club and batch.
+ * Every count carries the search filters selecting its lines, so the page can open them on the
+ * Search Data page.
+ */
+
+// Clubs and batches listed by the breakdowns (those with the most lines in the report)
+const BREAKDOWN_ROWS = 50;
+
+/**
+ * Counts the report's lines per category for the values of a column, the biggest first.
+ * @param {Object} conn - Oracle connection
+ * @param {string} column - CLUB_NAME or BATCHNUMBER
+ * @param {number} days - Due soon window
+ * @param {Object} filters - Category → search filters
+ * @returns {Promise<Object[]>} - [{ label, total, overdue, shippedLate, dueSoon }], counts are { value, filters }
+ */
+const breakdown = async (conn, column, days, filters) => {
+  const result = await conn.execute(
+    `SELECT ${column} AS NAME,
+            SUM(CASE WHEN LATE_CATEGORY = 'overdue' THEN 1 ELSE 0 END) AS OVERDUE,
+            SUM(CASE WHEN LATE_CATEGORY = 'shippedLate' THEN 1 ELSE 0 END) AS SHIPPED_LATE,
+            SUM(CASE WHEN LATE_CATEGORY = 'dueSoon' THEN 1 ELSE 0 END) AS DUE_SOON,
+            COUNT(*) AS TOTAL
+     FROM (${LATE_LINES_SQL})
+     WHERE LATE_CATEGORY IS NOT NULL
+     GROUP BY ${column}
+     ORDER BY TOTAL DESC, NAME
+     FETCH FIRST :shown ROWS ONLY`,
+    { days, shown: BREAKDOWN_ROWS },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows.map(row => {
+    const cell = (category, value) => ({ value, filters: [...filters[category], valueFilter(column, row.NAME)] });
+    return {
+      label: row.NAME ?? "(none)",
+      total: row.TOTAL,
+      overdue: cell("overdue", row.OVERDUE),
+      shippedLate: cell("shippedLate", row.SHIPPED_LATE),
+      dueSoon: cell("dueSoon", row.DUE_SOON),
+    };
+  });
+};
+
+/**
+ * 1️⃣ Late Orders Report
+ * Returns the counts of each category, the aging of late lines in AGING_BUCKETS and the breakdowns
+ * by club and batch.
+ * @param {Object} req - Express request object (days in query: the due soon window, AT_RISK_DAYS by default)
+ * @param {Object} res - Express response object
+ */
+exports.getLateOrdersReport = async (req, res) => {
+  const { days, error } = readDueDays(req.query.days);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+
+    // Dates come from the database, so the filters match what the report counted
+    const dates = await conn.execute(
+      `SELECT TO_CHAR(TRUNC(SYSDATE), 'YYYY-MM-DD') AS TODAY,
+              TO_CHAR(TRUNC(SYSDATE) + :days, 'YYYY-MM-DD') AS DUE_BY
+       FROM dual`,
+      { days },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const { TODAY: today, DUE_BY: dueBy } = dates.rows[0];
+    const filters = categoryFilters(today, dueBy);
+
+    const counts = await conn.execute(
+      `SELECT LATE_CATEGORY, DAYS_LATE, COUNT(*) AS CNT
+       FROM (${LATE_LINES_SQL})
+       WHERE LATE_CATEGORY IS NOT NULL
+       GROUP BY LATE_CATEGORY, DAYS_LATE`,
+      { days },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const summary = {};
+    for (const category of Object.keys(LATE_CATEGORIES)) {
+      summary[category] = { value: 0, filters: filters[category] };
+    }
+    const aging = AGING_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      overdue: { value: 0, filters: [...filters.overdue, agingFilter(bucket)] },
+      shippedLate: { value: 0, filters: [...filters.shippedLate, agingFilter(bucket)] },
+    }));
+    for (const row of counts.rows) {
+      summary[row.LATE_CATEGORY].value += row.CNT;
+      if (row.LATE_CATEGORY === "dueSoon") continue;
+      const index = AGING_BUCKETS.indexOf(agingBucket(row.DAYS_LATE));
+      if (index >= 0) aging[index][row.LATE_CATEGORY].value += row.CNT;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        today,
+        dueBy,
+        categories: LATE_CATEGORIES,
+        summary,
+        aging,
+        byClub: await breakdown(conn, "CLUB_NAME", days, filters),
+        byBatch: await breakdown(conn, "BATCHNUMBER", days, filters),
+      },
+    });
+  } catch (err) {
+    console.error("Late Orders Report Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
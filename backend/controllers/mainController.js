@@ -1,56 +1,62 @@
 const fs = require('fs').promises; // Use promises-based fs for async file operations
-const path = require("path");
 const oracledb = require("oracledb");
 const xlsx = require("xlsx");
-const createCsvWriter = require("csv-writer").createObjectCsvWriter;
+const { createSession, revokeSession } = require("../utils/session");
+const { hashPassword, verifyPassword } = require("../utils/password");
+const { permissionsForRole, roleHasPermission } = require("../utils/permissions");
+const { snapshotLines, snapshotLinesById, recordHistory, diffLines } = require("../utils/audit");
+const { safeValue, safeNumber, isoDate, normalizeValue, normalizeDate } = require("../utils/values");
+const { createReport, reportUrl } = require("../utils/reports");
+const { registerJobHandler, submitJob } = require("../utils/jobs");
+const { loadProfiles, matchProfileToSheets, detectProfile } = require("../utils/columnMapping");
+const { bookTypeOf, parseSheetChoice, resolveSheets, readHeadersBySheet, readRows, listSheets } = require("../utils/workbook");
+const { loadRules, validateLine, splitIssues } = require("../utils/validation");
+const { loadBatchStates, batchViolation } = require("../utils/batches");
+const { loadStatusModel, resolveStatus, statusViolation } = require("../utils/statuses");
+const { SEARCH_COLUMNS, OPERATORS, PAGE_SIZES, TRUE_DUPLICATES_SQL, DELIVERY_STATUSES, parseSearch, selectColumns } = require("../utils/search");
+
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5; // Failed attempts before an account locks
 
 /**
  * 🔧 Helper Functions
- * These utility functions help sanitize and validate data before inserting into the database.
- * They ensure that invalid or missing data is handled gracefully, preventing database errors.
  */
 
 /**
- * Returns the value or null if the value is undefined or an empty string.
- * Used for VARCHAR2 columns to safely handle text data.
+ * Validates a list of LINE_IDs from a request body.
  * @param {any} val - The input value
- * @returns {string|null} - The sanitized value or null
+ * @returns {number[]|null} - The unique ids, or null if the list is missing, empty or contains non-numbers
  */
-const safeValue = (val) => (val === undefined || val === '' ? null : val);
-
-/**
- * Converts a value to a valid number or returns null if the value is invalid.
- * Used for NUMBER columns to prevent ORA-01722 (invalid number) errors.
- * Logs invalid values for debugging.
- * @param {any} val - The input value
- * @param {string} columnName - The name of the column (for logging)
- * @returns {number|null} - The sanitized number or null
- */
-const safeNumber = (val, columnName = 'unknown') => {
-  if (typeof val === 'number') return val;
-  if (val === undefined || val === null) return null;
-  const str = val.toString().trim();
-  // Check if the string is a valid number (including integers and decimals)
-  if (!str || !/^-?\d*\.?\d+$/.test(str)) {
-    console.warn(`Invalid numeric value in ${columnName}: "${str}"`);
-    return null;
-  }
-  return Number(str);
+const parseLineIds = (val) => {
+  if (!Array.isArray(val) || val.length === 0) return null;
+  const ids = val.map(id => safeNumber(id, "LINE_ID"));
+  return ids.includes(null) ? null : [...new Set(ids)];
 };
 
 /**
- * Converts a value to a valid JavaScript Date object or returns null if invalid.
- * Used for DATE columns to prevent date format errors.
- * @param {any} val - The input value
- * @returns {Date|null} - The sanitized Date object or null
+ * Lists the lines whose change isn't allowed, in the form of bulk results.
+ * @param {number[]} lineIds - The changed lines
+ * @param {Map<number, Object>} before - Snapshots before the change
+ * @param {Function} violationOf - lineId → why its change isn't allowed, or null
+ * @returns {Object[]} - { lineId, ORDERNUMBER, MATERIAL_NUMBER, success: false, message }
  */
-const safeDate = (val) => {
-  try {
-    const d = new Date(val);
-    return isNaN(d.getTime()) ? null : d;
-  } catch {
-    return null;
-  }
+const blockedLines = (lineIds, before, violationOf) =>
+  lineIds
+    .map(lineId => ({ lineId, message: violationOf(lineId) }))
+    .filter(({ message }) => message)
+    .map(({ lineId, message }) => ({
+      lineId,
+      ORDERNUMBER: before.get(lineId).ORDERNUMBER,
+      MATERIAL_NUMBER: before.get(lineId).MATERIAL_NUMBER,
+      success: false,
+      message,
+    }));
+
+// Columns that bulk updates may change, with the SQL expression used to bind each value
+const BULK_EDITABLE_FIELDS = {
+  STATUS: ":STATUS",
+  BATCHNUMBER: ":BATCHNUMBER",
+  SHIPOUTDATE: "TO_DATE(:SHIPOUTDATE, 'YYYY-MM-DD')",
+  UPSTRACKINGNUMBER: ":UPSTRACKINGNUMBER",
 };
 
 /**
@@ -83,8 +89,10 @@ exports.testDB = async (req, res) => {
 
 /**
  * 2️⃣ User Login
- * Authenticates a user by checking their username and password against the SAP_USERS table.
- * This function is used to implement user login functionality.
+ * Authenticates a user against the SAP_USERS table and opens a session.
+ * Passwords are checked against PASSWORD_HASH. Rows that still carry a legacy plaintext PASSWORD
+ * are upgraded to a hash on their first successful login.
+ * Repeated failures lock the account until an administrator unlocks it.
  * @param {Object} req - Express request object (contains username and password in body)
  * @param {Object} res - Express response object
  */
@@ -94,238 +102,166 @@ exports.login = async (req, res) => {
   try {
     conn = await oracledb.getConnection(); // Get a connection from the pool
     const result = await conn.execute(
-      `SELECT * FROM SYSTEM.SAP_USERS WHERE username = :username AND password = :password`,
-      { username, password }, // Bind variables for security
+      `SELECT USERNAME, PASSWORD, PASSWORD_HASH, IS_ACTIVE, IS_LOCKED, ROLE, MUST_CHANGE_PASSWORD
+       FROM SYSTEM.SAP_USERS WHERE USERNAME = :username`,
+      { username }, // Bind variables for security
       { outFormat: oracledb.OUT_FORMAT_OBJECT } // Return results as objects
     );
 
-    if (result.rows.length > 0) {
-      res.json({ success: true }); // User authenticated successfully
-    } else {
-      res.status(401).json({ success: false, message: "Invalid credentials" }); // Authentication failed
-    }
-  } catch (err) {
-    console.error("Login Error:", err); // Log the error for debugging
-    res.status(500).json({ error: err.message }); // Return error response
-  } finally {
-    if (conn) await conn.close(); // Always close the connection
-  }
-};
-
-/**
- * 3️⃣ Add Reconciliation (Excel Upload)
- * Processes an uploaded Excel file, checks for duplicates, and inserts valid data into the RECONCILIATION table.
- * If duplicates or invalid data are found, the upload is rejected, and a report is generated.
- * Only ORDERNUMBER is required; other columns are optional.
- * @param {Object} req - Express request object (contains file and username in body)
- * @param {Object} res - Express response object
- */
-exports.addReconciliation = async (req, res) => {
-  try {
-    const username = req.body.username || "unknown"; // Default to "unknown" if username is not provided
-
-    // Check if a file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ success: false, message: "No file uploaded." });
-    }
-
-    const filePath = req.file.path; // Path to the uploaded file
-    const workbook = xlsx.readFile(filePath); // Read the Excel file
-    const sheet = workbook.Sheets[workbook.SheetNames[0]]; // Get the first sheet
-    const jsonData = xlsx.utils.sheet_to_json(sheet); // Convert sheet to JSON
-
-    // Check if the file is empty
-    if (jsonData.length === 0) {
-      await fs.unlink(filePath); // Clean up the uploaded file
-      return res.status(400).json({ success: false, message: "Uploaded file is empty." });
-    }
-
-    // Validate required columns in the Excel file (only ORDERNUMBER is required)
-    const requiredColumns = ["ORDERNUMBER"];
-    const missingColumns = requiredColumns.filter(col => !Object.keys(jsonData[0]).includes(col));
-    if (missingColumns.length > 0) {
-      await fs.unlink(filePath); // Clean up the uploaded file
-      return res.status(400).json({
-        success: false,
-        message: `Missing required column in Excel file: ${missingColumns.join(", ")}`,
-      });
-    }
-
-    // Validate numeric data and ORDERNUMBER presence before any database operations
-    const invalidRows = [];
-    jsonData.forEach((row, index) => {
-      const ordernumber = safeValue(row["ORDERNUMBER"]);
-      const salesdocumentRaw = row["SALESDOCUMENT"];
-      const yearRaw = row["YEAR"];
-      const salesdocument = safeNumber(salesdocumentRaw, "SALESDOCUMENT");
-      const year = safeNumber(yearRaw, "YEAR");
-
-      // Log raw and processed values for debugging
-      console.log(`Row ${index + 1}:`);
-      console.log(`  ORDERNUMBER: ${ordernumber}`);
-      console.log(`  SALESDOCUMENT: raw=${salesdocumentRaw}, processed=${salesdocument}`);
-      console.log(`  YEAR: raw=${yearRaw}, processed=${year}`);
-
-      // Check if ORDERNUMBER is missing or empty
-      if (!ordernumber) {
-        invalidRows.push({ row: index + 1, error: "ORDERNUMBER is required" });
-      }
-
-      // Collect invalid numeric data in SALESDOCUMENT or YEAR (if provided)
-      if (salesdocument === null && salesdocumentRaw !== undefined) {
-        invalidRows.push({ row: index + 1, ORDERNUMBER: ordernumber, SALESDOCUMENT: salesdocumentRaw });
-      }
-      if (year === null && yearRaw !== undefined) {
-        invalidRows.push({ row: index + 1, ORDERNUMBER: ordernumber, YEAR: yearRaw });
-      }
-    });
-
-    // If there are invalid rows, reject the upload
-    if (invalidRows.length > 0) {
-      await fs.unlink(filePath); // Clean up the uploaded file
-      return res.status(400).json({
-        success: false,
-        message: `Found ${invalidRows.length} rows with invalid data. Upload rejected.`,
-        invalidRows,
-      });
-    }
-
-    const conn = await oracledb.getConnection(); // Get a database connection
-    const duplicateList = []; // Array to store duplicate entries
-
-    // Check for duplicates in the database
-    for (let row of jsonData) {
-      const order = row["ORDERNUMBER"];
-      const material = row["MATERIAL_NUMBER"];
-      if (!order || !material) continue; // Skip rows with missing order or material
-
-      const check = await conn.execute(
-        `SELECT COUNT(*) AS CNT FROM SYSTEM.RECONCILIATION WHERE ORDERNUMBER = :ord AND MATERIAL_NUMBER = :mat`,
-        { ord: order, mat: material }, // Bind variables for security
-        { outFormat: oracledb.OUT_FORMAT_OBJECT } // Return results as objects
-      );
-
-      if (check.rows[0].CNT > 0) {
-        duplicateList.push({ ORDERNUMBER: order, MATERIAL_NUMBER: material, ...row }); // Add to duplicate list
-      }
+    const user = result.rows[0];
+    if (!user || !password) {
+      return res.status(401).json({ success: false, message: "Invalid credentials" }); // Authentication failed
     }
 
-    // If duplicates exist, generate a report and stop processing
-    if (duplicateList.length > 0) {
-      const exportPath = path.join(__dirname, "../exports/duplicates_report.csv"); // Path for duplicate report
-
-      const csvWriter = createCsvWriter({
-        path: exportPath,
-        header: Object.keys(duplicateList[0]).map(key => ({ id: key, title: key })) // CSV headers
-      });
-
-      await csvWriter.writeRecords(duplicateList); // Write duplicates to CSV
-      await conn.close(); // Close the database connection
-      await fs.unlink(filePath); // Clean up the uploaded file
-
-      return res.status(409).json({
-        success: false,
-        message: `🚫 Found ${duplicateList.length} duplicate entries.`,
-        duplicates: duplicateList,
-        downloadUrl: "/api/reconciliation/download-duplicate-report" // URL to download the report
-      });
+    if (user.IS_LOCKED === 1) {
+      return res.status(423).json({ success: false, message: "Account is locked. Contact an administrator." });
     }
 
-    // No duplicates → process inserts
-    let insertedCount = 0; // Counter for successfully inserted records
+    const valid = user.PASSWORD_HASH
+      ? await verifyPassword(password, user.PASSWORD_HASH)
+      : user.PASSWORD !== null && user.PASSWORD === password; // Legacy plaintext row
 
-    for (let row of jsonData) {
-      // Log the values being inserted for debugging
-      const salesdocument = safeNumber(row["SALESDOCUMENT"], "SALESDOCUMENT");
-      const year = safeNumber(row["YEAR"], "YEAR");
-      console.log(`Inserting row with ORDERNUMBER=${row["ORDERNUMBER"]}:`);
-      console.log(`  SALESDOCUMENT: ${salesdocument}`);
-      console.log(`  YEAR: ${year}`);
-
-      // Insert the row into the database
+    if (!valid) {
+      // Count the failure and lock the account once the limit is reached
       await conn.execute(
-        `INSERT INTO SYSTEM.RECONCILIATION (
-          ORDERNUMBER, SALESDOCUMENT, ORDERDATE, BATCHNUMBER, YEAR,
-          MATERIAL_NUMBER, CLUB_NAME, ORDERTYPE, STATUS, CDD,
-          SHIPOUTDATE, UPSTRACKINGNUMBER, USER_SAP
-        ) VALUES (
-          :ordernumber, :salesdocument, :orderdate, :batchnumber, :year,
-          :material_number, :club_name, :ordertype, :status, :cdd,
-          :shipoutdate, :upstrackingnumber, :username
-        )`,
-        {
-          ordernumber: safeValue(row["ORDERNUMBER"]),
-          salesdocument,
-          orderdate: safeDate(row["ORDERDATE"]),
-          batchnumber: safeValue(row["BATCHNUMBER"]),
-          year,
-          material_number: safeValue(row["MATERIAL_NUMBER"]),
-          club_name: safeValue(row["CLUB_NAME"]),
-          ordertype: safeValue(row["ORDERTYPE"]),
-          status: safeValue(row["STATUS"]),
-          cdd: safeValue(row["CDD"]),
-          shipoutdate: safeDate(row["SHIPOUTDATE"]),
-          upstrackingnumber: safeValue(row["UPSTRACKINGNUMBER"]),
-          username
-        },
-        { autoCommit: true } // Commit the transaction immediately
+        `UPDATE SYSTEM.SAP_USERS SET
+           FAILED_ATTEMPTS = FAILED_ATTEMPTS + 1,
+           IS_LOCKED = CASE WHEN FAILED_ATTEMPTS + 1 >= :maxAttempts THEN 1 ELSE 0 END
+         WHERE USERNAME = :username`,
+        { username, maxAttempts: MAX_FAILED_LOGINS },
+        { autoCommit: true }
       );
-
-      insertedCount++; // Increment the counter
+      return res.status(401).json({ success: false, message: "Invalid credentials" }); // Authentication failed
     }
 
-    await conn.close(); // Close the database connection
-    await fs.unlink(filePath); // Clean up the uploaded file
+    if (user.IS_ACTIVE !== 1) {
+      return res.status(403).json({ success: false, message: "Account is disabled." });
+    }
 
-    // Return success response
-    res.json({ success: true, message: `✅ ${insertedCount} record(s) inserted.` });
+    // Upgrade legacy plaintext passwords in place
+    const passwordHash = user.PASSWORD_HASH || await hashPassword(password);
+    await conn.execute(
+      `UPDATE SYSTEM.SAP_USERS SET
+         PASSWORD_HASH = :passwordHash,
+         PASSWORD = NULL,
+         FAILED_ATTEMPTS = 0,
+         LAST_LOGIN_AT = SYSTIMESTAMP
+       WHERE USERNAME = :username`,
+      { passwordHash, username },
+      { autoCommit: true }
+    );
 
+    const { token, expiresAt } = await createSession(conn, user.USERNAME); // Issue a server-side session
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: {
+        username: user.USERNAME,
+        role: user.ROLE,
+        permissions: permissionsForRole(user.ROLE),
+        mustChangePassword: user.MUST_CHANGE_PASSWORD === 1,
+      },
+    }); // User authenticated successfully
   } catch (err) {
-    console.error("💥 Upload Error:", err); // Log the error for debugging
-    if (req.file) await fs.unlink(req.file.path).catch(err => console.error('Error deleting file:', err)); // Clean up the uploaded file
-    if (err.errorNum === 1722) { // Handle ORA-01722 (invalid number) specifically
-      res.status(400).json({
-        success: false,
-        message: "Invalid numeric data in SALESDOCUMENT or YEAR column. Please check the uploaded file.",
-      });
-    } else {
-      res.status(500).json({ success: false, message: "Internal server error." }); // Generic error response
-    }
+    console.error("Login Error:", err); // Log the error for debugging
+    res.status(500).json({ error: err.message }); // Return error response
+  } finally {
+    if (conn) await conn.close(); // Always close the connection
   }
 };
 
 /**
- * 4️⃣ Download Duplicate Report
- * Allows the client to download a CSV report of duplicate entries found during the upload process.
- * @param {Object} req - Express request object
+ * 🚪 User Logout
+ * Revokes the caller's session so the token can no longer be used.
+ * @param {Object} req - Express request object (req.user is set by the auth middleware)
  * @param {Object} res - Express response object
  */
-exports.downloadDuplicateReport = async (req, res) => {
-  const filePath = path.join(__dirname, "../exports/duplicates_report.csv"); // Path to the duplicate report
+exports.logout = async (req, res) => {
+  let conn;
   try {
-    await fs.access(filePath); // Check if the file exists (asynchronous)
-    res.download(filePath, "duplicates_report.csv"); // Send the file for download
+    conn = await oracledb.getConnection();
+    await revokeSession(conn, req.user.sessionId);
+    res.json({ success: true, message: "Logged out." });
   } catch (err) {
-    res.status(404).send("🔍 No export file found."); // Return error if file does not exist
+    console.error("Logout Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
   }
 };
 
 /**
- * 5️⃣ Edit Reconciliation by ORDERNUMBER
- * Updates an existing record in the RECONCILIATION table based on the ORDERNUMBER.
- * @param {Object} req - Express request object (contains ordernumber in params and updates in body)
+ * 🙋 Current User
+ * Returns the user behind the current session. The frontend uses this to check a stored token on load.
+ * @param {Object} req - Express request object (req.user is set by the auth middleware)
+ * @param {Object} res - Express response object
+ */
+exports.me = async (req, res) => {
+  const { username, role, mustChangePassword } = req.user;
+  res.json({
+    success: true,
+    user: { username, role, permissions: permissionsForRole(role), mustChangePassword },
+  });
+};
+
+/**
+ * 5️⃣ Edit Reconciliation Line
+ * Updates a single line of the RECONCILIATION table, addressed by its LINE_ID.
+ * ORDERNUMBER is not editable; every other column is taken from `updated_data`.
+ * The edited line is checked against the active validation rules: errors reject the edit (400),
+ * warnings are returned with the result. The line can't be moved into a closed or locked batch, nor
+ * changed while its batch is locked (409). STATUS is resolved through the status model (see
+ * utils/statuses.js): legacy text becomes its canonical status and is kept as STATUS_NOTE, and a status
+ * change outside the allowed transitions needs an admin (409). A legacy status left as it was doesn't
+ * stop the rest of the line from being edited. CDD is stored as YYYY-MM-DD when it holds a date.
+ * @param {Object} req - Express request object (contains lineId in params and updated_data in body)
  * @param {Object} res - Express response object
  */
 exports.editReconciliation = async (req, res) => {
-  const { salesDocument, updated_data } = req.body;
-  const { ordernumber } = req.params;
+  const { updated_data } = req.body;
+  const lineId = safeNumber(req.params.lineId, "LINE_ID");
+
+  if (lineId === null || !updated_data) {
+    return res.status(400).json({ success: false, message: "A valid line id and updated_data are required." });
+  }
 
   let connection;
 
   try {
     connection = await oracledb.getConnection();
 
-    // Update salesdocument column (if it's supposed to be updated)
+    // Capture the line before the change for the audit trail
+    const lineFilter = "r.LINE_ID = :lineId";
+    const before = await snapshotLines(connection, lineFilter, { lineId });
+    if (before.size === 0) {
+      return res.status(404).json({ success: false, message: `Line ${lineId} not found.` });
+    }
+
+    const line = before.get(lineId);
+    const statusModel = await loadStatusModel(connection);
+    const resolved = resolveStatus(statusModel, updated_data.STATUS);
+    // An unknown legacy status left as it was doesn't block editing the rest of the line
+    const statusKept = resolved.error && String(updated_data.STATUS ?? "").trim() === String(line.STATUS ?? "").trim();
+    if (resolved.error && !statusKept) {
+      return res.status(400).json({ success: false, message: `❌ ${resolved.error}` });
+    }
+    const status = statusKept ? line.STATUS : resolved.status;
+    const statusChange = roleHasPermission(req.user.role, "statuses.override") ? null : statusViolation(statusModel, line, { STATUS: status });
+    if (statusChange) {
+      return res.status(409).json({ success: false, message: `🚦 ${statusChange}.` });
+    }
+
+    // CDD is stored as YYYY-MM-DD when a date can be read from it, as uploads do; other text is kept as it is
+    const cddDate = normalizeDate(updated_data.CDD);
+    const cdd = cddDate.invalid ? String(updated_data.CDD) : cddDate.value && isoDate(cddDate.value);
+
+    const rules = await loadRules(connection);
+    const { errors, warnings } = splitIssues(validateLine({ ...line, ...updated_data, STATUS: status, CDD: cdd }, rules));
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: `❌ ${errors.join("; ")}`, errors, warnings });
+    }
+
     await connection.execute(
       `UPDATE reconciliation SET
          salesdocument = :salesDoc,
@@ -336,28 +272,41 @@ exports.editReconciliation = async (req, res) => {
          club_name = :clubName,
          ordertype = :orderType,
          status = :status,
+         status_note = :statusNote,
          cdd = :cdd,
          shipoutdate = TO_DATE(:shipoutDate, 'YYYY-MM-DD'),
          upstrackingnumber = :trackingNumber
-       WHERE ordernumber = :ordernumber`,
+       WHERE line_id = :lineId`,
       {
-        salesDoc: salesDocument,
+        salesDoc: updated_data.SALESDOCUMENT,
         orderDate: updated_data.ORDERDATE,
         batchNumber: updated_data.BATCHNUMBER,
         year: updated_data.YEAR,
         materialNumber: updated_data.MATERIAL_NUMBER,
         clubName: updated_data.CLUB_NAME,
         orderType: updated_data.ORDERTYPE,
-        status: updated_data.STATUS,
-        cdd: updated_data.CDD,
+        status,
+        statusNote: resolved.note ?? line.STATUS_NOTE,
+        cdd,
         shipoutDate: updated_data.SHIPOUTDATE,
         trackingNumber: updated_data.UPSTRACKINGNUMBER,
-        ordernumber: ordernumber
-      },
-      { autoCommit: true }
+        lineId
+      }
     );
 
-    res.json({ success: true, message: '✅ Record updated successfully.' });
+    // Lines can't be moved into closed or locked batches, nor changed in locked ones
+    const after = await snapshotLines(connection, lineFilter, { lineId });
+    const violation = batchViolation(await loadBatchStates(connection), before.get(lineId), after.get(lineId));
+    if (violation) {
+      await connection.rollback();
+      return res.status(409).json({ success: false, message: `🔒 ${violation}` });
+    }
+
+    // Record the change, then commit the update and its history together
+    const entries = [{ action: 'UPDATE', before: before.get(lineId), after: after.get(lineId) }];
+    await recordHistory(connection, entries, { username: req.user.username, source: 'Manual edit' }, { autoCommit: true });
+
+    res.json({ success: true, message: '✅ Record updated successfully.', warnings });
 
   } catch (err) {
     console.error('❌ Edit failed:', err);
@@ -369,16 +318,40 @@ exports.editReconciliation = async (req, res) => {
   }
 };
 
+/**
+ * 🗑️ Delete Reconciliation Line
+ * Deletes a single line, addressed by its LINE_ID, and keeps its last values in the history.
+ * The other lines of the same order are not touched. Lines of locked batches can't be deleted (409).
+ * @param {Object} req - Express request object (contains lineId in params)
+ * @param {Object} res - Express response object
+ */
 exports.deleteReconciliation = async (req, res) => {
-  const { ordernumber } = req.params;
+  const lineId = safeNumber(req.params.lineId, "LINE_ID");
+  if (lineId === null) {
+    return res.status(400).json({ success: false, message: "A valid line id is required." });
+  }
+
   const connection = await oracledb.getConnection();
 
   try {
+    const before = await snapshotLines(connection, 'r.LINE_ID = :lineId', { lineId });
+    if (before.size === 0) {
+      return res.status(404).json({ success: false, message: `Line ${lineId} not found.` });
+    }
+    const violation = batchViolation(await loadBatchStates(connection), before.get(lineId), null);
+    if (violation) {
+      return res.status(409).json({ success: false, message: `🔒 ${violation}` });
+    }
+
     await connection.execute(
-      'DELETE FROM reconciliation WHERE ordernumber = :ordernumber',
-      [ordernumber],
-      { autoCommit: true }
+      'DELETE FROM reconciliation WHERE line_id = :lineId',
+      [lineId]
     );
+
+    // Commit the delete together with its history
+    await recordHistory(connection, [{ action: 'DELETE', before: before.get(lineId) }], { username: req.user.username, source: 'Manual delete' });
+    await connection.commit();
+
     res.json({ success: true, message: 'Record deleted.' });
   } catch (err) {
     console.error(err);
@@ -389,208 +362,627 @@ exports.deleteReconciliation = async (req, res) => {
 };
 
 /**
- * 6️⃣ Search Reconciliation (Edit Page)
- * Searches for records in the RECONCILIATION table based on ORDERNUMBER or BATCHNUMBER.
- * This is used to retrieve data for editing.
- * @param {Object} req - Express request object (contains ordernumber and batchnumber in query)
+ * 🧺 Bulk Update Reconciliation Lines
+ * Applies the same changes to many lines in one transaction: either every found line is updated or none is.
+ * Only STATUS, BATCHNUMBER, SHIPOUTDATE (YYYY-MM-DD) and UPSTRACKINGNUMBER can be changed this way.
+ * Ids that no longer exist are reported per line and skipped. Every changed line is checked against the
+ * active validation rules first; if any line breaks an ERROR rule nothing is updated and the lines are reported.
+ * Likewise nothing is updated if a line would move into a closed or locked batch or is in a locked one,
+ * or if its status would change outside the allowed transitions without an admin. A legacy STATUS is
+ * set as its canonical status, with the text kept as STATUS_NOTE (see utils/statuses.js).
+ * @param {Object} req - Express request object (contains lineIds and changes in body)
  * @param {Object} res - Express response object
  */
-exports.searchForEdit = async (req, res) => {
-  const { ordernumber, batchnumber } = req.query; // Extract query parameters
+exports.bulkUpdateReconciliation = async (req, res) => {
+  const lineIds = parseLineIds(req.body.lineIds);
+  const changes = req.body.changes || {};
+  const fields = Object.keys(changes);
 
-  // Validate input
-  if (!ordernumber && !batchnumber) {
-    return res.status(400).json({ success: false, message: "Please provide ORDERNUMBER or BATCHNUMBER." });
+  if (!lineIds) {
+    return res.status(400).json({ success: false, message: "Please select at least one line." });
+  }
+  const unknownFields = fields.filter(field => !BULK_EDITABLE_FIELDS[field]);
+  if (fields.length === 0 || unknownFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Bulk changes must set one or more of: ${Object.keys(BULK_EDITABLE_FIELDS).join(", ")}.`,
+    });
   }
 
-  const conn = await oracledb.getConnection(); // Get a database connection
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const before = await snapshotLinesById(conn, lineIds);
+    const foundIds = lineIds.filter(id => before.has(id));
+
+    // The status is set as its canonical form; a legacy text is kept as the note
+    const updates = { ...changes };
+    if ("STATUS" in changes) {
+      const statusModel = await loadStatusModel(conn);
+      const { status, note, error } = resolveStatus(statusModel, changes.STATUS);
+      if (error) {
+        return res.status(400).json({ success: false, message: `❌ ${error}` });
+      }
+      updates.STATUS = status;
+      if (note) updates.STATUS_NOTE = note;
+
+      const blocked = roleHasPermission(req.user.role, "statuses.override")
+        ? []
+        : blockedLines(foundIds, before, id => statusViolation(statusModel, before.get(id), { STATUS: status }));
+      if (blocked.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `🚦 ${blocked.length} line(s) can't change to ${status} without an admin. No lines were changed.`,
+          results: blocked,
+        });
+      }
+    }
+
+    const rules = await loadRules(conn);
+    const issues = new Map(foundIds.map(id => [id, splitIssues(validateLine({ ...before.get(id), ...updates }, rules))]));
+    const rejectedIds = foundIds.filter(id => issues.get(id).errors.length > 0);
+    if (rejectedIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `❌ ${rejectedIds.length} line(s) would break validation rules. No lines were changed.`,
+        results: rejectedIds.map(lineId => ({
+          lineId,
+          ORDERNUMBER: before.get(lineId).ORDERNUMBER,
+          MATERIAL_NUMBER: before.get(lineId).MATERIAL_NUMBER,
+          success: false,
+          message: issues.get(lineId).errors.join("; "),
+        })),
+      });
+    }
+
+    if (foundIds.length > 0) {
+      const updatedFields = Object.keys(updates); // The changes, plus STATUS_NOTE with a legacy STATUS
+      const setClause = updatedFields.map(field => `${field} = ${BULK_EDITABLE_FIELDS[field] || `:${field}`}`).join(", ");
+      const values = Object.fromEntries(updatedFields.map(field => [field, safeValue(updates[field])]));
+      await conn.executeMany(
+        `UPDATE reconciliation SET ${setClause} WHERE line_id = :lineId`,
+        foundIds.map(lineId => ({ ...values, lineId }))
+      );
+
+      // Lines can't be moved into closed or locked batches, nor changed in locked ones
+      const after = await snapshotLinesById(conn, foundIds);
+      const states = await loadBatchStates(conn);
+      const blocked = blockedLines(foundIds, before, id => batchViolation(states, before.get(id), after.get(id)));
+      if (blocked.length > 0) {
+        await conn.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `🔒 ${blocked.length} line(s) are in closed or locked batches. No lines were changed.`,
+          results: blocked,
+        });
+      }
+
+      // Record the changes, then commit the updates and their history together
+      const entries = foundIds.map(id => ({ action: "UPDATE", before: before.get(id), after: after.get(id) }));
+      await recordHistory(conn, entries, { username: req.user.username, source: "Bulk edit" });
+      await conn.commit();
+    }
+
+    const results = lineIds.map(lineId => ({
+      lineId,
+      ORDERNUMBER: before.get(lineId)?.ORDERNUMBER ?? null,
+      MATERIAL_NUMBER: before.get(lineId)?.MATERIAL_NUMBER ?? null,
+      success: before.has(lineId),
+      message: before.has(lineId) ? "Updated" : "Line not found",
+      warnings: issues.get(lineId)?.warnings || [],
+    }));
+
+    res.json({
+      success: true,
+      message: `✅ ${foundIds.length} line(s) updated, ${lineIds.length - foundIds.length} skipped.`,
+      updatedCount: foundIds.length,
+      skippedCount: lineIds.length - foundIds.length,
+      results,
+    });
+  } catch (err) {
+    console.error("❌ Bulk edit failed:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "❌ Bulk update failed, no lines were changed." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 🧺 Bulk Delete Reconciliation Lines
+ * Deletes many lines in one transaction and keeps their last values in the history.
+ * Nothing is deleted if any of the lines is in a locked batch.
+ * Ids that no longer exist are reported per line and skipped.
+ * @param {Object} req - Express request object (contains lineIds in body)
+ * @param {Object} res - Express response object
+ */
+exports.bulkDeleteReconciliation = async (req, res) => {
+  const lineIds = parseLineIds(req.body.lineIds);
+  if (!lineIds) {
+    return res.status(400).json({ success: false, message: "Please select at least one line." });
+  }
 
+  let conn;
   try {
+    conn = await oracledb.getConnection();
+    const before = await snapshotLinesById(conn, lineIds);
+    const foundIds = lineIds.filter(id => before.has(id));
+
+    const states = await loadBatchStates(conn);
+    const blocked = blockedLines(foundIds, before, id => batchViolation(states, before.get(id), null));
+    if (blocked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `🔒 ${blocked.length} line(s) are in locked batches. No lines were deleted.`,
+        results: blocked,
+      });
+    }
+
+    if (foundIds.length > 0) {
+      await conn.executeMany(
+        `DELETE FROM reconciliation WHERE line_id = :lineId`,
+        foundIds.map(lineId => ({ lineId }))
+      );
+
+      // Commit the deletes together with their history
+      const entries = foundIds.map(id => ({ action: "DELETE", before: before.get(id) }));
+      await recordHistory(conn, entries, { username: req.user.username, source: "Bulk delete" });
+      await conn.commit();
+    }
+
+    const results = lineIds.map(lineId => ({
+      lineId,
+      ORDERNUMBER: before.get(lineId)?.ORDERNUMBER ?? null,
+      MATERIAL_NUMBER: before.get(lineId)?.MATERIAL_NUMBER ?? null,
+      success: before.has(lineId),
+      message: before.has(lineId) ? "Deleted" : "Line not found",
+    }));
+
+    res.json({
+      success: true,
+      message: `🗑️ ${foundIds.length} line(s) deleted, ${lineIds.length - foundIds.length} skipped.`,
+      deletedCount: foundIds.length,
+      skippedCount: lineIds.length - foundIds.length,
+      results,
+    });
+  } catch (err) {
+    console.error("❌ Bulk delete failed:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "❌ Bulk delete failed, no lines were deleted." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 📜 Reconciliation History
+ * Returns the audit trail of an order, newest first. Updates include the list of changed fields.
+ * @param {Object} req - Express request object (contains ordernumber in params)
+ * @param {Object} res - Express response object
+ */
+exports.getReconciliationHistory = async (req, res) => {
+  const { ordernumber } = req.params;
+  let conn;
+
+  try {
+    conn = await oracledb.getConnection();
     const result = await conn.execute(
-      `SELECT * FROM SYSTEM.RECONCILIATION WHERE 
-        (:ordernumber IS NULL OR ORDERNUMBER = :ordernumber)
-        AND (:batchnumber IS NULL OR BATCHNUMBER = :batchnumber)`,
+      `SELECT HISTORY_ID, LINE_ID, ORDERNUMBER, MATERIAL_NUMBER, ACTION, CHANGED_BY, CHANGED_AT, SOURCE,
+              OLD_VALUES, NEW_VALUES
+       FROM SYSTEM.RECONCILIATION_HISTORY
+       WHERE ORDERNUMBER = :ordernumber
+       ORDER BY CHANGED_AT DESC, HISTORY_ID DESC`,
+      { ordernumber },
       {
-        ordernumber: ordernumber || null,
-        batchnumber: batchnumber || null
-      },
-      { outFormat: oracledb.OUT_FORMAT_OBJECT } // Return results as objects
+        outFormat: oracledb.OUT_FORMAT_OBJECT,
+        fetchInfo: { OLD_VALUES: { type: oracledb.STRING }, NEW_VALUES: { type: oracledb.STRING } } // Read CLOBs as text
+      }
     );
 
-    res.json({ success: true, data: result.rows }); // Return search results
+    const history = result.rows.map(({ OLD_VALUES, NEW_VALUES, ...entry }) => {
+      const before = OLD_VALUES ? JSON.parse(OLD_VALUES) : null;
+      const after = NEW_VALUES ? JSON.parse(NEW_VALUES) : null;
+      return { ...entry, OLD_VALUES: before, NEW_VALUES: after, CHANGES: diffLines(before, after) };
+    });
+
+    res.json({ success: true, data: history });
   } catch (err) {
-    res.status(500).json({ success: false, message: err.message }); // Return error response
+    console.error("History error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
   } finally {
-    await conn.close(); // Always close the connection
+    if (conn) await conn.close();
   }
 };
 
+// Lines returned by one edit page search; narrower filters are needed beyond this
+const EDIT_SEARCH_LIMIT = 1000;
+
 /**
- * 7️⃣ As-of Checking Page (with BATCH logic)
- * Processes an uploaded Excel file to check for duplicates based on ORDERNUMBER, MATERIAL_NUMBER, and BATCHNUMBER.
- * Generates a report if duplicates are found.
- * @param {Object} req - Express request object (contains file)
+ * 6️⃣ Search Reconciliation (Edit Page)
+ * Searches for records in the RECONCILIATION table to edit them. Takes either filters (JSON list of
+ * conditions, as on the Search Data page; see utils/search.js) or the ORDERNUMBER, BATCHNUMBER,
+ * SALESDOCUMENT and CLUB_NAME parameters. At most EDIT_SEARCH_LIMIT lines are returned; `truncated`
+ * tells when there were more. Every line carries its LINE_ID so it can be edited on its own.
+ * @param {Object} req - Express request object (filters, or ordernumber, batchnumber, salesdocument and club_name in query)
  * @param {Object} res - Express response object
  */
-exports.checkAsOfDuplicates = async (req, res) => {
-  // Check if a file was uploaded
-  if (!req.file) {
-    return res.status(400).json({ success: false, message: 'No file uploaded.' });
+exports.searchForEdit = async (req, res) => {
+  const { filters, ordernumber, batchnumber, salesdocument, club_name } = req.query; // Extract query parameters
+
+  let where;
+  let binds;
+  if (filters) {
+    const { search, error } = parseSearch({ filters });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!search.where) {
+      return res.status(400).json({ success: false, message: "Add at least one filter." });
+    }
+    ({ where, binds } = search);
+  } else {
+    // Validate input
+    if (!ordernumber && !batchnumber && !salesdocument && !club_name) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide ORDERNUMBER, BATCHNUMBER, SALESDOCUMENT or CLUB_NAME."
+      });
+    }
+    where = `WHERE (:ordernumber IS NULL OR ORDERNUMBER = :ordernumber)
+        AND (:batchnumber IS NULL OR BATCHNUMBER = :batchnumber)
+        AND (:salesdocument IS NULL OR SALESDOCUMENT = :salesdocument)
+        AND (:club_name IS NULL OR UPPER(CLUB_NAME) = UPPER(:club_name))`;
+    binds = {
+      ordernumber: ordernumber || null,
+      batchnumber: batchnumber || null,
+      salesdocument: salesdocument || null,
+      club_name: club_name || null
+    };
   }
 
-  const filePath = req.file.path; // Path to the uploaded file
-  const workbook = xlsx.readFile(filePath); // Read the Excel file
-  const sheet = workbook.Sheets[workbook.SheetNames[0]]; // Get the first sheet
-  const rows = xlsx.utils.sheet_to_json(sheet); // Convert sheet to JSON
-
   const conn = await oracledb.getConnection(); // Get a database connection
-  const duplicates = []; // Array to store duplicate entries
 
   try {
-    for (let row of rows) {
-      // Extract and sanitize data from the Excel file
-      const ordernumber = row['Order ID']?.toString().trim();
-      const material = row['Material']?.toString().trim();
-      const batch = row['BATCHNUMBER']?.toString().trim() || null;
+    const result = await conn.execute(
+      `SELECT * FROM SYSTEM.RECONCILIATION ${where}
+       ORDER BY ORDERNUMBER, MATERIAL_NUMBER, LINE_ID
+       FETCH FIRST :limit ROWS ONLY`,
+      { ...binds, limit: EDIT_SEARCH_LIMIT + 1 }, // One more tells whether there are more
+      { outFormat: oracledb.OUT_FORMAT_OBJECT } // Return results as objects
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.slice(0, EDIT_SEARCH_LIMIT), // Return search results
+      truncated: result.rows.length > EDIT_SEARCH_LIMIT,
+      limit: EDIT_SEARCH_LIMIT,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message }); // Return error response
+  } finally {
+    await conn.close(); // Always close the connection
+  }
+};
+
+// Keys loaded into SYSTEM.ASOF_CHECK_KEYS per round trip; progress is reported after each chunk
+const ASOF_KEY_CHUNK = 5000;
+// Duplicates returned inline with the job result; the report always has all of them
+const ASOF_RESULT_PREVIEW = 1000;
 
-      if (!ordernumber || !material) continue; // Skip rows with missing order or material
+/**
+ * Runs an As-of Check job (see utils/jobs.js).
+ * Reads the chosen sheets of the uploaded Excel file through the column mapping chosen when the job was queued
+ * and looks for lines whose ORDERNUMBER and MATERIAL_NUMBER exist
+ * with a different BATCHNUMBER. The file's keys are bulk-loaded into SYSTEM.ASOF_CHECK_KEYS in chunks
+ * and matched with one join per chunk, so large extracts take a few round trips instead of one per row.
+ * Stores a report for the run if duplicates are found (see utils/reports.js).
+ * @param {Object} job - The job (FILE_PATH, SOURCE_FILE, CREATED_BY; PARAMS sheets, mappings and profileName)
+ * @param {Object} helpers - { progress } from the job worker
+ * @returns {Promise<Object>} - The job result
+ */
+const runAsOfCheck = async (job, { progress }) => {
+  const { mappings, sheets, profileName } = job.PARAMS; // Per sheet: field → header in that sheet
+  const started = Date.now();
+  const rows = readRows(job.FILE_PATH, sheets, bookTypeOf(job.SOURCE_FILE)); // Read the chosen sheets
+
+  // Extract and sanitize the keys; rows with missing order or material are skipped
+  const keyOf = (ordernumber, material) => `${ordernumber}\u0000${material}`;
+  const rowsByKey = new Map();
+  let checkedCount = 0;
+  let coercedCount = 0; // Null values such as "null" read as empty (see normalizeValue)
+  rows.forEach(({ sheet, sheetRow, row }, index) => {
+    const read = (field) => {
+      const { value, coercion } = normalizeValue(row[mappings[sheet][field]]);
+      if (coercion) coercedCount++;
+      return value === null ? null : value.toString().trim() || null;
+    };
+    const ordernumber = read('ORDERNUMBER');
+    const material = read('MATERIAL_NUMBER');
+    const batch = read('BATCHNUMBER');
+    if (!ordernumber || !material) return;
+
+    const key = keyOf(ordernumber, material);
+    if (!rowsByKey.has(key)) rowsByKey.set(key, []);
+    rowsByKey.get(key).push({ index, sheet, sheetRow, row, ordernumber, material, batch });
+    checkedCount++;
+  });
+  await progress({ total: checkedCount, processed: 0, flagged: 0 });
 
-      // Check if the ordernumber and material exist in the database
+  let conn; // Database connection object
+  try {
+    conn = await oracledb.getConnection(); // Get a database connection
+    const keys = [...rowsByKey.values()].map(([first]) => first);
+    const duplicates = [];
+    let processed = 0;
+
+    for (let start = 0; start < keys.length; start += ASOF_KEY_CHUNK) {
+      const chunk = keys.slice(start, start + ASOF_KEY_CHUNK);
+
+      // Load the chunk's keys into the session's temporary table in one round trip,
+      // then read the batches of every matching line with a single join
+      await conn.executeMany(
+        `INSERT INTO SYSTEM.ASOF_CHECK_KEYS (ORDERNUMBER, MATERIAL_NUMBER) VALUES (:ord, :mat)`,
+        chunk.map(({ ordernumber, material }) => ({ ord: ordernumber, mat: material })),
+        { bindDefs: { ord: { type: oracledb.STRING, maxSize: 4000 }, mat: { type: oracledb.STRING, maxSize: 4000 } } }
+      );
       const dbResult = await conn.execute(
-        `SELECT BATCHNUMBER FROM SYSTEM.RECONCILIATION WHERE ORDERNUMBER = :ord AND MATERIAL_NUMBER = :mat`,
-        { ord: ordernumber, mat: material },
+        `SELECT r.ORDERNUMBER, r.MATERIAL_NUMBER, r.BATCHNUMBER
+         FROM SYSTEM.RECONCILIATION r
+         JOIN SYSTEM.ASOF_CHECK_KEYS k ON r.ORDERNUMBER = k.ORDERNUMBER AND r.MATERIAL_NUMBER = k.MATERIAL_NUMBER`,
+        [],
         { outFormat: oracledb.OUT_FORMAT_OBJECT } // Return results as objects
       );
-
-      const dbBatches = dbResult.rows.map(r => r.BATCHNUMBER?.toString()?.trim());
+      await conn.rollback(); // Empties the temporary table
+
+      // Batches in the database per order and material
+      const dbBatchesByKey = new Map();
+      dbResult.rows.forEach(r => {
+        const key = keyOf(r.ORDERNUMBER.toString(), r.MATERIAL_NUMBER);
+        if (!dbBatchesByKey.has(key)) dbBatchesByKey.set(key, []);
+        dbBatchesByKey.get(key).push(r.BATCHNUMBER?.toString()?.trim());
+      });
 
       // A duplicate is found if the ordernumber and material exist but the batch is different
-      const isDuplicate = dbResult.rows.length > 0 && !dbBatches.includes(batch);
-
-      if (isDuplicate) {
-        duplicates.push({
-          ORDERNUMBER: ordernumber,
-          MATERIAL_NUMBER: material,
-          BATCHNUMBER: batch,
-          ...row
+      chunk.forEach(({ ordernumber, material }) => {
+        const key = keyOf(ordernumber, material);
+        const dbBatches = dbBatchesByKey.get(key);
+        rowsByKey.get(key).forEach(checked => {
+          if (dbBatches !== undefined && !dbBatches.includes(checked.batch)) duplicates.push(checked);
+          processed++;
         });
-      }
-    }
-
-    await conn.close(); // Close the database connection
-    await fs.unlink(filePath); // Clean up the uploaded file
-
-    // If duplicates were found, generate a report
-    if (duplicates.length > 0) {
-      const reportPath = path.join(__dirname, '../exports/asof_check_duplicates.csv'); // Path for duplicate report
-
-      const csvWriter = createCsvWriter({
-        path: reportPath,
-        header: Object.keys(duplicates[0]).map(key => ({ id: key, title: key })) // CSV headers
       });
+      await progress({ processed, flagged: duplicates.length });
+    }
 
-      await csvWriter.writeRecords(duplicates); // Write duplicates to CSV
+    // Report in file order
+    const report = duplicates
+      .sort((a, b) => a.index - b.index)
+      .map(({ sheet, sheetRow, row, ordernumber, material, batch }) => ({
+        SHEET_NAME: sheet,
+        SHEET_ROW: sheetRow,
+        ORDERNUMBER: ordernumber,
+        MATERIAL_NUMBER: material,
+        BATCHNUMBER: batch,
+        ...row
+      }));
+    const elapsedMs = Date.now() - started;
 
-      return res.status(200).json({
-        success: false,
-        message: `⚠️ Found ${duplicates.length} duplicates.`,
-        duplicates,
-        downloadUrl: '/api/reconciliation/asof-duplicate-report' // URL to download the report
-      });
+    // No duplicates found
+    if (report.length === 0) {
+      return { success: true, message: '✅ No duplicates found.', checkedCount, duplicateCount: 0, coercedCount, elapsedMs, profileName, sheets };
     }
 
-    // No duplicates found
-    return res.status(200).json({
-      success: true,
-      message: '✅ No duplicates found.'
-    });
+    // Duplicates were found, store a report for this run
+    const reportId = await createReport(conn, {
+      type: 'ASOF_CHECK',
+      username: job.CREATED_BY,
+      sourceFile: job.SOURCE_FILE,
+      totalRows: checkedCount,
+    }, report);
+    await conn.commit();
+
+    return {
+      success: false,
+      message: `⚠️ Found ${report.length} duplicates.`,
+      duplicates: report.slice(0, ASOF_RESULT_PREVIEW),
+      duplicateCount: report.length,
+      checkedCount,
+      coercedCount,
+      elapsedMs,
+      profileName,
+      sheets,
+      reportId,
+      downloadUrl: reportUrl(reportId) // URL to download the report
+    };
+  } finally {
+    if (conn) await conn.close(); // Always close the connection
+  }
+};
 
+registerJobHandler('ASOF_CHECK', runAsOfCheck);
+
+/**
+ * 📑 Workbook Sheets
+ * Lists the sheets of an uploaded workbook so the user can choose which ones to upload or check.
+ * The file is only inspected; it is sent again with the chosen sheets.
+ * @param {Object} req - Express request object (contains file)
+ * @param {Object} res - Express response object
+ */
+exports.listWorkbookSheets = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded.' });
+  }
+  try {
+    res.json({ success: true, sheets: listSheets(req.file.path) });
   } catch (err) {
-    console.error("As of Checking Error:", err); // Log the error for debugging
-    res.status(500).json({ success: false, message: 'Internal server error.' }); // Return error response
+    console.error("List Sheets Error:", err);
+    res.status(400).json({ success: false, message: 'The file could not be read as a workbook.' });
   } finally {
-    try {
-      await fs.access(filePath); // Check if the file exists
-      await fs.unlink(filePath); // Clean up the uploaded file
-    } catch (err) {
-      console.error('Error deleting file in finally block:', err);
-    }
+    await fs.unlink(req.file.path).catch(() => {});
   }
 };
 
 /**
- * 8️⃣ Download As-of Duplicate CSV
- * Allows the client to download a CSV report of duplicates found during the as-of check.
- * @param {Object} req - Express request object
+ * 7️⃣ As-of Checking Page (with BATCH logic)
+ * Queues an As-of Check of the uploaded Excel file as a background job and returns its JOB_ID at once.
+ * The file's columns are mapped with the chosen profile, or with the first saved profile that matches
+ * its headers. A file the profile doesn't fit is rejected before anything is queued.
+ * The client follows the job through /reconciliation/jobs/:jobId; see runAsOfCheck for the check itself.
+ * @param {Object} req - Express request object (contains file and optional profileId)
  * @param {Object} res - Express response object
  */
-exports.downloadAsOfDuplicateReport = async (req, res) => {
-  const reportPath = path.join(__dirname, '../exports/asof_check_duplicates.csv'); // Path to the duplicate report
+exports.checkAsOfDuplicates = async (req, res) => {
+  // Check if a file was uploaded
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded.' });
+  }
+  const reject = async (body) => {
+    await fs.unlink(req.file.path).catch(() => {}); // Nothing is queued, so the file is not needed
+    return res.status(400).json({ success: false, ...body });
+  };
+
+  const choice = parseSheetChoice(req.body.sheets);
+  if (choice.error) return reject({ message: choice.error });
 
+  let conn;
   try {
-    await fs.access(reportPath); // Check if the file exists (asynchronous)
-    res.download(reportPath, 'asof_check_duplicates.csv'); // Send the file for download
+    const { sheets, error } = resolveSheets(req.file.path, choice.sheets);
+    if (error) return reject({ message: error });
+    const headersBySheet = readHeadersBySheet(req.file.path, sheets, bookTypeOf(req.file.originalname));
+    const headers = [...new Set(Object.values(headersBySheet).flat())];
+
+    conn = await oracledb.getConnection();
+    const profiles = await loadProfiles(conn);
+
+    let chosen;
+    if (req.body.profileId) {
+      const profile = profiles.find(p => p.PROFILE_ID === Number(req.body.profileId));
+      if (!profile) return reject({ message: 'Column mapping profile not found.' });
+
+      const { mappings, missing } = matchProfileToSheets(profile, headersBySheet);
+      if (Object.keys(missing).length > 0) {
+        const details = Object.entries(missing)
+          .map(([sheet, columns]) => (sheets.length > 1 ? `${columns.join(', ')} (sheet "${sheet}")` : columns.join(', ')))
+          .join('; ');
+        return reject({ message: `The file does not match profile "${profile.PROFILE_NAME}". Missing column(s): ${details}.`, headers });
+      }
+      chosen = { profile, mappings };
+    } else {
+      chosen = detectProfile(profiles, headersBySheet);
+      if (!chosen) {
+        return reject({
+          message: `No column mapping profile matches ${sheets.length > 1 ? 'every chosen sheet' : 'this file'}. Its columns are: ${headers.join(', ') || '(none)'}. Pick a profile or save a new one.`,
+          headers,
+        });
+      }
+    }
+
+    const jobId = await submitJob({
+      type: 'ASOF_CHECK',
+      username: req.user.username,
+      sourceFile: req.file.originalname,
+      filePath: req.file.path, // Removed by the worker when the job ends
+      params: { profileId: chosen.profile.PROFILE_ID, profileName: chosen.profile.PROFILE_NAME, sheets, mappings: chosen.mappings },
+    });
+    res.status(202).json({
+      success: true,
+      message: `⏳ As-of Check queued using profile "${chosen.profile.PROFILE_NAME}".`,
+      jobId,
+      profileName: chosen.profile.PROFILE_NAME,
+    });
   } catch (err) {
-    res.status(404).send('No As of duplicate report found.'); // Return error if file does not exist
+    console.error("As of Checking Error:", err); // Log the error for debugging
+    await fs.unlink(req.file.path).catch(() => {}); // Clean up the uploaded file
+    res.status(500).json({ success: false, message: 'Internal server error.' }); // Return error response
+  } finally {
+    if (conn) await conn.close();
   }
 };
 
 /**
  * 9️⃣ Reconciliation Data Search
- * Searches for records in the RECONCILIATION table based on ORDERNUMBER or SALESDOCUMENT.
- * This is used to retrieve data for general searching purposes.
- * @param {Object} req - Express request object (contains ordernumber and salesdocument in query)
+ * Searches lines by any combination of filters over the RECONCILIATION columns (see utils/search.js),
+ * one page at a time, sorted on the server.
+ * @param {Object} req - Express request object (filters as JSON, sort, dir, page and pageSize in query)
  * @param {Object} res - Express response object
  */
 exports.searchReconciliationData = async (req, res) => {
-  const { ordernumber, salesdocument } = req.query;
-
-  console.log('Search request received:', { ordernumber, salesdocument });
-
-  if (!ordernumber && !salesdocument) {
-    return res.status(400).json({ success: false, message: "Please provide ordernumber or salesdocument." });
+  const { search, error } = parseSearch(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
   }
 
-  const conn = await oracledb.getConnection();
-
+  let conn;
   try {
+    conn = await oracledb.getConnection();
+    const count = await conn.execute(
+      `SELECT COUNT(*) AS TOTAL FROM SYSTEM.RECONCILIATION ${search.where}`,
+      search.binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
     const result = await conn.execute(
-      `SELECT ORDERNUMBER, SALESDOCUMENT, ORDERDATE, BATCHNUMBER, YEAR,
-              MATERIAL_NUMBER, CLUB_NAME, ORDERTYPE, STATUS, CDD,
-              SHIPOUTDATE, UPSTRACKINGNUMBER
+      `SELECT ${selectColumns(Object.keys(SEARCH_COLUMNS))}, LINE_ID
        FROM SYSTEM.RECONCILIATION
-       WHERE (:ordernumber IS NULL OR UPPER(ORDERNUMBER) = UPPER(:ordernumber))
-         AND (:salesdocument IS NULL OR SALESDOCUMENT = :salesdocument)`,
-      {
-        ordernumber: ordernumber || null,
-        salesdocument: salesdocument || null,
-      },
+       ${search.where}
+       ${search.orderBy}
+       OFFSET :offset ROWS FETCH NEXT :pageSize ROWS ONLY`,
+      { ...search.binds, offset: search.offset, pageSize: search.pageSize },
       { outFormat: oracledb.OUT_FORMAT_OBJECT }
     );
 
-    // Convert array of objects to array of arrays in the expected order
-    const rows = result.rows.map(row => [
-      row.ORDERNUMBER,
-      row.SALESDOCUMENT,
-      row.ORDERDATE,
-      row.BATCHNUMBER,
-      row.YEAR,
-      row.MATERIAL_NUMBER,
-      row.CLUB_NAME,
-      row.ORDERTYPE,
-      row.STATUS,
-      row.CDD,
-      row.SHIPOUTDATE,
-      row.UPSTRACKINGNUMBER,
-    ]);
-
-    console.log('Search results:', rows);
-    res.json({ success: true, data: rows });
+    res.json({
+      success: true,
+      data: result.rows,
+      total: count.rows[0].TOTAL,
+      page: search.page,
+      pageSize: search.pageSize,
+      sort: search.sort,
+      dir: search.dir,
+    });
   } catch (err) {
     console.error("Search error:", err);
     res.status(500).json({ success: false, message: "Internal server error." });
   } finally {
-    await conn.close();
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 🔎 Search Options
+ * What the filter builder offers: the columns with their type, the operators per type, the page sizes
+ * and the STATUS and ORDERTYPE values in use and the delivery statuses, for the "is one of" pickers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getSearchOptions = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const distinct = async (column) => {
+      const result = await conn.execute(
+        `SELECT DISTINCT ${column} AS VALUE FROM SYSTEM.RECONCILIATION WHERE ${column} IS NOT NULL ORDER BY 1`,
+        [],
+        { outFormat: oracledb.OUT_FORMAT_OBJECT }
+      );
+      return result.rows.map(row => row.VALUE);
+    };
+
+    res.json({
+      success: true,
+      columns: Object.entries(SEARCH_COLUMNS).map(([column, { type }]) => ({ column, type })),
+      operators: OPERATORS,
+      pageSizes: PAGE_SIZES,
+      values: {
+        STATUS: await distinct("STATUS"),
+        ORDERTYPE: await distinct("ORDERTYPE"),
+        DELIVERY_STATUS: DELIVERY_STATUSES,
+      },
+    });
+  } catch (err) {
+    console.error("Search options error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
   }
 };
 
@@ -614,7 +1006,7 @@ exports.downloadSampleExcel = async (req, res) => {
         MATERIAL_NUMBER: "MAT123",
         CLUB_NAME: "Club A",
         ORDERTYPE: "Type A",
-        STATUS: "Open",
+        STATUS: "Pending",
         CDD: "CDD1",
         SHIPOUTDATE: "2023-10-05",
         UPSTRACKINGNUMBER: "TRK123"
@@ -671,27 +1063,7 @@ exports.checkTrueDuplicates = async (req, res) => {
 
   try {
     const result = await conn.execute(
-      `WITH ReconciliationData AS (
-         SELECT
-           ORDERNUMBER,
-           MATERIAL_NUMBER,
-           BATCHNUMBER,
-           STATUS,
-           COUNT(*) OVER (PARTITION BY ORDERNUMBER, MATERIAL_NUMBER) AS PotentialDuplicateCount,
-           COUNT(DISTINCT BATCHNUMBER) OVER (PARTITION BY ORDERNUMBER, MATERIAL_NUMBER) AS DistinctBatchCount
-         FROM Reconciliation
-       )
-       SELECT
-         ORDERNUMBER,
-         MATERIAL_NUMBER,
-         BATCHNUMBER,
-         STATUS,
-         PotentialDuplicateCount AS DUPLICATECOUNT
-       FROM ReconciliationData
-       WHERE PotentialDuplicateCount > 1
-         AND DistinctBatchCount > 1
-       ORDER BY
-         ORDERNUMBER, MATERIAL_NUMBER, BATCHNUMBER, STATUS`,
+      TRUE_DUPLICATES_SQL,
       [],
       { outFormat: oracledb.OUT_FORMAT_OBJECT }
     );
@@ -0,0 +1,164 @@
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { ASOF_FIELDS, loadProfiles } = require("../utils/columnMapping");
+
+/**
+ * 🧭 Column Mapping Profiles
+ * Saved mappings of As-of Check input columns (see utils/columnMapping.js).
+ * Everyone who can run a check can list profiles; saving and deleting them needs mappings.manage.
+ */
+
+/**
+ * Reads and trims the profile fields from a request body.
+ * @param {Object} body - Request body
+ * @returns {{profile: Object, error: string|null}}
+ */
+const parseProfile = (body) => {
+  const profile = { PROFILE_NAME: body.PROFILE_NAME?.toString().trim() };
+  ASOF_FIELDS.forEach(({ column }) => {
+    profile[column] = body[column]?.toString().trim();
+  });
+
+  if (!profile.PROFILE_NAME) return { profile, error: "Profile name is required." };
+  const missing = ASOF_FIELDS.filter(({ column }) => !profile[column]).map(({ label }) => label);
+  if (missing.length > 0) {
+    return { profile, error: `Source column is required for: ${missing.join(", ")}.` };
+  }
+  return { profile, error: null };
+};
+
+/**
+ * 1️⃣ List Profiles
+ * Returns every profile plus the fields a profile maps.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listProfiles = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    res.json({ success: true, data: await loadProfiles(conn), fields: ASOF_FIELDS });
+  } catch (err) {
+    console.error("List Mapping Profiles Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Create Profile
+ * @param {Object} req - Express request object (contains PROFILE_NAME and the source columns in body)
+ * @param {Object} res - Express response object
+ */
+exports.createProfile = async (req, res) => {
+  const { profile, error } = parseProfile(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const existing = await conn.execute(
+      `SELECT COUNT(*) AS CNT FROM SYSTEM.COLUMN_MAPPING_PROFILES WHERE PROFILE_NAME = :name`,
+      { name: profile.PROFILE_NAME },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (existing.rows[0].CNT > 0) {
+      return res.status(409).json({ success: false, message: `Profile ${profile.PROFILE_NAME} already exists.` });
+    }
+
+    await conn.execute(
+      `INSERT INTO SYSTEM.COLUMN_MAPPING_PROFILES (PROFILE_NAME, ORDERNUMBER_COLUMN, MATERIAL_COLUMN, BATCHNUMBER_COLUMN, CREATED_BY)
+       VALUES (:PROFILE_NAME, :ORDERNUMBER_COLUMN, :MATERIAL_COLUMN, :BATCHNUMBER_COLUMN, :username)`,
+      { ...profile, username: req.user.username },
+      { autoCommit: true }
+    );
+    res.status(201).json({ success: true, message: `✅ Profile ${profile.PROFILE_NAME} saved.` });
+  } catch (err) {
+    console.error("Create Mapping Profile Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Update Profile
+ * @param {Object} req - Express request object (contains profileId in params, PROFILE_NAME and the source columns in body)
+ * @param {Object} res - Express response object
+ */
+exports.updateProfile = async (req, res) => {
+  const profileId = safeNumber(req.params.profileId, "PROFILE_ID");
+  const { profile, error } = parseProfile(req.body);
+  if (profileId === null) {
+    return res.status(400).json({ success: false, message: "Invalid profile id." });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const existing = await conn.execute(
+      `SELECT COUNT(*) AS CNT FROM SYSTEM.COLUMN_MAPPING_PROFILES WHERE PROFILE_NAME = :name AND PROFILE_ID <> :profileId`,
+      { name: profile.PROFILE_NAME, profileId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (existing.rows[0].CNT > 0) {
+      return res.status(409).json({ success: false, message: `Profile ${profile.PROFILE_NAME} already exists.` });
+    }
+
+    const result = await conn.execute(
+      `UPDATE SYSTEM.COLUMN_MAPPING_PROFILES
+       SET PROFILE_NAME = :PROFILE_NAME, ORDERNUMBER_COLUMN = :ORDERNUMBER_COLUMN,
+           MATERIAL_COLUMN = :MATERIAL_COLUMN, BATCHNUMBER_COLUMN = :BATCHNUMBER_COLUMN,
+           UPDATED_BY = :username, UPDATED_AT = SYSTIMESTAMP
+       WHERE PROFILE_ID = :profileId`,
+      { ...profile, username: req.user.username, profileId },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Profile not found." });
+    }
+    res.json({ success: true, message: `✅ Profile ${profile.PROFILE_NAME} updated.` });
+  } catch (err) {
+    console.error("Update Mapping Profile Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Delete Profile
+ * @param {Object} req - Express request object (contains profileId in params)
+ * @param {Object} res - Express response object
+ */
+exports.deleteProfile = async (req, res) => {
+  const profileId = safeNumber(req.params.profileId, "PROFILE_ID");
+  if (profileId === null) {
+    return res.status(400).json({ success: false, message: "Invalid profile id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `DELETE FROM SYSTEM.COLUMN_MAPPING_PROFILES WHERE PROFILE_ID = :profileId`,
+      { profileId },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Profile not found." });
+    }
+    res.json({ success: true, message: "🗑️ Profile deleted." });
+  } catch (err) {
+    console.error("Delete Mapping Profile Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
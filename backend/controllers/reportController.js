@@ -0,0 +1,139 @@
+const fs = require("fs").promises;
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { RETENTION_DAYS, reportPath, reportUrl, annotatedPath, annotatedUrl } = require("../utils/reports");
+
+/**
+ * 🗂️ Reports
+ * Lists past check and upload reports and serves their CSV files, and the annotated copies of
+ * uploaded files, by REPORT_ID.
+ */
+
+// File names offered on download, by report type
+const DOWNLOAD_PREFIX = {
+  ASOF_CHECK: "asof_check_duplicates",
+  UPLOAD: "upload_report",
+};
+
+/**
+ * 1️⃣ List Reports
+ * Returns the most recent reports (newest first), optionally filtered by type or by the current user.
+ * @param {Object} req - Express request object (optional type and mine=true in query)
+ * @param {Object} res - Express response object
+ */
+exports.listReports = async (req, res) => {
+  const { type, mine } = req.query;
+  const conditions = [];
+  const binds = {};
+
+  if (type) {
+    conditions.push("REPORT_TYPE = :type");
+    binds.type = type;
+  }
+  if (mine === "true") {
+    conditions.push("CREATED_BY = :username");
+    binds.username = req.user.username;
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT REPORT_ID, REPORT_TYPE, CREATED_BY, CREATED_AT, SOURCE_FILE, TOTAL_ROWS, REPORT_ROWS, UPLOAD_ID, ANNOTATED_FILE
+       FROM SYSTEM.RECONCILIATION_REPORTS
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY CREATED_AT DESC
+       FETCH FIRST 500 ROWS ONLY`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    res.json({
+      success: true,
+      retentionDays: RETENTION_DAYS,
+      data: result.rows.map(report => ({
+        ...report,
+        DOWNLOAD_URL: reportUrl(report.REPORT_ID),
+        ANNOTATED_URL: report.ANNOTATED_FILE ? annotatedUrl(report.REPORT_ID) : null,
+      })),
+    });
+  } catch (err) {
+    console.error("List Reports Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Download Report
+ * Sends the CSV of one report.
+ * @param {Object} req - Express request object (contains reportId in params)
+ * @param {Object} res - Express response object
+ */
+exports.downloadReport = async (req, res) => {
+  const reportId = safeNumber(req.params.reportId, "REPORT_ID");
+  if (reportId === null) {
+    return res.status(400).json({ success: false, message: "Invalid report id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT REPORT_TYPE FROM SYSTEM.RECONCILIATION_REPORTS WHERE REPORT_ID = :reportId`,
+      { reportId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const report = result.rows[0];
+    const filePath = reportPath(reportId);
+
+    const exists = report && (await fs.access(filePath).then(() => true, () => false));
+    if (!exists) {
+      return res.status(404).send("🔍 Report not found. It may have expired.");
+    }
+    res.download(filePath, `${DOWNLOAD_PREFIX[report.REPORT_TYPE] || "report"}_${reportId}.csv`);
+  } catch (err) {
+    console.error("Download Report Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Download Annotated File
+ * Sends the copy of an uploaded file with an "Errors" column and notes on the offending cells,
+ * under the name it was stored with (e.g. orders_errors.xlsx).
+ * @param {Object} req - Express request object (contains reportId in params)
+ * @param {Object} res - Express response object
+ */
+exports.downloadAnnotated = async (req, res) => {
+  const reportId = safeNumber(req.params.reportId, "REPORT_ID");
+  if (reportId === null) {
+    return res.status(400).json({ success: false, message: "Invalid report id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT ANNOTATED_FILE FROM SYSTEM.RECONCILIATION_REPORTS WHERE REPORT_ID = :reportId`,
+      { reportId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const fileName = result.rows[0]?.ANNOTATED_FILE;
+    const filePath = fileName && annotatedPath(reportId, fileName);
+
+    const exists = fileName && (await fs.access(filePath).then(() => true, () => false));
+    if (!exists) {
+      return res.status(404).send("🔍 Annotated file not found. It may have expired.");
+    }
+    res.download(filePath, fileName);
+  } catch (err) {
+    console.error("Download Annotated File Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
@@ -0,0 +1,177 @@
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const {
+  RULE_COLUMNS, DATE_COLUMNS, RULE_TYPES, SEVERITIES, OPERATORS, checkRuleDefinition, loadRules,
+} = require("../utils/validation");
+
+/**
+ * ✅ Validation Rules
+ * Admin endpoints to manage SYSTEM.VALIDATION_RULES (see utils/validation.js).
+ * All handlers run behind requireAuth and the rules.manage permission.
+ */
+
+/**
+ * Reads a rule from a request body. Settings that don't apply to the rule type are cleared.
+ * @param {Object} body - Request body
+ * @returns {{rule: Object, error: string|null}}
+ */
+const parseRule = (body) => {
+  const text = (val) => (val === undefined || val === null || String(val).trim() === "" ? null : String(val).trim());
+  const rule = {
+    RULE_TYPE: text(body.RULE_TYPE),
+    COLUMN_NAME: text(body.COLUMN_NAME),
+    PATTERN: body.RULE_TYPE === "PATTERN" ? text(body.PATTERN) : null,
+    ALLOWED_VALUES: body.RULE_TYPE === "ALLOWED_VALUES" && Array.isArray(body.ALLOWED_VALUES)
+      ? [...new Set(body.ALLOWED_VALUES.map(text).filter(Boolean))]
+      : null,
+    OPERATOR: body.RULE_TYPE === "COMPARE_DATES" ? text(body.OPERATOR) : null,
+    OTHER_COLUMN: ["COMPARE_DATES", "YEAR_OF_DATE"].includes(body.RULE_TYPE) ? text(body.OTHER_COLUMN) : null,
+    SEVERITY: text(body.SEVERITY) || "ERROR",
+    MESSAGE: text(body.MESSAGE),
+    IS_ACTIVE: body.IS_ACTIVE === false || body.IS_ACTIVE === 0 ? 0 : 1,
+  };
+  return { rule, error: checkRuleDefinition(rule) };
+};
+
+/**
+ * Bind values of a rule for INSERT and UPDATE.
+ * @param {Object} rule - Rule from parseRule
+ * @returns {Object}
+ */
+const ruleBinds = (rule) => ({
+  ...rule,
+  ALLOWED_VALUES: rule.ALLOWED_VALUES ? JSON.stringify(rule.ALLOWED_VALUES) : null,
+});
+
+/**
+ * 1️⃣ List Rules
+ * Returns every rule (active or not), plus the options the rule editor offers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listRules = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const rules = await loadRules(conn, false);
+    res.json({
+      success: true,
+      data: rules.map(({ regex, allowed, ...rule }) => rule),
+      options: {
+        columns: RULE_COLUMNS,
+        dateColumns: DATE_COLUMNS,
+        ruleTypes: RULE_TYPES,
+        severities: SEVERITIES,
+        operators: Object.keys(OPERATORS),
+      },
+    });
+  } catch (err) {
+    console.error("List Rules Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Create Rule
+ * @param {Object} req - Express request object (contains the rule in body)
+ * @param {Object} res - Express response object
+ */
+exports.createRule = async (req, res) => {
+  const { rule, error } = parseRule(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    await conn.execute(
+      `INSERT INTO SYSTEM.VALIDATION_RULES (
+         RULE_TYPE, COLUMN_NAME, PATTERN, ALLOWED_VALUES, OPERATOR, OTHER_COLUMN, SEVERITY, MESSAGE, IS_ACTIVE, CREATED_BY
+       ) VALUES (
+         :RULE_TYPE, :COLUMN_NAME, :PATTERN, :ALLOWED_VALUES, :OPERATOR, :OTHER_COLUMN, :SEVERITY, :MESSAGE, :IS_ACTIVE, :username
+       )`,
+      { ...ruleBinds(rule), username: req.user.username },
+      { autoCommit: true }
+    );
+    res.status(201).json({ success: true, message: `✅ ${RULE_TYPES[rule.RULE_TYPE]} rule for ${rule.COLUMN_NAME} created.` });
+  } catch (err) {
+    console.error("Create Rule Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Update Rule
+ * Also used to enable or disable a rule.
+ * @param {Object} req - Express request object (contains ruleId in params and the rule in body)
+ * @param {Object} res - Express response object
+ */
+exports.updateRule = async (req, res) => {
+  const ruleId = safeNumber(req.params.ruleId, "RULE_ID");
+  const { rule, error } = parseRule(req.body);
+  if (ruleId === null) {
+    return res.status(400).json({ success: false, message: "Invalid rule id." });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `UPDATE SYSTEM.VALIDATION_RULES
+       SET RULE_TYPE = :RULE_TYPE, COLUMN_NAME = :COLUMN_NAME, PATTERN = :PATTERN, ALLOWED_VALUES = :ALLOWED_VALUES,
+           OPERATOR = :OPERATOR, OTHER_COLUMN = :OTHER_COLUMN, SEVERITY = :SEVERITY, MESSAGE = :MESSAGE,
+           IS_ACTIVE = :IS_ACTIVE, UPDATED_BY = :username, UPDATED_AT = SYSTIMESTAMP
+       WHERE RULE_ID = :ruleId`,
+      { ...ruleBinds(rule), username: req.user.username, ruleId },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Rule not found." });
+    }
+    res.json({ success: true, message: "✅ Rule updated." });
+  } catch (err) {
+    console.error("Update Rule Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Delete Rule
+ * @param {Object} req - Express request object (contains ruleId in params)
+ * @param {Object} res - Express response object
+ */
+exports.deleteRule = async (req, res) => {
+  const ruleId = safeNumber(req.params.ruleId, "RULE_ID");
+  if (ruleId === null) {
+    return res.status(400).json({ success: false, message: "Invalid rule id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `DELETE FROM SYSTEM.VALIDATION_RULES WHERE RULE_ID = :ruleId`,
+      { ruleId },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Rule not found." });
+    }
+    res.json({ success: true, message: "🗑️ Rule deleted." });
+  } catch (err) {
+    console.error("Delete Rule Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
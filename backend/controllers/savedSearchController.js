@@ -0,0 +1,369 @@
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { checkCriteria } = require("../utils/search");
+
+/**
+ * 🔖 Saved Searches & Table Layouts
+ * Named searches of the Search Data and Edit Reconciliation pages, saved per user and optionally
+ * shared with everyone who can search, and each user's column layout of the results tables.
+ * Criteria use the filter format of utils/search.js, so a saved search runs exactly like a typed one.
+ */
+
+// Pages a saved search can open on
+const SEARCH_PAGES = ["search", "edit"];
+// Tables whose layout is remembered
+const TABLE_KEYS = ["search", "edit"];
+const MAX_LAYOUT_COLUMNS = 50;
+const MIN_COLUMN_WIDTH = 40;
+const MAX_COLUMN_WIDTH = 800;
+// CRITERIA and LAYOUT are VARCHAR2(4000)
+const MAX_JSON_LENGTH = 4000;
+
+/**
+ * Reads and checks the fields of a saved search from a request body.
+ * @param {Object} body - Request body (SEARCH_NAME, PAGE, IS_SHARED, CRITERIA)
+ * @returns {{search: Object, error: string|null}}
+ */
+const parseSavedSearch = (body) => {
+  const search = {
+    SEARCH_NAME: body.SEARCH_NAME?.toString().trim(),
+    PAGE: body.PAGE || "search",
+    IS_SHARED: body.IS_SHARED ? 1 : 0,
+  };
+
+  if (!search.SEARCH_NAME) return { search, error: "Search name is required." };
+  if (search.SEARCH_NAME.length > 100) return { search, error: "Search name must be at most 100 characters." };
+  if (!SEARCH_PAGES.includes(search.PAGE)) return { search, error: `Unknown page: ${search.PAGE}.` };
+
+  const { criteria, error } = checkCriteria(body.CRITERIA);
+  if (error) return { search, error };
+  search.CRITERIA = JSON.stringify(criteria);
+  if (search.CRITERIA.length > MAX_JSON_LENGTH) return { search, error: "The search has too many filters to save." };
+  return { search, error: null };
+};
+
+/**
+ * Turns a SAVED_SEARCHES row into its API form.
+ * @param {Object} row - Row with SEARCH_ID, OWNER, SEARCH_NAME, PAGE, CRITERIA, IS_SHARED, CREATED_AT, UPDATED_AT
+ * @param {string} username - The current user
+ * @returns {Object}
+ */
+const toSavedSearch = (row, username) => ({
+  ...row,
+  CRITERIA: JSON.parse(row.CRITERIA),
+  IS_SHARED: row.IS_SHARED === 1,
+  IS_MINE: row.OWNER === username,
+});
+
+/**
+ * Checks whether the user already has another search with this name.
+ * @param {Object} conn - Oracle connection
+ * @param {string} username - The owner
+ * @param {string} name - The search name
+ * @param {number|null} searchId - The search being renamed, if any
+ * @returns {Promise<boolean>}
+ */
+const nameTaken = async (conn, username, name, searchId = null) => {
+  const existing = await conn.execute(
+    `SELECT COUNT(*) AS CNT FROM SYSTEM.SAVED_SEARCHES
+     WHERE OWNER = :username AND SEARCH_NAME = :name AND (:searchId IS NULL OR SEARCH_ID <> :searchId)`,
+    { username, name, searchId },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return existing.rows[0].CNT > 0;
+};
+
+/**
+ * 1️⃣ List Saved Searches
+ * Returns the user's own searches and the ones shared by others, by name.
+ * @param {Object} req - Express request object (optional page in query)
+ * @param {Object} res - Express response object
+ */
+exports.listSavedSearches = async (req, res) => {
+  const { username } = req.user;
+  const page = SEARCH_PAGES.includes(req.query.page) ? req.query.page : null;
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT SEARCH_ID, OWNER, SEARCH_NAME, PAGE, CRITERIA, IS_SHARED, CREATED_AT, UPDATED_AT
+       FROM SYSTEM.SAVED_SEARCHES
+       WHERE (OWNER = :username OR IS_SHARED = 1)
+         AND (:page IS NULL OR PAGE = :page)
+       ORDER BY CASE WHEN OWNER = :username THEN 0 ELSE 1 END, UPPER(SEARCH_NAME)`,
+      { username, page },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    res.json({ success: true, data: result.rows.map(row => toSavedSearch(row, username)) });
+  } catch (err) {
+    console.error("List Saved Searches Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Get Saved Search
+ * Returns one of the user's searches, or a shared one; used when a search is opened from its URL.
+ * @param {Object} req - Express request object (contains searchId in params)
+ * @param {Object} res - Express response object
+ */
+exports.getSavedSearch = async (req, res) => {
+  const searchId = safeNumber(req.params.searchId, "SEARCH_ID");
+  if (searchId === null) {
+    return res.status(400).json({ success: false, message: "Invalid search id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT SEARCH_ID, OWNER, SEARCH_NAME, PAGE, CRITERIA, IS_SHARED, CREATED_AT, UPDATED_AT
+       FROM SYSTEM.SAVED_SEARCHES
+       WHERE SEARCH_ID = :searchId AND (OWNER = :username OR IS_SHARED = 1)`,
+      { searchId, username: req.user.username },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Saved search not found. It may have been deleted or unshared." });
+    }
+    res.json({ success: true, data: toSavedSearch(result.rows[0], req.user.username) });
+  } catch (err) {
+    console.error("Get Saved Search Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Create Saved Search
+ * @param {Object} req - Express request object (contains SEARCH_NAME, PAGE, IS_SHARED and CRITERIA in body)
+ * @param {Object} res - Express response object
+ */
+exports.createSavedSearch = async (req, res) => {
+  const { search, error } = parseSavedSearch(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    if (await nameTaken(conn, req.user.username, search.SEARCH_NAME)) {
+      return res.status(409).json({ success: false, message: `You already have a search named ${search.SEARCH_NAME}.` });
+    }
+
+    const result = await conn.execute(
+      `INSERT INTO SYSTEM.SAVED_SEARCHES (OWNER, SEARCH_NAME, PAGE, CRITERIA, IS_SHARED)
+       VALUES (:username, :SEARCH_NAME, :PAGE, :CRITERIA, :IS_SHARED)
+       RETURNING SEARCH_ID INTO :searchId`,
+      { ...search, username: req.user.username, searchId: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER } },
+      { autoCommit: true }
+    );
+    res.status(201).json({
+      success: true,
+      message: `✅ Search ${search.SEARCH_NAME} saved.`,
+      searchId: result.outBinds.searchId[0],
+    });
+  } catch (err) {
+    console.error("Create Saved Search Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Update Saved Search
+ * Renames, re-shares or replaces the criteria of one of the user's own searches.
+ * @param {Object} req - Express request object (contains searchId in params, SEARCH_NAME, PAGE, IS_SHARED and CRITERIA in body)
+ * @param {Object} res - Express response object
+ */
+exports.updateSavedSearch = async (req, res) => {
+  const searchId = safeNumber(req.params.searchId, "SEARCH_ID");
+  const { search, error } = parseSavedSearch(req.body);
+  if (searchId === null) {
+    return res.status(400).json({ success: false, message: "Invalid search id." });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    if (await nameTaken(conn, req.user.username, search.SEARCH_NAME, searchId)) {
+      return res.status(409).json({ success: false, message: `You already have a search named ${search.SEARCH_NAME}.` });
+    }
+
+    const result = await conn.execute(
+      `UPDATE SYSTEM.SAVED_SEARCHES
+       SET SEARCH_NAME = :SEARCH_NAME, PAGE = :PAGE, CRITERIA = :CRITERIA, IS_SHARED = :IS_SHARED,
+           UPDATED_AT = SYSTIMESTAMP
+       WHERE SEARCH_ID = :searchId AND OWNER = :username`,
+      { ...search, searchId, username: req.user.username },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Saved search not found. Only its owner can change it." });
+    }
+    res.json({ success: true, message: `✅ Search ${search.SEARCH_NAME} updated.` });
+  } catch (err) {
+    console.error("Update Saved Search Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 5️⃣ Delete Saved Search
+ * @param {Object} req - Express request object (contains searchId in params)
+ * @param {Object} res - Express response object
+ */
+exports.deleteSavedSearch = async (req, res) => {
+  const searchId = safeNumber(req.params.searchId, "SEARCH_ID");
+  if (searchId === null) {
+    return res.status(400).json({ success: false, message: "Invalid search id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `DELETE FROM SYSTEM.SAVED_SEARCHES WHERE SEARCH_ID = :searchId AND OWNER = :username`,
+      { searchId, username: req.user.username },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Saved search not found. Only its owner can delete it." });
+    }
+    res.json({ success: true, message: "🗑️ Saved search deleted." });
+  } catch (err) {
+    console.error("Delete Saved Search Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * Checks a table layout from a request body: { columns: [{ column, visible, width }] }.
+ * @param {Object} layout - The layout
+ * @returns {{layout: Object|null, error: string|null}} - The layout with only the known keys
+ */
+const checkLayout = (layout) => {
+  const columns = layout?.columns;
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_LAYOUT_COLUMNS) {
+    return { layout: null, error: `A layout lists 1 to ${MAX_LAYOUT_COLUMNS} columns.` };
+  }
+  const checked = [];
+  for (const item of columns) {
+    const column = item?.column?.toString();
+    if (!column || column.length > 50) return { layout: null, error: "Every layout column needs a name." };
+    const width = item.width === null || item.width === undefined ? null : Math.round(Number(item.width));
+    if (width !== null && !(width >= MIN_COLUMN_WIDTH && width <= MAX_COLUMN_WIDTH)) {
+      return { layout: null, error: `Column widths must be between ${MIN_COLUMN_WIDTH} and ${MAX_COLUMN_WIDTH} pixels.` };
+    }
+    checked.push({ column, visible: item.visible !== false, width });
+  }
+  return { layout: { columns: checked }, error: null };
+};
+
+/**
+ * 6️⃣ Get Table Layout
+ * Returns the user's layout of a table, or null when the user hasn't changed it.
+ * @param {Object} req - Express request object (contains tableKey in params)
+ * @param {Object} res - Express response object
+ */
+exports.getTableLayout = async (req, res) => {
+  const { tableKey } = req.params;
+  if (!TABLE_KEYS.includes(tableKey)) {
+    return res.status(400).json({ success: false, message: `Unknown table: ${tableKey}.` });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT LAYOUT FROM SYSTEM.USER_TABLE_LAYOUTS WHERE USERNAME = :username AND TABLE_KEY = :tableKey`,
+      { username: req.user.username, tableKey },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    res.json({ success: true, data: result.rows.length ? JSON.parse(result.rows[0].LAYOUT) : null });
+  } catch (err) {
+    console.error("Get Table Layout Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 7️⃣ Save Table Layout
+ * @param {Object} req - Express request object (contains tableKey in params, columns in body)
+ * @param {Object} res - Express response object
+ */
+exports.saveTableLayout = async (req, res) => {
+  const { tableKey } = req.params;
+  if (!TABLE_KEYS.includes(tableKey)) {
+    return res.status(400).json({ success: false, message: `Unknown table: ${tableKey}.` });
+  }
+  const { layout, error } = checkLayout(req.body);
+  const json = layout && JSON.stringify(layout);
+  if (error || json.length > MAX_JSON_LENGTH) {
+    return res.status(400).json({ success: false, message: error || "The layout is too large to save." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    await conn.execute(
+      `MERGE INTO SYSTEM.USER_TABLE_LAYOUTS t
+       USING (SELECT :username AS USERNAME, :tableKey AS TABLE_KEY FROM DUAL) s
+       ON (t.USERNAME = s.USERNAME AND t.TABLE_KEY = s.TABLE_KEY)
+       WHEN MATCHED THEN UPDATE SET t.LAYOUT = :layout, t.UPDATED_AT = SYSTIMESTAMP
+       WHEN NOT MATCHED THEN INSERT (USERNAME, TABLE_KEY, LAYOUT) VALUES (s.USERNAME, s.TABLE_KEY, :layout)`,
+      { username: req.user.username, tableKey, layout: json },
+      { autoCommit: true }
+    );
+    res.json({ success: true, data: layout });
+  } catch (err) {
+    console.error("Save Table Layout Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 8️⃣ Reset Table Layout
+ * Forgets the user's layout of a table, so it shows every column in the default order again.
+ * @param {Object} req - Express request object (contains tableKey in params)
+ * @param {Object} res - Express response object
+ */
+exports.resetTableLayout = async (req, res) => {
+  const { tableKey } = req.params;
+  if (!TABLE_KEYS.includes(tableKey)) {
+    return res.status(400).json({ success: false, message: `Unknown table: ${tableKey}.` });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    await conn.execute(
+      `DELETE FROM SYSTEM.USER_TABLE_LAYOUTS WHERE USERNAME = :username AND TABLE_KEY = :tableKey`,
+      { username: req.user.username, tableKey },
+      { autoCommit: true }
+    );
+    res.json({ success: true, data: null });
+  } catch (err) {
+    console.error("Reset Table Layout Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
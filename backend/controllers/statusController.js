@@ -0,0 +1,410 @@
+const oracledb = require("oracledb");
+const { safeNumber } = require("../utils/values");
+const { snapshotLines, snapshotLinesById, recordHistory } = require("../utils/audit");
+const { loadBatchStates, batchViolation } = require("../utils/batches");
+const { statusKey, checkAliasPattern, loadStatusModel, resolveStatus } = require("../utils/statuses");
+
+/**
+ * 🚦 Order Statuses
+ * The status model (see utils/statuses.js): everyone who can search reads it, admins manage the
+ * statuses, their transitions and the aliases of legacy statuses, and map the legacy statuses of
+ * existing lines. Management handlers run behind requireAuth and the statuses.manage permission.
+ */
+
+const MAX_STATUS_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 400;
+
+// Distinct legacy values listed by the legacy statuses overview (the most used first)
+const LEGACY_VALUES_SHOWN = 200;
+
+/**
+ * Reads the settings of a status from a request body.
+ * @param {Object} body - Request body
+ * @returns {{status: Object, error: string|null}}
+ */
+const parseStatus = (body) => {
+  const text = (val) => (val === undefined || val === null || String(val).trim() === "" ? null : String(val).trim());
+  const status = {
+    DESCRIPTION: text(body.DESCRIPTION),
+    SORT_ORDER: body.SORT_ORDER === undefined || body.SORT_ORDER === "" ? 0 : safeNumber(body.SORT_ORDER, "SORT_ORDER"),
+    IS_ACTIVE: body.IS_ACTIVE === false || body.IS_ACTIVE === 0 ? 0 : 1,
+  };
+  if (status.SORT_ORDER === null) return { status, error: "The sort order must be a number." };
+  if (status.DESCRIPTION && status.DESCRIPTION.length > MAX_DESCRIPTION_LENGTH) {
+    return { status, error: `The description must be at most ${MAX_DESCRIPTION_LENGTH} characters.` };
+  }
+  return { status, error: null };
+};
+
+/**
+ * Lines whose STATUS isn't written the way a status is named, with the status each value resolves to.
+ * @param {Object} conn - Oracle connection
+ * @param {Object} model - From loadStatusModel
+ * @returns {Promise<Object[]>} - { value, count, status (null when the value can't be mapped) }, the most used first
+ */
+const legacyValues = async (conn, model) => {
+  const result = await conn.execute(
+    `SELECT STATUS, COUNT(*) AS CNT
+     FROM SYSTEM.RECONCILIATION
+     WHERE TRIM(STATUS) IS NOT NULL
+     GROUP BY STATUS
+     ORDER BY CNT DESC, STATUS`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows
+    .filter(row => !model.statuses.some(status => status.STATUS === row.STATUS))
+    .map(row => {
+      const { status, error } = resolveStatus(model, row.STATUS);
+      return { value: row.STATUS, count: row.CNT, status: error ? null : status };
+    });
+};
+
+/**
+ * 1️⃣ Get Status Model
+ * Returns the statuses (in use or not), the allowed transitions and the legacy aliases.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getStatusModel = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const model = await loadStatusModel(conn);
+    res.json({
+      success: true,
+      statuses: model.statuses,
+      transitions: [...model.transitions].flatMap(([from, targets]) => [...targets].map(to => ({ from, to }))),
+      aliases: model.aliases.map(({ regex, ...alias }) => alias),
+    });
+  } catch (err) {
+    console.error("Get Status Model Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Create Status
+ * Status names are unique without case.
+ * @param {Object} req - Express request object (STATUS, DESCRIPTION, SORT_ORDER, IS_ACTIVE in body)
+ * @param {Object} res - Express response object
+ */
+exports.createStatus = async (req, res) => {
+  const name = req.body?.STATUS?.toString().trim();
+  const { status, error } = parseStatus(req.body || {});
+  if (!name || name.length > MAX_STATUS_LENGTH) {
+    return res.status(400).json({ success: false, message: `A status name of at most ${MAX_STATUS_LENGTH} characters is required.` });
+  }
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const model = await loadStatusModel(conn);
+    const existing = model.byKey.get(statusKey(name));
+    if (existing) {
+      return res.status(409).json({ success: false, message: `Status ${existing.STATUS} already exists.` });
+    }
+
+    await conn.execute(
+      `INSERT INTO SYSTEM.ORDER_STATUSES (STATUS, DESCRIPTION, SORT_ORDER, IS_ACTIVE, CREATED_BY)
+       VALUES (:name, :DESCRIPTION, :SORT_ORDER, :IS_ACTIVE, :username)`,
+      { name, ...status, username: req.user.username },
+      { autoCommit: true }
+    );
+    res.status(201).json({ success: true, message: `✅ Status ${name} created.` });
+  } catch (err) {
+    console.error("Create Status Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Update Status
+ * Changes the description and order of a status, and puts it in or out of use. Lines keep a status
+ * taken out of use, but nothing can be set to it anymore.
+ * @param {Object} req - Express request object (status in params; DESCRIPTION, SORT_ORDER, IS_ACTIVE in body)
+ * @param {Object} res - Express response object
+ */
+exports.updateStatus = async (req, res) => {
+  const { status, error } = parseStatus(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `UPDATE SYSTEM.ORDER_STATUSES
+       SET DESCRIPTION = :DESCRIPTION, SORT_ORDER = :SORT_ORDER, IS_ACTIVE = :IS_ACTIVE,
+           UPDATED_BY = :username, UPDATED_AT = SYSTIMESTAMP
+       WHERE STATUS = :name`,
+      { ...status, username: req.user.username, name: req.params.status },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Status not found." });
+    }
+    res.json({ success: true, message: `✅ Status ${req.params.status} updated.` });
+  } catch (err) {
+    console.error("Update Status Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Delete Status
+ * Removes a status with its transitions and aliases. A status lines still have can only be taken out of use (409).
+ * @param {Object} req - Express request object (status in params)
+ * @param {Object} res - Express response object
+ */
+exports.deleteStatus = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const used = await conn.execute(
+      `SELECT COUNT(*) AS CNT FROM SYSTEM.RECONCILIATION WHERE UPPER(TRIM(STATUS)) = UPPER(:name)`,
+      { name: req.params.status },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (used.rows[0].CNT > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${used.rows[0].CNT} line(s) have the status ${req.params.status}; take it out of use instead.`,
+      });
+    }
+
+    const result = await conn.execute(
+      `DELETE FROM SYSTEM.ORDER_STATUSES WHERE STATUS = :name`,
+      { name: req.params.status },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Status not found." });
+    }
+    res.json({ success: true, message: `🗑️ Status ${req.params.status} deleted.` });
+  } catch (err) {
+    console.error("Delete Status Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 5️⃣ Save Transitions
+ * Replaces the allowed transitions with the ones given.
+ * @param {Object} req - Express request object (transitions: [{ from, to }] in body)
+ * @param {Object} res - Express response object
+ */
+exports.saveTransitions = async (req, res) => {
+  const transitions = req.body?.transitions;
+  if (!Array.isArray(transitions)) {
+    return res.status(400).json({ success: false, message: "transitions must be a list of { from, to }." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const model = await loadStatusModel(conn);
+    const unknown = transitions.find(transition =>
+      !model.transitions.has(transition?.from) || !model.transitions.has(transition?.to) || transition.from === transition.to);
+    if (unknown !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `${unknown?.from} → ${unknown?.to} is not a transition between two different statuses.`,
+      });
+    }
+    const unique = [...new Map(transitions.map(({ from, to }) => [`${from}\u0000${to}`, { from, to }])).values()];
+
+    // Replace the graph in one transaction
+    await conn.execute(`DELETE FROM SYSTEM.ORDER_STATUS_TRANSITIONS`);
+    if (unique.length > 0) {
+      await conn.executeMany(
+        `INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES (:from, :to)`,
+        unique
+      );
+    }
+    await conn.commit();
+    res.json({ success: true, message: `✅ ${unique.length} transition(s) saved.` });
+  } catch (err) {
+    console.error("Save Transitions Error:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 6️⃣ Create Alias
+ * Maps legacy status text matching PATTERN (a regular expression, not case-sensitive) to a status.
+ * @param {Object} req - Express request object (PATTERN and STATUS in body)
+ * @param {Object} res - Express response object
+ */
+exports.createAlias = async (req, res) => {
+  const pattern = req.body?.PATTERN?.toString().trim();
+  const patternError = checkAliasPattern(pattern);
+  if (patternError) {
+    return res.status(400).json({ success: false, message: patternError });
+  }
+  if (pattern.length > 400) {
+    return res.status(400).json({ success: false, message: "The pattern must be at most 400 characters." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const model = await loadStatusModel(conn);
+    const status = model.byKey.get(statusKey(req.body.STATUS));
+    if (!status) {
+      return res.status(400).json({ success: false, message: "Pick the status the alias maps to." });
+    }
+
+    await conn.execute(
+      `INSERT INTO SYSTEM.ORDER_STATUS_ALIASES (PATTERN, STATUS, CREATED_BY) VALUES (:pattern, :status, :username)`,
+      { pattern, status: status.STATUS, username: req.user.username },
+      { autoCommit: true }
+    );
+    res.status(201).json({ success: true, message: `✅ Text matching ${pattern} now maps to ${status.STATUS}.` });
+  } catch (err) {
+    console.error("Create Alias Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 7️⃣ Delete Alias
+ * @param {Object} req - Express request object (aliasId in params)
+ * @param {Object} res - Express response object
+ */
+exports.deleteAlias = async (req, res) => {
+  const aliasId = safeNumber(req.params.aliasId, "ALIAS_ID");
+  if (aliasId === null) {
+    return res.status(400).json({ success: false, message: "Invalid alias id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `DELETE FROM SYSTEM.ORDER_STATUS_ALIASES WHERE ALIAS_ID = :aliasId`,
+      { aliasId },
+      { autoCommit: true }
+    );
+    if (result.rowsAffected === 0) {
+      return res.status(404).json({ success: false, message: "Alias not found." });
+    }
+    res.json({ success: true, message: "🗑️ Alias deleted." });
+  } catch (err) {
+    console.error("Delete Alias Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 8️⃣ List Legacy Statuses
+ * Returns the STATUS values of existing lines that aren't a status as named, with their line counts and
+ * the status each maps to (null when no status or alias matches).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listLegacyStatuses = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const values = await legacyValues(conn, await loadStatusModel(conn));
+    const lines = (mapped) => values.filter(value => !!value.status === mapped).reduce((sum, value) => sum + value.count, 0);
+    res.json({
+      success: true,
+      data: values.slice(0, LEGACY_VALUES_SHOWN),
+      truncated: values.length > LEGACY_VALUES_SHOWN,
+      mappedLines: lines(true),
+      unmappedLines: lines(false),
+    });
+  } catch (err) {
+    console.error("List Legacy Statuses Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 9️⃣ Map Legacy Statuses
+ * Sets every line whose STATUS maps to a status (through an alias, or written in another case) to that
+ * status, keeping the alias text as STATUS_NOTE, in one transaction with the history. Lines of locked
+ * batches and values nothing maps to are left as they are.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.mapLegacyStatuses = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const model = await loadStatusModel(conn);
+    const mapped = (await legacyValues(conn, model)).filter(value => value.status);
+    if (mapped.length === 0) {
+      return res.json({ success: true, message: "No legacy statuses to map.", updatedCount: 0, lockedCount: 0 });
+    }
+
+    const states = await loadBatchStates(conn);
+    const before = new Map();
+    const updates = [];
+    let lockedCount = 0;
+    for (const { value, status } of mapped) {
+      const { note } = resolveStatus(model, value);
+      const lines = await snapshotLines(conn, "r.STATUS = :value", { value });
+      lines.forEach((line, lineId) => {
+        if (batchViolation(states, line, { ...line, STATUS: status })) {
+          lockedCount++;
+          return;
+        }
+        before.set(lineId, line);
+        updates.push({ status, note, lineId });
+      });
+    }
+
+    if (updates.length > 0) {
+      // A STATUS_NOTE the line already has is kept
+      await conn.executeMany(
+        `UPDATE SYSTEM.RECONCILIATION SET STATUS = :status, STATUS_NOTE = NVL(STATUS_NOTE, :note) WHERE LINE_ID = :lineId`,
+        updates
+      );
+
+      // Commit the updates together with their history
+      const lineIds = [...before.keys()];
+      const after = await snapshotLinesById(conn, lineIds);
+      const entries = lineIds.map(id => ({ action: "UPDATE", before: before.get(id), after: after.get(id) }));
+      await recordHistory(conn, entries, { username: req.user.username, source: "Legacy status mapping" });
+      await conn.commit();
+    }
+
+    res.json({
+      success: true,
+      message: `✅ ${updates.length} line(s) mapped to their status` +
+        (lockedCount > 0 ? `, ${lockedCount} line(s) of locked batches left as they are.` : "."),
+      updatedCount: updates.length,
+      lockedCount,
+    });
+  } catch (err) {
+    console.error("Map Legacy Statuses Error:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "❌ Mapping legacy statuses failed, no lines were changed." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
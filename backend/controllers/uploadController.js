@@ -0,0 +1,897 @@
+const fs = require("fs").promises;
+const path = require("path");
+const oracledb = require("oracledb");
+const { COERCIONS, safeNumber, isoDate, normalizeValue, normalizeDate } = require("../utils/values");
+const { snapshotLinesById, snapshotLinesByKey, recordHistory } = require("../utils/audit");
+const { roleHasPermission } = require("../utils/permissions");
+const { createReport, reportUrl, annotatedPath, annotatedUrl } = require("../utils/reports");
+const { JobError, registerJobHandler, submitJob } = require("../utils/jobs");
+const { recognizeHeaders, mapRow } = require("../utils/headers");
+const { bookTypeOf, parseSheetChoice, resolveSheets, readHeaders, readRows, writeAnnotatedWorkbook } = require("../utils/workbook");
+const { loadRules, validateLine } = require("../utils/validation");
+const { batchKey, loadBatchStates, batchViolation } = require("../utils/batches");
+const { lineKey, classifyRows } = require("../utils/staging");
+const { loadStatusModel, resolveStatus, statusViolation } = require("../utils/statuses");
+
+/**
+ * 📤 Staged Reconciliation Uploads
+ * An upload is parsed into SYSTEM.RECONCILIATION_STAGING and returned as a preview
+ * (new / duplicate / invalid rows). Only when the user commits it are the NEW rows inserted
+ * into SYSTEM.RECONCILIATION; a discarded upload never touches it.
+ */
+
+// Oracle caps IN-lists at 1000 expressions; each (order, material) pair uses two binds
+const DUPLICATE_CHECK_CHUNK = 250;
+
+// Columns copied from the file into staging, and from staging into SYSTEM.RECONCILIATION
+const LINE_COLUMNS = [
+  "ORDERNUMBER", "SALESDOCUMENT", "ORDERDATE", "BATCHNUMBER", "YEAR", "MATERIAL_NUMBER",
+  "CLUB_NAME", "ORDERTYPE", "STATUS", "CDD", "SHIPOUTDATE", "UPSTRACKINGNUMBER",
+];
+
+// Bind types of the line columns for executeMany. String sizes are generous on purpose so that
+// values too long for a column fail in Oracle, per row, instead of failing the whole batch.
+const LINE_BIND_DEFS = {
+  ORDERNUMBER: { type: oracledb.STRING, maxSize: 4000 },
+  SALESDOCUMENT: { type: oracledb.NUMBER },
+  ORDERDATE: { type: oracledb.DATE },
+  BATCHNUMBER: { type: oracledb.STRING, maxSize: 4000 },
+  YEAR: { type: oracledb.NUMBER },
+  MATERIAL_NUMBER: { type: oracledb.STRING, maxSize: 4000 },
+  CLUB_NAME: { type: oracledb.STRING, maxSize: 4000 },
+  ORDERTYPE: { type: oracledb.STRING, maxSize: 4000 },
+  STATUS: { type: oracledb.STRING, maxSize: 4000 },
+  CDD: { type: oracledb.STRING, maxSize: 4000 },
+  SHIPOUTDATE: { type: oracledb.DATE },
+  UPSTRACKINGNUMBER: { type: oracledb.STRING, maxSize: 4000 },
+};
+
+// STATUS_NOTE is written on commit, from the STATUS read in the file (see utils/statuses.js)
+const STATUS_NOTE_BIND_DEF = { type: oracledb.STRING, maxSize: 400 };
+
+// Columns of an existing line that a merge may change; the order and material identify the line
+const MERGE_COLUMNS = LINE_COLUMNS.filter(column => column !== "ORDERNUMBER" && column !== "MATERIAL_NUMBER");
+
+// What happens to rows whose line already exists, as shown in the preview
+const CONFLICT_POLICIES = {
+  REJECT: "the upload is rejected",
+  SKIP: "will be skipped",
+  OVERWRITE: "will be overwritten",
+  FILL_EMPTY: "empty columns will be filled",
+};
+
+// Line columns read as text, numbers and dates
+const TEXT_COLUMNS = ["ORDERNUMBER", "BATCHNUMBER", "MATERIAL_NUMBER", "CLUB_NAME", "ORDERTYPE", "STATUS", "UPSTRACKINGNUMBER"];
+const NUMBER_COLUMNS = ["SALESDOCUMENT", "YEAR"];
+const DATE_COLUMNS = ["ORDERDATE", "SHIPOUTDATE"];
+
+/**
+ * Converts a file row into line values and collects validation errors and coercions.
+ * Values are normalized first (see normalizeValue / normalizeDate): null values and placeholder dates
+ * become empty, Excel serials and dates in text become dates. Every such change is returned as a coercion.
+ * Only ORDERNUMBER is required; SALESDOCUMENT and YEAR must be numeric and ORDERDATE and SHIPOUTDATE
+ * dates when present. CDD is stored as text, as YYYY-MM-DD when a date can be read from it.
+ * @param {Object} row - Row as read from the sheet, keyed by line column
+ * @returns {{line: Object, errors: Object[], coercions: Object[]}} - errors are { column, message }, coercions { column, kind, message }
+ */
+const parseRow = (row) => {
+  const line = {};
+  const errors = [];
+  const coercions = [];
+  const noteCoercion = (column, coercion) => {
+    if (coercion) coercions.push({ column, ...coercion });
+  };
+
+  // Sheet values may be numbers; text columns are stored as text
+  TEXT_COLUMNS.forEach(column => {
+    const { value, coercion } = normalizeValue(row[column]);
+    noteCoercion(column, coercion);
+    line[column] = value === null ? null : value.toString();
+  });
+  NUMBER_COLUMNS.forEach(column => {
+    const { value, coercion } = normalizeValue(row[column]);
+    noteCoercion(column, coercion);
+    line[column] = value === null ? null : safeNumber(value, column);
+    if (value !== null && line[column] === null) errors.push({ column, message: `${column} is not a number: "${value}"` });
+  });
+  DATE_COLUMNS.forEach(column => {
+    const { value, coercion, invalid } = normalizeDate(row[column]);
+    noteCoercion(column, coercion);
+    line[column] = value;
+    if (invalid) errors.push({ column, message: `${column} is not a date: "${row[column]}"` });
+  });
+  const cdd = normalizeDate(row["CDD"]);
+  if (cdd.invalid) {
+    line.CDD = row["CDD"].toString(); // Free text is kept as it is
+  } else {
+    noteCoercion("CDD", cdd.coercion);
+    line.CDD = cdd.value === null ? null : isoDate(cdd.value);
+  }
+
+  if (!line.ORDERNUMBER) errors.push({ column: "ORDERNUMBER", message: "ORDERNUMBER is required" });
+  return { line: Object.fromEntries(LINE_COLUMNS.map(column => [column, line[column]])), errors, coercions };
+};
+
+/**
+ * Messages to annotate the uploaded file with (see writeAnnotatedWorkbook), for the rows of the upload report.
+ * Errors point at the cells they are about; duplicates at the order and material cells. Warnings are added last.
+ * @param {Object[]} reportRows - Staged rows of the report
+ * @param {Object[]} parsed - Parsed rows with their errors and warnings, by ROW_NUM - 1
+ * @param {Object} columnMapping - File header → column
+ * @returns {Object[]}
+ */
+const annotationsFor = (reportRows, parsed, columnMapping) => {
+  const headersOf = (columns) => Object.keys(columnMapping).filter(header => columns.includes(columnMapping[header]));
+  const note = ({ column, message }) => ({ headers: headersOf([column]), text: message });
+
+  return reportRows.map(row => {
+    const { errors, warnings } = parsed[row.ROW_NUM - 1];
+    const messages = [];
+    if (row.ROW_STATUS === "INVALID") {
+      messages.push(...errors.map(note));
+    } else if (row.ROW_STATUS !== "NEW") {
+      messages.push({ headers: headersOf(["ORDERNUMBER", "MATERIAL_NUMBER"]), text: row.MESSAGE });
+    }
+    messages.push(...warnings.map(warning => ({ ...note(warning), text: `Warning: ${warning.message}` })));
+    return { sheet: row.SHEET_NAME, sheetRow: row.SHEET_ROW, messages };
+  });
+};
+
+/**
+ * Finds which order/material keys already exist in SYSTEM.RECONCILIATION.
+ * @param {Object} conn - Open Oracle connection
+ * @param {Object[]} lines - Lines to look up (lines without a key are ignored)
+ * @param {Function} [onChunk] - Called after each chunk as (keysChecked, totalKeys, keysFound)
+ * @returns {Promise<Set<string>>} - Keys (see lineKey) that exist
+ */
+const findExistingKeys = async (conn, lines, onChunk) => {
+  const keyed = [...new Map(lines.filter(lineKey).map(line => [lineKey(line), line])).values()];
+  const existing = new Set();
+
+  for (let start = 0; start < keyed.length; start += DUPLICATE_CHECK_CHUNK) {
+    const chunk = keyed.slice(start, start + DUPLICATE_CHECK_CHUNK);
+    const binds = {};
+    const pairs = chunk.map((line, i) => {
+      binds[`o${i}`] = line.ORDERNUMBER;
+      binds[`m${i}`] = line.MATERIAL_NUMBER;
+      return `(:o${i}, :m${i})`;
+    });
+
+    const result = await conn.execute(
+      `SELECT DISTINCT ORDERNUMBER, MATERIAL_NUMBER FROM SYSTEM.RECONCILIATION
+       WHERE (ORDERNUMBER, MATERIAL_NUMBER) IN (${pairs.join(", ")})`,
+      binds,
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    result.rows.forEach(row => existing.add(lineKey({
+      ORDERNUMBER: row.ORDERNUMBER.toString(),
+      MATERIAL_NUMBER: row.MATERIAL_NUMBER,
+    })));
+    if (onChunk) await onChunk(Math.min(start + DUPLICATE_CHECK_CHUNK, keyed.length), keyed.length, existing.size);
+  }
+
+  return existing;
+};
+
+/**
+ * The failure of a staged row, as reported when a commit is rolled back.
+ * @param {Object} row - The staged row
+ * @param {string} error - What went wrong
+ * @returns {Object} - { ROW_NUM, SHEET_NAME, SHEET_ROW, ORDERNUMBER, MATERIAL_NUMBER, error }
+ */
+const rowFailure = (row, error) => ({
+  ROW_NUM: row.ROW_NUM,
+  SHEET_NAME: row.SHEET_NAME,
+  SHEET_ROW: row.SHEET_ROW,
+  ORDERNUMBER: row.ORDERNUMBER,
+  MATERIAL_NUMBER: row.MATERIAL_NUMBER,
+  error,
+});
+
+/**
+ * Turns the batch errors of an executeMany into per-row failures.
+ * @param {Object} result - executeMany result (run with batchErrors: true)
+ * @param {Object[]} rows - The staged rows, in bind order
+ * @returns {Array<Object>} - { ROW_NUM, ORDERNUMBER, MATERIAL_NUMBER, error } per failed row
+ */
+const batchFailures = (result, rows) =>
+  (result.batchErrors || []).map(({ offset, message }) => rowFailure(rows[offset], message));
+
+/**
+ * Runs a step and records how long it took.
+ * @param {Object} timing - Durations in ms by step, filled in place
+ * @param {string} step - Step name
+ * @param {Function} fn - Async step
+ * @returns {Promise<any>} - The step's result
+ */
+const timed = async (timing, step, fn) => {
+  const started = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timing[step] = Date.now() - started;
+  }
+};
+
+/**
+ * Loads an upload with its staged rows, in file order.
+ * @param {Object} conn - Open Oracle connection
+ * @param {number} uploadId - The UPLOAD_ID
+ * @returns {Promise<Object|null>} - The upload with a `rows` array, or null if it doesn't exist
+ */
+const loadUpload = async (conn, uploadId) => {
+  const upload = await conn.execute(
+    `SELECT u.*,
+            (SELECT MAX(r.REPORT_ID) FROM SYSTEM.RECONCILIATION_REPORTS r WHERE r.UPLOAD_ID = u.UPLOAD_ID) AS REPORT_ID,
+            (SELECT MAX(r.ANNOTATED_FILE) KEEP (DENSE_RANK LAST ORDER BY r.REPORT_ID)
+             FROM SYSTEM.RECONCILIATION_REPORTS r WHERE r.UPLOAD_ID = u.UPLOAD_ID) AS ANNOTATED_FILE
+     FROM SYSTEM.RECONCILIATION_UPLOADS u
+     WHERE u.UPLOAD_ID = :uploadId`,
+    { uploadId },
+    {
+      outFormat: oracledb.OUT_FORMAT_OBJECT,
+      fetchInfo: { COLUMN_MAPPING: { type: oracledb.STRING }, IGNORED_COLUMNS: { type: oracledb.STRING } },
+    }
+  );
+  if (upload.rows.length === 0) return null;
+
+  const rows = await conn.execute(
+    `SELECT ROW_NUM, ROW_STATUS, MESSAGE, SHEET_NAME, SHEET_ROW, ${LINE_COLUMNS.join(", ")}, COERCIONS, WARNINGS
+     FROM SYSTEM.RECONCILIATION_STAGING
+     WHERE UPLOAD_ID = :uploadId
+     ORDER BY ROW_NUM`,
+    { uploadId },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  return { ...upload.rows[0], rows: rows.rows };
+};
+
+/**
+ * Shapes an upload for the client.
+ * @param {Object} upload - Upload as returned by loadUpload
+ * @returns {Object}
+ */
+const toPreview = (upload) => ({
+  uploadId: upload.UPLOAD_ID,
+  fileName: upload.FILE_NAME,
+  uploadedBy: upload.UPLOADED_BY,
+  uploadedAt: upload.UPLOADED_AT,
+  status: upload.STATUS,
+  conflictPolicy: upload.CONFLICT_POLICY,
+  sheets: upload.SHEET_NAMES ? JSON.parse(upload.SHEET_NAMES) : [],
+  columnMapping: upload.COLUMN_MAPPING ? JSON.parse(upload.COLUMN_MAPPING) : null,
+  ignoredColumns: upload.IGNORED_COLUMNS ? JSON.parse(upload.IGNORED_COLUMNS) : [],
+  coercions: upload.COERCION_SUMMARY ? JSON.parse(upload.COERCION_SUMMARY) : [],
+  counts: {
+    total: upload.TOTAL_ROWS,
+    new: upload.NEW_ROWS,
+    duplicate: upload.DUPLICATE_ROWS,
+    fileDuplicate: upload.FILE_DUPLICATE_ROWS,
+    invalid: upload.INVALID_ROWS,
+    coerced: upload.COERCED_ROWS,
+    warning: upload.WARNING_ROWS,
+    inserted: upload.INSERTED_ROWS,
+    updated: upload.UPDATED_ROWS,
+    skipped: upload.SKIPPED_ROWS,
+  },
+  reportId: upload.REPORT_ID,
+  downloadUrl: upload.REPORT_ID ? reportUrl(upload.REPORT_ID) : null,
+  annotatedFile: upload.ANNOTATED_FILE,
+  annotatedUrl: upload.ANNOTATED_FILE ? annotatedUrl(upload.REPORT_ID) : null,
+  rows: upload.rows,
+});
+
+/**
+ * Only the uploader, or a user allowed to delete lines (admin), may see, commit or discard an upload.
+ * @param {Object} upload - The upload
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const canFinish = (upload, user) =>
+  upload.UPLOADED_BY === user.username || roleHasPermission(user.role, "reconciliation.delete");
+
+/**
+ * Runs an upload preview job (see utils/jobs.js).
+ * Parses the uploaded Excel/CSV file, read through the column mapping resolved when it was queued, into the staging area and classifies every row as new,
+ * duplicate (in the database or earlier in the same file) or invalid. Active validation rules run on
+ * every row (see utils/validation.js): their errors make the row invalid, their warnings are kept
+ * with the row. STATUS must be a known status or match a legacy alias (see utils/statuses.js).
+ * Nothing is written to SYSTEM.RECONCILIATION. Duplicate and invalid rows are also stored as a downloadable report
+ * (see utils/reports.js), along with a copy of the uploaded file annotated with the problems, to fix and upload again.
+ * @param {Object} job - The job (FILE_PATH, SOURCE_FILE, CREATED_BY; PARAMS conflictPolicy, columnMapping, ignoredColumns)
+ * @param {Object} helpers - { progress } from the job worker
+ * @returns {Promise<Object>} - The job result, with the UPLOAD_ID to load the preview from
+ */
+const runStageUpload = async (job, { progress }) => {
+  const { conflictPolicy, sheets, columnMapping, ignoredColumns } = job.PARAMS;
+  let conn;
+  try {
+    const fileRows = readRows(job.FILE_PATH, sheets, bookTypeOf(job.SOURCE_FILE)); // Rows of every chosen sheet, with their sheet and row
+    const jsonData = fileRows.map(({ row }) => row);
+
+    if (jsonData.length === 0) {
+      throw new JobError("Uploaded file is empty.");
+    }
+
+    conn = await oracledb.getConnection();
+    const rules = await loadRules(conn);
+    const batchStates = await loadBatchStates(conn);
+    const statusModel = await loadStatusModel(conn);
+    const parsed = jsonData.map(row => {
+      const result = parseRow(mapRow(row, columnMapping));
+
+      // The staged STATUS keeps the file's text; the commit stores its canonical status
+      const status = resolveStatus(statusModel, result.line.STATUS);
+      if (status.error) result.errors.push({ column: "STATUS", message: status.error });
+      if (status.note) {
+        result.coercions.push({ column: "STATUS", kind: "LEGACY_STATUS", message: `"${status.note}" read as ${status.status}, the text is kept as a note` });
+      }
+      const issues = validateLine({ ...result.line, STATUS: status.status }, rules);
+      return {
+        ...result,
+        errors: [...result.errors, ...issues.filter(issue => issue.severity === "ERROR")],
+        warnings: issues.filter(issue => issue.severity === "WARNING"),
+      };
+    });
+    const invalidCount = parsed.filter(({ errors }) => errors.length > 0).length;
+    await progress({ total: jsonData.length, processed: 0, flagged: invalidCount });
+
+    // The database lookup is the slow part; progress follows the share of keys checked
+    const existingKeys = await findExistingKeys(
+      conn,
+      parsed.filter(({ errors }) => errors.length === 0).map(({ line }) => line),
+      (done, total, found) => progress({
+        processed: Math.round((jsonData.length * done) / total),
+        flagged: invalidCount + found,
+      })
+    );
+
+    // Classify every row; the first valid occurrence of a key in the file wins
+    const classes = classifyRows(parsed, {
+      existingKeys,
+      batchStates,
+      duplicateMessage: `Order and material already exist; ${CONFLICT_POLICIES[conflictPolicy]}`,
+      rowLabel: (index) => (sheets.length > 1 ? `row ${fileRows[index].sheetRow} of sheet "${fileRows[index].sheet}"` : `row ${index + 1}`),
+    });
+    const staged = parsed.map(({ line, warnings, coercions }, index) => {
+      const { rowStatus, message } = classes[index];
+      return {
+        ROW_NUM: index + 1,
+        ROW_STATUS: rowStatus,
+        MESSAGE: message,
+        SHEET_NAME: fileRows[index].sheet,
+        SHEET_ROW: fileRows[index].sheetRow,
+        ...line,
+        COERCIONS: coercions.length > 0
+          ? coercions.map(({ column, message: change }) => `${column}: ${change}`).join("; ").slice(0, 4000)
+          : null,
+        WARNINGS: warnings.length > 0 ? warnings.map(warning => warning.message).join("; ").slice(0, 4000) : null,
+        RAW_VALUES: JSON.stringify(jsonData[index]),
+      };
+    });
+
+    const count = (status) => staged.filter(row => row.ROW_STATUS === status).length;
+
+    // Coercions per column and kind, for the preview summary
+    const coercionCounts = new Map();
+    parsed.forEach(({ coercions }) => coercions.forEach(({ column, kind }) => {
+      const key = `${column}\u0000${kind}`;
+      coercionCounts.set(key, (coercionCounts.get(key) || 0) + 1);
+    }));
+    const coercionSummary = [...coercionCounts].map(([key, total]) => {
+      const [column, kind] = key.split("\u0000");
+      return { column, kind, label: COERCIONS[kind], count: total };
+    });
+
+    const header = await conn.execute(
+      `INSERT INTO SYSTEM.RECONCILIATION_UPLOADS (
+         FILE_NAME, UPLOADED_BY, CONFLICT_POLICY, SHEET_NAMES, FILE_COLUMNS, COLUMN_MAPPING, IGNORED_COLUMNS,
+         TOTAL_ROWS, NEW_ROWS, DUPLICATE_ROWS, FILE_DUPLICATE_ROWS, INVALID_ROWS, COERCED_ROWS, COERCION_SUMMARY,
+         WARNING_ROWS
+       ) VALUES (
+         :fileName, :username, :conflictPolicy, :sheetNames, :fileColumns, :columnMapping, :ignoredColumns,
+         :total, :newRows, :duplicateRows, :fileDuplicateRows, :invalidRows, :coercedRows, :coercionSummary,
+         :warningRows
+       ) RETURNING UPLOAD_ID INTO :uploadId`,
+      {
+        fileName: job.SOURCE_FILE,
+        username: job.CREATED_BY,
+        conflictPolicy,
+        sheetNames: JSON.stringify(sheets),
+        fileColumns: Object.values(columnMapping).join(","),
+        columnMapping: { val: JSON.stringify(columnMapping), type: oracledb.DB_TYPE_CLOB },
+        ignoredColumns: { val: JSON.stringify(ignoredColumns), type: oracledb.DB_TYPE_CLOB },
+        total: staged.length,
+        newRows: count("NEW"),
+        duplicateRows: count("DUPLICATE"),
+        fileDuplicateRows: count("FILE_DUPLICATE"),
+        invalidRows: count("INVALID"),
+        coercedRows: staged.filter(row => row.COERCIONS).length,
+        coercionSummary: coercionSummary.length > 0 ? JSON.stringify(coercionSummary) : null,
+        warningRows: staged.filter(row => row.WARNINGS).length,
+        uploadId: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+      }
+    );
+    const uploadId = header.outBinds.uploadId[0];
+
+    await conn.executeMany(
+      `INSERT INTO SYSTEM.RECONCILIATION_STAGING (
+         UPLOAD_ID, ROW_NUM, ROW_STATUS, MESSAGE, SHEET_NAME, SHEET_ROW, ${LINE_COLUMNS.join(", ")}, COERCIONS, WARNINGS, RAW_VALUES
+       ) VALUES (
+         :UPLOAD_ID, :ROW_NUM, :ROW_STATUS, :MESSAGE, :SHEET_NAME, :SHEET_ROW, ${LINE_COLUMNS.map(column => `:${column}`).join(", ")}, :COERCIONS, :WARNINGS, :RAW_VALUES
+       )`,
+      staged.map(row => ({ UPLOAD_ID: uploadId, ...row })),
+      {
+        bindDefs: {
+          UPLOAD_ID: { type: oracledb.NUMBER },
+          ROW_NUM: { type: oracledb.NUMBER },
+          ROW_STATUS: { type: oracledb.STRING, maxSize: 20 },
+          MESSAGE: { type: oracledb.STRING, maxSize: 1000 },
+          SHEET_NAME: { type: oracledb.STRING, maxSize: 100 },
+          SHEET_ROW: { type: oracledb.NUMBER },
+          ...LINE_BIND_DEFS,
+          COERCIONS: { type: oracledb.STRING, maxSize: 4000 },
+          WARNINGS: { type: oracledb.STRING, maxSize: 4000 },
+          RAW_VALUES: { type: oracledb.DB_TYPE_CLOB },
+        },
+      }
+    );
+
+    // Report the rows that won't be inserted as they are or have warnings, with the values from the file
+    const problemRows = staged.filter(row => row.ROW_STATUS !== "NEW" || row.WARNINGS);
+    if (problemRows.length > 0) {
+      const reportId = await createReport(conn, {
+        type: "UPLOAD",
+        username: job.CREATED_BY,
+        sourceFile: job.SOURCE_FILE,
+        totalRows: staged.length,
+        uploadId,
+      }, problemRows.map(row => ({
+        ROW_NUM: row.ROW_NUM,
+        SHEET_NAME: row.SHEET_NAME,
+        SHEET_ROW: row.SHEET_ROW,
+        ROW_STATUS: row.ROW_STATUS,
+        MESSAGE: row.MESSAGE,
+        COERCIONS: row.COERCIONS,
+        WARNINGS: row.WARNINGS,
+        ...jsonData[row.ROW_NUM - 1],
+      })));
+
+      // Same format as the upload: a CSV stays a CSV, any workbook becomes .xlsx
+      const bookType = bookTypeOf(job.SOURCE_FILE);
+      const annotatedFile = `${path.parse(job.SOURCE_FILE).name}_errors.${bookType}`;
+      writeAnnotatedWorkbook(
+        job.FILE_PATH,
+        annotatedPath(reportId, annotatedFile),
+        bookType,
+        annotationsFor(problemRows, parsed, columnMapping)
+      );
+      await conn.execute(
+        `UPDATE SYSTEM.RECONCILIATION_REPORTS SET ANNOTATED_FILE = :annotatedFile WHERE REPORT_ID = :reportId`,
+        { annotatedFile, reportId }
+      );
+    }
+    await conn.commit();
+
+    await progress({ processed: staged.length, flagged: staged.length - count("NEW") });
+
+    const { counts } = toPreview(await loadUpload(conn, uploadId));
+    return { success: true, message: `📋 ${staged.length} row(s) staged for review.`, uploadId, counts };
+  } catch (err) {
+    if (conn) await conn.rollback();
+    throw err;
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+registerJobHandler("UPLOAD_STAGE", runStageUpload);
+
+/**
+ * Works out which file header feeds which line column.
+ * Headers are recognized by name or alias (see utils/headers.js); a mapping chosen by the user
+ * takes precedence, and an empty choice ignores the header.
+ * @param {string[]} headers - Headers exactly as in the file
+ * @param {Object|null} chosen - File header → column or "" from the mapping step, if any
+ * @returns {{mapping: Object, ignored: string[], recognized: Object, unrecognized: string[], error: string|null}}
+ */
+const resolveColumnMapping = (headers, chosen) => {
+  const { mapping: recognized, unrecognized } = recognizeHeaders(headers, LINE_COLUMNS);
+  const mapping = {};
+  headers.forEach(header => {
+    const column = chosen && header in chosen ? chosen[header] : recognized[header];
+    if (column) mapping[header] = column;
+  });
+  const ignored = headers.filter(header => !mapping[header]);
+
+  let error = null;
+  const unknown = Object.values(mapping).filter(column => !LINE_COLUMNS.includes(column));
+  const mapped = Object.values(mapping);
+  const twice = [...new Set(mapped.filter((column, i) => mapped.indexOf(column) !== i))];
+  if (unknown.length > 0) error = `Unknown column(s) in mapping: ${unknown.join(", ")}.`;
+  else if (twice.length > 0) error = `More than one file column is mapped to: ${twice.join(", ")}.`;
+  else if (!mapped.includes("ORDERNUMBER")) error = "Missing required column in Excel file: ORDERNUMBER";
+
+  return { mapping, ignored, recognized, unrecognized, error };
+};
+
+/**
+ * 1️⃣ Stage Upload (Preview)
+ * Queues the uploaded Excel/CSV file for staging as a background job and returns its JOB_ID at once.
+ * When the job has finished, its result holds the UPLOAD_ID whose preview is served by getUpload.
+ * The conflict policy (REJECT by default) decides what committing does with lines that already exist.
+ *
+ * Only the header row is read here. If some headers aren't recognized and no columnMapping was sent,
+ * nothing is queued: the response (needsMapping) lists the headers with their recognized columns so the
+ * user can map the rest, and the client sends the file again with the chosen columnMapping.
+ * @param {Object} req - Express request object (contains file, conflictPolicy and optional columnMapping JSON; the uploader is taken from the session)
+ * @param {Object} res - Express response object
+ */
+exports.stageUpload = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: "No file uploaded." });
+  }
+  const reject = async (status, body) => {
+    await fs.unlink(req.file.path).catch(() => {});
+    return res.status(status).json({ success: false, ...body });
+  };
+
+  const conflictPolicy = req.body.conflictPolicy || "REJECT";
+  if (!CONFLICT_POLICIES[conflictPolicy]) {
+    return reject(400, { message: `Conflict policy must be one of: ${Object.keys(CONFLICT_POLICIES).join(", ")}.` });
+  }
+
+  let chosen = null;
+  if (req.body.columnMapping) {
+    try {
+      chosen = JSON.parse(req.body.columnMapping);
+    } catch {
+      chosen = null;
+    }
+    if (!chosen || typeof chosen !== "object" || Array.isArray(chosen)) {
+      return reject(400, { message: "Column mapping must be a JSON object of file column to reconciliation column." });
+    }
+  }
+
+  const choice = parseSheetChoice(req.body.sheets);
+  if (choice.error) {
+    return reject(400, { message: choice.error });
+  }
+
+  try {
+    const { sheets, error: sheetError } = resolveSheets(req.file.path, choice.sheets);
+    if (sheetError) {
+      return reject(400, { message: sheetError });
+    }
+    const headers = readHeaders(req.file.path, sheets, bookTypeOf(req.file.originalname));
+    if (headers.length === 0) {
+      return reject(400, { message: "Uploaded file is empty." });
+    }
+
+    const { mapping, ignored, recognized, unrecognized, error } = resolveColumnMapping(headers, chosen);
+    if (!chosen && (unrecognized.length > 0 || error)) {
+      return reject(422, {
+        needsMapping: true,
+        message: unrecognized.length > 0
+          ? `${unrecognized.length} column(s) were not recognized. Map them to a reconciliation column or ignore them.`
+          : error,
+        headers: headers.map(header => ({ header, column: recognized[header] || null })),
+        columns: LINE_COLUMNS,
+      });
+    }
+    if (error) {
+      return reject(400, { message: error });
+    }
+
+    const jobId = await submitJob({
+      type: "UPLOAD_STAGE",
+      username: req.user.username,
+      sourceFile: req.file.originalname,
+      filePath: req.file.path, // Removed by the worker when the job ends; the staging area keeps the data
+      params: { conflictPolicy, sheets, columnMapping: mapping, ignoredColumns: ignored },
+    });
+    res.status(202).json({ success: true, message: "⏳ Upload queued for preview.", jobId, ignoredColumns: ignored });
+  } catch (err) {
+    console.error("💥 Stage Upload Error:", err);
+    await fs.unlink(req.file.path).catch(() => {});
+    res.status(500).json({ success: false, message: "Internal server error." });
+  }
+};
+
+/**
+ * 2️⃣ Get Upload Preview
+ * Returns a staged (or already finished) upload with its rows, to its uploader or an admin (see canFinish).
+ * Anyone else gets a 404, as if the upload didn't exist.
+ * @param {Object} req - Express request object (contains uploadId in params)
+ * @param {Object} res - Express response object
+ */
+exports.getUpload = async (req, res) => {
+  const uploadId = safeNumber(req.params.uploadId, "UPLOAD_ID");
+  if (uploadId === null) {
+    return res.status(400).json({ success: false, message: "Invalid upload id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const upload = await loadUpload(conn, uploadId);
+    if (!upload || !canFinish(upload, req.user)) {
+      return res.status(404).json({ success: false, message: "Upload not found." });
+    }
+    res.json({ success: true, ...toPreview(upload) });
+  } catch (err) {
+    console.error("Get Upload Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Commit Upload
+ * Applies a staged upload to SYSTEM.RECONCILIATION in one transaction, with its history.
+ * Rows for new lines are inserted; rows whose line already exists follow the upload's conflict policy:
+ * REJECT refuses the whole upload, SKIP leaves the line alone, OVERWRITE and FILL_EMPTY merge into it.
+ * When true duplicates share the order and material, a row merges only into the one in its batch.
+ * Existing lines are looked up again here, so changes made by others since the preview are respected.
+ * Lines can't be added to closed or locked batches, nor changed in locked ones (see utils/batches.js).
+ * Legacy statuses are stored as their canonical status with the text as STATUS_NOTE, and merges can
+ * only change a line's status along the allowed transitions unless the user is an admin (see utils/statuses.js).
+ * Inserts and merges are bound in bulk (executeMany). If any row fails, the whole upload is rolled back
+ * and the failing rows are reported. The response includes the time spent in each step.
+ * @param {Object} req - Express request object (contains uploadId in params)
+ * @param {Object} res - Express response object
+ */
+exports.commitUpload = async (req, res) => {
+  const started = Date.now();
+  const timing = {}; // Duration of each step in ms, reported back to the client
+  const uploadId = safeNumber(req.params.uploadId, "UPLOAD_ID");
+  if (uploadId === null) {
+    return res.status(400).json({ success: false, message: "Invalid upload id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const upload = await loadUpload(conn, uploadId);
+    if (!upload) {
+      return res.status(404).json({ success: false, message: "Upload not found." });
+    }
+    if (upload.STATUS !== "STAGED") {
+      return res.status(409).json({ success: false, message: `Upload was already ${upload.STATUS.toLowerCase()}.` });
+    }
+    if (!canFinish(upload, req.user)) {
+      return res.status(403).json({ success: false, message: "Only the uploader can commit this upload." });
+    }
+
+    const policy = upload.CONFLICT_POLICY;
+    const candidates = upload.rows.filter(row => row.ROW_STATUS === "NEW" || row.ROW_STATUS === "DUPLICATE");
+    const existingKeys = await timed(timing, "lookupMs", () => findExistingKeys(conn, candidates));
+    const conflicts = candidates.filter(row => existingKeys.has(lineKey(row)));
+    const toInsert = candidates.filter(row => !existingKeys.has(lineKey(row)));
+
+    if (policy === "REJECT" && conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `🚫 ${conflicts.length} line(s) already exist. Upload rejected; choose another conflict policy to merge them.`,
+        annotatedUrl: upload.ANNOTATED_FILE ? annotatedUrl(upload.REPORT_ID) : null,
+        conflicts: conflicts.map(({ ROW_NUM, SHEET_NAME, SHEET_ROW, ORDERNUMBER, MATERIAL_NUMBER }) => ({
+          ROW_NUM, SHEET_NAME, SHEET_ROW, ORDERNUMBER, MATERIAL_NUMBER,
+        })),
+      });
+    }
+
+    const auditContext = { username: req.user.username, source: `Upload: ${upload.FILE_NAME}` };
+    const history = [];
+    const failedRows = [];
+
+    // Batches may have been closed or locked since the preview
+    const batchStates = await loadBatchStates(conn);
+    toInsert.forEach(row => {
+      const violation = batchViolation(batchStates, null, row);
+      if (violation) failedRows.push(rowFailure(row, violation));
+    });
+
+    // Statuses are stored in their canonical form, legacy text as the note; the model may have changed since the preview
+    const statusModel = await loadStatusModel(conn);
+    const canOverrideStatus = roleHasPermission(req.user.role, "statuses.override");
+    candidates.forEach(row => {
+      const { status, note, error } = resolveStatus(statusModel, row.STATUS);
+      if (error) failedRows.push(rowFailure(row, error));
+      row.STATUS = status;
+      row.STATUS_NOTE = note;
+    });
+
+    // Insert all new lines in one round trip and read back their generated LINE_IDs
+    if (failedRows.length === 0 && toInsert.length > 0) {
+      const lines = toInsert.map(row => ({
+        ...Object.fromEntries(LINE_COLUMNS.map(column => [column, row[column]])),
+        STATUS_NOTE: row.STATUS_NOTE,
+        USER_SAP: req.user.username,
+      }));
+      const result = await timed(timing, "insertMs", () => conn.executeMany(
+        `INSERT INTO SYSTEM.RECONCILIATION (${LINE_COLUMNS.join(", ")}, STATUS_NOTE, USER_SAP)
+         VALUES (${LINE_COLUMNS.map(column => `:${column}`).join(", ")}, :STATUS_NOTE, :USER_SAP)
+         RETURNING LINE_ID INTO :LINE_ID`,
+        lines,
+        {
+          batchErrors: true,
+          bindDefs: {
+            ...LINE_BIND_DEFS,
+            STATUS_NOTE: STATUS_NOTE_BIND_DEF,
+            USER_SAP: { type: oracledb.STRING, maxSize: 100 },
+            LINE_ID: { type: oracledb.NUMBER, dir: oracledb.BIND_OUT },
+          },
+        }
+      ));
+      failedRows.push(...batchFailures(result, toInsert));
+      if (failedRows.length === 0) {
+        lines.forEach((line, i) => history.push({ action: "INSERT", after: { ...line, LINE_ID: result.outBinds[i].LINE_ID[0] } }));
+      }
+    }
+
+    // Merge existing lines with one UPDATE per policy, by LINE_ID, diffing snapshots to see which lines really changed
+    const mergeColumns = MERGE_COLUMNS.filter(column => (upload.FILE_COLUMNS || "").split(",").includes(column));
+    const changedKeys = new Set();
+    const rowByLineId = new Map(); // Line each conflict merges into → its row
+    let before = new Map();
+    if (failedRows.length === 0 && conflicts.length > 0 && policy !== "SKIP" && mergeColumns.length > 0) {
+      before = await timed(timing, "snapshotMs", () => snapshotLinesByKey(conn, conflicts));
+
+      // Each row merges into one line: the only line with its order and material, or among true
+      // duplicates the one in the row's batch. Other duplicates are left alone for the duplicate check
+      const linesByKey = new Map();
+      before.forEach(line => {
+        const key = lineKey({ ORDERNUMBER: line.ORDERNUMBER.toString(), MATERIAL_NUMBER: line.MATERIAL_NUMBER });
+        linesByKey.set(key, [...(linesByKey.get(key) || []), line]);
+      });
+      conflicts.forEach(row => {
+        const lines = linesByKey.get(lineKey(row)) || [];
+        const matches = lines.length > 1 ? lines.filter(line => batchKey(line.BATCHNUMBER) === batchKey(row.BATCHNUMBER)) : lines;
+        if (matches.length === 1) {
+          row.LINE_ID = matches[0].LINE_ID;
+          rowByLineId.set(row.LINE_ID, row);
+        } else if (lines.length > 0) {
+          const batches = [...new Set(lines.map(line => line.BATCHNUMBER ?? "(none)"))].join(", ");
+          failedRows.push(rowFailure(row, `${lines.length} lines have this order and material (batches ${batches}); give the batch of the one to update`));
+        }
+      });
+    }
+    if (failedRows.length === 0 && rowByLineId.size > 0) {
+      const merged = [...rowByLineId.values()];
+      const bindColumns = ["LINE_ID", ...mergeColumns];
+      const setClauses = mergeColumns
+        .map(column => (policy === "FILL_EMPTY" ? `${column} = NVL(${column}, :${column})` : `${column} = :${column}`));
+      if (mergeColumns.includes("STATUS")) {
+        // The note of a legacy status goes with the status; Oracle reads STATUS here as it was before the update
+        bindColumns.push("STATUS_NOTE");
+        setClauses.push(policy === "FILL_EMPTY"
+          ? "STATUS_NOTE = CASE WHEN STATUS IS NULL THEN NVL(:STATUS_NOTE, STATUS_NOTE) ELSE STATUS_NOTE END"
+          : "STATUS_NOTE = NVL(:STATUS_NOTE, STATUS_NOTE)");
+      }
+      const result = await timed(timing, "updateMs", () => conn.executeMany(
+        `UPDATE SYSTEM.RECONCILIATION SET ${setClauses.join(", ")} WHERE LINE_ID = :LINE_ID`,
+        merged.map(row => Object.fromEntries(bindColumns.map(column => [column, row[column]]))),
+        {
+          batchErrors: true,
+          bindDefs: {
+            ...Object.fromEntries(bindColumns.map(column => [column, LINE_BIND_DEFS[column] || STATUS_NOTE_BIND_DEF])),
+            LINE_ID: { type: oracledb.NUMBER },
+          },
+        }
+      ));
+      failedRows.push(...batchFailures(result, merged));
+
+      if (failedRows.length === 0) {
+        const after = await snapshotLinesById(conn, [...rowByLineId.keys()]);
+        after.forEach((line, id) => {
+          if (JSON.stringify(before.get(id)) === JSON.stringify(line)) return;
+          const violation = batchViolation(batchStates, before.get(id), line)
+            || (canOverrideStatus ? null : statusViolation(statusModel, before.get(id), line));
+          if (violation) failedRows.push(rowFailure(rowByLineId.get(id), violation));
+          history.push({ action: "UPDATE", before: before.get(id), after: line });
+          changedKeys.add(lineKey(rowByLineId.get(id)));
+        });
+      }
+    }
+
+    // A single bad row rolls back the whole file
+    if (failedRows.length > 0) {
+      await conn.rollback();
+      failedRows.sort((a, b) => a.ROW_NUM - b.ROW_NUM);
+      timing.totalMs = Date.now() - started;
+      return res.status(400).json({
+        success: false,
+        message: `❌ Row ${failedRows[0].ROW_NUM} failed: ${failedRows[0].error}. Nothing was saved.`,
+        failedRows,
+        timing,
+      });
+    }
+
+    const insertedCount = toInsert.length;
+    const updatedCount = history.length - insertedCount; // Changed lines
+    const skippedCount = upload.rows.length - insertedCount - conflicts.filter(row => changedKeys.has(lineKey(row))).length;
+
+    await timed(timing, "historyMs", () => recordHistory(conn, history, auditContext));
+    const finished = await conn.execute(
+      `UPDATE SYSTEM.RECONCILIATION_UPLOADS
+       SET STATUS = 'COMMITTED', FINISHED_AT = SYSTIMESTAMP, FINISHED_BY = :username,
+           INSERTED_ROWS = :insertedCount, UPDATED_ROWS = :updatedCount, SKIPPED_ROWS = :skippedCount
+       WHERE UPLOAD_ID = :uploadId AND STATUS = 'STAGED'`,
+      { username: req.user.username, insertedCount, updatedCount, skippedCount, uploadId }
+    );
+    if (finished.rowsAffected === 0) {
+      // Committed or discarded by a concurrent request while we were writing
+      await conn.rollback();
+      return res.status(409).json({ success: false, message: "Upload was already finished." });
+    }
+    await timed(timing, "commitMs", () => conn.commit()); // The lines, their history and the upload status commit together
+    timing.totalMs = Date.now() - started;
+
+    res.json({
+      success: true,
+      message: `✅ ${insertedCount} inserted, ${updatedCount} updated, ${skippedCount} skipped in ${(timing.totalMs / 1000).toFixed(1)}s.`,
+      insertedCount,
+      updatedCount,
+      skippedCount,
+      timing,
+    });
+  } catch (err) {
+    console.error("💥 Commit Upload Error:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "❌ Commit failed, no records were changed." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Discard Upload
+ * Drops the staged rows of an upload. The upload itself is kept, marked DISCARDED.
+ * @param {Object} req - Express request object (contains uploadId in params)
+ * @param {Object} res - Express response object
+ */
+exports.discardUpload = async (req, res) => {
+  const uploadId = safeNumber(req.params.uploadId, "UPLOAD_ID");
+  if (uploadId === null) {
+    return res.status(400).json({ success: false, message: "Invalid upload id." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const upload = await conn.execute(
+      `SELECT UPLOADED_BY, STATUS FROM SYSTEM.RECONCILIATION_UPLOADS WHERE UPLOAD_ID = :uploadId`,
+      { uploadId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    const found = upload.rows[0];
+    if (!found) {
+      return res.status(404).json({ success: false, message: "Upload not found." });
+    }
+    if (found.STATUS !== "STAGED") {
+      return res.status(409).json({ success: false, message: `Upload was already ${found.STATUS.toLowerCase()}.` });
+    }
+    if (!canFinish(found, req.user)) {
+      return res.status(403).json({ success: false, message: "Only the uploader can discard this upload." });
+    }
+
+    await conn.execute(`DELETE FROM SYSTEM.RECONCILIATION_STAGING WHERE UPLOAD_ID = :uploadId`, { uploadId });
+    await conn.execute(
+      `UPDATE SYSTEM.RECONCILIATION_UPLOADS
+       SET STATUS = 'DISCARDED', FINISHED_AT = SYSTIMESTAMP, FINISHED_BY = :username
+       WHERE UPLOAD_ID = :uploadId`,
+      { username: req.user.username, uploadId }
+    );
+    await conn.commit();
+
+    res.json({ success: true, message: "🗑️ Upload discarded." });
+  } catch (err) {
+    console.error("Discard Upload Error:", err);
+    if (conn) await conn.rollback();
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
@@ -0,0 +1,284 @@
+const oracledb = require("oracledb");
+const { hashPassword, verifyPassword, checkPasswordPolicy } = require("../utils/password");
+const { revokeUserSessions } = require("../utils/session");
+const { ROLES } = require("../utils/permissions");
+
+/**
+ * 👥 User Administration
+ * Admin endpoints to manage SYSTEM.SAP_USERS, plus the self-service password change.
+ * All handlers run behind requireAuth; the admin ones also require the users.manage permission.
+ */
+
+/**
+ * Runs an UPDATE against a single user and reports whether the user exists.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} setClause - SQL SET clause (without the SET keyword)
+ * @param {Object} binds - Bind variables, must include username
+ * @returns {Promise<boolean>} - True if a row was updated
+ */
+const updateUser = async (conn, setClause, binds) => {
+  const result = await conn.execute(
+    `UPDATE SYSTEM.SAP_USERS SET ${setClause} WHERE USERNAME = :username`,
+    binds,
+    { autoCommit: true }
+  );
+  return result.rowsAffected > 0;
+};
+
+/**
+ * 1️⃣ List Users
+ * Returns every user with their account state, plus the list of assignable roles.
+ * Password columns are never returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.listUsers = async (req, res) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT USERNAME, ROLE, IS_ACTIVE, IS_LOCKED, FAILED_ATTEMPTS, MUST_CHANGE_PASSWORD,
+              CREATED_AT, LAST_LOGIN_AT,
+              CASE WHEN PASSWORD_HASH IS NULL THEN 0 ELSE 1 END AS IS_HASHED
+       FROM SYSTEM.SAP_USERS
+       ORDER BY USERNAME`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    res.json({ success: true, data: result.rows, roles: ROLES });
+  } catch (err) {
+    console.error("List Users Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 2️⃣ Create User
+ * Creates a user with an initial password and a role (viewer by default).
+ * The user must change the password on first login.
+ * @param {Object} req - Express request object (contains username, password and role in body)
+ * @param {Object} res - Express response object
+ */
+exports.createUser = async (req, res) => {
+  const username = req.body.username?.toString().trim();
+  const { password, role = "viewer" } = req.body;
+
+  if (!username) {
+    return res.status(400).json({ success: false, message: "Username is required." });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(", ")}.` });
+  }
+  const policyError = checkPasswordPolicy(password);
+  if (policyError) {
+    return res.status(400).json({ success: false, message: policyError });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const existing = await conn.execute(
+      `SELECT COUNT(*) AS CNT FROM SYSTEM.SAP_USERS WHERE USERNAME = :username`,
+      { username },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (existing.rows[0].CNT > 0) {
+      return res.status(409).json({ success: false, message: `User ${username} already exists.` });
+    }
+
+    await conn.execute(
+      `INSERT INTO SYSTEM.SAP_USERS (USERNAME, PASSWORD_HASH, ROLE, MUST_CHANGE_PASSWORD)
+       VALUES (:username, :passwordHash, :role, 1)`,
+      { username, passwordHash: await hashPassword(password), role },
+      { autoCommit: true }
+    );
+
+    res.status(201).json({ success: true, message: `✅ User ${username} created.` });
+  } catch (err) {
+    console.error("Create User Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 3️⃣ Enable / Disable User
+ * Disabling a user also ends all of their open sessions.
+ * Administrators cannot disable themselves.
+ * @param {Object} req - Express request object (contains username in params and active in body)
+ * @param {Object} res - Express response object
+ */
+exports.setUserActive = async (req, res) => {
+  const { username } = req.params;
+  const active = req.body.active ? 1 : 0;
+
+  if (!active && username === req.user.username) {
+    return res.status(400).json({ success: false, message: "You cannot disable your own account." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const found = await updateUser(conn, "IS_ACTIVE = :active", { active, username });
+    if (!found) {
+      return res.status(404).json({ success: false, message: `User ${username} not found.` });
+    }
+    if (!active) await revokeUserSessions(conn, username);
+
+    res.json({ success: true, message: `User ${username} ${active ? "enabled" : "disabled"}.` });
+  } catch (err) {
+    console.error("Set User Active Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 4️⃣ Change Role
+ * Assigns a new role. Takes effect on the user's next request since sessions read the role live.
+ * Administrators cannot change their own role, so the last admin can't lock everyone out by accident.
+ * @param {Object} req - Express request object (contains username in params and role in body)
+ * @param {Object} res - Express response object
+ */
+exports.setUserRole = async (req, res) => {
+  const { username } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(", ")}.` });
+  }
+  if (username === req.user.username) {
+    return res.status(400).json({ success: false, message: "You cannot change your own role." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const found = await updateUser(conn, "ROLE = :role", { role, username });
+    if (!found) {
+      return res.status(404).json({ success: false, message: `User ${username} not found.` });
+    }
+    res.json({ success: true, message: `User ${username} is now ${role}.` });
+  } catch (err) {
+    console.error("Set User Role Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 5️⃣ Unlock User
+ * Clears the lock set after too many failed logins.
+ * @param {Object} req - Express request object (contains username in params)
+ * @param {Object} res - Express response object
+ */
+exports.unlockUser = async (req, res) => {
+  const { username } = req.params;
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const found = await updateUser(conn, "IS_LOCKED = 0, FAILED_ATTEMPTS = 0", { username });
+    if (!found) {
+      return res.status(404).json({ success: false, message: `User ${username} not found.` });
+    }
+    res.json({ success: true, message: `User ${username} unlocked.` });
+  } catch (err) {
+    console.error("Unlock User Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 6️⃣ Reset Password
+ * Sets a temporary password, unlocks the account and forces a change on next login.
+ * Open sessions of the user are ended.
+ * @param {Object} req - Express request object (contains username in params and password in body)
+ * @param {Object} res - Express response object
+ */
+exports.resetPassword = async (req, res) => {
+  const { username } = req.params;
+  const { password } = req.body;
+
+  const policyError = checkPasswordPolicy(password);
+  if (policyError) {
+    return res.status(400).json({ success: false, message: policyError });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const found = await updateUser(
+      conn,
+      `PASSWORD_HASH = :passwordHash, PASSWORD = NULL, MUST_CHANGE_PASSWORD = 1,
+       IS_LOCKED = 0, FAILED_ATTEMPTS = 0`,
+      { passwordHash: await hashPassword(password), username }
+    );
+    if (!found) {
+      return res.status(404).json({ success: false, message: `User ${username} not found.` });
+    }
+    await revokeUserSessions(conn, username);
+
+    res.json({ success: true, message: `Password for ${username} reset.` });
+  } catch (err) {
+    console.error("Reset Password Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 7️⃣ Change My Password
+ * Lets the logged-in user change their own password. Other sessions of the user are ended,
+ * the current one stays open.
+ * @param {Object} req - Express request object (contains currentPassword and newPassword in body)
+ * @param {Object} res - Express response object
+ */
+exports.changeOwnPassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const { username, sessionId } = req.user;
+
+  const policyError = checkPasswordPolicy(newPassword);
+  if (policyError) {
+    return res.status(400).json({ success: false, message: policyError });
+  }
+  if (newPassword === currentPassword) {
+    return res.status(400).json({ success: false, message: "New password must differ from the current one." });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT PASSWORD_HASH FROM SYSTEM.SAP_USERS WHERE USERNAME = :username`,
+      { username },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    const stored = result.rows[0]?.PASSWORD_HASH;
+    if (!currentPassword || !(await verifyPassword(currentPassword, stored))) {
+      return res.status(400).json({ success: false, message: "Current password is incorrect." });
+    }
+
+    await updateUser(
+      conn,
+      "PASSWORD_HASH = :passwordHash, PASSWORD = NULL, MUST_CHANGE_PASSWORD = 0",
+      { passwordHash: await hashPassword(newPassword), username }
+    );
+    await revokeUserSessions(conn, username, sessionId);
+
+    res.json({ success: true, message: "✅ Password changed." });
+  } catch (err) {
+    console.error("Change Password Error:", err);
+    res.status(500).json({ success: false, message: "Internal server error." });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
@@ -0,0 +1,83 @@
+const oracledb = require('oracledb');
+const { verifyToken, verifyDownloadToken, touchSession } = require('../utils/session');
+const { roleHasPermission } = require('../utils/permissions');
+
+/**
+ * 🔐 Auth Middleware
+ * Rejects the request with 401 unless it carries a valid `Authorization: Bearer <token>` header
+ * for an active session. Downloads the browser makes itself (GET) may carry a download token for
+ * their URL instead (see signDownloadToken). On success the caller is available as `req.user`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next callback
+ */
+const requireAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const sessionId = token
+    ? verifyToken(token)
+    : req.method === 'GET' && verifyDownloadToken(req.query.downloadToken, req.originalUrl);
+
+  if (!sessionId) {
+    return res.status(401).json({ success: false, message: 'Authentication required.' });
+  }
+
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const session = await touchSession(conn, sessionId);
+
+    if (!session) {
+      return res.status(401).json({ success: false, message: 'Session expired. Please log in again.' });
+    }
+
+    req.user = {
+      username: session.USERNAME,
+      sessionId,
+      role: session.ROLE,
+      mustChangePassword: session.MUST_CHANGE_PASSWORD === 1,
+    };
+    next();
+  } catch (err) {
+    console.error('Auth Error:', err);
+    res.status(500).json({ success: false, message: 'Internal server error.' });
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * 🛡️ Permission Middleware
+ * Must run after requireAuth. Builds a middleware that rejects the request with 403
+ * unless the caller's role grants the given permission, or one of them when several are given
+ * (see utils/permissions.js).
+ * @param {...string} permissions - The permission(s) required by the route
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => roleHasPermission(req.user?.role, permission))) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to do this.' });
+  }
+  next();
+};
+
+/**
+ * 🔁 Temporary Password Gate
+ * Must run after requireAuth. Users still on a temporary password (new or reset accounts)
+ * may only change it; everything else is rejected with 403 until they do.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next callback
+ */
+const requirePasswordChanged = (req, res, next) => {
+  if (req.user?.mustChangePassword) {
+    return res.status(403).json({
+      success: false,
+      mustChangePassword: true,
+      message: 'Please change your temporary password first.',
+    });
+  }
+  next();
+};
+
+module.exports = { requireAuth, requirePermission, requirePasswordChanged };
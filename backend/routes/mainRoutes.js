@@ -1,37 +1,160 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/mainController');
+const userController = require('../controllers/userController');
+const uploadController = require('../controllers/uploadController');
+const reportController = require('../controllers/reportController');
+const jobController = require('../controllers/jobController');
+const mappingController = require('../controllers/mappingController');
+const ruleController = require('../controllers/ruleController');
+const exportController = require('../controllers/exportController');
+const savedSearchController = require('../controllers/savedSearchController');
+const dashboardController = require('../controllers/dashboardController');
+const lateOrdersController = require('../controllers/lateOrdersController');
+const batchController = require('../controllers/batchController');
+const statusController = require('../controllers/statusController');
 const multer = require('multer');
+const { requireAuth, requirePermission, requirePasswordChanged } = require('../middleware/auth');
 
 const upload = multer({ dest: 'uploads/' });
 
+// Permission checks (see utils/permissions.js for which role grants what)
+const canSearch = requirePermission('reconciliation.search');
+const canCheck = requirePermission('reconciliation.check');
+const canUpload = requirePermission('reconciliation.upload');
+const canEdit = requirePermission('reconciliation.edit');
+const canDelete = requirePermission('reconciliation.delete');
+const canViewReports = requirePermission('reports.view');
+const canManageBatches = requirePermission('batches.manage');
+const canManageMappings = requirePermission('mappings.manage');
+
 // ========== 🔐 AUTH ==========
 router.post('/login', controller.login);
+router.post('/logout', requireAuth, controller.logout);
+router.get('/me', requireAuth, controller.me);
+router.put('/me/password', requireAuth, userController.changeOwnPassword);
+
+// ========== 📐 TABLE LAYOUTS ==========
+// Column visibility, order and widths of a results table, per user
+router.get('/me/table-layouts/:tableKey', requireAuth, requirePasswordChanged, savedSearchController.getTableLayout);
+router.put('/me/table-layouts/:tableKey', requireAuth, requirePasswordChanged, savedSearchController.saveTableLayout);
+router.delete('/me/table-layouts/:tableKey', requireAuth, requirePasswordChanged, savedSearchController.resetTableLayout);
+
+// ========== 👥 USER ADMINISTRATION ==========
+router.use('/users', requireAuth, requirePasswordChanged, requirePermission('users.manage'));
+router.get('/users', userController.listUsers);
+router.post('/users', userController.createUser);
+router.put('/users/:username/active', userController.setUserActive);
+router.put('/users/:username/role', userController.setUserRole);
+router.put('/users/:username/unlock', userController.unlockUser);
+router.put('/users/:username/password', userController.resetPassword);
+
+// ========== ✅ VALIDATION RULES ==========
+router.use('/validation-rules', requireAuth, requirePasswordChanged, requirePermission('rules.manage'));
+router.get('/validation-rules', ruleController.listRules);
+router.post('/validation-rules', ruleController.createRule);
+router.put('/validation-rules/:ruleId', ruleController.updateRule);
+router.delete('/validation-rules/:ruleId', ruleController.deleteRule);
+
+// ========== 🚦 ORDER STATUSES ==========
+// Everyone who can search reads the model from /reconciliation/statuses
+router.use('/order-statuses', requireAuth, requirePasswordChanged, requirePermission('statuses.manage'));
+router.post('/order-statuses', statusController.createStatus);
+router.put('/order-statuses/transitions', statusController.saveTransitions);
+router.post('/order-statuses/aliases', statusController.createAlias);
+router.delete('/order-statuses/aliases/:aliasId', statusController.deleteAlias);
+router.get('/order-statuses/legacy', statusController.listLegacyStatuses);
+router.post('/order-statuses/legacy/map', statusController.mapLegacyStatuses);
+router.put('/order-statuses/:status', statusController.updateStatus);
+router.delete('/order-statuses/:status', statusController.deleteStatus);
+
+// Every reconciliation endpoint below requires an active session, plus the permission named on the route
+router.use('/reconciliation', requireAuth, requirePasswordChanged);
+
+// ========== 📑 WORKBOOK SHEETS ==========
+// Lists a workbook's sheets before an upload or check, so the user can pick them
+router.post('/reconciliation/workbooks/sheets', requirePermission('reconciliation.upload', 'reconciliation.check'), upload.single('file'), controller.listWorkbookSheets);
 
 // ========== 📤 ADD RECONCILIATION ==========
-router.post('/reconciliation/add', upload.single('file'), controller.addReconciliation);
-router.get('/reconciliation/download-duplicate-report', controller.downloadDuplicateReport);
+// Uploads are staged and previewed first; nothing is inserted until the upload is committed
+router.post('/reconciliation/uploads', canUpload, upload.single('file'), uploadController.stageUpload);
+router.get('/reconciliation/uploads/:uploadId', canUpload, uploadController.getUpload);
+router.post('/reconciliation/uploads/:uploadId/commit', canUpload, uploadController.commitUpload);
+router.delete('/reconciliation/uploads/:uploadId', canUpload, uploadController.discardUpload);
 
 // ========== ✏️ EDIT RECONCILIATION ==========
-router.get('/reconciliation/search-for-edit', controller.searchForEdit); // Used for edit page search
-router.put('/reconciliation/edit/:ordernumber', controller.editReconciliation);
-router.delete('/reconciliation/delete/:ordernumber', controller.deleteReconciliation);
+router.get('/reconciliation/search-for-edit', canSearch, controller.searchForEdit); // Used for edit page search
+router.put('/reconciliation/lines/:lineId', canEdit, controller.editReconciliation);
+router.delete('/reconciliation/lines/:lineId', canDelete, controller.deleteReconciliation);
+router.post('/reconciliation/lines/bulk-update', canEdit, controller.bulkUpdateReconciliation);
+router.post('/reconciliation/lines/bulk-delete', canDelete, controller.bulkDeleteReconciliation);
 
 // ========== 🧪 AS OF CHECKING ==========
-router.post('/reconciliation/check', upload.single('file'), controller.checkAsOfDuplicates);
-router.get('/reconciliation/asof-duplicate-report', controller.downloadAsOfDuplicateReport);
+router.post('/reconciliation/check', canCheck, upload.single('file'), controller.checkAsOfDuplicates);
+router.get('/reconciliation/mapping-profiles', canCheck, mappingController.listProfiles);
+router.post('/reconciliation/mapping-profiles', canManageMappings, mappingController.createProfile);
+router.put('/reconciliation/mapping-profiles/:profileId', canManageMappings, mappingController.updateProfile);
+router.delete('/reconciliation/mapping-profiles/:profileId', canManageMappings, mappingController.deleteProfile);
 
 // ========== 🔍 DATA SEARCH ==========
-router.get('/reconciliation/datasearch', controller.searchReconciliationData); // Renamed from /datasearch
+router.get('/reconciliation/datasearch', canSearch, controller.searchReconciliationData); // Renamed from /datasearch
+router.get('/reconciliation/datasearch/options', canSearch, controller.getSearchOptions);
+router.get('/reconciliation/history/:ordernumber', canSearch, controller.getReconciliationHistory);
+
+// ========== 📊 DASHBOARD ==========
+// Aggregate metrics; each figure carries the search filters of its lines for drill-down
+router.get('/reconciliation/dashboard', canSearch, dashboardController.getDashboard);
+router.get('/reconciliation/dashboard/:metric', canSearch, dashboardController.getDashboardMetric);
+
+// ========== ⏰ LATE ORDERS ==========
+// Lines past or near their CDD (?days=N is the due soon window), aged and broken down by club and batch
+router.get('/reconciliation/late-orders', canSearch, lateOrdersController.getLateOrdersReport);
+
+// ========== 📦 BATCHES ==========
+// Batch numbers contain "#", so clients encode them in the path
+router.get('/reconciliation/batches', canSearch, batchController.listBatches);
+router.put('/reconciliation/batches/:batchNumber/state', canManageBatches, batchController.setBatchState); // OPEN, CLOSED or LOCKED
+router.post('/reconciliation/batches/:batchNumber/ship', canEdit, batchController.markBatchShipped);
+
+// ========== 🚦 ORDER STATUSES ==========
+// Statuses, allowed transitions and legacy aliases, for the status pickers (managed under /order-statuses)
+router.get('/reconciliation/statuses', canSearch, statusController.getStatusModel);
+
+// ========== 🔖 SAVED SEARCHES ==========
+// Own searches plus the ones shared by others; only the owner can change or delete a search
+router.get('/reconciliation/saved-searches', canSearch, savedSearchController.listSavedSearches);
+router.get('/reconciliation/saved-searches/:searchId', canSearch, savedSearchController.getSavedSearch);
+router.post('/reconciliation/saved-searches', canSearch, savedSearchController.createSavedSearch);
+router.put('/reconciliation/saved-searches/:searchId', canSearch, savedSearchController.updateSavedSearch);
+router.delete('/reconciliation/saved-searches/:searchId', canSearch, savedSearchController.deleteSavedSearch);
+
+// ========== ⬇️ EXPORTS ==========
+// Streamed as CSV or XLSX: ?format=csv|xlsx and ?columns=A,B,C (in the order wanted)
+router.post('/reconciliation/export/link', exportController.createExportLink); // Signed link the browser downloads from
+router.get('/reconciliation/export/search', canSearch, exportController.exportSearch); // Same filters and sorting as /datasearch
+router.get('/reconciliation/export/duplicates', canCheck, exportController.exportDuplicates);
+router.get('/reconciliation/export/asof/:reportId', canCheck, exportController.exportAsOfReport);
+router.get('/reconciliation/export/late-orders', canSearch, exportController.exportLateOrders); // ?days=N&category=all|overdue|shippedLate|dueSoon
+router.get('/reconciliation/export/batches/:batchNumber', canSearch, exportController.exportBatchManifest);
+
+// ========== 🗂️ REPORTS ==========
+router.get('/reconciliation/reports', canViewReports, reportController.listReports);
+router.get('/reconciliation/reports/:reportId/download', canViewReports, reportController.downloadReport);
+router.get('/reconciliation/reports/:reportId/annotated', canViewReports, reportController.downloadAnnotated);
+
+// ========== ⏳ BACKGROUND JOBS ==========
+// Uploads and As-of Checks run as jobs; the client polls them for progress and the result
+router.get('/reconciliation/jobs', jobController.listJobs);
+router.get('/reconciliation/jobs/:jobId', jobController.getJobStatus);
 
 // ========== 🧪 DEBUG ==========
 router.get('/test-db', controller.testDB);
 // router.get('/debug/users', controller.debugUsers);
 
 // ========== 📄 SAMPLE DOWNLOAD ==========
-router.get('/reconciliation/sample', controller.downloadSampleExcel);
+router.get('/reconciliation/sample', canUpload, controller.downloadSampleExcel);
 
 // ========== Duplicate Report Download ==========
-router.get('/reconciliation/true-duplicates', controller.checkTrueDuplicates);
+router.get('/reconciliation/true-duplicates', canCheck, controller.checkTrueDuplicates);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * 🔒 One-off Password Migration
+ * Hashes every legacy plaintext password in SYSTEM.SAP_USERS and clears the PASSWORD column.
+ * Users that are not migrated here are upgraded on their next successful login instead.
+ * Usage: npm run migrate:passwords
+ */
+const oracledb = require('oracledb');
+const initConnection = require('../db');
+const { hashPassword } = require('../utils/password');
+
+const migrate = async () => {
+  await initConnection();
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `SELECT USERNAME, PASSWORD FROM SYSTEM.SAP_USERS
+       WHERE PASSWORD_HASH IS NULL AND PASSWORD IS NOT NULL`,
+      [],
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+
+    for (const user of result.rows) {
+      await conn.execute(
+        `UPDATE SYSTEM.SAP_USERS SET PASSWORD_HASH = :passwordHash, PASSWORD = NULL
+         WHERE USERNAME = :username`,
+        { passwordHash: await hashPassword(user.PASSWORD), username: user.USERNAME }
+      );
+    }
+
+    await conn.commit(); // All users are migrated or none are
+    console.log(`✅ Migrated ${result.rows.length} password(s).`);
+  } catch (err) {
+    console.error('💥 Password migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    if (conn) {
+      await conn.close();
+      await oracledb.getPool().close(0); // Let the process exit
+    }
+  }
+};
+
+migrate();
@@ -1,6 +1,8 @@
 const express = require('express');
 const cors = require('cors');
 const initConnection = require('./db');
+const { scheduleReportCleanup } = require('./utils/reports');
+const { startJobWorker } = require('./utils/jobs');
 require('dotenv').config();
 
 const app = express();
@@ -8,7 +10,11 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-initConnection();
+// Report cleanup and the job worker need the connection pool
+initConnection().then(() => {
+  scheduleReportCleanup();
+  startJobWorker();
+});
 
 app.use('/api', require('./routes/mainRoutes'));
 
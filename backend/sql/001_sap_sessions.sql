@@ -0,0 +1,13 @@
+-- Server-side login sessions.
+-- One row per issued session token; the token itself is never stored, only its signed session id.
+CREATE TABLE SYSTEM.SAP_SESSIONS (
+  SESSION_ID    VARCHAR2(64)  NOT NULL,
+  USERNAME      VARCHAR2(100) NOT NULL,
+  CREATED_AT    TIMESTAMP     DEFAULT SYSTIMESTAMP NOT NULL,
+  LAST_SEEN_AT  TIMESTAMP     DEFAULT SYSTIMESTAMP NOT NULL,
+  EXPIRES_AT    TIMESTAMP     NOT NULL,
+  REVOKED_AT    TIMESTAMP,
+  CONSTRAINT SAP_SESSIONS_PK PRIMARY KEY (SESSION_ID)
+);
+
+CREATE INDEX SAP_SESSIONS_USER_IDX ON SYSTEM.SAP_SESSIONS (USERNAME);
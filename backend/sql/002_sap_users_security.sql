@@ -0,0 +1,19 @@
+-- Hashed passwords and account state for SYSTEM.SAP_USERS.
+-- Existing plaintext passwords stay in PASSWORD until they are migrated, either on the user's
+-- next login or in bulk with `npm run migrate:passwords`. Migrated rows have PASSWORD set to NULL.
+ALTER TABLE SYSTEM.SAP_USERS ADD (
+  PASSWORD_HASH         VARCHAR2(255),
+  IS_ACTIVE             NUMBER(1)  DEFAULT 1 NOT NULL,
+  IS_LOCKED             NUMBER(1)  DEFAULT 0 NOT NULL,
+  IS_ADMIN              NUMBER(1)  DEFAULT 0 NOT NULL,
+  FAILED_ATTEMPTS       NUMBER(3)  DEFAULT 0 NOT NULL,
+  MUST_CHANGE_PASSWORD  NUMBER(1)  DEFAULT 0 NOT NULL,
+  CREATED_AT            TIMESTAMP  DEFAULT SYSTIMESTAMP NOT NULL,
+  LAST_LOGIN_AT         TIMESTAMP
+);
+
+-- Skip this statement if PASSWORD is already nullable (ORA-01451).
+ALTER TABLE SYSTEM.SAP_USERS MODIFY (PASSWORD NULL);
+
+-- Grant the first administrator by hand, e.g.:
+-- UPDATE SYSTEM.SAP_USERS SET IS_ADMIN = 1 WHERE USERNAME = 'your_username';
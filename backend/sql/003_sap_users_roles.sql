@@ -0,0 +1,16 @@
+-- Role-based permissions for SYSTEM.SAP_USERS.
+-- Replaces the IS_ADMIN flag with a ROLE of viewer, operator or admin
+-- (see backend/utils/permissions.js for what each role may do).
+ALTER TABLE SYSTEM.SAP_USERS ADD (
+  ROLE VARCHAR2(20) DEFAULT 'viewer' NOT NULL
+    CONSTRAINT SAP_USERS_ROLE_CHK CHECK (ROLE IN ('viewer', 'operator', 'admin'))
+);
+
+-- Existing users keep what they could do before: admins stay admins, everyone else may upload and edit.
+UPDATE SYSTEM.SAP_USERS SET ROLE = CASE WHEN IS_ADMIN = 1 THEN 'admin' ELSE 'operator' END;
+COMMIT;
+
+ALTER TABLE SYSTEM.SAP_USERS DROP COLUMN IS_ADMIN;
+
+-- Grant administrator rights by hand if needed, e.g.:
+-- UPDATE SYSTEM.SAP_USERS SET ROLE = 'admin' WHERE USERNAME = 'your_username';
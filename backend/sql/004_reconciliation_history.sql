@@ -0,0 +1,17 @@
+-- Audit trail for SYSTEM.RECONCILIATION.
+-- One row per inserted, updated or deleted line. OLD_VALUES / NEW_VALUES hold the full line as JSON
+-- (OLD_VALUES is NULL for inserts, NEW_VALUES is NULL for deletes).
+CREATE TABLE SYSTEM.RECONCILIATION_HISTORY (
+  HISTORY_ID       NUMBER GENERATED ALWAYS AS IDENTITY,
+  ORDERNUMBER      VARCHAR2(100) NOT NULL,
+  MATERIAL_NUMBER  VARCHAR2(200),
+  ACTION           VARCHAR2(10)  NOT NULL CONSTRAINT RECON_HISTORY_ACTION_CHK CHECK (ACTION IN ('INSERT', 'UPDATE', 'DELETE')),
+  CHANGED_BY       VARCHAR2(100) NOT NULL,
+  CHANGED_AT       TIMESTAMP     DEFAULT SYSTIMESTAMP NOT NULL,
+  SOURCE           VARCHAR2(400),
+  OLD_VALUES       CLOB CONSTRAINT RECON_HISTORY_OLD_JSON CHECK (OLD_VALUES IS JSON),
+  NEW_VALUES       CLOB CONSTRAINT RECON_HISTORY_NEW_JSON CHECK (NEW_VALUES IS JSON),
+  CONSTRAINT RECONCILIATION_HISTORY_PK PRIMARY KEY (HISTORY_ID)
+);
+
+CREATE INDEX RECON_HISTORY_ORDER_IDX ON SYSTEM.RECONCILIATION_HISTORY (ORDERNUMBER, CHANGED_AT);
@@ -0,0 +1,13 @@
+-- Stable identity for single order lines.
+-- An order has one line per material, so ORDERNUMBER alone can't address a line. LINE_ID is a
+-- surrogate key filled for existing rows when the column is added and generated for new ones.
+ALTER TABLE SYSTEM.RECONCILIATION ADD (
+  LINE_ID NUMBER GENERATED BY DEFAULT ON NULL AS IDENTITY
+);
+
+ALTER TABLE SYSTEM.RECONCILIATION ADD CONSTRAINT RECONCILIATION_LINE_ID_UK UNIQUE (LINE_ID);
+
+-- History rows point at the line they describe
+ALTER TABLE SYSTEM.RECONCILIATION_HISTORY ADD (LINE_ID NUMBER);
+
+CREATE INDEX RECON_HISTORY_LINE_IDX ON SYSTEM.RECONCILIATION_HISTORY (LINE_ID);
@@ -0,0 +1,47 @@
+-- Staging area for reconciliation uploads.
+-- An upload is first parsed into RECONCILIATION_STAGING and previewed; nothing reaches
+-- SYSTEM.RECONCILIATION until the user commits it. Discarded uploads keep their header row only.
+CREATE TABLE SYSTEM.RECONCILIATION_UPLOADS (
+  UPLOAD_ID        NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  FILE_NAME        VARCHAR2(400),
+  UPLOADED_BY      VARCHAR2(100) NOT NULL,
+  UPLOADED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  STATUS           VARCHAR2(20) DEFAULT 'STAGED' NOT NULL
+                   CONSTRAINT RECON_UPLOADS_STATUS_CK CHECK (STATUS IN ('STAGED', 'COMMITTED', 'DISCARDED')),
+  FINISHED_AT      TIMESTAMP,
+  FINISHED_BY      VARCHAR2(100),
+  TOTAL_ROWS       NUMBER DEFAULT 0 NOT NULL,
+  NEW_ROWS         NUMBER DEFAULT 0 NOT NULL,
+  DUPLICATE_ROWS   NUMBER DEFAULT 0 NOT NULL,
+  FILE_DUPLICATE_ROWS NUMBER DEFAULT 0 NOT NULL,
+  INVALID_ROWS     NUMBER DEFAULT 0 NOT NULL,
+  INSERTED_ROWS    NUMBER
+);
+
+-- One row per data row of the file. ROW_STATUS is decided at preview time:
+--   NEW            ready to insert
+--   DUPLICATE      ORDERNUMBER + MATERIAL_NUMBER already in SYSTEM.RECONCILIATION
+--   FILE_DUPLICATE same ORDERNUMBER + MATERIAL_NUMBER as an earlier row of the file
+--   INVALID        failed validation (see MESSAGE); RAW_VALUES keeps the row as uploaded
+CREATE TABLE SYSTEM.RECONCILIATION_STAGING (
+  UPLOAD_ID         NUMBER NOT NULL
+                    CONSTRAINT RECON_STAGING_UPLOAD_FK REFERENCES SYSTEM.RECONCILIATION_UPLOADS (UPLOAD_ID) ON DELETE CASCADE,
+  ROW_NUM           NUMBER NOT NULL,
+  ROW_STATUS        VARCHAR2(20) NOT NULL
+                    CONSTRAINT RECON_STAGING_STATUS_CK CHECK (ROW_STATUS IN ('NEW', 'DUPLICATE', 'FILE_DUPLICATE', 'INVALID')),
+  MESSAGE           VARCHAR2(1000),
+  ORDERNUMBER       VARCHAR2(100),
+  SALESDOCUMENT     NUMBER,
+  ORDERDATE         DATE,
+  BATCHNUMBER       VARCHAR2(100),
+  YEAR              NUMBER,
+  MATERIAL_NUMBER   VARCHAR2(200),
+  CLUB_NAME         VARCHAR2(200),
+  ORDERTYPE         VARCHAR2(100),
+  STATUS            VARCHAR2(100),
+  CDD               VARCHAR2(100),
+  SHIPOUTDATE       DATE,
+  UPSTRACKINGNUMBER VARCHAR2(100),
+  RAW_VALUES        CLOB CONSTRAINT RECON_STAGING_RAW_JSON CHECK (RAW_VALUES IS JSON),
+  CONSTRAINT RECON_STAGING_PK PRIMARY KEY (UPLOAD_ID, ROW_NUM)
+);
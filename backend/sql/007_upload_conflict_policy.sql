@@ -0,0 +1,13 @@
+-- Conflict policy for staged uploads: what happens to file rows whose ORDERNUMBER + MATERIAL_NUMBER
+-- already exist in SYSTEM.RECONCILIATION when the upload is committed.
+--   REJECT      the whole upload is refused (the original behaviour)
+--   SKIP        existing lines are left alone, only new lines are inserted
+--   OVERWRITE   existing lines take the file's values for every column present in the file
+--   FILL_EMPTY  existing lines only get values for columns that are still empty
+ALTER TABLE SYSTEM.RECONCILIATION_UPLOADS ADD (
+  CONFLICT_POLICY VARCHAR2(20) DEFAULT 'REJECT' NOT NULL
+                  CONSTRAINT RECON_UPLOADS_POLICY_CK CHECK (CONFLICT_POLICY IN ('REJECT', 'SKIP', 'OVERWRITE', 'FILL_EMPTY')),
+  FILE_COLUMNS    VARCHAR2(4000),
+  UPDATED_ROWS    NUMBER,
+  SKIPPED_ROWS    NUMBER
+);
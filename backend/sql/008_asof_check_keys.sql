@@ -0,0 +1,11 @@
+-- Keys of an As-of Check upload. The check loads every ORDERNUMBER + MATERIAL_NUMBER pair of the
+-- file here with one bulk insert and compares them with SYSTEM.RECONCILIATION in a single join.
+-- Rows are private to the session and disappear at the end of the transaction.
+CREATE GLOBAL TEMPORARY TABLE SYSTEM.ASOF_CHECK_KEYS (
+  ORDERNUMBER     VARCHAR2(100),
+  MATERIAL_NUMBER VARCHAR2(200)
+) ON COMMIT DELETE ROWS;
+
+-- Lookups by order and material (the As-of Check join and the upload duplicate checks).
+-- Skip this if an equivalent index already exists on the table.
+CREATE INDEX RECON_ORDER_MATERIAL_IDX ON SYSTEM.RECONCILIATION (ORDERNUMBER, MATERIAL_NUMBER);
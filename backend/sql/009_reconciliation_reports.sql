@@ -0,0 +1,16 @@
+-- One row per generated report (As-of Check duplicates, upload problem rows).
+-- The CSV itself lives in backend/exports/reports/<REPORT_ID>.csv and is removed together with
+-- the row once it is older than REPORT_RETENTION_DAYS.
+CREATE TABLE SYSTEM.RECONCILIATION_REPORTS (
+  REPORT_ID    NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  REPORT_TYPE  VARCHAR2(20) NOT NULL
+               CONSTRAINT RECON_REPORTS_TYPE_CK CHECK (REPORT_TYPE IN ('ASOF_CHECK', 'UPLOAD')),
+  CREATED_BY   VARCHAR2(100) NOT NULL,
+  CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  SOURCE_FILE  VARCHAR2(400),
+  TOTAL_ROWS   NUMBER DEFAULT 0 NOT NULL,
+  REPORT_ROWS  NUMBER DEFAULT 0 NOT NULL,
+  UPLOAD_ID    NUMBER
+);
+
+CREATE INDEX RECON_REPORTS_CREATED_IDX ON SYSTEM.RECONCILIATION_REPORTS (CREATED_AT);
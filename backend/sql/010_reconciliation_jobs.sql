@@ -0,0 +1,24 @@
+-- Background jobs (As-of Checks and upload previews).
+-- The HTTP request only queues the job; a worker in the backend picks QUEUED jobs, updates the
+-- progress columns while it runs and stores the outcome in RESULT (JSON) or ERROR_MESSAGE.
+CREATE TABLE SYSTEM.RECONCILIATION_JOBS (
+  JOB_ID         NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  JOB_TYPE       VARCHAR2(20) NOT NULL,
+  STATUS         VARCHAR2(20) DEFAULT 'QUEUED' NOT NULL
+                 CONSTRAINT RECON_JOBS_STATUS_CK CHECK (STATUS IN ('QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED')),
+  CREATED_BY     VARCHAR2(100) NOT NULL,
+  CREATED_AT     TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  STARTED_AT     TIMESTAMP,
+  FINISHED_AT    TIMESTAMP,
+  SOURCE_FILE    VARCHAR2(400),
+  FILE_PATH      VARCHAR2(1000),
+  PARAMS         CLOB CONSTRAINT RECON_JOBS_PARAMS_JSON CHECK (PARAMS IS JSON),
+  TOTAL_ROWS     NUMBER,
+  PROCESSED_ROWS NUMBER DEFAULT 0 NOT NULL,
+  FLAGGED_ROWS   NUMBER DEFAULT 0 NOT NULL,
+  RESULT         CLOB CONSTRAINT RECON_JOBS_RESULT_JSON CHECK (RESULT IS JSON),
+  ERROR_MESSAGE  VARCHAR2(4000)
+);
+
+CREATE INDEX RECON_JOBS_STATUS_IDX ON SYSTEM.RECONCILIATION_JOBS (STATUS, JOB_ID);
+CREATE INDEX RECON_JOBS_USER_IDX ON SYSTEM.RECONCILIATION_JOBS (CREATED_BY, CREATED_AT);
@@ -0,0 +1,24 @@
+-- Saved column mappings for As-of Check input files: which column of the file holds the order number,
+-- the material and the batch. The profile matching a file's headers is picked automatically
+-- unless the user chooses one on the As-of Check page.
+CREATE TABLE SYSTEM.COLUMN_MAPPING_PROFILES (
+  PROFILE_ID          NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  PROFILE_NAME        VARCHAR2(100) NOT NULL CONSTRAINT COLUMN_MAPPING_NAME_UK UNIQUE,
+  ORDERNUMBER_COLUMN  VARCHAR2(200) NOT NULL,
+  MATERIAL_COLUMN     VARCHAR2(200) NOT NULL,
+  BATCHNUMBER_COLUMN  VARCHAR2(200) NOT NULL,
+  CREATED_BY          VARCHAR2(100) NOT NULL,
+  CREATED_AT          TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  UPDATED_BY          VARCHAR2(100),
+  UPDATED_AT          TIMESTAMP
+);
+
+-- The headers the As-of Check used to require
+INSERT INTO SYSTEM.COLUMN_MAPPING_PROFILES (PROFILE_NAME, ORDERNUMBER_COLUMN, MATERIAL_COLUMN, BATCHNUMBER_COLUMN, CREATED_BY)
+VALUES ('Default (Order ID / Material / BATCHNUMBER)', 'Order ID', 'Material', 'BATCHNUMBER', 'system');
+
+-- Files exported from this application (Search Data, sample file)
+INSERT INTO SYSTEM.COLUMN_MAPPING_PROFILES (PROFILE_NAME, ORDERNUMBER_COLUMN, MATERIAL_COLUMN, BATCHNUMBER_COLUMN, CREATED_BY)
+VALUES ('Reconciliation export', 'ORDERNUMBER', 'MATERIAL_NUMBER', 'BATCHNUMBER', 'system');
+
+COMMIT;
@@ -0,0 +1,7 @@
+-- How the columns of an uploaded file were read: file header → reconciliation column (JSON),
+-- as recognized by name or alias or chosen by the user in the mapping step, and the file
+-- headers that were left out (JSON array), shown as a warning in the preview.
+ALTER TABLE SYSTEM.RECONCILIATION_UPLOADS ADD (
+  COLUMN_MAPPING   CLOB,
+  IGNORED_COLUMNS  CLOB
+);
@@ -0,0 +1,11 @@
+-- Values changed while normalizing an upload (null values, placeholder dates, Excel serial dates,
+-- dates taken from text): per staged row as text, and per upload as a JSON summary of
+-- [{ column, kind, label, count }] shown in the preview.
+ALTER TABLE SYSTEM.RECONCILIATION_STAGING ADD (
+  COERCIONS  VARCHAR2(4000)
+);
+
+ALTER TABLE SYSTEM.RECONCILIATION_UPLOADS ADD (
+  COERCED_ROWS       NUMBER DEFAULT 0 NOT NULL,
+  COERCION_SUMMARY   VARCHAR2(4000)
+);
@@ -0,0 +1,10 @@
+-- Uploads may read several sheets of a workbook. The upload records which sheets were read (JSON array)
+-- and every staged row the sheet and Excel row number it came from.
+ALTER TABLE SYSTEM.RECONCILIATION_UPLOADS ADD (
+  SHEET_NAMES  VARCHAR2(4000)
+);
+
+ALTER TABLE SYSTEM.RECONCILIATION_STAGING ADD (
+  SHEET_NAME  VARCHAR2(100),
+  SHEET_ROW   NUMBER
+);
@@ -0,0 +1,62 @@
+-- Declarative validation rules for reconciliation lines, managed by administrators.
+-- They run on every import (upload staging) and on manual edits. Rules only look at values
+-- that are present, except REQUIRED.
+--   REQUIRED        COLUMN_NAME must have a value
+--   PATTERN         COLUMN_NAME must match the regular expression in PATTERN
+--   ALLOWED_VALUES  COLUMN_NAME must be one of ALLOWED_VALUES (JSON array, compared case-insensitively)
+--   COMPARE_DATES   COLUMN_NAME <OPERATOR> OTHER_COLUMN, both dates (e.g. SHIPOUTDATE >= ORDERDATE)
+--   YEAR_OF_DATE    COLUMN_NAME must equal the year of the date in OTHER_COLUMN (e.g. YEAR and ORDERDATE)
+-- SEVERITY ERROR rejects the row or edit; WARNING lets it through and reports it.
+CREATE TABLE SYSTEM.VALIDATION_RULES (
+  RULE_ID         NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  RULE_TYPE       VARCHAR2(20) NOT NULL
+                  CONSTRAINT VALIDATION_RULES_TYPE_CK
+                  CHECK (RULE_TYPE IN ('REQUIRED', 'PATTERN', 'ALLOWED_VALUES', 'COMPARE_DATES', 'YEAR_OF_DATE')),
+  COLUMN_NAME     VARCHAR2(30) NOT NULL,
+  PATTERN         VARCHAR2(1000),
+  ALLOWED_VALUES  VARCHAR2(4000),
+  OPERATOR        VARCHAR2(2)
+                  CONSTRAINT VALIDATION_RULES_OPERATOR_CK CHECK (OPERATOR IN ('<', '<=', '=', '>=', '>')),
+  OTHER_COLUMN    VARCHAR2(30),
+  SEVERITY        VARCHAR2(10) DEFAULT 'ERROR' NOT NULL
+                  CONSTRAINT VALIDATION_RULES_SEVERITY_CK CHECK (SEVERITY IN ('ERROR', 'WARNING')),
+  MESSAGE         VARCHAR2(400),
+  IS_ACTIVE       NUMBER(1) DEFAULT 1 NOT NULL,
+  CREATED_BY      VARCHAR2(100) NOT NULL,
+  CREATED_AT      TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  UPDATED_BY      VARCHAR2(100),
+  UPDATED_AT      TIMESTAMP
+);
+
+-- Starting rules; patterns are warnings until existing data has been cleaned up
+INSERT INTO SYSTEM.VALIDATION_RULES (RULE_TYPE, COLUMN_NAME, PATTERN, SEVERITY, MESSAGE, CREATED_BY)
+VALUES ('PATTERN', 'MATERIAL_NUMBER', '^AGA-\d{4}_[A-Z0-9]+_[A-Z0-9]+$', 'WARNING',
+        'MATERIAL_NUMBER should look like AGA-1234_COLOR_SIZE', 'system');
+
+INSERT INTO SYSTEM.VALIDATION_RULES (RULE_TYPE, COLUMN_NAME, PATTERN, SEVERITY, MESSAGE, CREATED_BY)
+VALUES ('PATTERN', 'BATCHNUMBER', '^Week\d{1,2}#\d+$', 'WARNING',
+        'BATCHNUMBER should look like Week25#1', 'system');
+
+INSERT INTO SYSTEM.VALIDATION_RULES (RULE_TYPE, COLUMN_NAME, OPERATOR, OTHER_COLUMN, SEVERITY, MESSAGE, CREATED_BY)
+VALUES ('COMPARE_DATES', 'SHIPOUTDATE', '>=', 'ORDERDATE', 'ERROR',
+        'SHIPOUTDATE cannot be before ORDERDATE', 'system');
+
+INSERT INTO SYSTEM.VALIDATION_RULES (RULE_TYPE, COLUMN_NAME, OTHER_COLUMN, SEVERITY, MESSAGE, CREATED_BY)
+VALUES ('YEAR_OF_DATE', 'YEAR', 'ORDERDATE', 'WARNING',
+        'YEAR does not match the year of ORDERDATE', 'system');
+
+-- Allowed value lists depend on the SAP setup; add them from the Validation Rules page, e.g.
+--   ALLOWED_VALUES for ORDERTYPE: ["ZBC", "ZOR"]
+
+COMMIT;
+
+
+-- Warnings raised by validation rules on an upload: per staged row as text, counted per upload.
+-- Rule errors make the row INVALID and are part of its MESSAGE.
+ALTER TABLE SYSTEM.RECONCILIATION_STAGING ADD (
+  WARNINGS  VARCHAR2(4000)
+);
+
+ALTER TABLE SYSTEM.RECONCILIATION_UPLOADS ADD (
+  WARNING_ROWS  NUMBER DEFAULT 0 NOT NULL
+);
@@ -0,0 +1,5 @@
+-- File name of the annotated copy of an uploaded file (the original with an "Errors" column and
+-- notes on the offending cells), kept with the upload's report and removed with it.
+ALTER TABLE SYSTEM.RECONCILIATION_REPORTS ADD (
+  ANNOTATED_FILE  VARCHAR2(260)
+);
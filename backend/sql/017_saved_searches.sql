@@ -0,0 +1,28 @@
+-- Named searches saved by users on the Search Data and Edit Reconciliation pages.
+-- CRITERIA is JSON: { filters: [{ column, op, value }], sort, dir, pageSize } (see utils/search.js).
+-- PAGE is the page the search opens on ('search' or 'edit'). Shared searches are listed for everyone
+-- who can search, but only their owner can change or delete them.
+CREATE TABLE SYSTEM.SAVED_SEARCHES (
+  SEARCH_ID    NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  OWNER        VARCHAR2(100) NOT NULL,
+  SEARCH_NAME  VARCHAR2(100) NOT NULL,
+  PAGE         VARCHAR2(10) DEFAULT 'search' NOT NULL
+               CONSTRAINT SAVED_SEARCHES_PAGE_CK CHECK (PAGE IN ('search', 'edit')),
+  CRITERIA     VARCHAR2(4000) NOT NULL,
+  IS_SHARED    NUMBER(1) DEFAULT 0 NOT NULL,
+  CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  UPDATED_AT   TIMESTAMP,
+  CONSTRAINT SAVED_SEARCHES_NAME_UK UNIQUE (OWNER, SEARCH_NAME)
+);
+
+CREATE INDEX SAVED_SEARCHES_SHARED_IX ON SYSTEM.SAVED_SEARCHES (IS_SHARED);
+
+-- Column visibility, order and widths of a results table, per user.
+-- LAYOUT is JSON: { columns: [{ column, visible, width }] } in display order; width is in pixels or null.
+CREATE TABLE SYSTEM.USER_TABLE_LAYOUTS (
+  USERNAME    VARCHAR2(100) NOT NULL,
+  TABLE_KEY   VARCHAR2(30) NOT NULL,
+  LAYOUT      VARCHAR2(4000) NOT NULL,
+  UPDATED_AT  TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  CONSTRAINT USER_TABLE_LAYOUTS_PK PRIMARY KEY (USERNAME, TABLE_KEY)
+);
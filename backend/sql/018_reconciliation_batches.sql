@@ -0,0 +1,16 @@
+-- State of a batch (the BATCHNUMBER of its lines, e.g. Week25#1). Batches without a row are OPEN.
+-- CLOSED: no line can be added to the batch or moved into it, by an upload or an edit; its lines can
+--         still be updated.
+-- LOCKED: as CLOSED, and its lines can't be changed, moved out or deleted either.
+-- Batch names are compared without case or surrounding spaces.
+CREATE TABLE SYSTEM.RECONCILIATION_BATCHES (
+  BATCHNUMBER  VARCHAR2(100) PRIMARY KEY,
+  STATE        VARCHAR2(10) DEFAULT 'OPEN' NOT NULL
+               CONSTRAINT RECONCILIATION_BATCHES_STATE_CK CHECK (STATE IN ('OPEN', 'CLOSED', 'LOCKED')),
+  NOTE         VARCHAR2(500),
+  CHANGED_BY   VARCHAR2(100) NOT NULL,
+  CHANGED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL
+);
+
+-- The Batches page groups every line by its batch
+CREATE INDEX RECON_BATCHNUMBER_IDX ON SYSTEM.RECONCILIATION (BATCHNUMBER);
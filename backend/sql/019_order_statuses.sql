@@ -0,0 +1,65 @@
+-- Order status workflow (see utils/statuses.js), managed by administrators.
+-- ORDER_STATUSES is the list of canonical statuses a line's STATUS can take.
+-- ORDER_STATUS_TRANSITIONS lists the status changes anyone who can edit may make; any other change
+-- of an existing line's status (e.g. Shipped back to Pending) needs an admin. New lines may start
+-- in any status.
+-- ORDER_STATUS_ALIASES map legacy free text (e.g. "Order shared on 06.23.2025") to a canonical
+-- status: PATTERN is a regular expression matched case-insensitively. The original text is kept in
+-- the line's STATUS_NOTE.
+CREATE TABLE SYSTEM.ORDER_STATUSES (
+  STATUS       VARCHAR2(50) PRIMARY KEY,
+  DESCRIPTION  VARCHAR2(400),
+  SORT_ORDER   NUMBER DEFAULT 0 NOT NULL,
+  IS_ACTIVE    NUMBER(1) DEFAULT 1 NOT NULL,
+  CREATED_BY   VARCHAR2(100) NOT NULL,
+  CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL,
+  UPDATED_BY   VARCHAR2(100),
+  UPDATED_AT   TIMESTAMP
+);
+
+CREATE TABLE SYSTEM.ORDER_STATUS_TRANSITIONS (
+  FROM_STATUS  VARCHAR2(50) NOT NULL
+               CONSTRAINT ORDER_STATUS_TRANS_FROM_FK REFERENCES SYSTEM.ORDER_STATUSES (STATUS) ON DELETE CASCADE,
+  TO_STATUS    VARCHAR2(50) NOT NULL
+               CONSTRAINT ORDER_STATUS_TRANS_TO_FK REFERENCES SYSTEM.ORDER_STATUSES (STATUS) ON DELETE CASCADE,
+  CONSTRAINT ORDER_STATUS_TRANSITIONS_PK PRIMARY KEY (FROM_STATUS, TO_STATUS)
+);
+
+CREATE TABLE SYSTEM.ORDER_STATUS_ALIASES (
+  ALIAS_ID     NUMBER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  PATTERN      VARCHAR2(400) NOT NULL,
+  STATUS       VARCHAR2(50) NOT NULL
+               CONSTRAINT ORDER_STATUS_ALIASES_STATUS_FK REFERENCES SYSTEM.ORDER_STATUSES (STATUS) ON DELETE CASCADE,
+  CREATED_BY   VARCHAR2(100) NOT NULL,
+  CREATED_AT   TIMESTAMP DEFAULT SYSTIMESTAMP NOT NULL
+);
+
+-- The original text of a legacy status, kept when it was mapped to a canonical one
+ALTER TABLE SYSTEM.RECONCILIATION ADD (
+  STATUS_NOTE  VARCHAR2(400)
+);
+
+-- Starting model: the statuses the edit page always offered
+INSERT INTO SYSTEM.ORDER_STATUSES (STATUS, DESCRIPTION, SORT_ORDER, CREATED_BY)
+VALUES ('Pending', 'Received, not yet approved', 10, 'system');
+INSERT INTO SYSTEM.ORDER_STATUSES (STATUS, DESCRIPTION, SORT_ORDER, CREATED_BY)
+VALUES ('Approved', 'Approved and shared for production', 20, 'system');
+INSERT INTO SYSTEM.ORDER_STATUSES (STATUS, DESCRIPTION, SORT_ORDER, CREATED_BY)
+VALUES ('Hold', 'On hold', 30, 'system');
+INSERT INTO SYSTEM.ORDER_STATUSES (STATUS, DESCRIPTION, SORT_ORDER, CREATED_BY)
+VALUES ('Shipped', 'Shipped to the club', 40, 'system');
+
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Pending', 'Approved');
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Pending', 'Hold');
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Approved', 'Hold');
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Approved', 'Shipped');
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Hold', 'Pending');
+INSERT INTO SYSTEM.ORDER_STATUS_TRANSITIONS (FROM_STATUS, TO_STATUS) VALUES ('Hold', 'Approved');
+
+-- Legacy texts seen in the data; add more from the Order Statuses page
+INSERT INTO SYSTEM.ORDER_STATUS_ALIASES (PATTERN, STATUS, CREATED_BY)
+VALUES ('^order shared\b', 'Approved', 'system');
+INSERT INTO SYSTEM.ORDER_STATUS_ALIASES (PATTERN, STATUS, CREATED_BY)
+VALUES ('^open$', 'Pending', 'system');
+
+COMMIT;
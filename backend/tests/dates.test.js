@@ -0,0 +1,67 @@
+// Dates must not depend on the server's time zone: run west of UTC, where a day shift shows
+process.env.TZ = 'America/Los_Angeles';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeDate, isoDate } = require('../utils/values');
+const { bookTypeOf, readRows } = require('../utils/workbook');
+
+const iso = (val) => {
+  const { value } = normalizeDate(val);
+  return value && isoDate(value);
+};
+
+test('normalizeDate reads the supported text formats', () => {
+  assert.strictEqual(iso('2025-06-18'), '2025-06-18');
+  assert.strictEqual(iso('2025/06/18'), '2025-06-18');
+  assert.strictEqual(iso('06/18/2025'), '2025-06-18');
+  assert.strictEqual(iso('06.18.2025'), '2025-06-18');
+  assert.strictEqual(iso('2025-06-18 14:30'), '2025-06-18');
+  assert.strictEqual(normalizeDate('06/18/2025').coercion, null);
+});
+
+test('normalizeDate reads Excel serial numbers and dates', () => {
+  assert.strictEqual(iso(45826), '2025-06-18');
+  assert.strictEqual(normalizeDate(45826).coercion.kind, 'EXCEL_SERIAL');
+  assert.strictEqual(iso(new Date(2025, 5, 18)), '2025-06-18');
+});
+
+test('normalizeDate reads placeholders and null text as empty', () => {
+  assert.deepStrictEqual(normalizeDate('12/31/2999').value, null);
+  assert.strictEqual(normalizeDate('12/31/2999').coercion.kind, 'PLACEHOLDER_DATE');
+  assert.match(normalizeDate('12/31/2999').coercion.message, /^12\/31\/2999 read as empty/);
+  assert.strictEqual(normalizeDate('N/A').value, null);
+  assert.strictEqual(normalizeDate('').invalid, false);
+});
+
+test('normalizeDate rejects impossible dates', () => {
+  assert.strictEqual(normalizeDate('2025-02-30').invalid, true);
+  assert.strictEqual(normalizeDate('2025-13-01').invalid, true);
+  assert.strictEqual(normalizeDate('next week').invalid, true);
+});
+
+test('bookTypeOf tells CSV files from workbooks', () => {
+  assert.strictEqual(bookTypeOf('orders.CSV'), 'csv');
+  assert.strictEqual(bookTypeOf('orders.xlsx'), 'xlsx');
+  assert.strictEqual(bookTypeOf(null), 'xlsx');
+});
+
+test('readRows keeps CSV text as written', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconciliation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'upload'); // Uploads are stored without an extension
+  fs.writeFileSync(filePath, 'ORDERNUMBER,ORDERDATE,CDD\n00123,2025-06-18,12/31/2999\n456,06/18/2025,\n');
+
+  const rows = readRows(filePath, ['Sheet1'], 'csv');
+  assert.deepStrictEqual(rows.map(({ sheetRow }) => sheetRow), [2, 3]);
+  assert.deepStrictEqual(rows[0].row, { ORDERNUMBER: '00123', ORDERDATE: '2025-06-18', CDD: '12/31/2999' });
+
+  assert.strictEqual(iso(rows[0].row.ORDERDATE), '2025-06-18');
+  assert.strictEqual(normalizeDate(rows[0].row.ORDERDATE).coercion, null);
+  assert.strictEqual(iso(rows[1].row.ORDERDATE), '2025-06-18');
+  assert.strictEqual(normalizeDate(rows[1].row.ORDERDATE).coercion, null);
+  assert.strictEqual(normalizeDate(rows[0].row.CDD).coercion.kind, 'PLACEHOLDER_DATE');
+});
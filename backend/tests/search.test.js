@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CDD_AS_DATE, parseSearch, checkCriteria } = require('../utils/search');
+
+const filters = (...conditions) => JSON.stringify(conditions);
+
+test('parseSearch builds bound conditions and sorting', () => {
+  const { search, error } = parseSearch({
+    filters: filters({ column: 'ORDERNUMBER', op: 'equals', value: ' 123 ' }),
+    sort: 'ORDERDATE',
+    dir: 'desc',
+  });
+  assert.strictEqual(error, null);
+  assert.strictEqual(search.where, 'WHERE (UPPER(ORDERNUMBER) = UPPER(:f0))');
+  assert.deepStrictEqual(search.binds, { f0: '123' });
+  assert.strictEqual(search.orderBy, 'ORDER BY ORDERDATE DESC NULLS LAST, LINE_ID');
+});
+
+test('parseSearch rejects columns and operators inherited from Object', () => {
+  assert.strictEqual(parseSearch({ filters: filters({ column: 'toString', op: 'equals', value: 'x' }) }).error, 'Unknown search column: toString.');
+  assert.strictEqual(parseSearch({ filters: filters({ column: 'STATUS', op: 'constructor', value: 'x' }) }).error, 'STATUS can\'t be searched with "constructor".');
+  assert.strictEqual(parseSearch({ sort: 'constructor' }).search.sort, 'ORDERNUMBER');
+});
+
+test('checkCriteria rejects unknown columns and falls back to the default sort', () => {
+  assert.strictEqual(checkCriteria({ filters: [{ column: 'hasOwnProperty', op: 'empty' }] }).error, 'Unknown search column: hasOwnProperty.');
+  assert.strictEqual(checkCriteria({ sort: '__proto__' }).criteria.sort, 'ORDERNUMBER');
+});
+
+test('a CDD range compares CDD as a date and rejects impossible dates', () => {
+  const range = (from, to) => ({ column: 'CDD', op: 'between', value: { from, to } });
+  const { search, error } = parseSearch({ filters: filters(range('2024-01-01', '2024-02-29')) });
+  assert.strictEqual(error, null);
+  assert.strictEqual(search.where, `WHERE (${CDD_AS_DATE} >= TO_DATE(:f0_from, 'YYYY-MM-DD') AND ${CDD_AS_DATE} < TO_DATE(:f0_to, 'YYYY-MM-DD') + 1)`);
+  assert.deepStrictEqual(search.binds, { f0_from: '2024-01-01', f0_to: '2024-02-29' });
+
+  assert.strictEqual(parseSearch({ filters: filters(range('2024-01-01', '2023-02-29')) }).error, 'CDD dates must be YYYY-MM-DD.');
+  assert.strictEqual(checkCriteria({ filters: [range('2024-13-01')] }).error, 'CDD dates must be YYYY-MM-DD.');
+});
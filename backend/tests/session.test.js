@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { signDownloadToken, verifyDownloadToken } = require('../utils/session');
+
+const url = '/api/reconciliation/export/search?format=csv&columns=ORDERNUMBER,STATUS';
+
+test('a download token opens the URL it was signed for, however its query is encoded', () => {
+  const token = signDownloadToken('session1', url);
+  const requested = `/api/reconciliation/export/search?columns=ORDERNUMBER%2CSTATUS&format=csv&downloadToken=${encodeURIComponent(token)}`;
+  assert.strictEqual(verifyDownloadToken(token, requested), 'session1');
+});
+
+test('a download token opens no other URL', () => {
+  const token = signDownloadToken('session1', url);
+  assert.strictEqual(verifyDownloadToken(token, '/api/reconciliation/export/search?format=xlsx&columns=ORDERNUMBER,STATUS'), null);
+  assert.strictEqual(verifyDownloadToken(token, '/api/reconciliation/export/duplicates?format=csv&columns=ORDERNUMBER,STATUS'), null);
+});
+
+test('forged and expired download tokens are rejected', () => {
+  const [sessionId, expires, signature] = signDownloadToken('session1', url).split('.');
+  assert.strictEqual(verifyDownloadToken(`session2.${expires}.${signature}`, url), null);
+  assert.strictEqual(verifyDownloadToken(`${sessionId}.${Number(expires) + 60000}.${signature}`, url), null);
+  assert.strictEqual(verifyDownloadToken(`${sessionId}.${Date.now() - 1}.${signature}`, url), null);
+  assert.strictEqual(verifyDownloadToken(undefined, url), null);
+});
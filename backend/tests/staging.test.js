@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { lineKey, classifyRows } = require('../utils/staging');
+
+const row = (ORDERNUMBER, MATERIAL_NUMBER, errors = [], BATCHNUMBER = 'B1') => ({
+  line: { ORDERNUMBER, MATERIAL_NUMBER, BATCHNUMBER },
+  errors,
+});
+const classify = (parsed, { existing = [], batchStates = new Map() } = {}) =>
+  classifyRows(parsed, {
+    existingKeys: new Set(existing.map(([order, material]) => lineKey({ ORDERNUMBER: order, MATERIAL_NUMBER: material }))),
+    batchStates,
+    duplicateMessage: 'Order and material already exist',
+    rowLabel: (index) => `row ${index + 1}`,
+  });
+
+test('classifyRows marks new lines, database duplicates and repeats in the file', () => {
+  const result = classify([row('1', 'A'), row('1', 'A'), row('2', 'B')], { existing: [['2', 'B']] });
+  assert.deepStrictEqual(result.map(({ rowStatus }) => rowStatus), ['NEW', 'FILE_DUPLICATE', 'DUPLICATE']);
+  assert.strictEqual(result[1].message, 'Same order and material as row 1');
+});
+
+test('a key already in the database and repeated in the file is merged only once', () => {
+  const result = classify([row('1', 'A'), row('1', 'A')], { existing: [['1', 'A']] });
+  assert.deepStrictEqual(result.map(({ rowStatus }) => rowStatus), ['DUPLICATE', 'FILE_DUPLICATE']);
+});
+
+test('an invalid row does not make a later valid row for the same line a file duplicate', () => {
+  const result = classify([row('1', 'A', [{ column: 'YEAR', message: 'YEAR is not a number: "x"' }]), row('1', 'A'), row('1', 'A')]);
+  assert.deepStrictEqual(result.map(({ rowStatus }) => rowStatus), ['INVALID', 'NEW', 'FILE_DUPLICATE']);
+  assert.strictEqual(result[2].message, 'Same order and material as row 2');
+});
+
+test('a row rejected for its batch does not claim its line either', () => {
+  const parsed = [row('1', 'A', [], 'LOCKED1'), row('1', 'A', [], 'B1')];
+  const result = classify(parsed, { batchStates: new Map([['LOCKED1', 'LOCKED']]) });
+  assert.deepStrictEqual(result.map(({ rowStatus }) => rowStatus), ['INVALID', 'NEW']);
+  assert.strictEqual(parsed[0].errors[0].column, 'BATCHNUMBER');
+});
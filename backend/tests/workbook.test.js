@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xlsx = require('xlsx');
+const { readHeadersBySheet, writeAnnotatedWorkbook } = require('../utils/workbook');
+
+const readPart = (filePath, name) =>
+  Buffer.from(xlsx.CFB.find(xlsx.CFB.read(fs.readFileSync(filePath), { type: 'buffer' }), `/${name}`).content).toString('utf8');
+
+test('writeAnnotatedWorkbook fills and notes offending cells and keeps values and number formats', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-'));
+  const inPath = path.join(dir, 'in.xlsx');
+  const outPath = path.join(dir, 'out.xlsx');
+  try {
+    const worksheet = xlsx.utils.aoa_to_sheet([['Order', 'Quantity'], ['1', 5], ['2', 7]]);
+    worksheet.B2.z = '0.00';
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, worksheet, 'Week <1>');
+    xlsx.writeFile(workbook, inPath);
+
+    writeAnnotatedWorkbook(inPath, outPath, 'xlsx', [
+      { sheet: 'Week <1>', sheetRow: 2, messages: [{ headers: ['Quantity'], text: 'Quantity is too high' }] },
+    ]);
+
+    const annotated = xlsx.readFile(outPath, { cellNF: true }).Sheets['Week <1>'];
+    assert.deepStrictEqual(xlsx.utils.sheet_to_json(annotated, { header: 1 }), [
+      ['Order', 'Quantity', 'Errors'],
+      ['1', 5, 'Quantity is too high'],
+      ['2', 7],
+    ]);
+    assert.strictEqual(annotated.B2.z, '0.00');
+    assert.strictEqual(annotated.B2.c[0].t, 'Quantity is too high');
+
+    const styles = readPart(outPath, 'xl/styles.xml');
+    const fills = styles.match(/<fills count="\d+">([\s\S]*?)<\/fills>/)[1].match(/<fill>[\s\S]*?<\/fill>/g);
+    const xfs = styles.match(/<cellXfs count="\d+">([\s\S]*?)<\/cellXfs>/)[1].match(/<xf\b[^>]*>/g);
+    const styleOf = (address) => Number((readPart(outPath, 'xl/worksheets/sheet1.xml')
+      .match(new RegExp(`<c r="${address}"[^>]*>`))[0].match(/\ss="(\d+)"/) || [0, 0])[1]);
+
+    const filled = xfs[styleOf('B2')];
+    assert.match(fills[Number(filled.match(/fillId="(\d+)"/)[1])], /patternType="solid"/);
+    assert.match(filled, /applyFill="1"/);
+    assert.match(filled, /numFmtId="2"/);
+    assert.doesNotMatch(xfs[styleOf('B3')] || '', /applyFill/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('readHeadersBySheet reads CSV headers as the text in the file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workbook-'));
+  const filePath = path.join(dir, 'in.csv');
+  try {
+    fs.writeFileSync(filePath, 'Order,007,1/2/2024\n1,2,3\n');
+    assert.deepStrictEqual(readHeadersBySheet(filePath, ['Sheet1'], 'csv'), { Sheet1: ['Order', '007', '1/2/2024'] });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
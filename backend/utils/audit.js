@@ -0,0 +1,138 @@
+const oracledb = require('oracledb');
+
+/**
+ * 📜 Audit Helpers
+ * Every change to SYSTEM.RECONCILIATION is written to SYSTEM.RECONCILIATION_HISTORY on the same
+ * connection as the change itself, so the history row commits (or rolls back) together with it.
+ */
+
+/**
+ * Reads the current state of the lines matching a WHERE clause, keyed by LINE_ID.
+ * Used to capture before/after snapshots around an UPDATE or DELETE.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} where - SQL condition on SYSTEM.RECONCILIATION r (without the WHERE keyword)
+ * @param {Object} binds - Bind variables for the condition
+ * @returns {Promise<Map<number, Object>>} - Line values by LINE_ID
+ */
+const snapshotLines = async (conn, where, binds) => {
+  const result = await conn.execute(
+    `SELECT r.* FROM SYSTEM.RECONCILIATION r WHERE ${where}`,
+    binds,
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  return new Map(result.rows.map(line => [line.LINE_ID, line]));
+};
+
+// Oracle caps IN-lists at 1000 expressions; stay well below that
+const IN_LIST_CHUNK = 500;
+
+/**
+ * Reads the current state of the given lines, keyed by LINE_ID. Ids that don't exist are simply absent.
+ * @param {Object} conn - Open Oracle connection
+ * @param {number[]} lineIds - LINE_IDs to read
+ * @returns {Promise<Map<number, Object>>} - Line values by LINE_ID
+ */
+const snapshotLinesById = async (conn, lineIds) => {
+  const lines = new Map();
+  for (let start = 0; start < lineIds.length; start += IN_LIST_CHUNK) {
+    const chunk = lineIds.slice(start, start + IN_LIST_CHUNK);
+    const binds = Object.fromEntries(chunk.map((id, i) => [`id${i}`, id]));
+    const placeholders = chunk.map((_, i) => `:id${i}`).join(', ');
+    const found = await snapshotLines(conn, `r.LINE_ID IN (${placeholders})`, binds);
+    found.forEach((line, id) => lines.set(id, line));
+  }
+  return lines;
+};
+
+/**
+ * Reads the current state of every line with one of the given order/material pairs, keyed by LINE_ID.
+ * @param {Object} conn - Open Oracle connection
+ * @param {Array<{ORDERNUMBER: string, MATERIAL_NUMBER: string}>} keys - Order/material pairs to read
+ * @returns {Promise<Map<number, Object>>} - Line values by LINE_ID
+ */
+const snapshotLinesByKey = async (conn, keys) => {
+  const lines = new Map();
+  const pairsPerChunk = IN_LIST_CHUNK / 2; // Each pair uses two binds
+  for (let start = 0; start < keys.length; start += pairsPerChunk) {
+    const chunk = keys.slice(start, start + pairsPerChunk);
+    const binds = {};
+    const pairs = chunk.map((key, i) => {
+      binds[`o${i}`] = key.ORDERNUMBER;
+      binds[`m${i}`] = key.MATERIAL_NUMBER;
+      return `(:o${i}, :m${i})`;
+    });
+    const found = await snapshotLines(conn, `(r.ORDERNUMBER, r.MATERIAL_NUMBER) IN (${pairs.join(', ')})`, binds);
+    found.forEach((line, id) => lines.set(id, line));
+  }
+  return lines;
+};
+
+/**
+ * Writes history records.
+ * @param {Object} conn - Open Oracle connection (the one used for the change)
+ * @param {Array<Object>} entries - { action, before, after } per changed line
+ * @param {Object} context - { username, source } shared by all entries
+ * @param {Object} [options] - execute options, e.g. { autoCommit: true }
+ */
+const recordHistory = async (conn, entries, { username, source }, options = {}) => {
+  if (entries.length === 0) return;
+
+  const binds = entries.map(({ action, before = null, after = null }) => {
+    const line = after || before;
+    return {
+      line_id: line.LINE_ID ?? null,
+      ordernumber: line.ORDERNUMBER?.toString() ?? null,
+      material_number: line.MATERIAL_NUMBER ?? null,
+      action,
+      changed_by: username,
+      source: source ?? null,
+      old_values: before ? JSON.stringify(before) : null,
+      new_values: after ? JSON.stringify(after) : null,
+    };
+  });
+
+  await conn.executeMany(
+    `INSERT INTO SYSTEM.RECONCILIATION_HISTORY (
+       LINE_ID, ORDERNUMBER, MATERIAL_NUMBER, ACTION, CHANGED_BY, SOURCE, OLD_VALUES, NEW_VALUES
+     ) VALUES (
+       :line_id, :ordernumber, :material_number, :action, :changed_by, :source, :old_values, :new_values
+     )`,
+    binds,
+    {
+      ...options,
+      bindDefs: {
+        line_id: { type: oracledb.NUMBER },
+        ordernumber: { type: oracledb.STRING, maxSize: 100 },
+        material_number: { type: oracledb.STRING, maxSize: 200 },
+        action: { type: oracledb.STRING, maxSize: 10 },
+        changed_by: { type: oracledb.STRING, maxSize: 100 },
+        source: { type: oracledb.STRING, maxSize: 400 },
+        old_values: { type: oracledb.DB_TYPE_CLOB },
+        new_values: { type: oracledb.DB_TYPE_CLOB },
+      },
+    }
+  );
+};
+
+/**
+ * Lists the fields that differ between two snapshots of a line.
+ * @param {Object|null} before - Line values before the change
+ * @param {Object|null} after - Line values after the change
+ * @returns {Array<{field: string, from: any, to: any}>}
+ */
+const diffLines = (before, after) => {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+module.exports = {
+  snapshotLines,
+  snapshotLinesById,
+  snapshotLinesByKey,
+  recordHistory,
+  diffLines,
+};
@@ -0,0 +1,63 @@
+const oracledb = require('oracledb');
+const { diffLines } = require('./audit');
+
+/**
+ * 📦 Batch States
+ * A batch is the BATCHNUMBER of its lines (e.g. Week25#1). Batches are OPEN unless closed or locked in
+ * SYSTEM.RECONCILIATION_BATCHES:
+ *   CLOSED - no line can be added to the batch or moved into it; its lines can still be updated
+ *   LOCKED - as CLOSED, and its lines can't be changed, moved out or deleted either
+ * Edits and uploads check every change against these states, so lines can't silently end up in a
+ * batch that is done. Batch names are compared without case or surrounding spaces.
+ */
+
+const BATCH_STATES = ['OPEN', 'CLOSED', 'LOCKED'];
+
+/**
+ * The key a batch name is compared by.
+ * @param {string|null} batchNumber - The BATCHNUMBER
+ * @returns {string}
+ */
+const batchKey = (batchNumber) => String(batchNumber ?? '').trim().toUpperCase();
+
+/**
+ * Loads the batches that aren't open.
+ * @param {Object} conn - Oracle connection
+ * @returns {Promise<Map<string, string>>} - batchKey → CLOSED or LOCKED
+ */
+const loadBatchStates = async (conn) => {
+  const result = await conn.execute(
+    `SELECT BATCHNUMBER, STATE FROM SYSTEM.RECONCILIATION_BATCHES WHERE STATE <> 'OPEN'`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return new Map(result.rows.map(row => [batchKey(row.BATCHNUMBER), row.STATE]));
+};
+
+/**
+ * Checks one change of a line against the batch states.
+ * @param {Map<string, string>} states - From loadBatchStates
+ * @param {Object|null} before - Snapshot of the line before the change (null for a new line)
+ * @param {Object|null} after - Snapshot of the line after the change (null for a deleted line)
+ * @returns {string|null} - Why the change isn't allowed, or null when it is
+ */
+const batchViolation = (states, before, after) => {
+  const from = before && batchKey(before.BATCHNUMBER);
+  const to = after && batchKey(after.BATCHNUMBER);
+
+  if (before && states.get(from) === 'LOCKED') {
+    if (!after) return `Batch ${before.BATCHNUMBER} is locked; its lines can't be deleted.`;
+    if (diffLines(before, after).length > 0) return `Batch ${before.BATCHNUMBER} is locked; its lines can't be changed.`;
+  }
+  if (after && to !== from && states.has(to)) {
+    return `Batch ${String(after.BATCHNUMBER).trim()} is ${states.get(to).toLowerCase()}; lines can't be added to it.`;
+  }
+  return null;
+};
+
+module.exports = {
+  BATCH_STATES,
+  batchKey,
+  loadBatchStates,
+  batchViolation,
+};
@@ -0,0 +1,91 @@
+const oracledb = require('oracledb');
+const { normalizeHeader } = require('./headers');
+
+/**
+ * 🧭 Column Mapping Profiles
+ * As-of Check input files come from different exports, each naming the order, material and batch
+ * columns its own way. A profile (SYSTEM.COLUMN_MAPPING_PROFILES) says which file column holds which
+ * field; the profile whose columns are all present in a file is picked automatically.
+ * Headers are compared normalized (see utils/headers.js), so a byte order mark or different case don't matter.
+ */
+
+// Fields an As-of Check needs, with the profile column that names their source column
+const ASOF_FIELDS = [
+  { field: 'ORDERNUMBER', column: 'ORDERNUMBER_COLUMN', label: 'Order number' },
+  { field: 'MATERIAL_NUMBER', column: 'MATERIAL_COLUMN', label: 'Material' },
+  { field: 'BATCHNUMBER', column: 'BATCHNUMBER_COLUMN', label: 'Batch' },
+];
+
+/**
+ * Reads the saved profiles, oldest first, which is also the order auto-detection tries them in.
+ * @param {Object} conn - Open Oracle connection
+ * @returns {Promise<Object[]>}
+ */
+const loadProfiles = async (conn) => {
+  const result = await conn.execute(
+    `SELECT PROFILE_ID, PROFILE_NAME, ORDERNUMBER_COLUMN, MATERIAL_COLUMN, BATCHNUMBER_COLUMN,
+            CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT
+     FROM SYSTEM.COLUMN_MAPPING_PROFILES
+     ORDER BY PROFILE_ID`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows;
+};
+
+/**
+ * Resolves a profile against a file's headers.
+ * @param {Object} profile - A profile row
+ * @param {string[]} headers - The file's headers
+ * @returns {{mapping: Object, missing: string[]}} - Field → actual file header, and the profile columns not found
+ */
+const matchProfile = (profile, headers) => {
+  const byKey = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+  const missing = [];
+  ASOF_FIELDS.forEach(({ field, column }) => {
+    const header = byKey.get(normalizeHeader(profile[column]));
+    if (header === undefined) missing.push(profile[column]);
+    else mapping[field] = header;
+  });
+  return { mapping, missing };
+};
+
+/**
+ * Resolves a profile against every chosen sheet; each sheet gets its own mapping since
+ * header spelling may differ between sheets.
+ * @param {Object} profile - A profile row
+ * @param {Object} headersBySheet - Sheet name → headers
+ * @returns {{mappings: Object, missing: Object}} - Sheet → mapping, and sheet → missing columns (sheets with none left out)
+ */
+const matchProfileToSheets = (profile, headersBySheet) => {
+  const mappings = {};
+  const missing = {};
+  Object.entries(headersBySheet).forEach(([sheet, headers]) => {
+    const match = matchProfile(profile, headers);
+    mappings[sheet] = match.mapping;
+    if (match.missing.length > 0) missing[sheet] = match.missing;
+  });
+  return { mappings, missing };
+};
+
+/**
+ * Picks the first profile (in the given order) whose columns are all present in every sheet.
+ * @param {Object[]} profiles - Profile rows
+ * @param {Object} headersBySheet - Sheet name → headers
+ * @returns {{profile: Object, mappings: Object}|null}
+ */
+const detectProfile = (profiles, headersBySheet) => {
+  for (const profile of profiles) {
+    const { mappings, missing } = matchProfileToSheets(profile, headersBySheet);
+    if (Object.keys(missing).length === 0) return { profile, mappings };
+  }
+  return null;
+};
+
+module.exports = {
+  ASOF_FIELDS,
+  loadProfiles,
+  matchProfileToSheets,
+  detectProfile,
+};
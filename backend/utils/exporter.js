@@ -0,0 +1,229 @@
+const fs = require('fs');
+const { isoDate } = require('./values');
+const { writeTo, createXlsxWriter } = require('./xlsxWriter');
+
+/**
+ * ⬇️ Exports
+ * Streams result rows to the response as CSV or XLSX, a batch at a time, so large exports never
+ * sit in memory. Rows come from an Oracle result set or from a stored report file.
+ * The user picks which columns to export and in what order; the header row uses readable labels
+ * that uploads recognize again (see utils/headers.js).
+ */
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// Rows fetched from a result set per round trip
+const EXPORT_FETCH_ROWS = 1000;
+
+// Header labels of our columns; other columns keep their name
+const COLUMN_LABELS = {
+  LINE_ID: 'Line ID',
+  ORDERNUMBER: 'Order Number',
+  SALESDOCUMENT: 'Sales Document Number',
+  ORDERDATE: 'Order Date',
+  BATCHNUMBER: 'Batch Number',
+  YEAR: 'Year',
+  MATERIAL_NUMBER: 'Material Number',
+  CLUB_NAME: 'Club Name',
+  ORDERTYPE: 'Order Type',
+  STATUS: 'Order Status',
+  STATUS_NOTE: 'Status Note',
+  CDD: 'Customer Due Date',
+  SHIPOUTDATE: 'Ship Out Date',
+  UPSTRACKINGNUMBER: 'UPS Tracking Number',
+  DELIVERY_STATUS: 'Delivery Status',
+  DAYS_LATE: 'Days Late',
+  DUPLICATECOUNT: 'Duplicate Count',
+  SHEET_NAME: 'Sheet',
+  SHEET_ROW: 'Sheet Row',
+};
+
+/**
+ * Reads the columns to export from a comma-separated list, in the order given.
+ * Without a list every available column is exported.
+ * @param {string} value - e.g. "ORDERNUMBER,STATUS" (from the query string)
+ * @param {string[]} available - Columns the source offers, in their default order
+ * @returns {{columns: string[]|null, error: string|null}}
+ */
+const pickColumns = (value, available) => {
+  if (!value) return { columns: available, error: null };
+  const columns = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !available.includes(column));
+  if (unknown.length) return { columns: null, error: `Unknown export column(s): ${unknown.join(', ')}.` };
+  if (columns.length === 0) return { columns: null, error: 'Choose at least one column to export.' };
+  return { columns, error: null };
+};
+
+/**
+ * Quotes a CSV field when it holds a separator, a quote or a line break.
+ * @param {any} value - The value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? isoDate(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Starts a CSV on a stream. A byte order mark tells Excel the file is UTF-8.
+ * @param {Object} output - Writable stream
+ * @param {string[]} headers - Header row labels
+ * @returns {{writeRows: Function, end: Function}}
+ */
+const createCsvWriter = async (output, headers) => {
+  await writeTo(output, `\uFEFF${headers.map(csvField).join(',')}\r\n`);
+  return {
+    writeRows: async (rows) => {
+      if (rows.length) await writeTo(output, rows.map(values => `${values.map(csvField).join(',')}\r\n`).join(''));
+    },
+    end: async () => {},
+  };
+};
+
+/**
+ * Starts an export on the response: sets the download headers and writes the header row.
+ * The returned writer takes rows as objects and keeps the chosen columns, in order.
+ * @param {Object} res - Express response object
+ * @param {Object} options
+ * @param {string} options.format - csv or xlsx
+ * @param {string[]} options.columns - Columns to export, in order
+ * @param {string} options.fileName - Download name, without extension
+ * @returns {Promise<{writeRows: Function, end: Function}>}
+ */
+const startExport = async (res, { format, columns, fileName }) => {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+
+  const headers = columns.map(column => COLUMN_LABELS[column] || column);
+  const writer = format === 'xlsx' ? await createXlsxWriter(res, headers) : await createCsvWriter(res, headers);
+  return {
+    writeRows: (rows) => writer.writeRows(rows.map(row => columns.map(column => row[column]))),
+    end: async () => {
+      await writer.end();
+      res.end();
+    },
+  };
+};
+
+/**
+ * Writes every row of an Oracle result set (fetched as objects) to an export, then closes the set.
+ * @param {Object} resultSet - From conn.execute(..., { resultSet: true })
+ * @param {Object} writer - From startExport
+ * @returns {Promise<number>} - Rows written
+ */
+const exportResultSet = async (resultSet, writer) => {
+  let count = 0;
+  try {
+    let rows;
+    do {
+      rows = await resultSet.getRows(EXPORT_FETCH_ROWS);
+      await writer.writeRows(rows);
+      count += rows.length;
+    } while (rows.length === EXPORT_FETCH_ROWS);
+  } finally {
+    await resultSet.close();
+  }
+  await writer.end();
+  return count;
+};
+
+/**
+ * Reads the records of a CSV file (as written by csv-writer) without loading the whole file.
+ * Quoted fields may hold separators, doubled quotes and line breaks.
+ * @param {string} filePath - Path to the CSV file
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* readCsvRecords(filePath) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let afterQuote = false; // A quote inside a quoted field: either the end of the field or an escaped quote
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    for (const char of chunk) {
+      if (afterQuote) {
+        afterQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+      if (quoted) {
+        if (char === '"') afterQuote = true;
+        else field += char;
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field.replace(/\r$/, ''));
+        yield record;
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Writes the records of a stored CSV file to an export; its first line holds the column names.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} writer - From startExport
+ * @returns {Promise<number>} - Rows written
+ */
+const exportCsvFile = async (filePath, writer) => {
+  let header = null;
+  let batch = [];
+  let count = 0;
+  for await (const record of readCsvRecords(filePath)) {
+    if (!header) {
+      header = record.map(name => name.replace(/^\uFEFF/, ''));
+      continue;
+    }
+    batch.push(Object.fromEntries(header.map((name, i) => [name, record[i] === '' ? null : record[i]])));
+    if (batch.length === EXPORT_FETCH_ROWS) {
+      await writer.writeRows(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  await writer.writeRows(batch);
+  await writer.end();
+  return count + batch.length;
+};
+
+/**
+ * Reads the column names of a stored CSV file.
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<string[]>}
+ */
+const csvFileColumns = async (filePath) => {
+  for await (const record of readCsvRecords(filePath)) {
+    return record.map(name => name.replace(/^\uFEFF/, ''));
+  }
+  return [];
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FETCH_ROWS,
+  COLUMN_LABELS,
+  pickColumns,
+  startExport,
+  exportResultSet,
+  exportCsvFile,
+  csvFileColumns,
+};
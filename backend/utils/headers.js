@@ -0,0 +1,81 @@
+/**
+ * 🏷️ Header Recognition
+ * Files come from many exports and editors: headers may start with a UTF-8 byte order mark,
+ * differ in case, spacing or underscores, or use another name for the same field.
+ * Headers are compared in a normalized form and known aliases are mapped to our column names.
+ */
+
+// Other names used for our columns in the files we receive (compared normalized, see normalizeHeader)
+const HEADER_ALIASES = {
+  ORDERNUMBER: ['Order Number', 'Order No', 'Order #', 'Order ID'],
+  SALESDOCUMENT: ['Sales Doc', 'Sales Doc.', 'Sales Document Number', 'SD Document'],
+  ORDERDATE: ['Order Date', 'Ordered On'],
+  BATCHNUMBER: ['Batch', 'Batch Number', 'Batch No'],
+  MATERIAL_NUMBER: ['Material', 'Material No', 'Material Number'],
+  CLUB_NAME: ['Club', 'Club Name'],
+  ORDERTYPE: ['Order Type'],
+  STATUS: ['Order Status'],
+  CDD: ['Customer Due Date'],
+  SHIPOUTDATE: ['Ship Out Date', 'Ship Date', 'Shipped On'],
+  UPSTRACKINGNUMBER: ['UPS Tracking Number', 'Tracking Number', 'Tracking No'],
+};
+
+/**
+ * Strips a byte order mark, then ignores case, whitespace, underscores, hyphens and dots:
+ * "\uFEFFORDERNUMBER", "Order Number" and "order_number" all become "ordernumber".
+ * @param {string} header - A column header
+ * @returns {string}
+ */
+const normalizeHeader = (header) =>
+  String(header).replace(/^\uFEFF/, '').toLowerCase().replace(/[\s_\-.]+/g, '');
+
+/**
+ * Recognizes a file's headers as our columns by name or alias.
+ * A column is only taken by its first matching header.
+ * @param {string[]} headers - Headers exactly as in the file
+ * @param {string[]} columns - Our column names
+ * @returns {{mapping: Object, unrecognized: string[]}} - File header → column, and the headers left over
+ */
+const recognizeHeaders = (headers, columns) => {
+  const byKey = new Map();
+  columns.forEach(column => {
+    [column, ...(HEADER_ALIASES[column] || [])].forEach(name => {
+      if (!byKey.has(normalizeHeader(name))) byKey.set(normalizeHeader(name), column);
+    });
+  });
+
+  const mapping = {};
+  const taken = new Set();
+  const unrecognized = [];
+  headers.forEach(header => {
+    const column = byKey.get(normalizeHeader(header));
+    if (column && !taken.has(column)) {
+      mapping[header] = column;
+      taken.add(column);
+    } else if (normalizeHeader(header) !== '') {
+      unrecognized.push(header);
+    }
+  });
+  return { mapping, unrecognized };
+};
+
+/**
+ * Renames a row's keys from file headers to our columns; unmapped headers are dropped.
+ * @param {Object} row - Row as read from the sheet
+ * @param {Object} mapping - File header → column
+ * @returns {Object}
+ */
+const mapRow = (row, mapping) => {
+  const mapped = {};
+  Object.entries(mapping).forEach(([header, column]) => {
+    if (row[header] !== undefined) mapped[column] = row[header];
+  });
+  return mapped;
+};
+
+module.exports = {
+  HEADER_ALIASES,
+  normalizeHeader,
+  recognizeHeaders,
+  mapRow,
+};
@@ -0,0 +1,273 @@
+const fs = require('fs').promises;
+const oracledb = require('oracledb');
+require('dotenv').config();
+
+/**
+ * ⚙️ Background Jobs
+ * Long operations (As-of Checks, upload previews) are queued in SYSTEM.RECONCILIATION_JOBS and run by
+ * a worker inside the backend, so the HTTP request returns at once with a JOB_ID. Progress and the
+ * final result are stored on the job row, which lets the client poll it and come back to it later.
+ *
+ * Handlers are registered per JOB_TYPE and called as handler(job, { progress }); whatever they return
+ * is stored as the job's RESULT. Throw a JobError for failures the user should see as-is.
+ */
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2; // Jobs run at the same time
+const POLL_MS = 2000; // How often the worker looks for queued jobs
+const PROGRESS_WRITE_MS = 1000; // Progress is written to the job row at most this often
+
+const handlers = {};
+let runningCount = 0;
+let pumping = false;
+
+/**
+ * An error whose message is shown to the user as the job's failure reason.
+ */
+class JobError extends Error {}
+
+/**
+ * Registers the function that runs jobs of a type.
+ * @param {string} type - The JOB_TYPE
+ * @param {Function} handler - async (job, { progress }) => result
+ */
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Queues a job and wakes the worker.
+ * @param {Object} job - { type, username, sourceFile, filePath, params }
+ * @returns {Promise<number>} - The new JOB_ID
+ */
+const submitJob = async ({ type, username, sourceFile = null, filePath = null, params = {} }) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const result = await conn.execute(
+      `INSERT INTO SYSTEM.RECONCILIATION_JOBS (JOB_TYPE, CREATED_BY, SOURCE_FILE, FILE_PATH, PARAMS)
+       VALUES (:type, :username, :sourceFile, :filePath, :params)
+       RETURNING JOB_ID INTO :jobId`,
+      {
+        type,
+        username,
+        sourceFile,
+        filePath,
+        params: { val: JSON.stringify(params), type: oracledb.DB_TYPE_CLOB },
+        jobId: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+      },
+      { autoCommit: true }
+    );
+    setImmediate(pumpJobs);
+    return result.outBinds.jobId[0];
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * Reads a job, including its decoded RESULT and an ETA for running jobs.
+ * @param {Object} conn - Open Oracle connection
+ * @param {number} jobId - The JOB_ID
+ * @returns {Promise<Object|null>}
+ */
+const getJob = async (conn, jobId) => {
+  const result = await conn.execute(
+    `SELECT JOB_ID, JOB_TYPE, STATUS, CREATED_BY, CREATED_AT, STARTED_AT, FINISHED_AT, SOURCE_FILE,
+            TOTAL_ROWS, PROCESSED_ROWS, FLAGGED_ROWS, RESULT, ERROR_MESSAGE, SYSTIMESTAMP AS NOW
+     FROM SYSTEM.RECONCILIATION_JOBS
+     WHERE JOB_ID = :jobId`,
+    { jobId },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT, fetchInfo: { RESULT: { type: oracledb.STRING } } }
+  );
+  const job = result.rows[0];
+  if (!job) return null;
+
+  const { NOW, RESULT, ...rest } = job;
+  let etaSeconds = null;
+  if (job.STATUS === 'RUNNING' && job.STARTED_AT && job.TOTAL_ROWS && job.PROCESSED_ROWS > 0) {
+    const elapsed = (NOW - job.STARTED_AT) / 1000;
+    etaSeconds = Math.max(0, Math.round((elapsed * (job.TOTAL_ROWS - job.PROCESSED_ROWS)) / job.PROCESSED_ROWS));
+  }
+  return { ...rest, RESULT: RESULT ? JSON.parse(RESULT) : null, ETA_SECONDS: etaSeconds };
+};
+
+/**
+ * Builds the progress callback handed to a handler. Writes are throttled; the last values are
+ * always written when the job finishes.
+ * @param {number} jobId - The JOB_ID
+ * @returns {{progress: Function, flush: Function}}
+ */
+const progressReporter = (jobId) => {
+  const state = { total: null, processed: 0, flagged: 0 };
+  let lastWrite = 0;
+
+  const flush = async () => {
+    lastWrite = Date.now();
+    let conn;
+    try {
+      conn = await oracledb.getConnection();
+      await conn.execute(
+        `UPDATE SYSTEM.RECONCILIATION_JOBS
+         SET TOTAL_ROWS = :total, PROCESSED_ROWS = :processed, FLAGGED_ROWS = :flagged
+         WHERE JOB_ID = :jobId`,
+        { ...state, jobId },
+        { autoCommit: true }
+      );
+    } catch (err) {
+      console.error(`Job ${jobId} progress update failed:`, err);
+    } finally {
+      if (conn) await conn.close();
+    }
+  };
+
+  /**
+   * @param {Object} update - Any of { total, processed, flagged }
+   */
+  const progress = async (update) => {
+    Object.assign(state, update);
+    if (Date.now() - lastWrite >= PROGRESS_WRITE_MS) await flush();
+  };
+
+  return { progress, flush };
+};
+
+/**
+ * Marks a job as finished.
+ * @param {number} jobId - The JOB_ID
+ * @param {Object} outcome - { status, result, errorMessage }
+ */
+const finishJob = async (jobId, { status, result = null, errorMessage = null }) => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    await conn.execute(
+      `UPDATE SYSTEM.RECONCILIATION_JOBS
+       SET STATUS = :status, FINISHED_AT = SYSTIMESTAMP, RESULT = :result, ERROR_MESSAGE = :errorMessage
+       WHERE JOB_ID = :jobId`,
+      {
+        status,
+        result: { val: result === null ? null : JSON.stringify(result), type: oracledb.DB_TYPE_CLOB },
+        errorMessage,
+        jobId,
+      },
+      { autoCommit: true }
+    );
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * Claims the oldest queued job by switching it to RUNNING.
+ * If another worker claims the same job first, the update matches no row and null is returned.
+ * @returns {Promise<Object|null>} - The claimed job row
+ */
+const claimNextJob = async () => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const claimed = await conn.execute(
+      `UPDATE SYSTEM.RECONCILIATION_JOBS
+       SET STATUS = 'RUNNING', STARTED_AT = SYSTIMESTAMP
+       WHERE JOB_ID = (SELECT MIN(JOB_ID) FROM SYSTEM.RECONCILIATION_JOBS WHERE STATUS = 'QUEUED')
+         AND STATUS = 'QUEUED'
+       RETURNING JOB_ID INTO :jobId`,
+      { jobId: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER } },
+      { autoCommit: true }
+    );
+    const jobId = claimed.outBinds.jobId[0];
+    if (!jobId) return null;
+
+    const result = await conn.execute(
+      `SELECT JOB_ID, JOB_TYPE, CREATED_BY, SOURCE_FILE, FILE_PATH, PARAMS
+       FROM SYSTEM.RECONCILIATION_JOBS WHERE JOB_ID = :jobId`,
+      { jobId },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT, fetchInfo: { PARAMS: { type: oracledb.STRING } } }
+    );
+    const job = result.rows[0];
+    return { ...job, PARAMS: job.PARAMS ? JSON.parse(job.PARAMS) : {} };
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * Runs one claimed job to completion and removes its uploaded file.
+ * @param {Object} job - The claimed job row
+ */
+const runJob = async (job) => {
+  const { progress, flush } = progressReporter(job.JOB_ID);
+  try {
+    const handler = handlers[job.JOB_TYPE];
+    if (!handler) throw new Error(`No handler for job type ${job.JOB_TYPE}`);
+
+    const result = await handler(job, { progress });
+    await flush();
+    await finishJob(job.JOB_ID, { status: 'SUCCEEDED', result });
+  } catch (err) {
+    console.error(`💥 Job ${job.JOB_ID} (${job.JOB_TYPE}) failed:`, err);
+    await flush();
+    await finishJob(job.JOB_ID, {
+      status: 'FAILED',
+      errorMessage: err instanceof JobError ? err.message : 'Internal server error.',
+    }).catch(finishErr => console.error(`Job ${job.JOB_ID} could not be marked as failed:`, finishErr));
+  } finally {
+    if (job.FILE_PATH) await fs.unlink(job.FILE_PATH).catch(() => {}); // The file may already be gone
+  }
+};
+
+/**
+ * Starts queued jobs until JOB_CONCURRENCY jobs are running.
+ */
+const pumpJobs = async () => {
+  if (pumping) return;
+  pumping = true;
+  try {
+    while (runningCount < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      runningCount++;
+      runJob(job).finally(() => {
+        runningCount--;
+        pumpJobs();
+      });
+    }
+  } catch (err) {
+    console.error('Job worker error:', err);
+  } finally {
+    pumping = false;
+  }
+};
+
+/**
+ * Starts the worker. Jobs left RUNNING by a previous process are queued again, then queued jobs
+ * are picked up now and every POLL_MS. Assumes a single backend instance owns the RUNNING jobs.
+ */
+const startJobWorker = async () => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const requeued = await conn.execute(
+      `UPDATE SYSTEM.RECONCILIATION_JOBS SET STATUS = 'QUEUED', STARTED_AT = NULL WHERE STATUS = 'RUNNING'`,
+      [],
+      { autoCommit: true }
+    );
+    if (requeued.rowsAffected > 0) console.log(`🔁 Re-queued ${requeued.rowsAffected} interrupted job(s).`);
+  } catch (err) {
+    console.error('Job recovery failed:', err);
+  } finally {
+    if (conn) await conn.close();
+  }
+
+  pumpJobs();
+  setInterval(pumpJobs, POLL_MS).unref();
+};
+
+module.exports = {
+  JobError,
+  registerJobHandler,
+  submitJob,
+  getJob,
+  startJobWorker,
+};
@@ -0,0 +1,100 @@
+const { SEARCH_COLUMNS, CDD_AS_DATE, AT_RISK_DAYS, selectColumns } = require('./search');
+
+/**
+ * ⏰ Late Orders
+ * Compares each line's CDD (customer delivery date) with its SHIPOUTDATE. A line is in at most one
+ * category of the late-orders report:
+ *   overdue     - the CDD has passed and the line has no ship-out date
+ *   shippedLate - the line shipped after its CDD
+ *   dueSoon     - the line has no ship-out date and is due within the next N days (AT_RISK_DAYS by default)
+ * Lines whose CDD isn't a date are in none. Every category is also expressed as search filters
+ * (see utils/search.js), so the report can open its lines on the Search Data page.
+ */
+
+const LATE_CATEGORIES = {
+  overdue: 'Past CDD, not shipped',
+  shippedLate: 'Shipped after CDD',
+  dueSoon: 'Due soon, not shipped',
+};
+
+// Longest "due within" window the report accepts, in days
+const MAX_DUE_DAYS = 90;
+
+// Aging of late lines by days past their CDD; the last bucket has no end
+const AGING_BUCKETS = [
+  { label: '1–7 days', from: 1, to: 7 },
+  { label: '8–14 days', from: 8, to: 14 },
+  { label: '15–30 days', from: 15, to: 30 },
+  { label: '31–60 days', from: 31, to: 60 },
+  { label: 'Over 60 days', from: 61, to: null },
+];
+
+// Category of a line (see above), binds: days
+const LATE_CATEGORY_SQL = `CASE
+    WHEN SHIPOUTDATE IS NULL AND ${CDD_AS_DATE} < TRUNC(SYSDATE) THEN 'overdue'
+    WHEN SHIPOUTDATE IS NOT NULL AND TRUNC(SHIPOUTDATE) > ${CDD_AS_DATE} THEN 'shippedLate'
+    WHEN SHIPOUTDATE IS NULL AND ${CDD_AS_DATE} <= TRUNC(SYSDATE) + :days THEN 'dueSoon'
+  END`;
+
+// Every line with its DELIVERY_STATUS, DAYS_LATE and LATE_CATEGORY, binds: days
+const LATE_LINES_SQL = `SELECT r.*, ${selectColumns(['DELIVERY_STATUS', 'DAYS_LATE'])}, ${LATE_CATEGORY_SQL} AS LATE_CATEGORY
+  FROM SYSTEM.RECONCILIATION r`;
+
+// Columns offered by the late-orders export, in their default order
+const LATE_ORDER_COLUMNS = ['LATE_CATEGORY', ...Object.keys(SEARCH_COLUMNS), 'LINE_ID'];
+
+/**
+ * Reads the "due within" window of the report.
+ * @param {any} value - Days, from the query string (AT_RISK_DAYS when missing)
+ * @returns {{days: number|null, error: string|null}}
+ */
+const readDueDays = (value) => {
+  if (value === undefined || value === '') return { days: AT_RISK_DAYS, error: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_DUE_DAYS) {
+    return { days: null, error: `Days must be a whole number from 0 to ${MAX_DUE_DAYS}.` };
+  }
+  return { days, error: null };
+};
+
+/**
+ * The search filters of each category.
+ * @param {string} today - Today on the database, YYYY-MM-DD
+ * @param {string} dueBy - Last day of the due soon window, YYYY-MM-DD
+ * @returns {Object} - Category → conditions
+ */
+const categoryFilters = (today, dueBy) => ({
+  overdue: [{ column: 'DAYS_LATE', op: 'notEmpty' }, { column: 'SHIPOUTDATE', op: 'empty' }],
+  shippedLate: [{ column: 'DAYS_LATE', op: 'notEmpty' }, { column: 'SHIPOUTDATE', op: 'notEmpty' }],
+  dueSoon: [{ column: 'SHIPOUTDATE', op: 'empty' }, { column: 'CDD', op: 'between', value: { from: today, to: dueBy } }],
+});
+
+/**
+ * The search condition of an aging bucket.
+ * @param {Object} bucket - One of AGING_BUCKETS
+ * @returns {Object} - { column, op, value }
+ */
+const agingFilter = (bucket) => ({
+  column: 'DAYS_LATE',
+  op: 'between',
+  value: { from: String(bucket.from), to: bucket.to === null ? '' : String(bucket.to) },
+});
+
+/**
+ * The aging bucket of a number of days late.
+ * @param {number} daysLate - Days past the CDD
+ * @returns {Object|undefined}
+ */
+const agingBucket = (daysLate) =>
+  AGING_BUCKETS.find(bucket => daysLate >= bucket.from && (bucket.to === null || daysLate <= bucket.to));
+
+module.exports = {
+  LATE_CATEGORIES,
+  AGING_BUCKETS,
+  LATE_LINES_SQL,
+  LATE_ORDER_COLUMNS,
+  readDueDays,
+  categoryFilters,
+  agingFilter,
+  agingBucket,
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 🔒 Password Helpers
+ * Passwords are stored as `scrypt$<salt>$<hash>` (hex encoded) in SAP_USERS.PASSWORD_HASH.
+ */
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password - The plaintext password
+ * @returns {Promise<string>} - The encoded hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Checks a password against an encoded hash.
+ * @param {string} password - The plaintext password
+ * @param {string} stored - The encoded hash from PASSWORD_HASH
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hashHex] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Returns a message describing why a new password is not acceptable, or null if it is.
+ * @param {any} password - The proposed password
+ * @returns {string|null}
+ */
+const checkPasswordPolicy = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  checkPasswordPolicy,
+};
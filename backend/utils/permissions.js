@@ -0,0 +1,51 @@
+/**
+ * 🛡️ Roles & Permissions
+ * Each permission names the lowest role allowed to use it; higher roles inherit everything below them.
+ * Routes check permissions (never roles directly) and the frontend receives the resolved list from /login and /me.
+ */
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+  'reconciliation.search': 'viewer', // Search data and the edit page lookup
+  'reconciliation.check': 'viewer', // As-of check and duplicate check
+  'mappings.manage': 'operator', // Save and delete As-of Check column mapping profiles
+  'reconciliation.upload': 'operator', // Add reconciliation uploads
+  'reconciliation.edit': 'operator', // Change existing lines
+  'batches.manage': 'operator', // Close and reopen batches
+  'batches.lock': 'admin', // Lock batches and unlock them
+  'reconciliation.delete': 'admin', // Remove lines
+  'reports.view': 'viewer', // List and download past check and upload reports
+  'users.manage': 'admin', // User administration
+  'rules.manage': 'admin', // Validation rules for imports and edits
+  'statuses.manage': 'admin', // Order statuses, their transitions and legacy status aliases
+  'statuses.override': 'admin', // Status changes outside the allowed transitions
+};
+
+/**
+ * Checks whether a role grants a permission.
+ * @param {string} role - The user's role
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+  const required = PERMISSIONS[permission];
+  if (!required) return false; // Unknown permissions are never granted
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+/**
+ * Lists every permission a role grants.
+ * @param {string} role - The user's role
+ * @returns {string[]}
+ */
+const permissionsForRole = (role) =>
+  Object.keys(PERMISSIONS).filter(permission => roleHasPermission(role, permission));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  roleHasPermission,
+  permissionsForRole,
+};
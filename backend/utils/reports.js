@@ -0,0 +1,133 @@
+const fs = require('fs').promises;
+const path = require('path');
+const oracledb = require('oracledb');
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+require('dotenv').config();
+
+/**
+ * 🗂️ Report Storage
+ * Every check or upload that produces a report gets its own row in SYSTEM.RECONCILIATION_REPORTS
+ * and its own CSV under exports/reports, so concurrent runs never overwrite each other's files.
+ * Upload reports may also keep an annotated copy of the uploaded file (see writeAnnotatedWorkbook).
+ * Reports older than REPORT_RETENTION_DAYS are removed by a periodic cleanup.
+ */
+
+const REPORT_DIR = path.join(__dirname, '../exports/reports');
+const RETENTION_DAYS = Number(process.env.REPORT_RETENTION_DAYS) || 30;
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000; // Every 6 hours
+
+/**
+ * Path of a report's CSV file.
+ * @param {number} reportId - The REPORT_ID
+ * @returns {string}
+ */
+const reportPath = (reportId) => path.join(REPORT_DIR, `${reportId}.csv`);
+
+/**
+ * Path of a report's annotated copy of the uploaded file.
+ * @param {number} reportId - The REPORT_ID
+ * @param {string} fileName - The ANNOTATED_FILE name, whose extension is kept
+ * @returns {string}
+ */
+const annotatedPath = (reportId, fileName) => path.join(REPORT_DIR, `${reportId}-annotated${path.extname(fileName)}`);
+
+/**
+ * Download URL of a report, as returned to the client.
+ * @param {number} reportId - The REPORT_ID
+ * @returns {string}
+ */
+const reportUrl = (reportId) => `/api/reconciliation/reports/${reportId}/download`;
+
+/**
+ * Download URL of a report's annotated file, as returned to the client.
+ * @param {number} reportId - The REPORT_ID
+ * @returns {string}
+ */
+const annotatedUrl = (reportId) => `/api/reconciliation/reports/${reportId}/annotated`;
+
+/**
+ * Registers a report and writes its CSV. The row is inserted on the caller's connection
+ * and is not committed here, so it commits (or rolls back) with the caller's work.
+ * @param {Object} conn - Open Oracle connection
+ * @param {Object} report - { type, username, sourceFile, totalRows, uploadId }
+ * @param {Array<Object>} rows - Report rows; the keys of the first row become the CSV header
+ * @returns {Promise<number>} - The new REPORT_ID
+ */
+const createReport = async (conn, { type, username, sourceFile = null, totalRows = 0, uploadId = null }, rows) => {
+  const result = await conn.execute(
+    `INSERT INTO SYSTEM.RECONCILIATION_REPORTS (REPORT_TYPE, CREATED_BY, SOURCE_FILE, TOTAL_ROWS, REPORT_ROWS, UPLOAD_ID)
+     VALUES (:type, :username, :sourceFile, :totalRows, :reportRows, :uploadId)
+     RETURNING REPORT_ID INTO :reportId`,
+    {
+      type,
+      username,
+      sourceFile,
+      totalRows,
+      reportRows: rows.length,
+      uploadId,
+      reportId: { dir: oracledb.BIND_OUT, type: oracledb.NUMBER },
+    }
+  );
+  const reportId = result.outBinds.reportId[0];
+
+  await fs.mkdir(REPORT_DIR, { recursive: true });
+  const header = [...new Set(rows.flatMap(row => Object.keys(row)))].map(key => ({ id: key, title: key }));
+  await createCsvWriter({ path: reportPath(reportId), header }).writeRecords(rows);
+
+  return reportId;
+};
+
+/**
+ * Deletes reports older than the retention period, rows and files.
+ * Files that are already gone are ignored.
+ * @returns {Promise<number>} - Number of reports removed
+ */
+const purgeExpiredReports = async () => {
+  let conn;
+  try {
+    conn = await oracledb.getConnection();
+    const expired = await conn.execute(
+      `SELECT REPORT_ID, ANNOTATED_FILE FROM SYSTEM.RECONCILIATION_REPORTS
+       WHERE CREATED_AT < SYSTIMESTAMP - NUMTODSINTERVAL(:days, 'DAY')`,
+      { days: RETENTION_DAYS },
+      { outFormat: oracledb.OUT_FORMAT_OBJECT }
+    );
+    if (expired.rows.length === 0) return 0;
+
+    const ids = expired.rows.map(row => row.REPORT_ID);
+    await conn.executeMany(
+      `DELETE FROM SYSTEM.RECONCILIATION_REPORTS WHERE REPORT_ID = :id`,
+      ids.map(id => ({ id }))
+    );
+    await conn.commit();
+    await Promise.all(expired.rows.flatMap(({ REPORT_ID, ANNOTATED_FILE }) => [
+      fs.unlink(reportPath(REPORT_ID)).catch(() => {}),
+      ANNOTATED_FILE ? fs.unlink(annotatedPath(REPORT_ID, ANNOTATED_FILE)).catch(() => {}) : null,
+    ]));
+
+    console.log(`🧹 Removed ${ids.length} report(s) older than ${RETENTION_DAYS} days.`);
+    return ids.length;
+  } finally {
+    if (conn) await conn.close();
+  }
+};
+
+/**
+ * Runs the report cleanup now and then periodically. Errors are logged, never thrown.
+ */
+const scheduleReportCleanup = () => {
+  const run = () => purgeExpiredReports().catch(err => console.error('Report cleanup failed:', err));
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  reportPath,
+  reportUrl,
+  annotatedPath,
+  annotatedUrl,
+  createReport,
+  purgeExpiredReports,
+  scheduleReportCleanup,
+};
@@ -0,0 +1,365 @@
+require('dotenv').config();
+
+/**
+ * 🔎 Line Search
+ * Turns search criteria into a WHERE clause over SYSTEM.RECONCILIATION, plus sorting and paging.
+ * Criteria are a list of conditions, all of which must hold: { column, op, value }. Which operators
+ * a column accepts depends on its type (see SEARCH_COLUMNS and OPERATORS). Values are always bound.
+ */
+
+// CDD is text; it is searched and sorted as a date when it holds a YYYY-MM-DD date. Text shaped like
+// one that isn't a real date (2025-02-30) counts as no date rather than failing the whole query
+const CDD_AS_DATE = `CASE WHEN REGEXP_LIKE(CDD, '^\\d{4}-\\d{2}-\\d{2}$') THEN TO_DATE(CDD DEFAULT NULL ON CONVERSION ERROR, 'YYYY-MM-DD') END`;
+
+// Open lines due within this many days are at risk of missing their CDD
+const AT_RISK_DAYS = Math.max(0, Math.floor(Number(process.env.AT_RISK_DAYS ?? 3)) || 0);
+
+// Delivery status of a line against its CDD (none when CDD isn't a date):
+// Late when shipped after the CDD, or not shipped and the CDD has passed; At risk when not shipped and
+// due within AT_RISK_DAYS; On time otherwise
+const DELIVERY_STATUSES = ['Late', 'At risk', 'On time'];
+const DELIVERY_STATUS_SQL = `CASE
+    WHEN ${CDD_AS_DATE} IS NULL THEN NULL
+    WHEN SHIPOUTDATE IS NOT NULL THEN CASE WHEN TRUNC(SHIPOUTDATE) > ${CDD_AS_DATE} THEN 'Late' ELSE 'On time' END
+    WHEN ${CDD_AS_DATE} < TRUNC(SYSDATE) THEN 'Late'
+    WHEN ${CDD_AS_DATE} <= TRUNC(SYSDATE) + ${AT_RISK_DAYS} THEN 'At risk'
+    ELSE 'On time'
+  END`;
+
+// Days a late line is past its CDD: until it shipped, or until today when it hasn't
+const DAYS_LATE_SQL = `CASE
+    WHEN SHIPOUTDATE IS NOT NULL AND TRUNC(SHIPOUTDATE) > ${CDD_AS_DATE} THEN TRUNC(SHIPOUTDATE) - ${CDD_AS_DATE}
+    WHEN SHIPOUTDATE IS NULL AND ${CDD_AS_DATE} < TRUNC(SYSDATE) THEN TRUNC(SYSDATE) - ${CDD_AS_DATE}
+  END`;
+
+// Searchable columns, in display order, with their type and (when it isn't the column) SQL expression.
+// Computed columns aren't stored: they are selected as their expression (see selectColumns)
+const SEARCH_COLUMNS = {
+  ORDERNUMBER: { type: 'text' },
+  SALESDOCUMENT: { type: 'number' },
+  ORDERDATE: { type: 'date' },
+  BATCHNUMBER: { type: 'text' },
+  YEAR: { type: 'number' },
+  MATERIAL_NUMBER: { type: 'text' },
+  CLUB_NAME: { type: 'text' },
+  ORDERTYPE: { type: 'text' },
+  STATUS: { type: 'text' },
+  STATUS_NOTE: { type: 'text' },
+  CDD: { type: 'date', expr: CDD_AS_DATE },
+  SHIPOUTDATE: { type: 'date' },
+  UPSTRACKINGNUMBER: { type: 'text' },
+  DELIVERY_STATUS: { type: 'text', expr: DELIVERY_STATUS_SQL, computed: true },
+  DAYS_LATE: { type: 'number', expr: DAYS_LATE_SQL, computed: true },
+};
+
+// Operators by column type, with their labels for the filter builder
+const OPERATORS = {
+  text: {
+    equals: 'is',
+    startsWith: 'starts with',
+    contains: 'contains',
+    wildcard: 'matches (* and ?)',
+    in: 'is one of',
+    notIn: 'is not one of',
+    empty: 'is empty',
+    notEmpty: 'is not empty',
+  },
+  number: {
+    equals: '=',
+    between: 'between',
+    empty: 'is empty',
+    notEmpty: 'is not empty',
+  },
+  date: {
+    between: 'between',
+    empty: 'is empty',
+    notEmpty: 'is not empty',
+  },
+};
+
+// Lines whose order and material appear in more than one batch, as listed by the duplicate check
+const TRUE_DUPLICATES_SQL = `WITH ReconciliationData AS (
+    SELECT
+      ORDERNUMBER,
+      MATERIAL_NUMBER,
+      BATCHNUMBER,
+      STATUS,
+      COUNT(*) OVER (PARTITION BY ORDERNUMBER, MATERIAL_NUMBER) AS PotentialDuplicateCount,
+      COUNT(DISTINCT BATCHNUMBER) OVER (PARTITION BY ORDERNUMBER, MATERIAL_NUMBER) AS DistinctBatchCount
+    FROM Reconciliation
+  )
+  SELECT
+    ORDERNUMBER,
+    MATERIAL_NUMBER,
+    BATCHNUMBER,
+    STATUS,
+    PotentialDuplicateCount AS DUPLICATECOUNT
+  FROM ReconciliationData
+  WHERE PotentialDuplicateCount > 1
+    AND DistinctBatchCount > 1
+  ORDER BY
+    ORDERNUMBER, MATERIAL_NUMBER, BATCHNUMBER, STATUS`;
+
+// Columns of TRUE_DUPLICATES_SQL
+const DUPLICATE_COLUMNS = ['ORDERNUMBER', 'MATERIAL_NUMBER', 'BATCHNUMBER', 'STATUS', 'DUPLICATECOUNT'];
+
+// Statuses of lines that need no more work; lines with any other status, or none, are open
+const CLOSED_STATUSES = (process.env.CLOSED_STATUSES || 'Shipped')
+  .split(',').map(status => status.trim()).filter(Boolean);
+
+const PAGE_SIZES = [25, 50, 100, 200];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_CONDITIONS = 20;
+const MAX_IN_VALUES = 100;
+
+/**
+ * Escapes LIKE wildcards in user text; the pattern is used with ESCAPE '\'.
+ * @param {string} text - User text
+ * @returns {string}
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, char => `\\${char}`);
+
+/**
+ * Checks a YYYY-MM-DD date.
+ * @param {any} value - The value
+ * @returns {boolean}
+ */
+const isDay = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * The definition of a search column; names come from requests, so inherited keys (toString) don't count.
+ * @param {string} column - Column name
+ * @returns {Object|null}
+ */
+const searchColumn = (column) => (Object.hasOwn(SEARCH_COLUMNS, column) ? SEARCH_COLUMNS[column] : null);
+
+/**
+ * Builds the SQL of one condition.
+ * @param {Object} condition - { column, op, value }
+ * @param {string} name - Bind name prefix for this condition
+ * @param {Object} binds - Bind values, added to
+ * @returns {{sql: string|null, error: string|null}}
+ */
+const conditionSql = ({ column, op, value }, name, binds) => {
+  const definition = searchColumn(column);
+  if (!definition) return { sql: null, error: `Unknown search column: ${column}.` };
+  if (!Object.hasOwn(OPERATORS[definition.type], op)) {
+    return { sql: null, error: `${column} can't be searched with "${op}".` };
+  }
+  const expr = definition.expr || column;
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (op) {
+    case 'empty':
+      return { sql: definition.type === 'text' ? `TRIM(${expr}) IS NULL` : `${expr} IS NULL`, error: null };
+    case 'notEmpty':
+      return { sql: definition.type === 'text' ? `TRIM(${expr}) IS NOT NULL` : `${expr} IS NOT NULL`, error: null };
+
+    case 'equals':
+      if (text === undefined || text === null || text === '') return { sql: null, error: `Enter a value for ${column}.` };
+      if (definition.type === 'number') {
+        if (isNaN(Number(text))) return { sql: null, error: `${column} must be a number.` };
+        binds[name] = Number(text);
+        return { sql: `${expr} = :${name}`, error: null };
+      }
+      binds[name] = String(text);
+      return { sql: `UPPER(${expr}) = UPPER(:${name})`, error: null };
+
+    case 'startsWith':
+    case 'contains':
+    case 'wildcard': {
+      if (!text) return { sql: null, error: `Enter a value for ${column}.` };
+      const escaped = escapeLike(String(text));
+      const patterns = {
+        startsWith: `${escaped}%`,
+        contains: `%${escaped}%`,
+        wildcard: escaped.replace(/\*/g, '%').replace(/\?/g, '_'),
+      };
+      binds[name] = patterns[op];
+      return { sql: `UPPER(${expr}) LIKE UPPER(:${name}) ESCAPE '\\'`, error: null };
+    }
+
+    case 'in':
+    case 'notIn': {
+      const values = (Array.isArray(value) ? value : [])
+        .map(item => String(item ?? '').trim())
+        .filter(Boolean)
+        .slice(0, MAX_IN_VALUES);
+      if (values.length === 0) return { sql: null, error: `Pick at least one ${column}.` };
+      const names = values.map((item, i) => {
+        binds[`${name}_${i}`] = item.toUpperCase();
+        return `:${name}_${i}`;
+      });
+      if (op === 'notIn') {
+        // Empty values are "not one of" the list too
+        return { sql: `(TRIM(${expr}) IS NULL OR UPPER(${expr}) NOT IN (${names.join(', ')}))`, error: null };
+      }
+      return { sql: `UPPER(${expr}) IN (${names.join(', ')})`, error: null };
+    }
+
+    case 'between': {
+      const { from, to } = value || {};
+      const parts = [];
+      if (definition.type === 'date') {
+        if ((from && !isDay(from)) || (to && !isDay(to))) {
+          return { sql: null, error: `${column} dates must be YYYY-MM-DD.` };
+        }
+        if (from) {
+          binds[`${name}_from`] = from;
+          parts.push(`${expr} >= TO_DATE(:${name}_from, 'YYYY-MM-DD')`);
+        }
+        if (to) {
+          binds[`${name}_to`] = to;
+          parts.push(`${expr} < TO_DATE(:${name}_to, 'YYYY-MM-DD') + 1`); // The whole last day
+        }
+      } else {
+        if ((from !== undefined && from !== '' && isNaN(Number(from))) || (to !== undefined && to !== '' && isNaN(Number(to)))) {
+          return { sql: null, error: `${column} limits must be numbers.` };
+        }
+        if (from !== undefined && from !== '') {
+          binds[`${name}_from`] = Number(from);
+          parts.push(`${expr} >= :${name}_from`);
+        }
+        if (to !== undefined && to !== '') {
+          binds[`${name}_to`] = Number(to);
+          parts.push(`${expr} <= :${name}_to`);
+        }
+      }
+      if (parts.length === 0) return { sql: null, error: `Enter a start or an end for ${column}.` };
+      return { sql: parts.join(' AND '), error: null };
+    }
+
+    default:
+      return { sql: null, error: `Unknown search operator: ${op}.` };
+  }
+};
+
+/**
+ * Builds the WHERE clause of a list of conditions.
+ * @param {Object[]} conditions - Conditions, all of which must hold
+ * @returns {{where: string, binds: Object, error: string|null}} - where is empty without conditions
+ */
+const buildWhere = (conditions) => {
+  if (!Array.isArray(conditions)) return { where: '', binds: {}, error: 'Filters must be a list of conditions.' };
+  if (conditions.length > MAX_CONDITIONS) {
+    return { where: '', binds: {}, error: `Use at most ${MAX_CONDITIONS} filters.` };
+  }
+
+  const binds = {};
+  const clauses = [];
+  for (const [i, condition] of conditions.entries()) {
+    const { sql, error } = conditionSql(condition || {}, `f${i}`, binds);
+    if (error) return { where: '', binds: {}, error };
+    clauses.push(`(${sql})`);
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', binds, error: null };
+};
+
+/**
+ * Reads search criteria, sorting and paging from a request's query string:
+ * filters (JSON list of conditions), sort (column), dir (asc/desc), page (from 1) and pageSize.
+ * @param {Object} query - req.query
+ * @returns {{search: Object|null, error: string|null}} - search is { where, binds, orderBy, page, pageSize, offset, sort, dir }
+ */
+const parseSearch = (query) => {
+  let conditions = [];
+  if (query.filters) {
+    try {
+      conditions = JSON.parse(query.filters);
+    } catch {
+      return { search: null, error: 'Filters must be valid JSON.' };
+    }
+  }
+  const { where, binds, error } = buildWhere(conditions);
+  if (error) return { search: null, error };
+
+  const sort = searchColumn(query.sort) ? query.sort : 'ORDERNUMBER';
+  const dir = query.dir === 'desc' ? 'desc' : 'asc';
+  const page = Math.max(1, Math.floor(Number(query.page)) || 1);
+  const pageSize = PAGE_SIZES.includes(Number(query.pageSize)) ? Number(query.pageSize) : DEFAULT_PAGE_SIZE;
+
+  return {
+    search: {
+      where,
+      binds,
+      // LINE_ID keeps the order stable across pages when sort values repeat
+      orderBy: `ORDER BY ${SEARCH_COLUMNS[sort].expr || sort} ${dir.toUpperCase()} NULLS LAST, LINE_ID`,
+      page,
+      pageSize,
+      offset: (page - 1) * pageSize,
+      sort,
+      dir,
+    },
+    error: null,
+  };
+};
+
+/**
+ * The SELECT list of search columns; computed columns are selected as their expression.
+ * @param {string[]} columns - Columns of SEARCH_COLUMNS (others, like LINE_ID, are selected as they are)
+ * @returns {string}
+ */
+const selectColumns = (columns) =>
+  columns
+    .map(column => (searchColumn(column)?.computed ? `${SEARCH_COLUMNS[column].expr} AS ${column}` : column))
+    .join(', ');
+
+/**
+ * The condition selecting a value of a text column, or its empty values when there is none.
+ * @param {string} column - The column
+ * @param {string|null} value - The value
+ * @returns {Object} - { column, op, value }
+ */
+const valueFilter = (column, value) =>
+  value === null || value === undefined ? { column, op: 'empty' } : { column, op: 'equals', value };
+
+/**
+ * The condition matching open lines (see CLOSED_STATUSES).
+ * @returns {Object} - { column, op, value }
+ */
+const openLinesFilter = () => ({ column: 'STATUS', op: 'notIn', value: CLOSED_STATUSES });
+
+/**
+ * Checks the criteria of a saved search: { filters, sort, dir, pageSize }.
+ * Filters must build a valid WHERE clause; sorting and page size fall back to the defaults.
+ * @param {Object} criteria - Criteria from a request body
+ * @returns {{criteria: Object|null, error: string|null}} - The criteria with only the known keys
+ */
+const checkCriteria = (criteria) => {
+  if (!criteria || typeof criteria !== 'object') return { criteria: null, error: 'Search criteria are required.' };
+  const filters = criteria.filters || [];
+  const { error } = buildWhere(filters);
+  if (error) return { criteria: null, error };
+  return {
+    criteria: {
+      filters,
+      sort: searchColumn(criteria.sort) ? criteria.sort : 'ORDERNUMBER',
+      dir: criteria.dir === 'desc' ? 'desc' : 'asc',
+      pageSize: PAGE_SIZES.includes(Number(criteria.pageSize)) ? Number(criteria.pageSize) : DEFAULT_PAGE_SIZE,
+    },
+    error: null,
+  };
+};
+
+module.exports = {
+  SEARCH_COLUMNS,
+  OPERATORS,
+  PAGE_SIZES,
+  TRUE_DUPLICATES_SQL,
+  DUPLICATE_COLUMNS,
+  CLOSED_STATUSES,
+  AT_RISK_DAYS,
+  DELIVERY_STATUSES,
+  CDD_AS_DATE,
+  openLinesFilter,
+  valueFilter,
+  selectColumns,
+  isDay,
+  buildWhere,
+  parseSearch,
+  checkCriteria,
+};
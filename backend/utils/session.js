@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const oracledb = require('oracledb');
+require('dotenv').config();
+
+/**
+ * 🔑 Session Helpers
+ * Sessions live in SYSTEM.SAP_SESSIONS. The client only ever holds a token of the form
+ * `<sessionId>.<signature>`, so forged or truncated tokens are rejected before touching the database.
+ */
+
+// Fall back to a per-process secret so a missing .env entry never means "unsigned" tokens.
+// Sessions issued with it stop working when the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET is not set; using a random secret, sessions will not survive a restart.');
+}
+
+const IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 30;
+const MAX_HOURS = Number(process.env.SESSION_MAX_HOURS) || 8;
+
+// How long a download link stays usable; the browser opens it right away
+const DOWNLOAD_LINK_SECONDS = Number(process.env.DOWNLOAD_LINK_SECONDS) || 60;
+
+/**
+ * Signs a session id with the server secret.
+ * @param {string} sessionId - The session id to sign
+ * @returns {string} - Hex encoded HMAC-SHA256 signature
+ */
+const sign = (sessionId) =>
+  crypto.createHmac('sha256', SESSION_SECRET).update(sessionId).digest('hex');
+
+/**
+ * Extracts the session id from a token if its signature is valid.
+ * @param {string} token - Token as sent by the client
+ * @returns {string|null} - The session id or null if the token is malformed or forged
+ */
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(sign(sessionId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return sessionId;
+};
+
+/**
+ * The form of a URL a download token is signed for: path and sorted query, without the token itself,
+ * so the same URL signs the same whichever way its query was encoded.
+ * @param {string} url - Server path with query string (e.g. /api/reconciliation/export/search?format=csv)
+ * @returns {string}
+ */
+const downloadTarget = (url) => {
+  const parsed = new URL(url, 'http://localhost');
+  parsed.searchParams.delete('downloadToken');
+  parsed.searchParams.sort();
+  return `${parsed.pathname}?${parsed.searchParams}`;
+};
+
+/**
+ * Signs a short-lived download token for one URL on behalf of a session. Browsers can't send the
+ * Authorization header when they download a file themselves, so the token goes in the query string
+ * (see requireAuth); it opens that URL only, and only while the session is active.
+ * @param {string} sessionId - The caller's session
+ * @param {string} url - Server path with query string
+ * @returns {string} - `<sessionId>.<expiry>.<signature>`
+ */
+const signDownloadToken = (sessionId, url) => {
+  const expires = Date.now() + DOWNLOAD_LINK_SECONDS * 1000;
+  return `${sessionId}.${expires}.${sign(`${sessionId}.${expires}.${downloadTarget(url)}`)}`;
+};
+
+/**
+ * Extracts the session id from a download token if it was signed for this URL and hasn't expired.
+ * @param {string} token - Token from the query string
+ * @param {string} url - The URL requested (req.originalUrl)
+ * @returns {string|null} - The session id or null
+ */
+const verifyDownloadToken = (token, url) => {
+  if (typeof token !== 'string') return null;
+  const [sessionId, expires, signature] = token.split('.');
+  if (!sessionId || !signature || !(Number(expires) > Date.now())) return null;
+
+  const expected = Buffer.from(sign(`${sessionId}.${expires}.${downloadTarget(url)}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return sessionId;
+};
+
+/**
+ * Creates a new session for a user.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} username - The authenticated user
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+const createSession = async (conn, username) => {
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + MAX_HOURS * 60 * 60 * 1000);
+
+  await conn.execute(
+    `INSERT INTO SYSTEM.SAP_SESSIONS (SESSION_ID, USERNAME, EXPIRES_AT)
+     VALUES (:sessionId, :username, :expiresAt)`,
+    { sessionId, username, expiresAt },
+    { autoCommit: true }
+  );
+
+  return { token: `${sessionId}.${sign(sessionId)}`, expiresAt };
+};
+
+/**
+ * Looks up an active session and refreshes its idle timer.
+ * A session is active when it has not been revoked, has not passed its absolute expiry,
+ * has been used within the idle window and belongs to an active user.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} sessionId - Verified session id
+ * @returns {Promise<Object|null>} - The session row (with the user's flags) or null if it is no longer valid
+ */
+const touchSession = async (conn, sessionId) => {
+  const result = await conn.execute(
+    `SELECT s.SESSION_ID, s.USERNAME, s.CREATED_AT, s.LAST_SEEN_AT, s.EXPIRES_AT,
+            u.ROLE, u.MUST_CHANGE_PASSWORD
+     FROM SYSTEM.SAP_SESSIONS s
+     JOIN SYSTEM.SAP_USERS u ON u.USERNAME = s.USERNAME
+     WHERE s.SESSION_ID = :sessionId
+       AND s.REVOKED_AT IS NULL
+       AND s.EXPIRES_AT > SYSTIMESTAMP
+       AND s.LAST_SEEN_AT > SYSTIMESTAMP - NUMTODSINTERVAL(:idle, 'MINUTE')
+       AND u.IS_ACTIVE = 1`,
+    { sessionId, idle: IDLE_MINUTES },
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+
+  if (result.rows.length === 0) return null;
+
+  await conn.execute(
+    `UPDATE SYSTEM.SAP_SESSIONS SET LAST_SEEN_AT = SYSTIMESTAMP WHERE SESSION_ID = :sessionId`,
+    { sessionId },
+    { autoCommit: true }
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Revokes a session so its token can no longer be used.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} sessionId - The session to revoke
+ */
+const revokeSession = async (conn, sessionId) => {
+  await conn.execute(
+    `UPDATE SYSTEM.SAP_SESSIONS SET REVOKED_AT = SYSTIMESTAMP
+     WHERE SESSION_ID = :sessionId AND REVOKED_AT IS NULL`,
+    { sessionId },
+    { autoCommit: true }
+  );
+};
+
+/**
+ * Revokes every open session of a user, e.g. after the account is disabled or its password is reset.
+ * @param {Object} conn - Open Oracle connection
+ * @param {string} username - The user whose sessions are revoked
+ * @param {string} [exceptSessionId] - A session to keep open (the caller's own)
+ */
+const revokeUserSessions = async (conn, username, exceptSessionId = null) => {
+  await conn.execute(
+    `UPDATE SYSTEM.SAP_SESSIONS SET REVOKED_AT = SYSTIMESTAMP
+     WHERE USERNAME = :username AND REVOKED_AT IS NULL
+       AND (:exceptSessionId IS NULL OR SESSION_ID <> :exceptSessionId)`,
+    { username, exceptSessionId },
+    { autoCommit: true }
+  );
+};
+
+module.exports = {
+  verifyToken,
+  signDownloadToken,
+  verifyDownloadToken,
+  createSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions,
+};
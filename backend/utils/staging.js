@@ -0,0 +1,62 @@
+const { batchViolation } = require('./batches');
+
+/**
+ * 🗂️ Upload Staging
+ * How the rows of an upload are classified in the preview, before anything is written (see
+ * uploadController.js). The first valid occurrence of an order and material in the file wins.
+ */
+
+/**
+ * Key used to detect duplicate lines: one line per order and material.
+ * @param {Object} line - Line values
+ * @returns {string|null} - The key, or null if the order or material is missing
+ */
+const lineKey = (line) =>
+  line.ORDERNUMBER && line.MATERIAL_NUMBER ? `${line.ORDERNUMBER}\u0000${line.MATERIAL_NUMBER}` : null;
+
+/**
+ * Classifies the parsed rows of an upload: INVALID (errors, or a new line for a closed or locked batch),
+ * FILE_DUPLICATE (same order and material as an earlier row of the file), DUPLICATE (order and material
+ * already in the database) or NEW. Invalid rows don't claim their key, so a rejected row never makes a
+ * later good row for the same line a file duplicate.
+ * @param {Object[]} parsed - { line, errors } per row; batch errors are added to errors
+ * @param {Object} context
+ * @param {Set<string>} context.existingKeys - Keys already in the database (see lineKey)
+ * @param {Map<string, string>} context.batchStates - From loadBatchStates
+ * @param {string} context.duplicateMessage - Message of DUPLICATE rows
+ * @param {Function} context.rowLabel - index => how the row is named in messages (e.g. "row 3")
+ * @returns {Array<{rowStatus: string, message: string|null}>} - Per row, in order
+ */
+const classifyRows = (parsed, { existingKeys, batchStates, duplicateMessage, rowLabel }) => {
+  const firstRowByKey = new Map();
+  return parsed.map(({ line, errors }, index) => {
+    const key = lineKey(line);
+    let rowStatus = 'NEW';
+    let message = null;
+
+    if (errors.length > 0) {
+      rowStatus = 'INVALID';
+      message = errors.map(error => error.message).join('; ').slice(0, 1000);
+    } else if (key && firstRowByKey.has(key)) {
+      // Checked before the database, so a key already there but repeated in the file is merged only once
+      rowStatus = 'FILE_DUPLICATE';
+      message = `Same order and material as ${firstRowByKey.get(key)}`;
+    } else if (key && existingKeys.has(key)) {
+      rowStatus = 'DUPLICATE';
+      message = duplicateMessage;
+    } else if (batchViolation(batchStates, null, line)) {
+      // New lines can't go into closed or locked batches
+      errors.push({ column: 'BATCHNUMBER', message: batchViolation(batchStates, null, line) });
+      rowStatus = 'INVALID';
+      message = errors[0].message;
+    }
+    if (key && rowStatus !== 'INVALID' && !firstRowByKey.has(key)) firstRowByKey.set(key, rowLabel(index));
+
+    return { rowStatus, message };
+  });
+};
+
+module.exports = {
+  lineKey,
+  classifyRows,
+};
@@ -0,0 +1,143 @@
+const oracledb = require('oracledb');
+
+/**
+ * 🚦 Order Status Workflow
+ * The canonical statuses of a line, the transitions allowed between them and the aliases mapping
+ * legacy free text to them (see sql/019_order_statuses.sql). Edits, bulk edits, uploads and batch
+ * actions resolve every STATUS they write through the model: canonical statuses are matched without
+ * case, legacy text matching an alias becomes its status with the text kept as STATUS_NOTE, anything
+ * else is rejected. Changing the status of an existing line outside the transitions needs the
+ * statuses.override permission. Until statuses are configured, STATUS stays free text.
+ */
+
+// Longest legacy text kept in STATUS_NOTE
+const MAX_NOTE_LENGTH = 400;
+
+/**
+ * The key a status is compared by.
+ * @param {string|null} status - A STATUS value
+ * @returns {string}
+ */
+const statusKey = (status) => String(status ?? '').trim().toUpperCase();
+
+/**
+ * Checks that an alias pattern is a usable regular expression.
+ * @param {string} pattern - The pattern
+ * @returns {string|null} - What is wrong, or null
+ */
+const checkAliasPattern = (pattern) => {
+  if (!pattern) return 'A pattern is required.';
+  try {
+    new RegExp(pattern, 'i');
+    return null;
+  } catch (err) {
+    return `The pattern is not a valid regular expression: ${err.message}`;
+  }
+};
+
+/**
+ * Loads the statuses, transitions and aliases.
+ * @param {Object} conn - Open Oracle connection
+ * @returns {Promise<Object>} - { statuses, byKey (statusKey → status row), transitions (status → Set of statuses), aliases }
+ */
+const loadStatusModel = async (conn) => {
+  const options = { outFormat: oracledb.OUT_FORMAT_OBJECT };
+  const statuses = await conn.execute(
+    `SELECT STATUS, DESCRIPTION, SORT_ORDER, IS_ACTIVE, CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT
+     FROM SYSTEM.ORDER_STATUSES
+     ORDER BY SORT_ORDER, STATUS`,
+    [],
+    options
+  );
+  const transitions = await conn.execute(
+    `SELECT FROM_STATUS, TO_STATUS FROM SYSTEM.ORDER_STATUS_TRANSITIONS ORDER BY FROM_STATUS, TO_STATUS`,
+    [],
+    options
+  );
+  const aliases = await conn.execute(
+    `SELECT ALIAS_ID, PATTERN, STATUS, CREATED_BY, CREATED_AT FROM SYSTEM.ORDER_STATUS_ALIASES ORDER BY ALIAS_ID`,
+    [],
+    options
+  );
+
+  const graph = new Map(statuses.rows.map(row => [row.STATUS, new Set()]));
+  transitions.rows.forEach(row => graph.get(row.FROM_STATUS)?.add(row.TO_STATUS));
+
+  return {
+    statuses: statuses.rows,
+    byKey: new Map(statuses.rows.map(row => [statusKey(row.STATUS), row])),
+    transitions: graph,
+    aliases: aliases.rows.flatMap(alias => {
+      // Aliases are checked when saved; one changed directly in the database must not stop every edit
+      if (checkAliasPattern(alias.PATTERN)) {
+        console.warn(`Status alias ${alias.ALIAS_ID} is broken and was skipped.`);
+        return [];
+      }
+      return [{ ...alias, regex: new RegExp(alias.PATTERN, 'i') }];
+    }),
+  };
+};
+
+/**
+ * The canonical status a value stands for, directly or through an alias.
+ * @param {Object} model - From loadStatusModel
+ * @param {string|null} value - A STATUS value
+ * @returns {{status: Object|null, alias: Object|null}} - The status row and the alias used, if any
+ */
+const findStatus = (model, value) => {
+  const text = String(value ?? '').trim();
+  const status = model.byKey.get(statusKey(text));
+  if (status) return { status, alias: null };
+  const alias = model.aliases.find(({ regex }) => regex.test(text));
+  return alias ? { status: model.byKey.get(statusKey(alias.STATUS)), alias } : { status: null, alias: null };
+};
+
+/**
+ * Resolves a STATUS about to be written.
+ * @param {Object} model - From loadStatusModel
+ * @param {string|null} value - The STATUS given
+ * @returns {{status: string|null, note: string|null, error: string|null}} - The status to store, the legacy
+ *   text to keep as STATUS_NOTE (null when the value was no alias) and why the value can't be stored
+ */
+const resolveStatus = (model, value) => {
+  const text = String(value ?? '').trim();
+  if (!text || model.statuses.length === 0) return { status: text || null, note: null, error: null };
+
+  const { status, alias } = findStatus(model, text);
+  if (!status) {
+    const active = model.statuses.filter(row => row.IS_ACTIVE).map(row => row.STATUS);
+    return { status: text, note: null, error: `STATUS "${text}" is not a known status; use one of: ${active.join(', ')}` };
+  }
+  if (!status.IS_ACTIVE) {
+    return { status: status.STATUS, note: null, error: `STATUS ${status.STATUS} is no longer in use` };
+  }
+  return { status: status.STATUS, note: alias ? text.slice(0, MAX_NOTE_LENGTH) : null, error: null };
+};
+
+/**
+ * Checks a change of a line's status against the transitions. New lines may start in any status, and
+ * lines whose current status is empty or unknown may move to any status.
+ * @param {Object} model - From loadStatusModel
+ * @param {Object|null} before - The line before the change (null for a new line)
+ * @param {Object|null} after - The line after the change, or at least its STATUS (null for a deleted line)
+ * @returns {string|null} - Why the change needs an admin, or null when it is allowed
+ */
+const statusViolation = (model, before, after) => {
+  if (!before || !after) return null;
+  const from = findStatus(model, before.STATUS).status?.STATUS;
+  const to = findStatus(model, after.STATUS).status?.STATUS;
+  if (!from || !to || from === to || model.transitions.get(from)?.has(to)) return null;
+
+  const allowed = [...(model.transitions.get(from) || [])];
+  return `STATUS can't change from ${from} to ${to} without an admin` +
+    (allowed.length > 0 ? ` (${from} can change to ${allowed.join(', ')})` : ` (${from} is final)`);
+};
+
+module.exports = {
+  statusKey,
+  checkAliasPattern,
+  loadStatusModel,
+  findStatus,
+  resolveStatus,
+  statusViolation,
+};
@@ -0,0 +1,207 @@
+const oracledb = require('oracledb');
+const { normalizeDate, isoDate } = require('./values');
+
+/**
+ * ✅ Validation Rules
+ * Declarative per-column rules from SYSTEM.VALIDATION_RULES (see sql/015_validation_rules.sql),
+ * run against a line on every import and every manual edit. ERROR issues block the row or edit,
+ * WARNING issues are reported and let through.
+ */
+
+// Columns rules can be written for
+const RULE_COLUMNS = [
+  'ORDERNUMBER', 'SALESDOCUMENT', 'ORDERDATE', 'BATCHNUMBER', 'YEAR', 'MATERIAL_NUMBER',
+  'CLUB_NAME', 'ORDERTYPE', 'STATUS', 'CDD', 'SHIPOUTDATE', 'UPSTRACKINGNUMBER',
+];
+// Columns holding dates (CDD is text, but usually a YYYY-MM-DD date)
+const DATE_COLUMNS = ['ORDERDATE', 'SHIPOUTDATE', 'CDD'];
+
+const RULE_TYPES = {
+  REQUIRED: 'Required',
+  PATTERN: 'Matches pattern',
+  ALLOWED_VALUES: 'Allowed values',
+  COMPARE_DATES: 'Date comparison',
+  YEAR_OF_DATE: 'Year of date',
+};
+const SEVERITIES = ['ERROR', 'WARNING'];
+
+// Date comparisons on YYYY-MM-DD strings, which sort like the dates themselves
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+};
+const OPERATOR_WORDS = { '<': 'before', '<=': 'on or before', '=': 'the same day as', '>=': 'on or after', '>': 'after' };
+
+/**
+ * Reads a value as text; empty values are null.
+ * @param {any} val - The value
+ * @returns {string|null}
+ */
+const asText = (val) => (val === undefined || val === null || String(val).trim() === '' ? null : String(val).trim());
+
+/**
+ * Reads a value as a calendar day: Date objects from the database or an import, YYYY-MM-DD text from an edit.
+ * @param {any} val - The value
+ * @returns {string|null} - YYYY-MM-DD, or null if empty or not a date
+ */
+const asDay = (val) => {
+  if (val instanceof Date) return isNaN(val.getTime()) ? null : isoDate(val);
+  const { value } = normalizeDate(val);
+  return value ? isoDate(value) : null;
+};
+
+/**
+ * Checks that a rule definition is complete and usable before it is saved.
+ * @param {Object} rule - { RULE_TYPE, COLUMN_NAME, PATTERN, ALLOWED_VALUES (array), OPERATOR, OTHER_COLUMN, SEVERITY }
+ * @returns {string|null} - What is wrong, or null
+ */
+const checkRuleDefinition = (rule) => {
+  if (!RULE_TYPES[rule.RULE_TYPE]) return `Rule type must be one of: ${Object.keys(RULE_TYPES).join(', ')}.`;
+  if (!RULE_COLUMNS.includes(rule.COLUMN_NAME)) return `Column must be one of: ${RULE_COLUMNS.join(', ')}.`;
+  if (!SEVERITIES.includes(rule.SEVERITY)) return `Severity must be one of: ${SEVERITIES.join(', ')}.`;
+
+  switch (rule.RULE_TYPE) {
+    case 'PATTERN':
+      if (!rule.PATTERN) return 'A pattern is required.';
+      try {
+        new RegExp(rule.PATTERN);
+      } catch (err) {
+        return `The pattern is not a valid regular expression: ${err.message}`;
+      }
+      return null;
+    case 'ALLOWED_VALUES':
+      if (!Array.isArray(rule.ALLOWED_VALUES) || rule.ALLOWED_VALUES.length === 0) return 'At least one allowed value is required.';
+      return null;
+    case 'COMPARE_DATES':
+      if (!OPERATORS[rule.OPERATOR]) return `Operator must be one of: ${Object.keys(OPERATORS).join(' ')}.`;
+      if (!DATE_COLUMNS.includes(rule.COLUMN_NAME) || !DATE_COLUMNS.includes(rule.OTHER_COLUMN)) {
+        return `Both columns of a date comparison must be dates: ${DATE_COLUMNS.join(', ')}.`;
+      }
+      return null;
+    case 'YEAR_OF_DATE':
+      if (!DATE_COLUMNS.includes(rule.OTHER_COLUMN)) return `The date column must be one of: ${DATE_COLUMNS.join(', ')}.`;
+      return null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Reads the rules, with their regular expressions and value lists prepared for validateLine.
+ * @param {Object} conn - Open Oracle connection
+ * @param {boolean} [activeOnly=true] - Leave out disabled rules
+ * @returns {Promise<Object[]>}
+ */
+const loadRules = async (conn, activeOnly = true) => {
+  const result = await conn.execute(
+    `SELECT RULE_ID, RULE_TYPE, COLUMN_NAME, PATTERN, ALLOWED_VALUES, OPERATOR, OTHER_COLUMN, SEVERITY, MESSAGE,
+            IS_ACTIVE, CREATED_BY, CREATED_AT, UPDATED_BY, UPDATED_AT
+     FROM SYSTEM.VALIDATION_RULES
+     ${activeOnly ? 'WHERE IS_ACTIVE = 1' : ''}
+     ORDER BY COLUMN_NAME, RULE_ID`,
+    [],
+    { outFormat: oracledb.OUT_FORMAT_OBJECT }
+  );
+  return result.rows.flatMap(rule => {
+    try {
+      const allowed = rule.ALLOWED_VALUES ? JSON.parse(rule.ALLOWED_VALUES) : null;
+      return [{
+        ...rule,
+        ALLOWED_VALUES: allowed,
+        regex: rule.RULE_TYPE === 'PATTERN' ? new RegExp(rule.PATTERN) : null,
+        allowed: allowed ? new Set(allowed.map(value => String(value).trim().toLowerCase())) : null,
+      }];
+    } catch (err) {
+      // Rules are checked when saved; one changed directly in the database must not stop every import
+      console.warn(`Validation rule ${rule.RULE_ID} is broken and was skipped:`, err.message);
+      return [];
+    }
+  });
+};
+
+/**
+ * Message of a failed rule: the rule's own message, or one describing the rule.
+ * @param {Object} rule - The rule
+ * @param {any} value - The offending value
+ * @returns {string}
+ */
+const describeFailure = (rule, value) => {
+  if (rule.MESSAGE) return rule.MESSAGE;
+  switch (rule.RULE_TYPE) {
+    case 'REQUIRED': return `${rule.COLUMN_NAME} is required`;
+    case 'PATTERN': return `${rule.COLUMN_NAME} "${value}" does not match ${rule.PATTERN}`;
+    case 'ALLOWED_VALUES': return `${rule.COLUMN_NAME} "${value}" is not one of: ${rule.ALLOWED_VALUES.join(', ')}`;
+    case 'COMPARE_DATES': return `${rule.COLUMN_NAME} must be ${OPERATOR_WORDS[rule.OPERATOR]} ${rule.OTHER_COLUMN}`;
+    case 'YEAR_OF_DATE': return `${rule.COLUMN_NAME} ${value} does not match the year of ${rule.OTHER_COLUMN}`;
+    default: return `${rule.COLUMN_NAME} is not valid`;
+  }
+};
+
+/**
+ * Runs the rules against one line. Rules other than REQUIRED skip empty values.
+ * @param {Object} line - Line values by column
+ * @param {Object[]} rules - Rules from loadRules
+ * @returns {Array<{ruleId: number, column: string, severity: string, message: string}>} - The failed rules
+ */
+const validateLine = (line, rules) => {
+  const issues = [];
+  rules.forEach(rule => {
+    const value = asText(line[rule.COLUMN_NAME]);
+    let failed = false;
+
+    switch (rule.RULE_TYPE) {
+      case 'REQUIRED':
+        failed = value === null;
+        break;
+      case 'PATTERN':
+        failed = value !== null && !rule.regex.test(value);
+        break;
+      case 'ALLOWED_VALUES':
+        failed = value !== null && !rule.allowed.has(value.toLowerCase());
+        break;
+      case 'COMPARE_DATES': {
+        const day = asDay(line[rule.COLUMN_NAME]);
+        const otherDay = asDay(line[rule.OTHER_COLUMN]);
+        failed = day !== null && otherDay !== null && !OPERATORS[rule.OPERATOR](day, otherDay);
+        break;
+      }
+      case 'YEAR_OF_DATE': {
+        const otherDay = asDay(line[rule.OTHER_COLUMN]);
+        failed = value !== null && otherDay !== null && value !== otherDay.slice(0, 4);
+        break;
+      }
+      default:
+        break;
+    }
+
+    if (failed) {
+      issues.push({ ruleId: rule.RULE_ID, column: rule.COLUMN_NAME, severity: rule.SEVERITY, message: describeFailure(rule, value) });
+    }
+  });
+  return issues;
+};
+
+/**
+ * Splits issues into blocking errors and warnings, as messages.
+ * @param {Object[]} issues - Issues from validateLine
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+const splitIssues = (issues) => ({
+  errors: issues.filter(issue => issue.severity === 'ERROR').map(issue => issue.message),
+  warnings: issues.filter(issue => issue.severity === 'WARNING').map(issue => issue.message),
+});
+
+module.exports = {
+  RULE_COLUMNS,
+  DATE_COLUMNS,
+  RULE_TYPES,
+  SEVERITIES,
+  OPERATORS,
+  checkRuleDefinition,
+  loadRules,
+  validateLine,
+  splitIssues,
+};
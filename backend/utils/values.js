@@ -0,0 +1,189 @@
+const xlsx = require('xlsx');
+require('dotenv').config();
+
+/**
+ * 🔧 Value Helpers
+ * These utility functions help sanitize and validate data before inserting into the database.
+ * They ensure that invalid or missing data is handled gracefully, preventing database errors.
+ */
+
+/**
+ * Returns the value or null if the value is undefined or an empty string.
+ * Used for VARCHAR2 columns to safely handle text data.
+ * @param {any} val - The input value
+ * @returns {string|null} - The sanitized value or null
+ */
+const safeValue = (val) => (val === undefined || val === '' ? null : val);
+
+/**
+ * Converts a value to a valid number or returns null if the value is invalid.
+ * Used for NUMBER columns to prevent ORA-01722 (invalid number) errors.
+ * Logs invalid values for debugging.
+ * @param {any} val - The input value
+ * @param {string} columnName - The name of the column (for logging)
+ * @returns {number|null} - The sanitized number or null
+ */
+const safeNumber = (val, columnName = 'unknown') => {
+  if (typeof val === 'number') return val;
+  if (val === undefined || val === null) return null;
+  const str = val.toString().trim();
+  // Check if the string is a valid number (including integers and decimals)
+  if (!str || !/^-?\d*\.?\d+$/.test(str)) {
+    console.warn(`Invalid numeric value in ${columnName}: "${str}"`);
+    return null;
+  }
+  return Number(str);
+};
+
+// ---------- Import normalization ----------
+// Spreadsheets from different exports write dates and empty values in many ways. The helpers below
+// turn them into proper values and describe every change they make, so imports can report them.
+
+// Date formats tried on text, in order; tokens are YYYY, YY, MM, M, DD and D (e.g. "MM/DD/YYYY")
+const IMPORT_DATE_FORMATS = (process.env.IMPORT_DATE_FORMATS || 'MM/DD/YYYY,MM.DD.YYYY,MM-DD-YYYY,YYYY-MM-DD,YYYY/MM/DD')
+  .split(',').map(format => format.trim()).filter(Boolean);
+// Text that means "no value" (compared case-insensitively)
+const IMPORT_NULL_VALUES = new Set((process.env.IMPORT_NULL_VALUES || 'null,n/a,#n/a,none,-')
+  .split(',').map(value => value.trim().toLowerCase()).filter(Boolean));
+// Placeholder dates that mean "no date" (YYYY-MM-DD)
+const IMPORT_NULL_DATES = new Set((process.env.IMPORT_NULL_DATES || '2999-12-31,9999-12-31')
+  .split(',').map(value => value.trim()).filter(Boolean));
+
+// Numbers in this range are read as Excel serial dates (1927-05-18 to 9999-12-31); smaller numbers are
+// more likely a year or a typo than a date
+const EXCEL_SERIAL_MIN = 10000;
+const EXCEL_SERIAL_MAX = 2958465;
+
+// Kinds of coercion, as reported to the user
+const COERCIONS = {
+  NULL_VALUE: 'Text read as empty',
+  EXCEL_SERIAL: 'Excel serial number read as date',
+  TEXT_DATE: 'Date taken from text',
+  PLACEHOLDER_DATE: 'Placeholder date read as empty',
+  LEGACY_STATUS: 'Legacy status mapped to a canonical one',
+};
+
+/**
+ * Compiles a date format into a regular expression with named groups.
+ * @param {string} format - e.g. "MM/DD/YYYY"
+ * @returns {RegExp}
+ */
+const formatPattern = (format) => {
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+    .replace(/YYYY|YY|MM|M|DD|D/g, token => ({
+      YYYY: '(?<year>\\d{4})',
+      YY: '(?<year>\\d{2})',
+      MM: '(?<month>\\d{1,2})',
+      M: '(?<month>\\d{1,2})',
+      DD: '(?<day>\\d{1,2})',
+      D: '(?<day>\\d{1,2})',
+    })[token]);
+  return new RegExp(`(?<![\\d])${source}(?![\\d])`);
+};
+const DATE_PATTERNS = IMPORT_DATE_FORMATS.map(format => ({ format, pattern: formatPattern(format) }));
+
+/**
+ * Builds a date at local midnight. Oracle DATE binds use the local time zone, so a date built this way
+ * is stored as the same calendar day whatever the server's time zone (new Date("2025-06-18") is UTC
+ * midnight and lands on June 17 west of Greenwich).
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @returns {Date|null} - Null if the day doesn't exist
+ */
+const calendarDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Formats a date as YYYY-MM-DD using its local calendar day.
+ * @param {Date} date - The date
+ * @returns {string}
+ */
+const isoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Normalizes an imported value: undefined, blank text and the configured null values become null.
+ * @param {any} val - The value as read from the sheet
+ * @returns {{value: any, coercion: Object|null}} - coercion is { kind, message } when the value was changed
+ */
+const normalizeValue = (val) => {
+  if (val === undefined || val === null) return { value: null, coercion: null };
+  if (typeof val !== 'string') return { value: val, coercion: null };
+
+  const trimmed = val.trim();
+  if (trimmed === '') return { value: null, coercion: null };
+  if (IMPORT_NULL_VALUES.has(trimmed.toLowerCase())) {
+    return { value: null, coercion: { kind: 'NULL_VALUE', message: `"${trimmed}" read as empty` } };
+  }
+  return { value: val, coercion: null };
+};
+
+/**
+ * Normalizes an imported date: Excel serial numbers, text in one of IMPORT_DATE_FORMATS (also when
+ * surrounded by other text, e.g. "Order shared on 06.23.2025"), null values and placeholder dates.
+ * The time of day is dropped.
+ * @param {any} val - The value as read from the sheet
+ * @returns {{value: Date|null, coercion: Object|null, invalid: boolean}} - invalid is true when a value was
+ *   present but no date could be read from it
+ */
+const normalizeDate = (val) => {
+  const normalized = normalizeValue(val);
+  if (normalized.value === null) return { ...normalized, invalid: false };
+  val = normalized.value;
+
+  let date = null;
+  let coercion = null;
+  if (val instanceof Date) {
+    date = isNaN(val.getTime()) ? null : calendarDate(val.getFullYear(), val.getMonth() + 1, val.getDate());
+  } else {
+    const text = val.toString().trim();
+    const serial = Number(text);
+    if (/^\d+(\.\d+)?$/.test(text) && serial >= EXCEL_SERIAL_MIN && serial <= EXCEL_SERIAL_MAX) {
+      const parts = xlsx.SSF.parse_date_code(serial);
+      date = calendarDate(parts.y, parts.m, parts.d);
+      if (date) coercion = { kind: 'EXCEL_SERIAL', message: `${text} read as ${isoDate(date)}` };
+    } else {
+      for (const { pattern } of DATE_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const { year, month, day } = match.groups;
+        date = calendarDate(year.length === 2 ? 2000 + Number(year) : Number(year), Number(month), Number(day));
+        if (!date) continue;
+        // Text around the date (anything beyond a time of day) is reported
+        const rest = (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim();
+        if (rest && !/^[T\s]*\d{1,2}:\d{2}/.test(rest)) {
+          coercion = { kind: 'TEXT_DATE', message: `${isoDate(date)} taken from "${text}"` };
+        }
+        break;
+      }
+    }
+  }
+
+  if (!date) return { value: null, coercion: null, invalid: true };
+  if (IMPORT_NULL_DATES.has(isoDate(date))) {
+    return { value: null, coercion: { kind: 'PLACEHOLDER_DATE', message: `${String(val).trim()} read as empty (placeholder date ${isoDate(date)})` }, invalid: false };
+  }
+  return { value: date, coercion, invalid: false };
+};
+
+/**
+ * Converts a value to a date, or null if it is empty or no date can be read from it.
+ * See normalizeDate for the formats understood.
+ * @param {any} val - The input value
+ * @returns {Date|null} - The date at local midnight, or null
+ */
+const safeDate = (val) => normalizeDate(val).value;
+
+module.exports = {
+  COERCIONS,
+  safeValue,
+  safeNumber,
+  safeDate,
+  isoDate,
+  normalizeValue,
+  normalizeDate,
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+/**
+ * 📑 Workbook Reading
+ * Uploaded workbooks may hold several sheets (one per club or per week). Callers pick the sheets to
+ * read; rows from all of them are processed together and keep the sheet and row they came from.
+ * Without a choice only the first sheet is read, as before. CSV files have a single sheet.
+ */
+
+const ANNOTATION_AUTHOR = 'Reconciliation upload'; // Author of the notes left on offending cells
+
+// Fill of offending cells in annotated workbooks (Excel's light red "bad" fill)
+const HIGHLIGHT_FILL = '<fill><patternFill patternType="solid"><fgColor rgb="FFFFC7CE"/><bgColor indexed="64"/></patternFill></fill>';
+
+/**
+ * The kind of workbook a file is, from its original name (uploads are stored without an extension).
+ * @param {string} fileName - Name of the file as uploaded
+ * @returns {string} - 'csv' or 'xlsx'
+ */
+const bookTypeOf = (fileName) => (path.extname(fileName || '').toLowerCase() === '.csv' ? 'csv' : 'xlsx');
+
+/**
+ * Lists the sheet names of a workbook without parsing the sheets.
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {string[]}
+ */
+const listSheets = (filePath) => xlsx.readFile(filePath, { bookSheets: true }).SheetNames;
+
+/**
+ * Parses the sheet choice sent with a request (a JSON array of sheet names).
+ * @param {string|undefined} value - The request value
+ * @returns {{sheets: string[]|null, error: string|null}} - sheets is null when nothing was chosen
+ */
+const parseSheetChoice = (value) => {
+  if (!value) return { sheets: null, error: null };
+  let sheets;
+  try {
+    sheets = JSON.parse(value);
+  } catch {
+    sheets = null;
+  }
+  if (!Array.isArray(sheets) || sheets.some(sheet => typeof sheet !== 'string')) {
+    return { sheets: null, error: 'Sheets must be a JSON array of sheet names.' };
+  }
+  return { sheets: sheets.length > 0 ? [...new Set(sheets)] : null, error: null };
+};
+
+/**
+ * Checks the chosen sheets against the workbook; no choice means the first sheet.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string[]|null} chosen - Sheet names, or null
+ * @returns {{sheets: string[], error: string|null}}
+ */
+const resolveSheets = (filePath, chosen) => {
+  const available = listSheets(filePath);
+  if (!chosen) return { sheets: available.slice(0, 1), error: null };
+
+  const unknown = chosen.filter(sheet => !available.includes(sheet));
+  if (unknown.length > 0) {
+    return { sheets: [], error: `Sheet(s) not found in the workbook: ${unknown.join(', ')}.` };
+  }
+  return { sheets: chosen, error: null };
+};
+
+/**
+ * Reads the header row of each sheet without parsing the rest of the file.
+ * CSV headers are read as raw text, like the rows (see readRows).
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string[]} sheets - Sheet names
+ * @param {string} [bookType] - 'xlsx' or 'csv' (see bookTypeOf)
+ * @returns {Object} - Sheet name → headers exactly as in the file
+ */
+const readHeadersBySheet = (filePath, sheets, bookType = 'xlsx') => {
+  const workbook = xlsx.readFile(filePath, bookType === 'csv' ? { sheetRows: 1, sheets, raw: true } : { sheetRows: 1, sheets });
+  return Object.fromEntries(sheets.map(sheet => [
+    sheet,
+    (xlsx.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1 })[0] || []).map(header => String(header)),
+  ]));
+};
+
+/**
+ * Reads the headers of several sheets as one list, in order of first appearance.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string[]} sheets - Sheet names
+ * @param {string} [bookType] - 'xlsx' or 'csv' (see bookTypeOf)
+ * @returns {string[]}
+ */
+const readHeaders = (filePath, sheets, bookType = 'xlsx') =>
+  [...new Set(Object.values(readHeadersBySheet(filePath, sheets, bookType)).flat())];
+
+/**
+ * Reads the data rows of the chosen sheets, sheet after sheet.
+ * CSV cells are read as the text in the file: left to SheetJS, dates would become serial numbers in the
+ * server's time zone (a day early west of UTC) and codes would lose their leading zeros.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string[]} sheets - Sheet names
+ * @param {string} [bookType] - 'xlsx' or 'csv' (see bookTypeOf)
+ * @returns {Array<{sheet: string, sheetRow: number, row: Object}>} - sheetRow is the row number as shown in Excel
+ */
+const readRows = (filePath, sheets, bookType = 'xlsx') => {
+  const workbook = xlsx.readFile(filePath, bookType === 'csv' ? { sheets, raw: true } : { sheets });
+  return sheets.flatMap(sheet =>
+    xlsx.utils.sheet_to_json(workbook.Sheets[sheet]).map(row => ({ sheet, sheetRow: row.__rowNum__ + 1, row }))
+  );
+};
+
+/**
+ * Groups items by a key, keeping their order.
+ * @param {Array} items - The items
+ * @param {Function} keyOf - item => key
+ * @returns {Map}
+ */
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+/**
+ * Reads the attributes of an XML start tag.
+ * @param {string} tag - e.g. '<sheet name="Week 1" r:id="rId1"/>'
+ * @returns {Object} - Attribute name → unescaped value
+ */
+const xmlAttributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, name, value]) => [
+  name,
+  value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&'),
+]));
+
+/**
+ * Gives cells of an .xlsx a light red fill. SheetJS Community Edition writes no cell styles, so the
+ * written file is patched: the fill is added to the styles part, each style used by an offending cell
+ * gets a filled copy, and the cells are pointed at their copy.
+ * @param {Buffer} buffer - The .xlsx as written by SheetJS
+ * @param {Map<string, Set<string>>} cellsBySheet - Sheet name → addresses of the cells to fill (e.g. "B3")
+ * @returns {Buffer} - The patched .xlsx
+ */
+const highlightCells = (buffer, cellsBySheet) => {
+  const zip = xlsx.CFB.read(buffer, { type: 'buffer' });
+  const readPart = (name) => Buffer.from(xlsx.CFB.find(zip, `/${name}`).content).toString('utf8');
+  const writePart = (name, text) => {
+    xlsx.CFB.find(zip, `/${name}`).content = Buffer.from(text, 'utf8');
+  };
+
+  let styles = readPart('xl/styles.xml');
+  const fillId = Number(styles.match(/<fills count="(\d+)"/)[1]);
+  styles = styles.replace(/<fills count="\d+">([\s\S]*?)<\/fills>/, (_, fills) => `<fills count="${fillId + 1}">${fills}${HIGHLIGHT_FILL}</fills>`);
+  const xfs = styles.match(/<cellXfs count="\d+">([\s\S]*?)<\/cellXfs>/)[1].match(/<xf\b[^>]*?(?:\/>|>[\s\S]*?<\/xf>)/g);
+  const filledStyles = new Map(); // Style index → index of its filled copy
+  const filledStyle = (style) => {
+    if (!filledStyles.has(style)) {
+      filledStyles.set(style, xfs.length);
+      const xf = xfs[style] || '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>';
+      xfs.push(xf.replace(/\s(fillId|applyFill)="\d+"/g, '').replace(/^<xf\b/, `<xf fillId="${fillId}" applyFill="1"`));
+    }
+    return filledStyles.get(style);
+  };
+
+  // Sheet name → its part, through the workbook relationships
+  const targets = new Map([...readPart('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => xmlAttributes(tag))
+    .map(({ Id, Target }) => [Id, Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`]));
+  [...readPart('xl/workbook.xml').matchAll(/<sheet\b[^>]*>/g)].map(([tag]) => xmlAttributes(tag)).forEach((sheet) => {
+    const cells = cellsBySheet.get(sheet.name);
+    const part = targets.get(sheet['r:id']);
+    if (!cells || !part) return;
+    writePart(part, readPart(part).replace(/<c\b([^>]*?)(\/?)>/g, (tag, attributes, selfClosing) => {
+      const { r, s: style } = xmlAttributes(attributes);
+      if (!cells.has(r)) return tag;
+      return `<c${attributes.replace(/\ss="\d+"/, '')} s="${filledStyle(Number(style || 0))}"${selfClosing}>`;
+    }));
+  });
+
+  writePart('xl/styles.xml', styles.replace(
+    /<cellXfs count="\d+">[\s\S]*?<\/cellXfs>/,
+    () => `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>`
+  ));
+  return xlsx.CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true });
+};
+
+/**
+ * Writes a copy of an uploaded file with an "Errors" column after the last column of each annotated sheet.
+ * Rows, columns, other sheets, values and number formats are kept, so the copy can be fixed and uploaded again;
+ * other formatting of the original (fonts, fills, borders) is not, as SheetJS doesn't read it.
+ * In a workbook every offending cell is highlighted in light red and gets a note with its own messages;
+ * a CSV copy keeps the file's text as is and only gains the column.
+ * @param {string} filePath - Path of the uploaded file
+ * @param {string} outPath - Path of the copy
+ * @param {string} bookType - 'xlsx' or 'csv'
+ * @param {Array<{sheet: string, sheetRow: number, messages: Array<{headers: string[], text: string}>}>} annotations -
+ *   Messages per row, with the file headers of the offending cells
+ */
+const writeAnnotatedWorkbook = (filePath, outPath, bookType, annotations) => {
+  const workbook = xlsx.readFile(filePath, bookType === 'csv' ? { raw: true } : { cellNF: true });
+  const highlighted = new Map(); // Sheet → addresses of the offending cells
+
+  groupBy(annotations, ({ sheet }) => sheet).forEach((sheetAnnotations, sheet) => {
+    const worksheet = workbook.Sheets[sheet];
+    const range = xlsx.utils.decode_range(worksheet['!ref']);
+    const errorsColumn = range.e.c + 1;
+
+    // Header cell → column index, first occurrence wins as in sheet_to_json
+    const headerColumns = new Map();
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = worksheet[xlsx.utils.encode_cell({ r: range.s.r, c })];
+      if (cell && !headerColumns.has(String(cell.v))) headerColumns.set(String(cell.v), c);
+    }
+
+    worksheet[xlsx.utils.encode_cell({ r: range.s.r, c: errorsColumn })] = { t: 's', v: 'Errors' };
+    sheetAnnotations.forEach(({ sheetRow, messages }) => {
+      const r = sheetRow - 1;
+      worksheet[xlsx.utils.encode_cell({ r, c: errorsColumn })] = { t: 's', v: messages.map(({ text }) => text).join('; ') };
+      if (bookType === 'csv') return;
+
+      const cellMessages = messages.flatMap(({ headers, text }) =>
+        headers.filter(header => headerColumns.has(header)).map(header => ({ header, text }))
+      );
+      groupBy(cellMessages, ({ header }) => header).forEach((notes, header) => {
+        const address = xlsx.utils.encode_cell({ r, c: headerColumns.get(header) });
+        const cell = worksheet[address] || (worksheet[address] = { t: 's', v: '' });
+        cell.c = [{ a: ANNOTATION_AUTHOR, t: notes.map(({ text }) => text).join('\n') }];
+        cell.c.hidden = true;
+        if (!highlighted.has(sheet)) highlighted.set(sheet, new Set());
+        highlighted.get(sheet).add(address);
+      });
+    });
+
+    range.e.c = errorsColumn;
+    worksheet['!ref'] = xlsx.utils.encode_range(range);
+  });
+
+  if (bookType === 'csv' || !highlighted.size) {
+    xlsx.writeFile(workbook, outPath, { bookType });
+    return;
+  }
+  fs.writeFileSync(outPath, highlightCells(xlsx.write(workbook, { type: 'buffer', bookType }), highlighted));
+};
+
+module.exports = {
+  bookTypeOf,
+  listSheets,
+  parseSheetChoice,
+  resolveSheets,
+  readHeadersBySheet,
+  readHeaders,
+  readRows,
+  writeAnnotatedWorkbook,
+};
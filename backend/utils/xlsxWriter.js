@@ -0,0 +1,298 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * 📗 Streaming XLSX Writer
+ * Writes a one-sheet .xlsx to a stream row by row, so large exports never sit in memory as a whole.
+ * An .xlsx is a zip of XML parts: the sheet is deflated while it is written and the zip is finished
+ * with data descriptors, since sizes and checksums are only known at the end.
+ * The header row is bold on a coloured fill, frozen and has filter buttons; dates use yyyy-mm-dd.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const SHEET_NAME = 'Export';
+
+// Cell styles, by position in cellXfs of STYLES
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">`
+  + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+  + '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">`
+  + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+  + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+  + '</Relationships>';
+
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+  + '<font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>'
+  + '<fill><patternFill patternType="solid"><fgColor rgb="FF4A69BD"/><bgColor indexed="64"/></patternFill></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+/**
+ * Writes to a stream, waiting when its buffer is full. Fails once the stream is closed
+ * (e.g. the client went away), so the caller stops reading rows.
+ * @param {Object} output - Writable stream
+ * @param {Buffer|string} chunk - Data to write
+ */
+const writeTo = async (output, chunk) => {
+  if (output.destroyed) throw new Error('Export stopped: the output stream was closed.');
+  if (output.write(chunk)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+  if (output.destroyed) throw new Error('Export stopped: the output stream was closed.');
+};
+
+// Control characters XML 1.0 can't hold: everything below a space except tab, line feed and carriage return
+const XML_INVALID_CHARS = new RegExp('[\\x00-\\x08\\x0B\\x0C\\x0E-\\x1F]', 'g');
+
+/**
+ * Escapes text for XML and drops control characters XML can't hold.
+ * @param {string} text - The text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text)
+  .replace(XML_INVALID_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Column letters of a zero-based column index: 0 → A, 26 → AA.
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Excel serial number of a date, read in local time like the dates from Oracle.
+ * @param {Date} date - The date
+ * @returns {number}
+ */
+const excelSerial = (date) =>
+  Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds())
+    / 86400000 + 25569;
+
+/**
+ * DOS time and date of now, as stored in zip headers.
+ * @returns {{time: number, date: number}}
+ */
+const dosDateTime = () => {
+  const now = new Date();
+  return {
+    time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+    date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate(),
+  };
+};
+
+/**
+ * Writes zip entries one after the other, each deflated as it is written.
+ * @param {Object} output - Writable stream
+ * @returns {{addEntry: Function, finish: Function}}
+ */
+const createZipWriter = (output) => {
+  const entries = [];
+  const { time, date } = dosDateTime();
+  let offset = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    await writeTo(output, chunk);
+  };
+
+  /**
+   * Starts an entry. Write its content with write(), then call end().
+   * @param {string} name - Path inside the zip
+   * @returns {{write: Function, end: Function}}
+   */
+  const addEntry = async (name) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const headerOffset = offset;
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed
+    header.writeUInt16LE(0x0808, 6); // Sizes in a data descriptor, UTF-8 names
+    header.writeUInt16LE(8, 8); // Deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    await write(Buffer.concat([header, nameBytes]));
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const deflate = zlib.createDeflateRaw();
+    const pump = (async () => {
+      try {
+        for await (const chunk of deflate) {
+          compressedSize += chunk.length;
+          await write(chunk);
+        }
+      } catch (err) {
+        deflate.destroy(err);
+        throw err;
+      }
+    })();
+    pump.catch(() => {}); // Reported by end() or by the next write()
+
+    return {
+      write: async (text) => {
+        const chunk = Buffer.from(text, 'utf8');
+        crc = zlib.crc32(chunk, crc);
+        size += chunk.length;
+        if (!deflate.write(chunk)) await once(deflate, 'drain');
+      },
+      end: async () => {
+        deflate.end();
+        await pump;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await write(descriptor);
+        entries.push({ nameBytes, crc, size, compressedSize, headerOffset });
+      },
+    };
+  };
+
+  /**
+   * Writes the central directory that ends the zip.
+   */
+  const finish = async () => {
+    const directoryOffset = offset;
+    const records = entries.map(({ nameBytes, crc, size, compressedSize, headerOffset }) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // Version made by
+      record.writeUInt16LE(20, 6); // Version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(date, 14);
+      record.writeUInt32LE(crc, 16);
+      record.writeUInt32LE(compressedSize, 20);
+      record.writeUInt32LE(size, 24);
+      record.writeUInt16LE(nameBytes.length, 28);
+      record.writeUInt32LE(headerOffset, 42);
+      return Buffer.concat([record, nameBytes]);
+    });
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(Buffer.concat([directory, end]));
+  };
+
+  return { addEntry, finish };
+};
+
+/**
+ * Starts an .xlsx on a stream. Rows are arrays of values in column order: numbers and dates are
+ * written as such, everything else as text, null and undefined as empty cells.
+ * @param {Object} output - Writable stream
+ * @param {string[]} headers - Header row labels
+ * @returns {Promise<{writeRows: Function, end: Function}>}
+ */
+const createXlsxWriter = async (output, headers) => {
+  const zip = createZipWriter(output);
+  const letters = headers.map((header, i) => columnLetter(i));
+  let rowNum = 1;
+
+  const cellXml = (value, ref) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (value instanceof Date && !isNaN(value.getTime())) {
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${excelSerial(value)}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  };
+
+  const sheet = await zip.addEntry('xl/worksheets/sheet1.xml');
+  const widths = headers.map(header => Math.min(60, Math.max(12, String(header).length + 4)));
+  await sheet.write(
+    `${XML_HEADER}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    + '<sheetData>'
+    + `<row r="1">${headers.map((header, i) => `<c r="${letters[i]}1" s="${STYLE_HEADER}" t="inlineStr"><is><t>${escapeXml(header)}</t></is></c>`).join('')}</row>`
+  );
+
+  return {
+    /**
+     * @param {Array<Array>} rows - Rows of values in column order
+     */
+    writeRows: async (rows) => {
+      const xml = rows.map(values => {
+        rowNum++;
+        return `<row r="${rowNum}">${values.map((value, i) => cellXml(value, `${letters[i]}${rowNum}`)).join('')}</row>`;
+      }).join('');
+      if (xml) await sheet.write(xml);
+    },
+    end: async () => {
+      const lastColumn = letters[letters.length - 1];
+      await sheet.write(`</sheetData><autoFilter ref="A1:${lastColumn}${rowNum}"/></worksheet>`);
+      await sheet.end();
+
+      const parts = {
+        '[Content_Types].xml': CONTENT_TYPES,
+        '_rels/.rels': ROOT_RELS,
+        'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+          + `<sheets><sheet name="${SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets>`
+          + `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${SHEET_NAME}'!$A$1:$${lastColumn}$${rowNum}</definedName></definedNames>`
+          + '</workbook>',
+        'xl/_rels/workbook.xml.rels': WORKBOOK_RELS,
+        'xl/styles.xml': STYLES,
+      };
+      for (const [name, xml] of Object.entries(parts)) {
+        const entry = await zip.addEntry(name);
+        await entry.write(xml);
+        await entry.end();
+      }
+      await zip.finish();
+    },
+  };
+};
+
+module.exports = {
+  writeTo,
+  createXlsxWriter,
+};
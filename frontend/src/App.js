@@ -8,14 +8,35 @@ import AsOfCheck from './pages/AsOfCheck';
 import SearchData from './pages/SearchData';
 import ProtectedRoute from './components/ProtectedRoute';
 import DuplicateCheck from './pages/DuplicateCheck';
+import LateOrders from './pages/LateOrders';
+import Batches from './pages/Batches';
+import UserAdmin from './pages/UserAdmin';
+import ValidationRules from './pages/ValidationRules';
+import OrderStatuses from './pages/OrderStatuses';
+import ChangePassword from './pages/ChangePassword';
+import Reports from './pages/Reports';
+import axios from './api/axios';
+import { getToken, clearSession, saveUser } from './api/session';
 
 function AppWrapper() {
-  const [auth, setAuth] = useState(false);
+  const [auth, setAuth] = useState(null); // null while the stored session is being checked
 
   useEffect(() => {
-    // Load persisted auth state from localStorage
-    const storedAuth = localStorage.getItem('auth') === 'true';
-    setAuth(storedAuth);
+    // Validate the persisted session token with the backend
+    if (!getToken()) {
+      setAuth(false);
+      return;
+    }
+    axios
+      .get('/me')
+      .then((res) => {
+        saveUser(res.data.user); // Refresh flags that may have changed since login
+        setAuth(true);
+      })
+      .catch(() => {
+        clearSession();
+        setAuth(false);
+      });
   }, []);
 
   return (
@@ -35,7 +56,7 @@ function AppWrapper() {
         <Route
           path="/reconciliation/add"
           element={
-            <ProtectedRoute auth={auth}>
+            <ProtectedRoute auth={auth} permission="reconciliation.upload">
               <AddReconciliation />
             </ProtectedRoute>
           }
@@ -44,7 +65,7 @@ function AppWrapper() {
         <Route
           path="/reconciliation/edit"
           element={
-            <ProtectedRoute auth={auth}>
+            <ProtectedRoute auth={auth} permission="reconciliation.edit">
               <EditReconciliation />
             </ProtectedRoute>
           }
@@ -53,7 +74,7 @@ function AppWrapper() {
         <Route
           path="/reconciliation/check"
           element={
-            <ProtectedRoute auth={auth}>
+            <ProtectedRoute auth={auth} permission="reconciliation.check">
               <AsOfCheck />
             </ProtectedRoute>
           }
@@ -62,7 +83,7 @@ function AppWrapper() {
         <Route
           path="/reconciliation/search"
           element={
-            <ProtectedRoute auth={auth}>
+            <ProtectedRoute auth={auth} permission="reconciliation.search">
               <SearchData />
             </ProtectedRoute>
           }
@@ -71,14 +92,80 @@ function AppWrapper() {
         <Route
          path="/reconciliation/duplicates"
          element={
-         <ProtectedRoute auth={auth}>
+         <ProtectedRoute auth={auth} permission="reconciliation.check">
            <DuplicateCheck />
          </ProtectedRoute>
     }
         />
 
+        <Route
+          path="/reconciliation/late-orders"
+          element={
+            <ProtectedRoute auth={auth} permission="reconciliation.search">
+              <LateOrders />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/reconciliation/batches"
+          element={
+            <ProtectedRoute auth={auth} permission="reconciliation.search">
+              <Batches />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/reports"
+          element={
+            <ProtectedRoute auth={auth} permission="reports.view">
+              <Reports />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/users"
+          element={
+            <ProtectedRoute auth={auth} permission="users.manage">
+              <UserAdmin />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/validation-rules"
+          element={
+            <ProtectedRoute auth={auth} permission="rules.manage">
+              <ValidationRules />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/admin/order-statuses"
+          element={
+            <ProtectedRoute auth={auth} permission="statuses.manage">
+              <OrderStatuses />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/account/password"
+          element={
+            <ProtectedRoute auth={auth}>
+              <ChangePassword />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Catch unknown routes */}
-        <Route path="*" element={<Navigate to={auth ? "/dashboard" : "/login"} replace />} />
+        <Route
+          path="*"
+          element={auth === null ? null : <Navigate to={auth ? "/dashboard" : "/login"} replace />}
+        />
       </Routes>
     </Router>
   );
@@ -0,0 +1,16 @@
+import axios from './axios';
+import { clearSession } from './session';
+
+/**
+ * Ends the current session on the server and forgets it locally.
+ * The local session is cleared even if the server can't be reached.
+ */
+export const logout = async () => {
+  try {
+    await axios.post('/logout');
+  } catch (err) {
+    console.error('Logout error:', err);
+  } finally {
+    clearSession();
+  }
+};
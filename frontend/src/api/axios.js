@@ -1,10 +1,41 @@
 import axios from 'axios';
+import { getToken, clearSession } from './session';
+
+export const API_ORIGIN = 'http://localhost:5000';
 
 const axiosInstance = axios.create({
-  baseURL: 'http://localhost:5000/api',
+  baseURL: `${API_ORIGIN}/api`,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-export default axiosInstance;
\ No newline at end of file
+// Attach the session token to every request
+axiosInstance.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Send the user back to the login page when the session is missing or expired
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const isLoginRequest = error.config?.url === '/login';
+    if (error.response?.status === 401 && !isLoginRequest) {
+      clearSession();
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+    }
+    // Users on a temporary password must change it before anything else works
+    if (error.response?.status === 403 && error.response.data?.mustChangePassword) {
+      window.location.assign('/account/password');
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default axiosInstance;
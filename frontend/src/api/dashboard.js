@@ -0,0 +1,24 @@
+import axios from './axios';
+
+/**
+ * Loads every metric of the dashboard.
+ * @returns {Promise<{generatedAt: string, data: Object}>}
+ */
+export const getDashboard = async () => {
+  const res = await axios.get('/reconciliation/dashboard');
+  return { generatedAt: res.data.generatedAt, data: res.data.data };
+};
+
+/**
+ * The Search Data page URL that runs a search with the given filters, e.g. to drill into a chart bar.
+ * @param {Object[]} filters - Search conditions ({ column, op, value })
+ * @returns {string}
+ */
+export const searchPath = (filters) =>
+  `/reconciliation/search?${new URLSearchParams({
+    filters: JSON.stringify(filters),
+    sort: 'ORDERNUMBER',
+    dir: 'asc',
+    page: 1,
+    pageSize: 50,
+  })}`;
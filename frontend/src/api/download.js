@@ -0,0 +1,39 @@
+import axios, { API_ORIGIN } from './axios';
+
+/**
+ * Downloads a file from the backend with the session token attached.
+ * Plain <a href> links can't send the Authorization header, so the file is fetched as a blob instead.
+ * @param {string} url - Server path as returned by the API (e.g. /api/reconciliation/sample)
+ * @param {string} filename - Name to save the file as
+ */
+export const downloadFile = async (url, filename) => {
+  const response = await axios.get(url, {
+    baseURL: API_ORIGIN,
+    responseType: 'blob', // Important for downloading binary files
+  });
+
+  // Create a URL for the blob and trigger a download
+  const blobUrl = window.URL.createObjectURL(new Blob([response.data]));
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(blobUrl);
+};
+
+/**
+ * Downloads a large server export straight to disk. The server signs a short-lived link to the export
+ * (checking the request first), and the browser opens it itself, so the file streams to disk as it
+ * arrives instead of being held in page memory.
+ * @param {string} url - Export path with its query string (e.g. /api/reconciliation/export/search?format=csv)
+ */
+export const streamDownload = async (url) => {
+  const res = await axios.post('/reconciliation/export/link', { url });
+  const link = document.createElement('a');
+  link.href = `${API_ORIGIN}${res.data.url}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
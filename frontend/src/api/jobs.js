@@ -0,0 +1,39 @@
+import axios from './axios';
+
+const POLL_INTERVAL_MS = 1000;
+
+// Keys of jobs the user may come back to, in localStorage (see resumable jobs on each page)
+export const JOB_KEYS = {
+  ASOF_CHECK: 'asofCheckJobId',
+  UPLOAD_STAGE: 'uploadStageJobId',
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Polls a background job until it has finished.
+ * When the signal aborts (e.g. the page unmounts), polling stops and the promise never settles,
+ * so callers don't update state of an unmounted page.
+ * @param {number} jobId - The JOB_ID returned when the job was queued
+ * @param {Function} onUpdate - Called with the job after every poll, for progress display
+ * @param {AbortSignal} [signal] - Stops polling
+ * @returns {Promise<Object>} - The finished job (STATUS SUCCEEDED or FAILED, with RESULT or ERROR_MESSAGE)
+ */
+export const waitForJob = async (jobId, onUpdate, signal) => {
+  const stopped = new Promise(() => {});
+  for (;;) {
+    let job;
+    try {
+      const res = await axios.get(`/reconciliation/jobs/${jobId}`, { signal });
+      job = res.data.data;
+    } catch (err) {
+      if (signal?.aborted) return stopped;
+      throw err;
+    }
+    if (signal?.aborted) return stopped;
+
+    onUpdate(job);
+    if (job.STATUS === 'SUCCEEDED' || job.STATUS === 'FAILED') return job;
+    await wait(POLL_INTERVAL_MS);
+  }
+};
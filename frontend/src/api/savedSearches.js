@@ -0,0 +1,63 @@
+import axios from './axios';
+
+// Route of the page each saved search opens on (PAGE of the search)
+const PAGE_PATHS = {
+  search: '/reconciliation/search',
+  edit: '/reconciliation/edit',
+};
+
+/**
+ * The in-app URL of a saved search; opening it runs the search.
+ * @param {Object} search - Saved search (SEARCH_ID, PAGE)
+ * @returns {string}
+ */
+export const savedSearchPath = (search) => `${PAGE_PATHS[search.PAGE] || PAGE_PATHS.search}?saved=${search.SEARCH_ID}`;
+
+/**
+ * Lists the user's saved searches and the shared ones, optionally for one page only.
+ * @param {string} [page] - 'search' or 'edit'
+ * @returns {Promise<Object[]>}
+ */
+export const listSavedSearches = async (page) => {
+  const res = await axios.get('/reconciliation/saved-searches', { params: page ? { page } : {} });
+  return res.data.data;
+};
+
+export const getSavedSearch = async (searchId) => {
+  const res = await axios.get(`/reconciliation/saved-searches/${searchId}`);
+  return res.data.data;
+};
+
+/**
+ * Saves a new search, or replaces one of the user's own when searchId is given.
+ * @param {Object} search - { SEARCH_NAME, PAGE, IS_SHARED, CRITERIA: { filters, sort, dir, pageSize } }
+ * @param {number} [searchId] - The search to replace
+ * @returns {Promise<Object>} - The response body (message, and searchId when created)
+ */
+export const saveSearch = async (search, searchId) => {
+  const res = searchId
+    ? await axios.put(`/reconciliation/saved-searches/${searchId}`, search)
+    : await axios.post('/reconciliation/saved-searches', search);
+  return res.data;
+};
+
+export const deleteSavedSearch = async (searchId) => {
+  const res = await axios.delete(`/reconciliation/saved-searches/${searchId}`);
+  return res.data;
+};
+
+// ---------- Table layouts ----------
+
+/**
+ * The user's layout of a table ({ columns: [{ column, visible, width }] }), or null for the default.
+ * @param {string} tableKey - 'search' or 'edit'
+ * @returns {Promise<Object|null>}
+ */
+export const loadTableLayout = async (tableKey) => {
+  const res = await axios.get(`/me/table-layouts/${tableKey}`);
+  return res.data.data;
+};
+
+export const saveTableLayout = (tableKey, layout) => axios.put(`/me/table-layouts/${tableKey}`, layout);
+
+export const resetTableLayout = (tableKey) => axios.delete(`/me/table-layouts/${tableKey}`);
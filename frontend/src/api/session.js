@@ -0,0 +1,34 @@
+// Keys used to persist the login session in localStorage
+const TOKEN_KEY = 'token';
+const USER_KEY = 'user';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+// The user as returned by /login and /me: { username, role, permissions, mustChangePassword }
+export const getUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const getUsername = () => getUser()?.username;
+
+// Whether the logged-in user's role grants a permission (e.g. 'reconciliation.delete').
+// The backend enforces the same permissions; this only decides what the UI offers.
+export const can = (permission) => !!getUser()?.permissions?.includes(permission);
+
+export const saveUser = (user) => {
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const saveSession = ({ token, user }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  saveUser(user);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
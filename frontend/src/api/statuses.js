@@ -0,0 +1,52 @@
+import axios from './axios';
+
+/**
+ * Loads the order status model: statuses, allowed transitions and legacy aliases.
+ * @returns {Promise<{statuses: Object[], transitions: Object[], aliases: Object[]}>}
+ */
+export const getStatusModel = async () => {
+  const res = await axios.get('/reconciliation/statuses');
+  return { statuses: res.data.statuses, transitions: res.data.transitions, aliases: res.data.aliases };
+};
+
+/**
+ * The status a STATUS value stands for, directly (without case) or through a legacy alias.
+ * @param {Object} model - From getStatusModel
+ * @param {string|null} value - A STATUS value
+ * @returns {Object|undefined} - The status
+ */
+export const findStatus = (model, value) => {
+  const text = (value || '').trim();
+  const byName = (name) => model.statuses.find((status) => status.STATUS.toUpperCase() === name.toUpperCase());
+  const alias = model.aliases.find((candidate) => new RegExp(candidate.PATTERN, 'i').test(text));
+  return byName(text) || (alias && byName(alias.STATUS));
+};
+
+/**
+ * The statuses a line may be set to from its current status: the statuses in use that the transitions
+ * allow, or all of them for users who may override the transitions or when the current status is empty
+ * or unknown. The current status is always offered, so a line can be saved without changing it.
+ * @param {Object} model - From getStatusModel
+ * @param {string|null} current - The line's STATUS
+ * @param {boolean} override - Whether the user may make any change (statuses.override)
+ * @returns {Array<{value: string, label: string}>}
+ */
+export const statusChoices = (model, current, override) => {
+  const active = model.statuses.filter((status) => status.IS_ACTIVE).map((status) => status.STATUS);
+  const known = findStatus(model, current);
+  const allowed =
+    override || !known
+      ? active
+      : active.filter(
+          (status) =>
+            status === known.STATUS ||
+            model.transitions.some((transition) => transition.from === known.STATUS && transition.to === status)
+        );
+
+  const choices = allowed.map((status) => ({ value: status, label: status }));
+  if (current && !choices.some((choice) => choice.value === current)) {
+    const legacy = !known || known.STATUS.toUpperCase() !== current.trim().toUpperCase();
+    choices.unshift({ value: current, label: legacy ? `${current} (legacy)` : current });
+  }
+  return choices;
+};
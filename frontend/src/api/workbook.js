@@ -0,0 +1,20 @@
+import axios from './axios';
+
+/**
+ * Lists the sheets of a workbook file (CSV files have one). Returns an empty list if the file can't be
+ * read; the server then reads the first sheet as usual.
+ * @param {File} file - The chosen file
+ * @returns {Promise<string[]>}
+ */
+export const listWorkbookSheets = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  try {
+    const res = await axios.post('/reconciliation/workbooks/sheets', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return res.data.sheets;
+  } catch {
+    return [];
+  }
+};
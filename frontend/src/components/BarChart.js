@@ -0,0 +1,72 @@
+import React from 'react';
+import { Box, ButtonBase, Paper, Typography } from '@mui/material';
+
+/**
+ * A horizontal bar chart; bars with an onSelect handler are clickable.
+ * @param {Object} props
+ * @param {string} props.title - Title of the chart
+ * @param {Object[]} props.items - [{ label, value, detail? }], detail is shown after the value
+ * @param {Function} [props.onSelect] - Called with the clicked item
+ * @param {string} [props.color] - Bar color
+ * @param {string} [props.emptyText] - Shown when there are no items
+ */
+const BarChart = ({ title, items, onSelect, color = '#3f51b5', emptyText = 'No data.' }) => {
+  const max = Math.max(1, ...items.map((item) => item.value));
+
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>
+        {title}
+      </Typography>
+      {items.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          {emptyText}
+        </Typography>
+      )}
+      {items.map((item) => (
+        <ButtonBase
+          key={item.label}
+          disabled={!onSelect}
+          onClick={() => onSelect(item)}
+          title={onSelect ? `Open ${item.label}` : undefined}
+          sx={{
+            display: 'flex',
+            width: '100%',
+            alignItems: 'center',
+            gap: 1,
+            py: 0.5,
+            borderRadius: 1,
+            textAlign: 'left',
+            '&:hover': { backgroundColor: onSelect ? 'action.hover' : 'transparent' },
+          }}
+        >
+          <Typography variant="body2" noWrap sx={{ flex: '0 0 34%' }}>
+            {item.label}
+          </Typography>
+          <Box sx={{ flex: 1, height: 14, backgroundColor: '#eef1f8', borderRadius: 1 }}>
+            <Box
+              sx={{
+                width: `${(item.value / max) * 100}%`,
+                minWidth: item.value > 0 ? 2 : 0,
+                height: '100%',
+                backgroundColor: color,
+                borderRadius: 1,
+              }}
+            />
+          </Box>
+          <Typography variant="body2" sx={{ flex: '0 0 auto', minWidth: 48, textAlign: 'right' }}>
+            {item.value.toLocaleString()}
+            {item.detail && (
+              <Typography component="span" variant="caption" color="text.secondary">
+                {' '}
+                {item.detail}
+              </Typography>
+            )}
+          </Typography>
+        </ButtonBase>
+      ))}
+    </Paper>
+  );
+};
+
+export default BarChart;
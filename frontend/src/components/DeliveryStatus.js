@@ -0,0 +1,15 @@
+import React from 'react';
+import './DeliveryStatus.css';
+
+/**
+ * A line's delivery status against its CDD (Late, At risk or On time), as a colored badge.
+ * Lines without a CDD date have none and show a dash.
+ * @param {Object} props
+ * @param {string|null} props.value - DELIVERY_STATUS from the API
+ */
+const DeliveryStatus = ({ value }) => {
+  if (!value) return '—';
+  return <span className={`delivery-status ${value.toLowerCase().replace(/\s+/g, '-')}`}>{value}</span>;
+};
+
+export default DeliveryStatus;
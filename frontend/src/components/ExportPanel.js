@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { streamDownload } from '../api/download';
+import './ExportPanel.css';
+
+const FORMATS = [
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'csv', label: 'CSV (.csv)' },
+];
+
+/**
+ * Lets the user choose the columns of an export, their order and the file format, then downloads
+ * the export. The server streams every matching row, not only the rows shown on the page, and the
+ * browser saves it as it arrives.
+ * @param {Object} props
+ * @param {string[]} props.columns - Columns offered, in their default order
+ * @param {string} props.url - Export endpoint (e.g. /api/reconciliation/export/search)
+ * @param {Object} [props.params] - Other query parameters of the export (e.g. search filters)
+ * @param {Function} props.onClose - Called when the panel is closed
+ */
+const ExportPanel = ({ columns, url, params = {}, onClose }) => {
+  const [items, setItems] = useState([]); // { column, checked }, in export order
+  const [format, setFormat] = useState('xlsx');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const columnKey = columns.join(',');
+  useEffect(() => {
+    setItems(columnKey.split(',').filter(Boolean).map((column) => ({ column, checked: true })));
+  }, [columnKey]);
+
+  const toggle = (column) =>
+    setItems(items.map((item) => (item.column === column ? { ...item, checked: !item.checked } : item)));
+
+  /**
+   * Moves a column up (-1) or down (1) in the export order.
+   * @param {number} index - Position of the column
+   * @param {number} step - -1 or 1
+   */
+  const move = (index, step) => {
+    const next = [...items];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    setItems(next);
+  };
+
+  const chosen = items.filter((item) => item.checked).map((item) => item.column);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError('');
+    try {
+      const query = new URLSearchParams({ ...params, format, columns: chosen.join(',') });
+      await streamDownload(`${url}?${query}`);
+      onClose();
+    } catch (err) {
+      console.error('Export error:', err);
+      setError(err.response?.data?.message || 'Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-panel">
+      <h3>⬇️ Export</h3>
+      <button className="close-button" onClick={onClose} aria-label="Close">×</button>
+
+      <label className="export-format">
+        Format
+        <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={exporting}>
+          {FORMATS.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="export-columns-title">
+        Columns ({chosen.length} of {items.length})
+        <button
+          className="export-toggle-all"
+          onClick={() => setItems(items.map((item) => ({ ...item, checked: chosen.length < items.length })))}
+        >
+          {chosen.length < items.length ? 'Select all' : 'Clear all'}
+        </button>
+      </div>
+      <ul className="export-columns">
+        {items.map((item, index) => (
+          <li key={item.column} className={item.checked ? '' : 'excluded'}>
+            <label>
+              <input type="checkbox" checked={item.checked} onChange={() => toggle(item.column)} />
+              {item.column}
+            </label>
+            <span className="export-move">
+              <button onClick={() => move(index, -1)} disabled={index === 0} aria-label={`Move ${item.column} up`}>
+                ▲
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === items.length - 1}
+                aria-label={`Move ${item.column} down`}
+              >
+                ▼
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {error && <div className="export-error">{error}</div>}
+      <button className="export-submit" onClick={handleExport} disabled={exporting || chosen.length === 0}>
+        {exporting ? 'Exporting…' : `Export ${chosen.length} column(s)`}
+      </button>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,191 @@
+import React from 'react';
+import './FilterBuilder.css';
+
+// Operators that take no value
+const NO_VALUE_OPS = ['empty', 'notEmpty'];
+// Operators that take a list of values
+const LIST_OPS = ['in', 'notIn'];
+
+let nextConditionId = 1;
+
+/**
+ * The empty value of an operator: a list for "is (not) one of", a range for "between", text otherwise.
+ * @param {string} op - The operator
+ * @returns {any}
+ */
+const emptyValue = (op) => {
+  if (LIST_OPS.includes(op)) return [];
+  if (op === 'between') return { from: '', to: '' };
+  return '';
+};
+
+/**
+ * A new condition for a column, with the first operator its type allows.
+ * @param {Object} options - Search options from /reconciliation/datasearch/options
+ * @param {string} column - The column
+ * @returns {Object} - { id, column, op, value }
+ */
+export const newCondition = (options, column) => {
+  const type = options.columns.find((item) => item.column === column)?.type || 'text';
+  const op = Object.keys(options.operators[type])[0];
+  return { id: nextConditionId++, column, op, value: emptyValue(op) };
+};
+
+/**
+ * Conditions as sent to the backend: without their ids, and without the ones still missing a value.
+ * @param {Object[]} conditions - Conditions from the builder
+ * @returns {Object[]} - { column, op, value }
+ */
+export const toFilters = (conditions) =>
+  conditions
+    .filter(({ op, value }) => {
+      if (NO_VALUE_OPS.includes(op)) return true;
+      if (LIST_OPS.includes(op)) return value.some((item) => String(item).trim() !== '');
+      if (op === 'between') return value.from !== '' || value.to !== '';
+      return String(value).trim() !== '';
+    })
+    .map(({ column, op, value }) => (NO_VALUE_OPS.includes(op) ? { column, op } : { column, op, value }));
+
+/**
+ * Conditions for the builder from filters as sent to the backend (e.g. of a saved search).
+ * @param {Object[]} filters - { column, op, value }
+ * @returns {Object[]} - { id, column, op, value }
+ */
+export const fromFilters = (filters) =>
+  filters.map(({ column, op, value }) => ({ id: nextConditionId++, column, op, value: value ?? emptyValue(op) }));
+
+/**
+ * Builds search conditions over the reconciliation columns; every condition must hold.
+ * @param {Object} props
+ * @param {Object} props.options - Search options (columns, operators, values) from the backend
+ * @param {Object[]} props.conditions - Current conditions
+ * @param {Function} props.onChange - Called with the new list of conditions
+ * @param {Function} props.onSubmit - Called when Enter is pressed in a value
+ */
+const FilterBuilder = ({ options, conditions, onChange, onSubmit }) => {
+  const typeOf = (column) => options.columns.find((item) => item.column === column)?.type || 'text';
+
+  const update = (id, changes) =>
+    onChange(conditions.map((condition) => (condition.id === id ? { ...condition, ...changes } : condition)));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') onSubmit();
+  };
+
+  /**
+   * The value input(s) of a condition, depending on its operator and column type.
+   * @param {Object} condition - The condition
+   */
+  const renderValue = (condition) => {
+    const { id, column, op, value } = condition;
+    const type = typeOf(column);
+
+    if (NO_VALUE_OPS.includes(op)) return null;
+
+    if (LIST_OPS.includes(op) && options.values[column]) {
+      return (
+        <div className="filter-choices">
+          {[...new Set([...options.values[column], ...value])].map((choice) => (
+            <label key={choice}>
+              <input
+                type="checkbox"
+                checked={value.includes(choice)}
+                onChange={(e) =>
+                  update(id, {
+                    value: e.target.checked ? [...value, choice] : value.filter((item) => item !== choice),
+                  })
+                }
+              />
+              {choice}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    if (LIST_OPS.includes(op)) {
+      return (
+        <input
+          type="text"
+          placeholder="Values, separated by commas"
+          value={value.join(',')}
+          onChange={(e) => update(id, { value: e.target.value.split(',') })}
+          onKeyDown={handleKeyDown}
+        />
+      );
+    }
+    if (op === 'between') {
+      const inputType = type === 'date' ? 'date' : 'number';
+      return (
+        <span className="filter-range">
+          <input
+            type={inputType}
+            value={value.from}
+            onChange={(e) => update(id, { value: { ...value, from: e.target.value } })}
+            onKeyDown={handleKeyDown}
+          />
+          and
+          <input
+            type={inputType}
+            value={value.to}
+            onChange={(e) => update(id, { value: { ...value, to: e.target.value } })}
+            onKeyDown={handleKeyDown}
+          />
+        </span>
+      );
+    }
+    return (
+      <input
+        type={type === 'number' ? 'number' : 'text'}
+        placeholder={op === 'wildcard' ? 'e.g. AGA-12*_RED' : 'Value'}
+        value={value}
+        onChange={(e) => update(id, { value: e.target.value })}
+        onKeyDown={handleKeyDown}
+      />
+    );
+  };
+
+  return (
+    <div className="filter-builder">
+      {conditions.map((condition) => (
+        <div key={condition.id} className="filter-condition">
+          <select
+            value={condition.column}
+            onChange={(e) => update(condition.id, { ...newCondition(options, e.target.value), id: condition.id })}
+          >
+            {options.columns.map(({ column }) => (
+              <option key={column} value={column}>
+                {column}
+              </option>
+            ))}
+          </select>
+          <select
+            value={condition.op}
+            onChange={(e) => update(condition.id, { op: e.target.value, value: emptyValue(e.target.value) })}
+          >
+            {Object.entries(options.operators[typeOf(condition.column)]).map(([op, label]) => (
+              <option key={op} value={op}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {renderValue(condition)}
+          <button
+            className="filter-remove"
+            onClick={() => onChange(conditions.filter((item) => item.id !== condition.id))}
+            aria-label="Remove filter"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        className="filter-add"
+        onClick={() => onChange([...conditions, newCondition(options, options.columns[0].column)])}
+      >
+        ＋ Add filter
+      </button>
+    </div>
+  );
+};
+
+export default FilterBuilder;
@@ -0,0 +1,51 @@
+import React from 'react';
+import './JobProgress.css';
+
+const STATUS_LABELS = {
+  QUEUED: 'Waiting to start…',
+  RUNNING: 'Running',
+  SUCCEEDED: 'Finished',
+  FAILED: 'Failed',
+};
+
+/**
+ * Formats an ETA in seconds as "1m 05s" or "42s".
+ * @param {number} seconds - Seconds left
+ * @returns {string}
+ */
+const formatEta = (seconds) =>
+  seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+
+/**
+ * Progress of a background job as polled from /reconciliation/jobs/:jobId:
+ * rows processed, rows flagged so far and the estimated time left.
+ * @param {Object} props
+ * @param {Object} props.job - The job
+ * @param {string} [props.flaggedLabel] - What flagged rows are called on this page
+ */
+const JobProgress = ({ job, flaggedLabel = 'flagged' }) => {
+  const total = job.TOTAL_ROWS || 0;
+  const processed = job.PROCESSED_ROWS || 0;
+  const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0;
+
+  return (
+    <div className={`job-progress ${job.STATUS.toLowerCase()}`} role="status" aria-live="polite">
+      <div className="job-progress-head">
+        <span>
+          ⏳ {STATUS_LABELS[job.STATUS]}
+          {job.SOURCE_FILE && <> — {job.SOURCE_FILE}</>}
+        </span>
+        {job.STATUS === 'RUNNING' && job.ETA_SECONDS !== null && <span>About {formatEta(job.ETA_SECONDS)} left</span>}
+      </div>
+      <div className="job-progress-bar" aria-hidden="true">
+        <div className="job-progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+      <div className="job-progress-counts">
+        {total > 0 ? `${processed} of ${total} row(s) processed (${percent}%)` : 'Reading file…'}
+        {job.FLAGGED_ROWS > 0 && <> · <strong>{job.FLAGGED_ROWS}</strong> {flaggedLabel} so far</>}
+      </div>
+    </div>
+  );
+};
+
+export default JobProgress;
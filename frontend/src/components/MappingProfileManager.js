@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import axios from '../api/axios';
+import './MappingProfileManager.css';
+
+const EMPTY_FORM = { PROFILE_ID: null, PROFILE_NAME: '', ORDERNUMBER_COLUMN: '', MATERIAL_COLUMN: '', BATCHNUMBER_COLUMN: '' };
+
+/**
+ * Lists, saves and deletes As-of Check column mapping profiles.
+ * @param {Object} props
+ * @param {Object[]} props.profiles - Saved profiles
+ * @param {Object[]} props.fields - Mapped fields as returned by the API ({ field, column, label })
+ * @param {string[]} props.headers - Headers of the last file, offered as suggestions
+ * @param {Function} props.onChange - Called after a profile was saved or deleted, to reload the list
+ */
+const MappingProfileManager = ({ profiles, fields, headers, onChange }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage('');
+    try {
+      const res = form.PROFILE_ID
+        ? await axios.put(`/reconciliation/mapping-profiles/${form.PROFILE_ID}`, form)
+        : await axios.post('/reconciliation/mapping-profiles', form);
+      setMessage(res.data.message);
+      setForm(EMPTY_FORM);
+      onChange();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.message || 'Failed to save the profile.'}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete profile "${profile.PROFILE_NAME}"?`)) return;
+    try {
+      const res = await axios.delete(`/reconciliation/mapping-profiles/${profile.PROFILE_ID}`);
+      setMessage(res.data.message);
+      if (form.PROFILE_ID === profile.PROFILE_ID) setForm(EMPTY_FORM);
+      onChange();
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.message || 'Failed to delete the profile.'}`);
+    }
+  };
+
+  return (
+    <div className="mapping-manager">
+      <table>
+        <thead>
+          <tr>
+            <th>Profile</th>
+            {fields.map(({ column, label }) => (
+              <th key={column}>{label} column</th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {profiles.map((profile) => (
+            <tr key={profile.PROFILE_ID}>
+              <td>{profile.PROFILE_NAME}</td>
+              {fields.map(({ column }) => (
+                <td key={column}>{profile[column]}</td>
+              ))}
+              <td>
+                <button onClick={() => setForm(profile)}>✏️ Edit</button>
+                <button onClick={() => handleDelete(profile)}>🗑️ Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form className="mapping-form" onSubmit={handleSave}>
+        <h4>{form.PROFILE_ID ? `Edit "${form.PROFILE_NAME}"` : 'New profile'}</h4>
+        <label>
+          Name
+          <input
+            value={form.PROFILE_NAME}
+            onChange={(e) => setForm({ ...form, PROFILE_NAME: e.target.value })}
+            placeholder="e.g. SAP VA05"
+            required
+          />
+        </label>
+        {fields.map(({ column, label }) => (
+          <label key={column}>
+            {label} column
+            <input
+              value={form[column]}
+              onChange={(e) => setForm({ ...form, [column]: e.target.value })}
+              list="mapping-file-headers"
+              required
+            />
+          </label>
+        ))}
+        <datalist id="mapping-file-headers">
+          {headers.map((header) => (
+            <option key={header} value={header} />
+          ))}
+        </datalist>
+        <div className="mapping-form-actions">
+          <button type="submit" className="check-button" disabled={saving}>
+            💾 Save Profile
+          </button>
+          {form.PROFILE_ID && (
+            <button type="button" onClick={() => setForm(EMPTY_FORM)}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+};
+
+export default MappingProfileManager;
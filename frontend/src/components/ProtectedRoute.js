@@ -1,10 +1,17 @@
 import React from 'react';
 import { Navigate } from 'react-router-dom';
+import { can } from '../api/session';
 
-function ProtectedRoute({ children }) {
-  const isAuth = localStorage.getItem('auth') === 'true';
+function ProtectedRoute({ auth, permission, children }) {
+  // Render nothing until the stored session has been checked
+  if (auth === null) return null;
 
-  return isAuth ? children : <Navigate to="/login" />;
+  if (!auth) return <Navigate to="/login" />;
+
+  // The backend enforces permissions too; this only keeps the page out of reach
+  if (permission && !can(permission)) return <Navigate to="/dashboard" replace />;
+
+  return children;
 }
 
-export default ProtectedRoute;
\ No newline at end of file
+export default ProtectedRoute;
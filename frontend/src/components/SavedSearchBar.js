@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listSavedSearches, saveSearch, deleteSavedSearch, savedSearchPath } from '../api/savedSearches';
+import './SavedSearchBar.css';
+
+/**
+ * Opens, saves, shares and deletes named searches of a page. The page applies an opened search and
+ * puts it in its URL (?saved=<id>), so the link can be bookmarked or sent to a colleague.
+ * @param {Object} props
+ * @param {string} props.page - 'search' or 'edit'
+ * @param {Object|null} props.criteria - The search shown ({ filters, sort, dir, pageSize }); null before any search
+ * @param {Object|null} props.activeSearch - The saved search currently open
+ * @param {Function} props.onOpen - Called with a saved search to run it
+ * @param {Function} props.onSaved - Called with the saved search after saving (becomes the open one)
+ */
+const SavedSearchBar = ({ page, criteria, activeSearch, onOpen, onSaved }) => {
+  const [searches, setSearches] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setSearches(await listSavedSearches(page));
+    } catch (error) {
+      console.error('Saved searches error:', error);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const mine = searches.filter((search) => search.IS_MINE);
+  const others = searches.filter((search) => !search.IS_MINE);
+  const canUpdate = activeSearch?.IS_MINE;
+
+  const openForm = () => {
+    setName(canUpdate ? activeSearch.SEARCH_NAME : '');
+    setShared(canUpdate ? activeSearch.IS_SHARED : false);
+    setMessage('');
+    setShowForm(true);
+  };
+
+  /**
+   * Saves the search shown, as a new search or over the open one.
+   * @param {boolean} asNew - Save as a new search even when one of the user's own is open
+   */
+  const handleSave = async (asNew) => {
+    setSaving(true);
+    setMessage('');
+    const search = { SEARCH_NAME: name, PAGE: page, IS_SHARED: shared, CRITERIA: criteria };
+    try {
+      const searchId = asNew ? null : activeSearch.SEARCH_ID;
+      const result = await saveSearch(search, searchId);
+      setShowForm(false);
+      setMessage(result.message);
+      onSaved({ ...search, SEARCH_ID: searchId || result.searchId, IS_MINE: true });
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to save the search.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the saved search "${activeSearch.SEARCH_NAME}"?`)) return;
+    try {
+      const result = await deleteSavedSearch(activeSearch.SEARCH_ID);
+      setMessage(result.message);
+      onSaved(null);
+      refresh();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to delete the search.');
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${savedSearchPath(activeSearch)}`);
+      setMessage('🔗 Link copied.');
+    } catch {
+      setMessage(`Link: ${window.location.origin}${savedSearchPath(activeSearch)}`);
+    }
+  };
+
+  return (
+    <div className="saved-search-bar">
+      <select
+        value={activeSearch?.SEARCH_ID || ''}
+        onChange={(e) => {
+          const search = searches.find((item) => String(item.SEARCH_ID) === e.target.value);
+          if (search) onOpen(search);
+        }}
+        aria-label="Saved searches"
+      >
+        <option value="">🔖 Saved searches…</option>
+        {mine.length > 0 && (
+          <optgroup label="My searches">
+            {mine.map((search) => (
+              <option key={search.SEARCH_ID} value={search.SEARCH_ID}>
+                {search.SEARCH_NAME}
+                {search.IS_SHARED ? ' (shared)' : ''}
+              </option>
+            ))}
+          </optgroup>
+        )}
+        {others.length > 0 && (
+          <optgroup label="Shared with the team">
+            {others.map((search) => (
+              <option key={search.SEARCH_ID} value={search.SEARCH_ID}>
+                {search.SEARCH_NAME} · {search.OWNER}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      <button onClick={openForm} disabled={!criteria}>
+        💾 Save search
+      </button>
+      {activeSearch && <button onClick={handleCopyLink}>🔗 Copy link</button>}
+      {canUpdate && (
+        <button className="saved-search-delete" onClick={handleDelete}>
+          🗑️ Delete
+        </button>
+      )}
+
+      {showForm && (
+        <div className="saved-search-form">
+          <input
+            type="text"
+            placeholder="Name, e.g. Club X on hold"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            autoFocus
+          />
+          <label>
+            <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+            Share with the team
+          </label>
+          {canUpdate && (
+            <button onClick={() => handleSave(false)} disabled={saving || !name.trim()}>
+              Update “{activeSearch.SEARCH_NAME}”
+            </button>
+          )}
+          <button onClick={() => handleSave(true)} disabled={saving || !name.trim()}>
+            {canUpdate ? 'Save as new' : 'Save'}
+          </button>
+          <button className="saved-search-cancel" onClick={() => setShowForm(false)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {message && <span className="saved-search-message">{message}</span>}
+    </div>
+  );
+};
+
+export default SavedSearchBar;
@@ -0,0 +1,38 @@
+import React from 'react';
+import './SheetPicker.css';
+
+/**
+ * Lets the user pick one, several or all sheets of a workbook. Nothing is shown for single-sheet files.
+ * @param {Object} props
+ * @param {string[]} props.sheets - Sheet names in workbook order
+ * @param {string[]} props.selected - Chosen sheet names
+ * @param {Function} props.onChange - Called with the new list of chosen sheets (in workbook order)
+ * @param {boolean} [props.disabled]
+ */
+const SheetPicker = ({ sheets, selected, onChange, disabled = false }) => {
+  if (sheets.length < 2) return null;
+
+  const toggle = (sheet) => {
+    const next = selected.includes(sheet) ? selected.filter((name) => name !== sheet) : [...selected, sheet];
+    onChange(sheets.filter((name) => next.includes(name)));
+  };
+  const allSelected = selected.length === sheets.length;
+
+  return (
+    <fieldset className="sheet-picker" disabled={disabled}>
+      <legend>Sheets to read ({selected.length} of {sheets.length})</legend>
+      <label className="sheet-option all">
+        <input type="checkbox" checked={allSelected} onChange={() => onChange(allSelected ? [] : sheets)} />
+        All sheets
+      </label>
+      {sheets.map((sheet) => (
+        <label key={sheet} className="sheet-option">
+          <input type="checkbox" checked={selected.includes(sheet)} onChange={() => toggle(sheet)} />
+          {sheet}
+        </label>
+      ))}
+    </fieldset>
+  );
+};
+
+export default SheetPicker;
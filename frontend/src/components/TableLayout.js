@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { loadTableLayout, saveTableLayout, resetTableLayout } from '../api/savedSearches';
+import './TableLayout.css';
+
+// Changes are saved once the user pauses, not on every pixel of a resize
+const SAVE_DELAY_MS = 600;
+const MIN_WIDTH = 40;
+const MAX_WIDTH = 800;
+
+/**
+ * Applies a saved layout to the table's columns: saved columns keep their order, visibility and
+ * width; columns added since are appended, visible; columns that no longer exist are dropped.
+ * @param {Object|null} layout - Saved layout ({ columns: [{ column, visible, width }] })
+ * @param {string[]} defaultColumns - The table's columns in their default order
+ * @returns {Object[]} - [{ column, visible, width }]
+ */
+const mergeLayout = (layout, defaultColumns) => {
+  const saved = (layout?.columns || []).filter((item) => defaultColumns.includes(item.column));
+  const known = new Set(saved.map((item) => item.column));
+  return [
+    ...saved,
+    ...defaultColumns.filter((column) => !known.has(column)).map((column) => ({ column, visible: true, width: null })),
+  ];
+};
+
+/**
+ * Remembers a table's column visibility, order and widths for the user, on the server.
+ * @param {string} tableKey - 'search' or 'edit'
+ * @param {string[]} defaultColumns - The table's columns in their default order
+ * @returns {{columns: Object[], visibleColumns: Object[], update: Function, setWidth: Function, reset: Function}}
+ */
+export const useTableLayout = (tableKey, defaultColumns) => {
+  const [layout, setLayout] = useState(null);
+  const saveTimer = useRef(null);
+
+  useEffect(() => {
+    loadTableLayout(tableKey)
+      .then(setLayout)
+      .catch((error) => console.error('Table layout error:', error));
+    return () => clearTimeout(saveTimer.current);
+  }, [tableKey]);
+
+  const defaultKey = defaultColumns.join(',');
+  const columns = useMemo(() => mergeLayout(layout, defaultKey.split(',').filter(Boolean)), [layout, defaultKey]);
+
+  /**
+   * Shows a new layout right away and saves it shortly after.
+   * @param {Object[]} next - [{ column, visible, width }]
+   */
+  const update = (next) => {
+    setLayout({ columns: next });
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      saveTableLayout(tableKey, { columns: next }).catch((error) => console.error('Table layout error:', error));
+    }, SAVE_DELAY_MS);
+  };
+
+  const setWidth = (column, width) =>
+    update(columns.map((item) => (item.column === column ? { ...item, width } : item)));
+
+  const reset = () => {
+    clearTimeout(saveTimer.current);
+    setLayout(null);
+    resetTableLayout(tableKey).catch((error) => console.error('Table layout error:', error));
+  };
+
+  return { columns, visibleColumns: columns.filter((item) => item.visible), update, setWidth, reset };
+};
+
+/**
+ * A handle on the right edge of a header cell; dragging it changes the column's width.
+ * The header cell needs position: relative.
+ * @param {Object} props
+ * @param {number|null} props.width - Current width, or null when the column sizes itself
+ * @param {Function} props.onResize - Called with the new width in pixels
+ */
+export const ResizeHandle = ({ width, onResize }) => {
+  const handleMouseDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation(); // Don't sort by the column
+    const startX = e.clientX;
+    const startWidth = width || e.currentTarget.parentElement.getBoundingClientRect().width;
+
+    const handleMove = (moveEvent) => {
+      const next = Math.round(startWidth + moveEvent.clientX - startX);
+      onResize(Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, next)));
+    };
+    const handleUp = () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  return <span className="column-resize-handle" onMouseDown={handleMouseDown} onClick={(e) => e.stopPropagation()} />;
+};
+
+/**
+ * A panel to show, hide and reorder a table's columns.
+ * @param {Object} props
+ * @param {Object[]} props.columns - [{ column, visible, width }] from useTableLayout
+ * @param {Function} props.onChange - Called with the new list
+ * @param {Function} props.onReset - Restores the default layout
+ * @param {Object} [props.labels] - Column → label shown (the column name by default)
+ */
+export const ColumnSettings = ({ columns, onChange, onReset, labels = {} }) => {
+  const [open, setOpen] = useState(false);
+
+  const move = (index, step) => {
+    const next = [...columns];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    onChange(next);
+  };
+  const toggle = (column) => {
+    const next = columns.map((item) => (item.column === column ? { ...item, visible: !item.visible } : item));
+    if (next.some((item) => item.visible)) onChange(next); // Keep at least one column
+  };
+
+  return (
+    <span className="column-settings">
+      <button className="column-settings-toggle" onClick={() => setOpen(!open)}>
+        ⚙️ Columns
+      </button>
+      {open && (
+        <div className="column-settings-panel">
+          <ul>
+            {columns.map((item, index) => (
+              <li key={item.column} className={item.visible ? '' : 'hidden-column'}>
+                <label>
+                  <input type="checkbox" checked={item.visible} onChange={() => toggle(item.column)} />
+                  {labels[item.column] || item.column}
+                </label>
+                <span className="column-settings-move">
+                  <button onClick={() => move(index, -1)} disabled={index === 0} aria-label="Move up">
+                    ▲
+                  </button>
+                  <button onClick={() => move(index, 1)} disabled={index === columns.length - 1} aria-label="Move down">
+                    ▼
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <div className="column-settings-actions">
+            <button onClick={onReset}>Reset to default</button>
+            <button onClick={() => setOpen(false)}>Done</button>
+          </div>
+        </div>
+      )}
+    </span>
+  );
+};
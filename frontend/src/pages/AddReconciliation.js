@@ -1,107 +1,250 @@
-import React, { useState, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from '../api/axios';
+import { downloadFile } from '../api/download';
+import { waitForJob, JOB_KEYS } from '../api/jobs';
+import { listWorkbookSheets } from '../api/workbook';
+import JobProgress from '../components/JobProgress';
+import SheetPicker from '../components/SheetPicker';
 import { Link } from 'react-router-dom';
 import './AddReconciliation.css';
 
+// Staged row statuses as shown in the preview
+const ROW_STATUS_LABELS = {
+  NEW: 'New',
+  DUPLICATE: 'Duplicate',
+  FILE_DUPLICATE: 'Duplicate in file',
+  INVALID: 'Invalid',
+};
+
+// What to do with rows whose order and material already exist
+const CONFLICT_POLICIES = [
+  { value: 'REJECT', label: 'Reject the file', help: 'Nothing is saved if any line already exists.' },
+  { value: 'SKIP', label: 'Skip existing lines', help: 'Existing lines are left unchanged.' },
+  { value: 'OVERWRITE', label: 'Overwrite existing lines', help: 'Existing lines take the values of every column in the file.' },
+  { value: 'FILL_EMPTY', label: 'Fill empty columns only', help: 'Existing lines only get values for columns that are still empty, e.g. SHIPOUTDATE or UPSTRACKINGNUMBER.' },
+];
+
+// Line columns shown in the preview table
+const PREVIEW_COLUMNS = [
+  'ORDERNUMBER', 'MATERIAL_NUMBER', 'BATCHNUMBER', 'SALESDOCUMENT', 'ORDERDATE', 'YEAR',
+  'CLUB_NAME', 'ORDERTYPE', 'STATUS', 'CDD', 'SHIPOUTDATE', 'UPSTRACKINGNUMBER',
+];
+
+/**
+ * Formats a staged value for the preview table; dates come back from the API as ISO strings.
+ * @param {any} value - The value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+  return value;
+};
+
 const AddReconciliation = () => {
   const [file, setFile] = useState(null); // State for the selected file
   const [message, setMessage] = useState(''); // State for success/error messages
   const [messageType, setMessageType] = useState(''); // State to track message type (success, error, warning)
   const [loading, setLoading] = useState(false); // State for loading indicator
-  const [downloadUrl, setDownloadUrl] = useState(''); // State for duplicate report download URL
-  const [duplicates, setDuplicates] = useState([]); // State for duplicate entries
+  const [preview, setPreview] = useState(null); // Staged upload awaiting commit or discard
+  const [statusFilter, setStatusFilter] = useState(''); // Row status shown in the preview table ('' = all)
+  const [conflictPolicy, setConflictPolicy] = useState('REJECT'); // Policy for lines that already exist
+  const [finishing, setFinishing] = useState(false); // State for commit/discard in progress
+  const [failedRows, setFailedRows] = useState([]); // Rows that made the last commit fail
+  const [job, setJob] = useState(null); // Background job staging the file
+  const [mappingStep, setMappingStep] = useState(null); // Headers the server couldn't recognize on their own
+  const [columnChoices, setColumnChoices] = useState({}); // File header → column ('' = ignore) in the mapping step
+  const [sheets, setSheets] = useState([]); // Sheets of the chosen workbook
+  const [selectedSheets, setSelectedSheets] = useState([]); // Sheets to read (the first one by default)
   const fileInputRef = useRef(null); // Ref to reset file input
+  const pollRef = useRef(null); // Aborts polling when the page unmounts
 
   /**
-   * Handles file selection and resets any previous messages or duplicate data.
+   * Handles file selection and resets any previous messages or preview.
    * @param {Object} e - Event object from file input
    */
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    setFile(chosen);
+    setSheets([]);
+    setSelectedSheets([]);
     setMessage('');
     setMessageType('');
-    setDownloadUrl('');
-    setDuplicates([]);
+    setPreview(null);
+    setStatusFilter('');
+    setFailedRows([]);
+    setMappingStep(null);
+
+    if (chosen) {
+      const workbookSheets = await listWorkbookSheets(chosen);
+      setSheets(workbookSheets);
+      setSelectedSheets(workbookSheets.slice(0, 1));
+    }
   };
 
   /**
-   * Handles the file upload process, including sending the file to the backend and handling responses.
+   * Shows an upload error from the server, or a connection error.
+   * @param {Object} error - The axios error
+   */
+  const showUploadError = (error) => {
+    if (error.response) {
+      // Missing columns, empty file or server errors
+      setMessage(`❌ ${error.response.data.message || 'An unexpected error occurred.'}`);
+    } else {
+      // Handle network errors or other issues
+      setMessage('❌ Upload failed: Unable to connect to the server. Please try again.');
+    }
+    setMessageType('error');
+  };
+
+  /**
+   * Follows the staging job until it finishes, then loads the preview it produced.
+   * The job id is kept in localStorage so a large file can be picked up again after leaving the page.
+   * @param {number} jobId - The JOB_ID of the staging job
+   */
+  const followJob = useCallback(async (jobId) => {
+    localStorage.setItem(JOB_KEYS.UPLOAD_STAGE, jobId);
+    setLoading(true);
+    try {
+      const finished = await waitForJob(jobId, setJob, pollRef.current.signal);
+      localStorage.removeItem(JOB_KEYS.UPLOAD_STAGE);
+      setJob(null);
+
+      if (finished.STATUS === 'FAILED') {
+        setMessage(`❌ ${finished.ERROR_MESSAGE}`);
+        setMessageType('error');
+        return;
+      }
+      const res = await axios.get(`/reconciliation/uploads/${finished.RESULT.uploadId}`);
+      setPreview(res.data);
+      setStatusFilter('');
+      setMessage(finished.RESULT.message);
+      setMessageType(res.data.counts.new > 0 ? 'success' : 'warning');
+    } catch (error) {
+      // A job that no longer exists can't be resumed
+      if (error.response?.status === 404) localStorage.removeItem(JOB_KEYS.UPLOAD_STAGE);
+      setJob(null);
+      showUploadError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Resume a file that was still being staged when the user left the page
+  useEffect(() => {
+    pollRef.current = new AbortController();
+    const pendingJobId = localStorage.getItem(JOB_KEYS.UPLOAD_STAGE);
+    if (pendingJobId) followJob(pendingJobId);
+    return () => pollRef.current.abort();
+  }, [followJob]);
+
+  /**
+   * Uploads the file to the staging area and shows the preview once it has been processed.
+   * Nothing is inserted until the user commits the preview.
+   * If the server doesn't recognize every column, the mapping step is shown instead and the
+   * file is sent again with the user's choices.
+   * @param {Object} [columnMapping] - File header → column ('' = ignore) from the mapping step
    */
-  const handleUpload = async () => {
+  const handleUpload = async (columnMapping) => {
     if (!file) {
       setMessage('Please choose a file to upload.');
       setMessageType('error');
       return;
     }
+    if (sheets.length > 1 && selectedSheets.length === 0) {
+      setMessage('Please choose at least one sheet.');
+      setMessageType('error');
+      return;
+    }
 
     setLoading(true);
     setMessage('');
     setMessageType('');
+    setPreview(null);
     const formData = new FormData();
-    formData.append('file', file);
-    formData.append('username', 'admin'); // Optional: Replace with dynamic username if needed
+    formData.append('file', file); // The uploader is taken from the session on the server
+    formData.append('conflictPolicy', conflictPolicy);
+    if (selectedSheets.length > 0) formData.append('sheets', JSON.stringify(selectedSheets));
+    if (columnMapping) formData.append('columnMapping', JSON.stringify(columnMapping));
 
     try {
-      const res = await axios.post('http://localhost:5000/api/reconciliation/add', formData, {
+      const res = await axios.post('/reconciliation/uploads', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
-
-      if (res.data.success) {
-        setMessage(res.data.message); // Display success message
-        setMessageType('success');
-        setFile(null); // Reset file input
-        fileInputRef.current.value = ''; // Clear file input field
-      }
+      setMappingStep(null);
+      await followJob(res.data.jobId);
     } catch (error) {
-      if (error.response) {
-        // Handle specific HTTP error statuses
-        if (error.response.status === 409) {
-          // Handle duplicate entries
-          setMessage(`⚠️ ${error.response.data.message}`);
-          setMessageType('warning');
-          setDuplicates(error.response.data.duplicates || []);
-          setDownloadUrl(error.response.data.downloadUrl || '');
-        } else if (error.response.status === 400) {
-          // Handle bad request errors (e.g., missing columns, invalid data)
-          setMessage(`❌ ${error.response.data.message}`);
-          setMessageType('error');
-          if (error.response.data.invalidRows) {
-            // If invalid rows are returned, display them
-            setDuplicates(error.response.data.invalidRows);
-            setDownloadUrl(''); // No download URL for invalid data
-          }
-        } else {
-          // Handle other errors (e.g., 500 Internal Server Error)
-          setMessage(`❌ Upload failed: ${error.response.data.message || 'An unexpected error occurred.'}`);
-          setMessageType('error');
-        }
+      if (error.response?.data?.needsMapping) {
+        const { headers, columns } = error.response.data;
+        setMappingStep({ headers, columns });
+        setColumnChoices(Object.fromEntries(headers.map(({ header, column }) => [header, column || ''])));
+        setMessage(error.response.data.message);
+        setMessageType('warning');
       } else {
-        // Handle network errors or other issues
-        setMessage('❌ Upload failed: Unable to connect to the server. Please try again.');
-        setMessageType('error');
+        showUploadError(error);
       }
-    } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Commits or discards the staged upload, then clears the preview.
+   * @param {'commit'|'discard'} action - What to do with the staged upload
+   */
+  const handleFinish = async (action) => {
+    setFinishing(true);
+    setFailedRows([]);
+    try {
+      const res =
+        action === 'commit'
+          ? await axios.post(`/reconciliation/uploads/${preview.uploadId}/commit`)
+          : await axios.delete(`/reconciliation/uploads/${preview.uploadId}`);
+      setMessage(res.data.message);
+      setMessageType(action === 'commit' ? 'success' : 'warning');
+      setPreview(null);
+      setFile(null); // Reset file input
+      fileInputRef.current.value = ''; // Clear file input field
+    } catch (error) {
+      setMessage(`❌ ${error.response?.data?.message || 'Unable to connect to the server. Please try again.'}`);
+      setMessageType('error');
+      setFailedRows(error.response?.data?.failedRows || []);
+    } finally {
+      setFinishing(false);
+    }
+  };
+
+  /**
+   * Downloads the report of the preview's duplicate and invalid rows.
+   */
+  const handleReportDownload = async () => {
+    try {
+      await downloadFile(preview.downloadUrl, `upload_report_${preview.reportId}.csv`);
+    } catch (error) {
+      console.error('Report download error:', error);
+      setMessage('❌ Failed to download the report. Please try again.');
+      setMessageType('error');
+    }
+  };
+
+  /**
+   * Downloads the uploaded file annotated with an Errors column, to fix it and upload it again.
+   */
+  const handleAnnotatedDownload = async () => {
+    try {
+      await downloadFile(preview.annotatedUrl, preview.annotatedFile);
+    } catch (error) {
+      console.error('Annotated file download error:', error);
+      setMessage('❌ Failed to download the annotated file. Please try again.');
+      setMessageType('error');
+    }
+  };
+
   /**
    * Handles the download of the sample Excel file.
    */
   const handleSampleDownload = async () => {
     try {
-      const response = await axios.get('http://localhost:5000/api/reconciliation/sample', {
-        responseType: 'blob', // Important for downloading binary files
-      });
-
-      // Create a URL for the blob and trigger a download
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', 'sample_reconciliation.xlsx');
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      await downloadFile('/api/reconciliation/sample', 'sample_reconciliation.xlsx');
     } catch (error) {
       console.error('Sample download error:', error);
       setMessage('❌ Failed to download sample file. Please try again.');
@@ -109,6 +252,39 @@ const AddReconciliation = () => {
     }
   };
 
+  const previewFilters = preview
+    ? [
+        { status: '', label: 'All', count: preview.counts.total },
+        { status: 'NEW', label: 'New', count: preview.counts.new },
+        { status: 'DUPLICATE', label: 'Duplicate', count: preview.counts.duplicate },
+        { status: 'FILE_DUPLICATE', label: 'Duplicate in file', count: preview.counts.fileDuplicate },
+        { status: 'INVALID', label: 'Invalid', count: preview.counts.invalid },
+        { status: 'WARNING', label: 'With warnings', count: preview.counts.warning },
+      ]
+    : [];
+  const mergesExisting = preview && ['OVERWRITE', 'FILL_EMPTY'].includes(preview.conflictPolicy);
+  const canCommit =
+    preview &&
+    !(preview.conflictPolicy === 'REJECT' && preview.counts.duplicate > 0) &&
+    (preview.counts.new > 0 || (mergesExisting && preview.counts.duplicate > 0));
+  let commitSummary = '';
+  if (preview) {
+    commitSummary =
+      preview.conflictPolicy === 'REJECT' && preview.counts.duplicate > 0
+        ? 'Some lines already exist, so this file is rejected. Discard it and upload again with another policy for existing lines.'
+        : `${preview.counts.new} new row(s) will be inserted${
+            mergesExisting ? ` and ${preview.counts.duplicate} existing line(s) merged` : ''
+          }. Invalid rows and duplicates within the file are left out.`;
+  }
+  const multiSheet = preview && preview.sheets.length > 1;
+  const ignoredChoices = mappingStep ? Object.keys(columnChoices).filter((header) => !columnChoices[header]) : [];
+  // Warnings are not a row status; the WARNING filter shows the rows that have any
+  const previewRows = preview
+    ? preview.rows.filter(
+        (row) => !statusFilter || row.ROW_STATUS === statusFilter || (statusFilter === 'WARNING' && row.WARNINGS)
+      )
+    : [];
+
   return (
     <div className="add-container">
       {/* Header */}
@@ -140,17 +316,17 @@ const AddReconciliation = () => {
 
         <button
           className="upload-button"
-          onClick={handleUpload}
-          disabled={loading}
+          onClick={() => handleUpload()}
+          disabled={loading || !!mappingStep}
           aria-busy={loading}
-          aria-label={loading ? 'Uploading file' : 'Upload file'}
+          aria-label={loading ? 'Uploading file' : 'Upload file for preview'}
         >
           {loading ? (
             <>
-              <span className="spinner" /> Uploading...
+              <span className="spinner" /> Processing...
             </>
           ) : (
-            'Upload'
+            'Upload & Preview'
           )}
         </button>
 
@@ -163,10 +339,82 @@ const AddReconciliation = () => {
           ⬇️ Sample
         </button>
       </div>
+      <SheetPicker
+        sheets={sheets}
+        selected={selectedSheets}
+        onChange={setSelectedSheets}
+        disabled={loading || !!preview || !!mappingStep}
+      />
+      <div className="policy-row">
+        <label htmlFor="conflict-policy">Existing lines:</label>
+        <select
+          id="conflict-policy"
+          value={conflictPolicy}
+          onChange={(e) => setConflictPolicy(e.target.value)}
+          disabled={loading || !!preview}
+        >
+          {CONFLICT_POLICIES.map((policy) => (
+            <option key={policy.value} value={policy.value}>
+              {policy.label}
+            </option>
+          ))}
+        </select>
+        <span className="file-help">{CONFLICT_POLICIES.find((policy) => policy.value === conflictPolicy).help}</span>
+      </div>
       <p id="file-help" className="file-help">
-        Accepted file types: .xlsx, .xls, .csv. Only ORDERNUMBER is required; all other columns are optional. Use the Sample button to download a template.
+        Accepted file types: .xlsx, .xls, .csv. Only ORDERNUMBER is required; all other columns are optional. Common header variations such as "Order Number" or "Sales Doc" are recognized, and you can map any other column yourself. You can review the rows before they are saved. Use the Sample button to download a template.
       </p>
 
+      {/* Mapping step for columns the server didn't recognize */}
+      {mappingStep && (
+        <div className="mapping-step">
+          <h4>Map the file's columns</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Column in file</th>
+                <th>Reconciliation column</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mappingStep.headers.map(({ header, column }) => (
+                <tr key={header} className={column ? '' : 'unrecognized'}>
+                  <td>{header}</td>
+                  <td>
+                    <select
+                      value={columnChoices[header]}
+                      onChange={(e) => setColumnChoices({ ...columnChoices, [header]: e.target.value })}
+                    >
+                      <option value="">— Ignore this column —</option>
+                      {mappingStep.columns.map((option) => (
+                        <option key={option} value={option}>
+                          {option}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {ignoredChoices.length > 0 && (
+            <div className="upload-message warning">
+              These columns will be ignored: {ignoredChoices.join(', ')}
+            </div>
+          )}
+          <div className="preview-actions">
+            <button className="upload-button" onClick={() => handleUpload(columnChoices)} disabled={loading}>
+              Continue with this mapping
+            </button>
+            <button className="discard-button" onClick={() => setMappingStep(null)} disabled={loading}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {job && <JobProgress job={job} flaggedLabel="duplicate or invalid row(s)" />}
+
       {/* Status Message */}
       {message && (
         <div className={`upload-message ${messageType}`}>
@@ -174,26 +422,73 @@ const AddReconciliation = () => {
         </div>
       )}
 
-      {/* Duplicate or Invalid Data Table (if any) */}
-      {duplicates.length > 0 && (
-        <div className="duplicates-section">
+      {/* Preview of the staged upload */}
+      {preview && (
+        <div className="preview-section">
           <h4>
-            {downloadUrl ? `${duplicates.length} Duplicates Found` : `${duplicates.length} Invalid Rows Found`}
+            Preview: {preview.fileName}
+            {multiSheet && ` — sheets ${preview.sheets.join(', ')}`}
           </h4>
+          {preview.ignoredColumns.length > 0 && (
+            <div className="upload-message warning">
+              These columns of the file are ignored: {preview.ignoredColumns.join(', ')}
+            </div>
+          )}
+          <div className="preview-counts">
+            {previewFilters.map(({ status, label, count }) => (
+              <button
+                key={label}
+                className={`preview-count ${status.toLowerCase() || 'all'} ${statusFilter === status ? 'active' : ''}`}
+                onClick={() => setStatusFilter(status)}
+              >
+                {label}: <strong>{count}</strong>
+              </button>
+            ))}
+          </div>
+
+          {/* Values changed while reading the file, e.g. Excel serial dates or "null" */}
+          {preview.coercions.length > 0 && (
+            <div className="coercion-summary">
+              🔄 Values adjusted in <strong>{preview.counts.coerced}</strong> row(s):
+              <ul>
+                {preview.coercions.map(({ column, kind, label, count }) => (
+                  <li key={`${column}-${kind}`}>
+                    {column}: {label} — {count}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="table-scroll">
             <table>
               <thead>
                 <tr>
-                  {Object.keys(duplicates[0]).map((key) => (
-                    <th key={key}>{key}</th>
+                  <th>Row</th>
+                  {multiSheet && <th>Sheet</th>}
+                  <th>Result</th>
+                  {PREVIEW_COLUMNS.map((column) => (
+                    <th key={column}>{column}</th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {duplicates.map((row, i) => (
-                  <tr key={i}>
-                    {Object.values(row).map((val, j) => (
-                      <td key={j}>{val ?? '—'}</td>
+                {previewRows.map((row) => (
+                  <tr key={row.ROW_NUM} className={`row-${row.ROW_STATUS.toLowerCase()}`}>
+                    <td>{row.ROW_NUM}</td>
+                    {multiSheet && (
+                      <td>
+                        {row.SHEET_NAME} <span className="row-message">row {row.SHEET_ROW}</span>
+                      </td>
+                    )}
+                    <td>
+                      {ROW_STATUS_LABELS[row.ROW_STATUS]}
+                      {row.MESSAGE && <div className="row-message">{row.MESSAGE}</div>}
+                      {row.COERCIONS && <div className="row-message coerced">🔄 {row.COERCIONS}</div>}
+                      {row.WARNINGS && <div className="row-message warned">⚠️ {row.WARNINGS}</div>}
+                    </td>
+                    {PREVIEW_COLUMNS.map((column) => (
+                      <td key={column}>{formatCell(row[column])}</td>
                     ))}
                   </tr>
                 ))}
@@ -201,13 +496,43 @@ const AddReconciliation = () => {
             </table>
           </div>
 
-          {downloadUrl && (
+          {/* Rows the database refused; the commit was rolled back */}
+          {failedRows.length > 0 && (
+            <div className="upload-message error">
+              {failedRows.length} row(s) failed, nothing was saved:
+              <ul>
+                {failedRows.map((row) => (
+                  <li key={row.ROW_NUM}>
+                    Row {row.ROW_NUM}
+                    {multiSheet && ` (sheet "${row.SHEET_NAME}", row ${row.SHEET_ROW})`} ({row.ORDERNUMBER} /{' '}
+                    {row.MATERIAL_NUMBER ?? '—'}): {row.error}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="preview-actions">
+            <button
+              className="upload-button"
+              onClick={() => handleFinish('commit')}
+              disabled={finishing || !canCommit}
+            >
+              ✅ Commit
+            </button>
+            <button className="discard-button" onClick={() => handleFinish('discard')} disabled={finishing}>
+              🗑️ Discard
+            </button>
+          </div>
+          {preview.downloadUrl && (
             <div className="download-link">
-              <a href={`http://localhost:5000${downloadUrl}`} download>
-                ⬇️ Download Duplicate Report
-              </a>
+              <button onClick={handleReportDownload}>⬇️ Download Report of Duplicate & Invalid Rows</button>
+              {preview.annotatedUrl && (
+                <button onClick={handleAnnotatedDownload}>📝 Download File with Errors Marked</button>
+              )}
             </div>
           )}
+          <p className="file-help">{commitSummary}</p>
         </div>
       )}
     </div>
@@ -1,72 +1,165 @@
-import React, { useState, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from '../api/axios';
+import { downloadFile } from '../api/download';
+import { waitForJob, JOB_KEYS } from '../api/jobs';
+import { can } from '../api/session';
+import { listWorkbookSheets } from '../api/workbook';
+import JobProgress from '../components/JobProgress';
+import SheetPicker from '../components/SheetPicker';
+import MappingProfileManager from '../components/MappingProfileManager';
+import ExportPanel from '../components/ExportPanel';
 import { Link } from 'react-router-dom';
 import './AsOfCheck.css';
 
 const AsOfCheck = () => {
   const [file, setFile] = useState(null);
   const [duplicates, setDuplicates] = useState([]);
+  const [duplicateCount, setDuplicateCount] = useState(0); // All duplicates; the table shows the first ones only
   const [message, setMessage] = useState('');
   const [downloadUrl, setDownloadUrl] = useState('');
+  const [reportId, setReportId] = useState(null); // Report stored for this run
   const [loading, setLoading] = useState(false);
-  const [checkSeconds, setCheckSeconds] = useState(0);
-  const timerRef = useRef(null);
-  const [timeVisible, setTimeVisible] = useState(false);
+  const [job, setJob] = useState(null); // Background job of the running check
+  const [checkSeconds, setCheckSeconds] = useState(null); // Server-side duration of the last check
+  const [profiles, setProfiles] = useState([]); // Saved column mapping profiles
+  const [mappedFields, setMappedFields] = useState([]); // Fields a profile maps ({ field, column, label })
+  const [profileId, setProfileId] = useState(''); // Chosen profile ('' = detect from the file's headers)
+  const [fileHeaders, setFileHeaders] = useState([]); // Headers of a file no profile matched
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [sheets, setSheets] = useState([]); // Sheets of the chosen workbook
+  const [selectedSheets, setSelectedSheets] = useState([]); // Sheets to check (the first one by default)
+  const [showExport, setShowExport] = useState(false);
+  const pollRef = useRef(null); // Aborts polling when the page unmounts
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
+  const loadProfiles = useCallback(async () => {
+    try {
+      const res = await axios.get('/reconciliation/mapping-profiles');
+      setProfiles(res.data.data);
+      setMappedFields(res.data.fields);
+    } catch (err) {
+      setMessage('❌ Failed to load column mapping profiles.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    setFile(chosen);
     resetState();
+    setSheets([]);
+    setSelectedSheets([]);
+    if (chosen) {
+      const workbookSheets = await listWorkbookSheets(chosen);
+      setSheets(workbookSheets);
+      setSelectedSheets(workbookSheets.slice(0, 1));
+    }
   };
 
   const resetState = () => {
     setMessage('');
     setDuplicates([]);
+    setDuplicateCount(0);
     setDownloadUrl('');
-    setCheckSeconds(0);
-    setTimeVisible(false);
-    clearInterval(timerRef.current);
+    setShowExport(false);
+    setCheckSeconds(null);
+    setFileHeaders([]);
   };
 
+  /**
+   * Follows a queued check until it finishes and shows its result.
+   * The job id is kept in localStorage so the check can be picked up again after leaving the page.
+   * @param {number} jobId - The JOB_ID of the check
+   */
+  const followJob = useCallback(async (jobId) => {
+    localStorage.setItem(JOB_KEYS.ASOF_CHECK, jobId);
+    setLoading(true);
+    try {
+      const finished = await waitForJob(jobId, setJob, pollRef.current.signal);
+      localStorage.removeItem(JOB_KEYS.ASOF_CHECK);
+      setJob(null);
+
+      if (finished.STATUS === 'FAILED') {
+        setMessage(`❌ ${finished.ERROR_MESSAGE}`);
+        return;
+      }
+      const result = finished.RESULT;
+      setCheckSeconds(Math.round(result.elapsedMs / 1000));
+      const runDetails = `${result.sheets?.length > 1 ? ` across ${result.sheets.length} sheets` : ''}${
+        result.profileName ? ` (profile "${result.profileName}")` : ''
+      }${
+        result.coercedCount > 0 ? `; ${result.coercedCount} value(s) such as "null" read as empty` : ''
+      }`;
+      if (result.success) {
+        setMessage(`✅ No duplicates found in ${result.checkedCount} line(s)${runDetails}.`);
+      } else {
+        setMessage(`⚠️ Found ${result.duplicateCount} duplicates in ${result.checkedCount} line(s)${runDetails}.`);
+        setDuplicates(result.duplicates || []);
+        setDuplicateCount(result.duplicateCount);
+        setDownloadUrl(result.downloadUrl);
+        setReportId(result.reportId);
+      }
+    } catch (err) {
+      // A job that no longer exists can't be resumed
+      if (err.response?.status === 404) localStorage.removeItem(JOB_KEYS.ASOF_CHECK);
+      setJob(null);
+      setMessage('❌ Failed to check file.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Resume a check that was still running when the user left the page
+  useEffect(() => {
+    pollRef.current = new AbortController();
+    const pendingJobId = localStorage.getItem(JOB_KEYS.ASOF_CHECK);
+    if (pendingJobId) followJob(pendingJobId);
+    return () => pollRef.current.abort();
+  }, [followJob]);
+
   const handleCheck = async () => {
     if (!file) {
       alert('Please select a file.');
       return;
     }
+    if (sheets.length > 1 && selectedSheets.length === 0) {
+      alert('Please select at least one sheet.');
+      return;
+    }
 
     resetState();
     setLoading(true);
-    setTimeVisible(true);
-
-    let start = Date.now();
-    timerRef.current = setInterval(() => {
-      setCheckSeconds((prev) => prev + 1);
-    }, 1000);
 
     const formData = new FormData();
     formData.append('file', file);
+    if (profileId) formData.append('profileId', profileId);
+    if (selectedSheets.length > 0) formData.append('sheets', JSON.stringify(selectedSheets));
 
     try {
-      const res = await axios.post('http://localhost:5000/api/reconciliation/check', formData, {
+      const res = await axios.post('/reconciliation/check', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
       });
-
-      if (res.data.success) {
-        setMessage('✅ No duplicates found.');
-      } else {
-        setMessage(`⚠️ Found ${res.data.duplicates.length} duplicates.`);
-        setDuplicates(res.data.duplicates || []);
-        setDownloadUrl(res.data.downloadUrl);
-      }
+      await followJob(res.data.jobId);
     } catch (err) {
-      setMessage('❌ Failed to check file.');
-    } finally {
-      clearInterval(timerRef.current);
-      const duration = Math.round((Date.now() - start) / 1000);
-      setCheckSeconds(duration);
+      // Columns the mapping doesn't find are reported with the file's headers
+      setMessage(`❌ ${err.response?.data?.message || 'Failed to check file.'}`);
+      setFileHeaders(err.response?.data?.headers || []);
       setLoading(false);
     }
   };
 
+  const handleReportDownload = async () => {
+    try {
+      await downloadFile(downloadUrl, `asof_check_duplicates_${reportId}.csv`);
+    } catch (err) {
+      setMessage('❌ Failed to download duplicate report.');
+    }
+  };
+
+  const selectedProfile = profiles.find((profile) => String(profile.PROFILE_ID) === profileId);
+
   return (
     <div className="asof-container">
       {/* Home + Duration */}
@@ -74,13 +167,13 @@ const AsOfCheck = () => {
         <Link to="/dashboard">
           <button className="home-button">🏠 Home</button>
         </Link>
-        {timeVisible && (
+        {checkSeconds !== null && (
           <div className="elapsed-time">⏱ Took: {checkSeconds}s</div>
         )}
       </div>
 
       <h2>🔍 As of Checking</h2>
-      <p>Upload an Excel file to scan for duplicate orders by Order ID + Material + BATCH rules</p>
+      <p>Upload an Excel file to scan for duplicate orders by Order ID + Material + BATCH rules. The columns are read through a mapping profile, detected from the file's headers unless you pick one.</p>
 
       {/* File input and Check button */}
       <div className="asof-form-row">
@@ -94,11 +187,50 @@ const AsOfCheck = () => {
         </button>
       </div>
 
+      <SheetPicker sheets={sheets} selected={selectedSheets} onChange={setSelectedSheets} disabled={loading} />
+
+      <div className="asof-form-row">
+        <label htmlFor="mapping-profile" className="mapping-label">Column mapping:</label>
+        <select
+          id="mapping-profile"
+          className="mapping-select"
+          value={profileId}
+          onChange={(e) => setProfileId(e.target.value)}
+          disabled={loading}
+        >
+          <option value="">Auto-detect from the file's headers</option>
+          {profiles.map((profile) => (
+            <option key={profile.PROFILE_ID} value={profile.PROFILE_ID}>
+              {profile.PROFILE_NAME}
+            </option>
+          ))}
+        </select>
+        {selectedProfile && (
+          <span className="mapping-help">
+            {mappedFields.map(({ column, label }) => `${label}: "${selectedProfile[column]}"`).join(' · ')}
+          </span>
+        )}
+        {can('mappings.manage') && (
+          <button className="mapping-toggle" onClick={() => setShowProfiles(!showProfiles)}>
+            ⚙️ {showProfiles ? 'Hide profiles' : 'Manage profiles'}
+          </button>
+        )}
+      </div>
+
+      {showProfiles && (
+        <MappingProfileManager profiles={profiles} fields={mappedFields} headers={fileHeaders} onChange={loadProfiles} />
+      )}
+
+      {job && <JobProgress job={job} flaggedLabel="duplicate(s)" />}
+
       {message && <div className="message">{message}</div>}
 
       {duplicates.length > 0 && (
         <div className="asof-results">
-          <h4>🔴 <strong>{duplicates.length}</strong> Duplicate Records Found</h4>
+          <h4>🔴 <strong>{duplicateCount}</strong> Duplicate Records Found</h4>
+          {duplicateCount > duplicates.length && (
+            <p>Showing the first {duplicates.length}; export or download the report for all of them.</p>
+          )}
 
           <div className="table-scroll-x">
             <table>
@@ -123,11 +255,21 @@ const AsOfCheck = () => {
 
           {downloadUrl && (
             <div className="download-link">
-              <a href={`http://localhost:5000${downloadUrl}`} download target="_blank" rel="noopener noreferrer">
-                ⬇️ Download Duplicate Report
-              </a>
+              <button onClick={handleReportDownload}>
+                ⬇️ Download Duplicate Report #{reportId}
+              </button>
+              <button onClick={() => setShowExport(true)}>📤 Export Columns…</button>
             </div>
           )}
+
+          {/* Export of every duplicate in the report, with the columns chosen */}
+          {showExport && reportId && (
+            <ExportPanel
+              columns={[...new Set(duplicates.flatMap((row) => Object.keys(row)))]}
+              url={`/api/reconciliation/export/asof/${reportId}`}
+              onClose={() => setShowExport(false)}
+            />
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../api/axios';
+import { Link, useNavigate } from 'react-router-dom';
+import { can } from '../api/session';
+import { searchPath } from '../api/dashboard';
+import ExportPanel from '../components/ExportPanel';
+import './Batches.css';
+
+// Columns offered by the manifest export, in their default order (the search export columns)
+const MANIFEST_COLUMNS = [
+  'CLUB_NAME',
+  'ORDERNUMBER',
+  'MATERIAL_NUMBER',
+  'SALESDOCUMENT',
+  'ORDERDATE',
+  'BATCHNUMBER',
+  'YEAR',
+  'ORDERTYPE',
+  'STATUS',
+  'STATUS_NOTE',
+  'CDD',
+  'SHIPOUTDATE',
+  'UPSTRACKINGNUMBER',
+  'DELIVERY_STATUS',
+  'DAYS_LATE',
+  'LINE_ID',
+];
+
+// Batch state changes offered from each state, with their button labels
+const STATE_ACTIONS = {
+  OPEN: [
+    { state: 'CLOSED', label: '📦 Close' },
+    { state: 'LOCKED', label: '🔒 Lock' },
+  ],
+  CLOSED: [
+    { state: 'OPEN', label: '🔓 Reopen' },
+    { state: 'LOCKED', label: '🔒 Lock' },
+  ],
+  LOCKED: [
+    { state: 'OPEN', label: '🔓 Reopen' },
+    { state: 'CLOSED', label: '📦 Unlock to closed' },
+  ],
+};
+
+// What each state change does, shown before it is confirmed
+const STATE_HELP = {
+  OPEN: 'Lines can be added to the batch and changed again.',
+  CLOSED: 'No line can be added to the batch or moved into it; its lines can still be updated.',
+  LOCKED: "No line can be added to the batch, and its lines can't be changed, moved out or deleted.",
+};
+
+const STATUS_COLORS = ['#4a69bd', '#27ae60', '#f39c12', '#9b59b6', '#e74c3c', '#16a085', '#95a5a6'];
+
+/**
+ * A date from the API as YYYY-MM-DD.
+ * @param {string|null} value - ISO date
+ * @returns {string}
+ */
+const day = (value) => (value ? String(value).slice(0, 10) : '');
+
+/**
+ * A date range, or a dash when there is none.
+ * @param {string|null} from - First date
+ * @param {string|null} to - Last date
+ * @returns {string}
+ */
+const dateRange = (from, to) => {
+  if (!from) return '—';
+  return day(from) === day(to) ? day(from) : `${day(from)} → ${day(to)}`;
+};
+
+const Batches = () => {
+  const navigate = useNavigate();
+  const canManage = can('batches.manage');
+  const canLock = can('batches.lock');
+  const canEdit = can('reconciliation.edit');
+
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [filter, setFilter] = useState('');
+  const [stateFilter, setStateFilter] = useState('');
+  const [action, setAction] = useState(null); // { batch, kind: 'ship' or a state, note, shipoutDate }
+  const [working, setWorking] = useState(false);
+  const [manifestBatch, setManifestBatch] = useState(null);
+
+  const loadBatches = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/reconciliation/batches');
+      setBatches(res.data.data);
+    } catch (error) {
+      setMessage(error.response?.data?.message || '❌ Failed to load batches.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  const startAction = (batch, kind) =>
+    setAction({ batch, kind, note: batch.NOTE || '', shipoutDate: new Date().toLocaleDateString('en-CA') });
+
+  const runAction = async () => {
+    const path = `/reconciliation/batches/${encodeURIComponent(action.batch.BATCHNUMBER)}`;
+    setWorking(true);
+    setMessage('');
+    try {
+      const res =
+        action.kind === 'ship'
+          ? await axios.post(`${path}/ship`, { shipoutDate: action.shipoutDate })
+          : await axios.put(`${path}/state`, { state: action.kind, note: action.note });
+      setMessage(res.data.message);
+      setAction(null);
+      loadBatches();
+    } catch (error) {
+      // Lines that broke a validation rule are listed by order and material
+      const failed = (error.response?.data?.results || []).map(
+        (result) => `${result.ORDERNUMBER} / ${result.MATERIAL_NUMBER}: ${result.message}`
+      );
+      setMessage([error.response?.data?.message || '❌ The batch action failed.', ...failed].join('\n'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const shown = batches.filter(
+    (batch) =>
+      batch.BATCHNUMBER.toLowerCase().includes(filter.trim().toLowerCase()) &&
+      (!stateFilter || batch.STATE === stateFilter)
+  );
+
+  /**
+   * The form confirming the chosen action, under the batch's row.
+   * @param {Object} batch - The batch
+   */
+  const renderAction = (batch) => (
+    <tr className="batch-action-row">
+      <td colSpan={9}>
+        {action.kind === 'ship' ? (
+          <span className="batch-action-form">
+            Mark the {batch.LINE_COUNT - batch.SHIPPED_COUNT} unshipped line(s) of {batch.BATCHNUMBER} shipped; lines
+            without a ship-out date get
+            <input
+              type="date"
+              value={action.shipoutDate}
+              onChange={(e) => setAction({ ...action, shipoutDate: e.target.value })}
+            />
+          </span>
+        ) : (
+          <span className="batch-action-form">
+            {STATE_HELP[action.kind]}
+            <input
+              type="text"
+              placeholder="Note (optional)"
+              maxLength={500}
+              value={action.note}
+              onChange={(e) => setAction({ ...action, note: e.target.value })}
+            />
+          </span>
+        )}
+        <button className="batch-confirm" onClick={runAction} disabled={working}>
+          {working ? '⏳ Working…' : 'Confirm'}
+        </button>
+        <button className="batch-cancel" onClick={() => setAction(null)} disabled={working}>
+          Cancel
+        </button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="batches-container">
+      {/* Header */}
+      <div className="batches-header">
+        <Link to="/dashboard">
+          <button className="home-button">🏠 Home</button>
+        </Link>
+        <span className="batches-filters">
+          <input
+            type="text"
+            placeholder="Filter batches, e.g. Week25"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+          />
+          <select value={stateFilter} onChange={(e) => setStateFilter(e.target.value)}>
+            <option value="">All states</option>
+            <option value="OPEN">Open</option>
+            <option value="CLOSED">Closed</option>
+            <option value="LOCKED">Locked</option>
+          </select>
+          <button className="refresh-button" onClick={loadBatches} disabled={loading}>
+            {loading ? '⏳ Loading…' : '🔄 Refresh'}
+          </button>
+        </span>
+      </div>
+
+      {manifestBatch && (
+        <ExportPanel
+          columns={MANIFEST_COLUMNS}
+          url={`/api/reconciliation/export/batches/${encodeURIComponent(manifestBatch)}`}
+          onClose={() => setManifestBatch(null)}
+        />
+      )}
+
+      {message && <div className="batches-message">{message}</div>}
+
+      <div className="batches-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Batch</th>
+              <th>State</th>
+              <th>Lines</th>
+              <th>Orders</th>
+              <th>Clubs</th>
+              <th>Statuses</th>
+              <th>Shipped</th>
+              <th>Order dates / Ship-out dates</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.length === 0 && !loading && (
+              <tr>
+                <td colSpan={9} className="batches-empty">
+                  No batches found.
+                </td>
+              </tr>
+            )}
+            {shown.map((batch) => (
+              <React.Fragment key={batch.BATCHNUMBER}>
+                <tr>
+                  <td>
+                    <button
+                      className="batch-link"
+                      title="Open the lines of this batch"
+                      onClick={() =>
+                        navigate(searchPath([{ column: 'BATCHNUMBER', op: 'equals', value: batch.BATCHNUMBER }]))
+                      }
+                    >
+                      {batch.BATCHNUMBER}
+                    </button>
+                  </td>
+                  <td>
+                    <span
+                      className={`batch-state ${batch.STATE.toLowerCase()}`}
+                      title={
+                        batch.CHANGED_BY
+                          ? `${batch.CHANGED_BY}, ${new Date(batch.CHANGED_AT).toLocaleString()}${batch.NOTE ? ` — ${batch.NOTE}` : ''}`
+                          : undefined
+                      }
+                    >
+                      {batch.STATE}
+                    </span>
+                  </td>
+                  <td>{batch.LINE_COUNT.toLocaleString()}</td>
+                  <td>{batch.ORDER_COUNT.toLocaleString()}</td>
+                  <td>{batch.CLUB_COUNT.toLocaleString()}</td>
+                  <td>
+                    <div
+                      className="batch-statuses"
+                      title={batch.STATUSES.map(({ status, count }) => `${status ?? '(no status)'}: ${count}`).join('\n')}
+                    >
+                      {batch.STATUSES.map(({ status, count }, index) => (
+                        <span
+                          key={status ?? ''}
+                          style={{
+                            flex: count,
+                            backgroundColor: STATUS_COLORS[Math.min(index, STATUS_COLORS.length - 1)],
+                          }}
+                        />
+                      ))}
+                    </div>
+                  </td>
+                  <td>
+                    {batch.SHIPPED_PERCENT === null ? (
+                      '—'
+                    ) : (
+                      <span className="batch-shipped">
+                        <span className="batch-shipped-bar">
+                          <span style={{ width: `${batch.SHIPPED_PERCENT}%` }} />
+                        </span>
+                        {batch.SHIPPED_PERCENT}%
+                      </span>
+                    )}
+                  </td>
+                  <td className="batch-dates">
+                    <div>{dateRange(batch.FIRST_ORDER_DATE, batch.LAST_ORDER_DATE)}</div>
+                    <div>{dateRange(batch.FIRST_SHIPOUT_DATE, batch.LAST_SHIPOUT_DATE)}</div>
+                  </td>
+                  <td className="batch-actions">
+                    {batch.LINE_COUNT > 0 && (
+                      <button onClick={() => setManifestBatch(batch.BATCHNUMBER)}>⬇️ Manifest</button>
+                    )}
+                    {canEdit && batch.STATE !== 'LOCKED' && batch.SHIPPED_COUNT < batch.LINE_COUNT && (
+                      <button onClick={() => startAction(batch, 'ship')}>🚚 Mark shipped</button>
+                    )}
+                    {canManage &&
+                      STATE_ACTIONS[batch.STATE]
+                        .filter(({ state }) => canLock || (state !== 'LOCKED' && batch.STATE !== 'LOCKED'))
+                        .map(({ state, label }) => (
+                          <button key={state} onClick={() => startAction(batch, state)}>
+                            {label}
+                          </button>
+                        ))}
+                  </td>
+                </tr>
+                {action?.batch.BATCHNUMBER === batch.BATCHNUMBER && renderAction(batch)}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Batches;
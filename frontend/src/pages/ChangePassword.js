@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { Box, Button, TextField, Typography, Paper, Alert } from '@mui/material';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from '../api/axios';
+import { getUser, saveUser } from '../api/session';
+
+function ChangePassword() {
+  const navigate = useNavigate();
+  const user = getUser();
+
+  // State for form inputs
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+
+  // Handle field changes
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  // Submit the password change
+  const handleSubmit = async () => {
+    if (!form.currentPassword || !form.newPassword) {
+      setError('Please fill in all fields');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    try {
+      await axios.put('/me/password', {
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword,
+      });
+      saveUser({ ...user, mustChangePassword: false });
+      navigate('/dashboard');
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || 'Password change failed. Check server connection.');
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', height: '100vh', alignItems: 'center', justifyContent: 'center', backgroundColor: '#f8f9fc' }}>
+      <Paper elevation={3} sx={{ padding: 4, width: '100%', maxWidth: 400, borderRadius: 4 }}>
+        <Typography variant="h5" gutterBottom fontWeight="bold">
+          Change Password
+        </Typography>
+
+        {/* Temporary passwords must be replaced before using the app */}
+        {user?.mustChangePassword && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            You are using a temporary password. Please choose a new one to continue.
+          </Alert>
+        )}
+
+        {/* Show error messages */}
+        {error && (
+          <Typography color="error" mb={2}>
+            {error}
+          </Typography>
+        )}
+
+        <TextField
+          label="Current Password"
+          name="currentPassword"
+          type="password"
+          value={form.currentPassword}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+          autoFocus
+        />
+        <TextField
+          label="New Password"
+          name="newPassword"
+          type="password"
+          value={form.newPassword}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+          helperText="At least 8 characters"
+        />
+        <TextField
+          label="Confirm New Password"
+          name="confirmPassword"
+          type="password"
+          value={form.confirmPassword}
+          onChange={handleChange}
+          onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+          fullWidth
+          margin="normal"
+        />
+
+        <Button
+          variant="contained"
+          fullWidth
+          sx={{ mt: 2, backgroundColor: '#3f51b5' }}
+          onClick={handleSubmit}
+        >
+          CHANGE PASSWORD
+        </Button>
+
+        {!user?.mustChangePassword && (
+          <Button component={Link} to="/dashboard" fullWidth sx={{ mt: 1 }}>
+            Cancel
+          </Button>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default ChangePassword;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   AppBar,
   Toolbar,
@@ -7,24 +7,111 @@ import {
   Box,
   Stack,
   Container,
-  Paper
+  Paper,
+  Divider,
+  ButtonBase,
+  Alert,
+  CircularProgress
 } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
+import { logout } from '../api/auth';
+import { getUser, can } from '../api/session';
+import { listSavedSearches, savedSearchPath } from '../api/savedSearches';
+import { getDashboard, searchPath } from '../api/dashboard';
+import BarChart from '../components/BarChart';
 
-function Dashboard() {
+// The metrics reload on their own this often while the dashboard is open
+const REFRESH_MS = 60000;
+
+/**
+ * A key figure; clickable when it has an onClick handler.
+ * @param {Object} props
+ * @param {string} props.label - What the figure counts
+ * @param {number} props.value - The figure
+ * @param {string} [props.caption] - Smaller text under the figure
+ * @param {Function} [props.onClick] - Opens the lines behind the figure
+ */
+const Kpi = ({ label, value, caption, onClick }) => (
+  <Paper sx={{ flex: '1 1 180px' }}>
+    <ButtonBase
+      disabled={!onClick}
+      onClick={onClick}
+      sx={{ display: 'block', width: '100%', height: '100%', p: 2, textAlign: 'left', borderRadius: 1 }}
+    >
+      <Typography variant="body2" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h4" sx={{ fontWeight: 'bold', color: '#3f51b5' }}>
+        {value.toLocaleString()}
+      </Typography>
+      {caption && (
+        <Typography variant="caption" color="text.secondary">
+          {caption}
+        </Typography>
+      )}
+    </ButtonBase>
+  </Paper>
+);
+
+function Dashboard({ setAuth }) {
   const navigate = useNavigate();
+  const user = getUser();
 
   const menuItems = [
-    { label: 'Add Reconciliation', path: '/reconciliation/add' },
-    { label: 'Edit Reconciliation', path: '/reconciliation/edit' },
-    { label: 'As-of Check', path: '/reconciliation/check' },
-    { label: 'Search Data', path: '/reconciliation/search' },
-    { label: 'Duplicate Check', path: '/reconciliation/duplicates' }
-  ];
-
-  const handleLogout = () => {
-    localStorage.removeItem('auth');
-    localStorage.removeItem('username');
+    { label: 'Add Reconciliation', path: '/reconciliation/add', permission: 'reconciliation.upload' },
+    { label: 'Edit Reconciliation', path: '/reconciliation/edit', permission: 'reconciliation.edit' },
+    { label: 'As-of Check', path: '/reconciliation/check', permission: 'reconciliation.check' },
+    { label: 'Search Data', path: '/reconciliation/search', permission: 'reconciliation.search' },
+    { label: 'Duplicate Check', path: '/reconciliation/duplicates', permission: 'reconciliation.check' },
+    { label: 'Late Orders', path: '/reconciliation/late-orders', permission: 'reconciliation.search' },
+    { label: 'Batches', path: '/reconciliation/batches', permission: 'reconciliation.search' },
+    { label: 'Reports', path: '/reports', permission: 'reports.view' },
+    { label: 'User Administration', path: '/admin/users', permission: 'users.manage' },
+    { label: 'Validation Rules', path: '/admin/validation-rules', permission: 'rules.manage' },
+    { label: 'Order Statuses', path: '/admin/order-statuses', permission: 'statuses.manage' }
+  ].filter((item) => can(item.permission)); // Only offer what the user's role allows
+
+  // Saved searches (own and shared) as quick links; edit page searches only for users who can edit
+  const [savedSearches, setSavedSearches] = useState([]);
+  useEffect(() => {
+    if (!can('reconciliation.search')) return;
+    listSavedSearches()
+      .then((searches) =>
+        setSavedSearches(searches.filter((search) => search.PAGE !== 'edit' || can('reconciliation.edit')))
+      )
+      .catch((error) => console.error('Saved searches error:', error));
+  }, []);
+
+  // Live metrics; every figure and bar that stands for lines opens them on the Search Data page
+  const [metrics, setMetrics] = useState(null);
+  const [generatedAt, setGeneratedAt] = useState(null);
+  const [metricsLoading, setMetricsLoading] = useState(false);
+  const [metricsError, setMetricsError] = useState('');
+
+  const loadMetrics = useCallback(async () => {
+    setMetricsLoading(true);
+    try {
+      const result = await getDashboard();
+      setMetrics(result.data);
+      setGeneratedAt(new Date(result.generatedAt));
+      setMetricsError('');
+    } catch (error) {
+      setMetricsError(error.response?.data?.message || 'Failed to load the dashboard metrics.');
+    } finally {
+      setMetricsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!can('reconciliation.search')) return;
+    loadMetrics();
+    const timer = setInterval(loadMetrics, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadMetrics]);
+
+  const handleLogout = async () => {
+    await logout();
+    setAuth(false);
     navigate('/login');
   };
 
@@ -32,6 +119,8 @@ function Dashboard() {
     navigate(path);
   };
 
+  const openLines = (item) => goTo(searchPath(item.filters));
+
   return (
     <Box sx={{ flexGrow: 1 }}>
       {/* Header */}
@@ -40,17 +129,115 @@ function Dashboard() {
           <Typography variant="h6" component="div" sx={{ fontWeight: 'bold' }}>
             Team-SAP Dashboard
           </Typography>
-          <Button color="inherit" onClick={handleLogout}>
-            Logout
-          </Button>
+          <Box>
+            <Button color="inherit" onClick={() => goTo('/account/password')}>
+              Change Password
+            </Button>
+            <Button color="inherit" onClick={handleLogout}>
+              Logout
+            </Button>
+          </Box>
         </Toolbar>
       </AppBar>
 
+      {/* Live metrics */}
+      {can('reconciliation.search') && (
+        <Container maxWidth="lg" sx={{ mt: 4 }}>
+          <Stack direction="row" alignItems="center" justifyContent="space-between" mb={2}>
+            <Typography variant="h6">📊 Operations</Typography>
+            <Stack direction="row" alignItems="center" spacing={1}>
+              {metricsLoading && <CircularProgress size={18} />}
+              {generatedAt && (
+                <Typography variant="caption" color="text.secondary">
+                  Updated {generatedAt.toLocaleTimeString()}
+                </Typography>
+              )}
+              <Button size="small" onClick={loadMetrics} disabled={metricsLoading}>
+                Refresh
+              </Button>
+            </Stack>
+          </Stack>
+
+          {metricsError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {metricsError}
+            </Alert>
+          )}
+
+          {metrics && (
+            <>
+              <Stack direction="row" spacing={2} useFlexGap flexWrap="wrap" mb={2}>
+                <Kpi
+                  label="Lines"
+                  value={metrics.lines.total.value}
+                  caption={`${metrics.lines.open.value.toLocaleString()} open`}
+                  onClick={() => openLines(metrics.lines.total)}
+                />
+                <Kpi
+                  label="Open lines"
+                  value={metrics.lines.open.value}
+                  caption={`Status not ${metrics.lines.closedStatuses.join(', ')}`}
+                  onClick={() => openLines(metrics.lines.open)}
+                />
+                <Kpi
+                  label="Open lines missing tracking"
+                  value={metrics.lines.openMissingTracking.value}
+                  caption={`${metrics.lines.missingTracking.value.toLocaleString()} lines in total`}
+                  onClick={() => openLines(metrics.lines.openMissingTracking)}
+                />
+                <Kpi
+                  label="Duplicate lines"
+                  value={metrics.duplicates.lines}
+                  caption={`${metrics.duplicates.keys.toLocaleString()} order/material pairs`}
+                  onClick={can('reconciliation.check') ? () => goTo('/reconciliation/duplicates') : undefined}
+                />
+                <Kpi
+                  label="Uploads, last 7 days"
+                  value={metrics.uploads.uploads}
+                  caption={`${metrics.uploads.inserted.toLocaleString()} inserted · ${metrics.uploads.updated.toLocaleString()} updated`}
+                  onClick={can('reports.view') ? () => goTo('/reports') : undefined}
+                />
+              </Stack>
+
+              <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: '1fr 1fr' }, gap: 2 }}>
+                <BarChart title="Lines by status" items={metrics.linesByStatus} onSelect={openLines} />
+                <BarChart
+                  title="Orders per batch week"
+                  items={metrics.ordersPerBatchWeek.map((item) => ({
+                    ...item,
+                    detail: `(${item.lines.toLocaleString()} lines)`,
+                  }))}
+                  onSelect={openLines}
+                  color="#2e7d32"
+                  emptyText="No batches named Week<n>#<batch>."
+                />
+                <BarChart
+                  title="Top clubs by open lines"
+                  items={metrics.topClubs}
+                  onSelect={openLines}
+                  color="#ed6c02"
+                  emptyText="No open lines."
+                />
+                <BarChart
+                  title="Uploads per day"
+                  items={metrics.uploads.days.map((day) => ({
+                    ...day,
+                    detail: `(+${day.inserted.toLocaleString()} / ~${day.updated.toLocaleString()})`,
+                  }))}
+                  onSelect={can('reports.view') ? () => goTo('/reports') : undefined}
+                  color="#9c27b0"
+                />
+              </Box>
+            </>
+          )}
+        </Container>
+      )}
+
       {/* Main content */}
-      <Container maxWidth="md" sx={{ mt: 4 }}>
+      <Container maxWidth="md" sx={{ mt: 4, mb: 4 }}>
         <Paper sx={{ p: 5, textAlign: 'center' }}>
           <Typography variant="h5" gutterBottom>
-            Welcome, {localStorage.getItem('username') || 'User'} 👋
+            Welcome, {user?.username || 'User'} 👋
           </Typography>
           <Typography variant="body1" mb={3}>
             Choose an action below to continue working on Project-SAP:
@@ -70,6 +257,30 @@ function Dashboard() {
               </Button>
             ))}
           </Stack>
+
+          {savedSearches.length > 0 && (
+            <>
+              <Divider sx={{ my: 4 }} />
+              <Typography variant="h6" gutterBottom>
+                🔖 Saved Searches
+              </Typography>
+              <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" justifyContent="center">
+                {savedSearches.map((search) => (
+                  <Button
+                    key={search.SEARCH_ID}
+                    variant="outlined"
+                    size="small"
+                    onClick={() => goTo(savedSearchPath(search))}
+                    title={search.IS_MINE ? 'Your search' : `Shared by ${search.OWNER}`}
+                  >
+                    {search.SEARCH_NAME}
+                    {search.PAGE === 'edit' ? ' ✏️' : ''}
+                    {!search.IS_MINE ? ` · ${search.OWNER}` : ''}
+                  </Button>
+                ))}
+              </Stack>
+            </>
+          )}
         </Paper>
       </Container>
     </Box>
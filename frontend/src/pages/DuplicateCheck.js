@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import axios from '../api/axios';
 import { Link } from 'react-router-dom';
+import ExportPanel from '../components/ExportPanel';
 import './DuplicateCheck.css';
 
 const DuplicateCheck = () => {
@@ -8,6 +9,7 @@ const DuplicateCheck = () => {
   const [selectedRow, setSelectedRow] = useState(null);
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [showExport, setShowExport] = useState(false);
 
   const handleDuplicateCheck = async () => {
     setData([]);
@@ -16,7 +18,7 @@ const DuplicateCheck = () => {
     setLoading(true);
 
     try {
-      const res = await axios.get('http://localhost:5000/api/reconciliation/true-duplicates');
+      const res = await axios.get('/reconciliation/true-duplicates');
       if (res.data.success && res.data.data.length > 0) {
         setData(res.data.data);
       } else {
@@ -37,11 +39,26 @@ const DuplicateCheck = () => {
         <Link to="/dashboard">
           <button className="home-button">🏠 Home</button>
         </Link>
-        <button className="check-button" onClick={handleDuplicateCheck} disabled={loading}>
-          🔁 Duplicate Check
-        </button>
+        <span className="duplicate-actions">
+          {data.length > 0 && (
+            <button className="export-button" onClick={() => setShowExport(true)}>
+              ⬇️ Export
+            </button>
+          )}
+          <button className="check-button" onClick={handleDuplicateCheck} disabled={loading}>
+            🔁 Duplicate Check
+          </button>
+        </span>
       </div>
 
+      {showExport && data.length > 0 && (
+        <ExportPanel
+          columns={Object.keys(data[0])}
+          url="/api/reconciliation/export/duplicates"
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
       {message && <div className="message">{message}</div>}
 
       {/* Table Data */}
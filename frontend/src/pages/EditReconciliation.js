@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Container,
   Typography,
@@ -23,16 +23,36 @@ import {
   DialogActions,
   CircularProgress,
 } from '@mui/material';
-import { Link } from 'react-router-dom'; // Import Link for navigation
+import { Link, useSearchParams } from 'react-router-dom'; // Import Link for navigation
 import axios from '../api/axios';
+import { can } from '../api/session';
+import { getSavedSearch } from '../api/savedSearches';
+import { getStatusModel, statusChoices } from '../api/statuses';
+import FilterBuilder, { newCondition, toFilters, fromFilters } from '../components/FilterBuilder';
+import SavedSearchBar from '../components/SavedSearchBar';
+import { useTableLayout, ColumnSettings, ResizeHandle } from '../components/TableLayout';
 import './EditReconciliation.css'; // Import the CSS file
 
+// Columns of the results table, in their default order, with their headers
+const RESULT_COLUMNS = {
+  ORDERNUMBER: 'Order Number',
+  MATERIAL_NUMBER: 'Material',
+  BATCHNUMBER: 'Batch',
+  SALESDOCUMENT: 'Sales Doc',
+  CLUB_NAME: 'Club',
+  STATUS: 'Status',
+  ORDERTYPE: 'Type',
+};
+
 function EditReconciliation() {
-  const [filters, setFilters] = useState({
-    clubName: '',
-    salesDocument: '',
-    orderNumber: '',
-  });
+  const [searchOptions, setSearchOptions] = useState(null); // Columns, operators and values of the filter builder
+  const [conditions, setConditions] = useState([]);
+  const [lastFilters, setLastFilters] = useState(null); // Filters of the results shown
+  const [truncatedAt, setTruncatedAt] = useState(0); // Line limit when the search found more lines
+  const [activeSearch, setActiveSearch] = useState(null); // Saved search currently open
+  const [searchParams, setSearchParams] = useSearchParams();
+  const initialParams = useRef(searchParams); // The URL the page was opened with
+  const layout = useTableLayout('edit', Object.keys(RESULT_COLUMNS));
 
   const [rows, setRows] = useState([]);
   const [selectedRows, setSelectedRows] = useState(new Set()); // State for selected rows
@@ -40,63 +60,134 @@ function EditReconciliation() {
   const [updateSuccess, setUpdateSuccess] = useState(false);
   const [deleteMessage, setDeleteMessage] = useState('');
   const [errorMessage, setErrorMessage] = useState(''); // State for error messages
+  const [warningMessage, setWarningMessage] = useState(''); // Validation rule warnings of the last edit
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false); // State for delete confirmation dialog
-  const [rowToDelete, setRowToDelete] = useState(null); // State for the row to delete
+  const [rowToDelete, setRowToDelete] = useState(null); // State for the line to delete
   const [deleting, setDeleting] = useState(false); // State for delete loading
+  const [bulkAction, setBulkAction] = useState(''); // Bulk action picked for the selected lines
+  const [bulkValues, setBulkValues] = useState({ status: '', batchNumber: '', shipOutDate: '', trackingNumber: '' });
+  const [bulkConfirmOpen, setBulkConfirmOpen] = useState(false); // State for bulk confirmation dialog
+  const [bulkRunning, setBulkRunning] = useState(false); // State for bulk loading
+  const [bulkResult, setBulkResult] = useState(null); // Per-line results of the last bulk action
+  const [statusModel, setStatusModel] = useState({ statuses: [], transitions: [], aliases: [] }); // Statuses and allowed transitions
+
+  const canDelete = can('reconciliation.delete'); // Deleting is reserved for admins
+  const canOverrideStatus = can('statuses.override'); // Admins may change a status outside the allowed transitions
 
-  const statusOptions = ['Pending', 'Approved', 'Hold', 'Shipped'];
+  const statusOptions = statusModel.statuses.filter((status) => status.IS_ACTIVE).map((status) => status.STATUS);
   const orderTypeOptions = ['Standard', 'Urgent', 'Internal', 'Return'];
 
-  /**
-   * Handles changes to the filter inputs.
-   * @param {Object} e - Event object from input
-   */
-  const handleFilterChange = (e) => {
-    setFilters({ ...filters, [e.target.name]: e.target.value });
-  };
+  const bulkActions = [
+    { value: 'status', label: 'Set Status' },
+    { value: 'batch', label: 'Move to Batch' },
+    { value: 'shipping', label: 'Set Ship-Out Date & Tracking' },
+    ...(canDelete ? [{ value: 'delete', label: 'Delete Lines' }] : []),
+  ];
 
   /**
-   * Searches for reconciliation records based on the filter criteria.
+   * Searches for reconciliation lines matching every filter.
+   * Each returned line carries its LINE_ID, which is used for selection, editing and deleting.
+   * @param {Object[]} filters - Filters as sent to the backend (see toFilters)
    */
-  const searchData = async () => {
+  const searchData = useCallback(async (filters) => {
+    if (!filters || filters.length === 0) {
+      setErrorMessage('Add at least one filter to search.');
+      return;
+    }
     try {
-      const res = await axios.get('/reconciliation/search', {
-        params: {
-          club_name: filters.clubName,
-          salesdocument: filters.salesDocument,
-          ordernumber: filters.orderNumber,
-        },
+      const res = await axios.get('/reconciliation/search-for-edit', {
+        params: { filters: JSON.stringify(filters) },
       });
       setRows(res.data.data || []);
+      setTruncatedAt(res.data.truncated ? res.data.limit : 0);
+      setLastFilters(filters);
       setSelectedRows(new Set()); // Reset selected rows on new search
       setSelectedRow(null); // Reset selected row to close edit form
       setErrorMessage(''); // Clear any previous error messages
     } catch (err) {
       console.error('Search error:', err);
-      setErrorMessage('Failed to search records. Please try again.');
+      setErrorMessage(err.response?.data?.message || 'Failed to search records. Please try again.');
       setRows([]); // Clear rows on error
     }
-  };
+  }, []);
+
+  /**
+   * Runs a saved search: its filters go into the builder.
+   * @param {Object} search - Saved search (CRITERIA.filters)
+   */
+  const openSearch = useCallback((search) => {
+    setActiveSearch(search);
+    setConditions(fromFilters(search.CRITERIA.filters));
+    searchData(search.CRITERIA.filters);
+  }, [searchData]);
+
+  // Loads the filter options with the fields this page always offered, then a saved search from the URL (?saved=<id>)
+  useEffect(() => {
+    axios
+      .get('/reconciliation/datasearch/options')
+      .then(async (res) => {
+        setSearchOptions(res.data);
+        setConditions(['ORDERNUMBER', 'CLUB_NAME', 'SALESDOCUMENT'].map((column) => newCondition(res.data, column)));
+
+        const savedId = initialParams.current.get('saved');
+        if (savedId) {
+          try {
+            openSearch(await getSavedSearch(savedId));
+          } catch (err) {
+            setErrorMessage(err.response?.data?.message || 'Failed to open the saved search.');
+          }
+        }
+      })
+      .catch((err) => {
+        console.error('Search options error:', err);
+        setErrorMessage('Failed to load the search filters. Please reload the page.');
+      });
+  }, [openSearch]);
+
+  // Loads the statuses offered by the status pickers
+  useEffect(() => {
+    getStatusModel()
+      .then(setStatusModel)
+      .catch((err) => {
+        console.error('Status model error:', err);
+        setErrorMessage('Failed to load the order statuses. Please reload the page.');
+      });
+  }, []);
+
+  // Keeps the open saved search in the URL
+  useEffect(() => {
+    setSearchParams(activeSearch ? { saved: activeSearch.SEARCH_ID } : {}, { replace: true });
+  }, [activeSearch, setSearchParams]);
+
+  /**
+   * Formats a date from the API as YYYY-MM-DD, the format the backend expects on update.
+   * @param {string|null} value - ISO date string or null
+   * @returns {string}
+   */
+  const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
 
   /**
-   * Handles selection of a row for editing.
-   * Maps the row array to an object with named properties.
-   * @param {Array} row - The selected row data
+   * Handles selection of a line for editing.
+   * Maps the line's columns to the edit form fields.
+   * @param {Object} row - The selected line
    */
   const handleSelect = (row) => {
     setSelectedRow({
-      ordernumber: row[0], // ORDERNUMBER
-      salesDocument: row[1], // SALESDOCUMENT
-      orderDate: row[2], // ORDERDATE
-      batchNumber: row[3], // BATCHNUMBER
-      year: row[4], // YEAR
-      materialNumber: row[5], // MATERIAL_NUMBER
-      clubName: row[6], // CLUB_NAME
-      orderType: row[7], // ORDERTYPE
-      status: row[8], // STATUS
-      cdd: row[9], // CDD
-      shipOutDate: row[10], // SHIPOUTDATE
-      trackingNumber: row[11], // UPSTRACKINGNUMBER
+      lineId: row.LINE_ID,
+      ordernumber: row.ORDERNUMBER,
+      salesDocument: row.SALESDOCUMENT,
+      orderDate: toDateInput(row.ORDERDATE),
+      batchNumber: row.BATCHNUMBER,
+      year: row.YEAR,
+      materialNumber: row.MATERIAL_NUMBER,
+      clubName: row.CLUB_NAME,
+      orderType: row.ORDERTYPE,
+      status: row.STATUS,
+      savedStatus: row.STATUS, // The status the offered transitions start from
+      statusNote: row.STATUS_NOTE,
+      cdd: row.CDD,
+      shipOutDate: toDateInput(row.SHIPOUTDATE),
+      trackingNumber: row.UPSTRACKINGNUMBER,
     });
   };
 
@@ -109,7 +200,7 @@ function EditReconciliation() {
   };
 
   /**
-   * Updates the selected row in the database.
+   * Updates the selected line in the database. Other lines of the same order are not touched.
    */
   const updateRow = async () => {
     if (!selectedRow) {
@@ -118,22 +209,25 @@ function EditReconciliation() {
     }
 
     try {
-      const response = await axios.put(`/reconciliation/edit/${selectedRow.ordernumber}`, {
-        salesdocument: selectedRow.salesDocument,
-        orderdate: selectedRow.orderDate,
-        batchnumber: selectedRow.batchNumber,
-        year: selectedRow.year,
-        material_number: selectedRow.materialNumber,
-        club_name: selectedRow.clubName,
-        ordertype: selectedRow.orderType,
-        status: selectedRow.status,
-        cdd: selectedRow.cdd,
-        shipoutdate: selectedRow.shipOutDate,
-        upstrackingnumber: selectedRow.trackingNumber,
+      const res = await axios.put(`/reconciliation/lines/${selectedRow.lineId}`, {
+        updated_data: {
+          SALESDOCUMENT: selectedRow.salesDocument,
+          ORDERDATE: selectedRow.orderDate || null,
+          BATCHNUMBER: selectedRow.batchNumber,
+          YEAR: selectedRow.year,
+          MATERIAL_NUMBER: selectedRow.materialNumber,
+          CLUB_NAME: selectedRow.clubName,
+          ORDERTYPE: selectedRow.orderType,
+          STATUS: selectedRow.status,
+          CDD: selectedRow.cdd,
+          SHIPOUTDATE: selectedRow.shipOutDate || null,
+          UPSTRACKINGNUMBER: selectedRow.trackingNumber,
+        },
       });
       setUpdateSuccess(true);
+      setWarningMessage(res.data.warnings?.length ? `⚠️ Saved with warnings: ${res.data.warnings.join('; ')}` : '');
       setErrorMessage(''); // Clear any previous error messages
-      searchData(); // Refresh the search results
+      searchData(lastFilters); // Refresh the search results
     } catch (err) {
       console.error('Update failed:', err);
       setErrorMessage(`Failed to update record: ${err.response?.data?.message || err.message}`);
@@ -141,11 +235,11 @@ function EditReconciliation() {
   };
 
   /**
-   * Opens the delete confirmation dialog for a specific row.
-   * @param {string} orderNumber - The ORDERNUMBER of the row to delete
+   * Opens the delete confirmation dialog for a specific line.
+   * @param {Object} row - The line to delete
    */
-  const confirmDeleteRow = (orderNumber) => {
-    setRowToDelete(orderNumber);
+  const confirmDeleteRow = (row) => {
+    setRowToDelete(row);
     setDeleteConfirmOpen(true);
   };
 
@@ -158,17 +252,17 @@ function EditReconciliation() {
   };
 
   /**
-   * Deletes a specific row from the database.
+   * Deletes a specific line from the database.
    */
   const handleDeleteConfirm = async () => {
     if (!rowToDelete) return;
 
     setDeleting(true);
     try {
-      await axios.delete(`/reconciliation/delete/${rowToDelete}`);
-      setDeleteMessage(`Deleted ORDERNUMBER ${rowToDelete}`);
+      await axios.delete(`/reconciliation/lines/${rowToDelete.LINE_ID}`);
+      setDeleteMessage(`Deleted ${rowToDelete.MATERIAL_NUMBER || 'line'} of ORDERNUMBER ${rowToDelete.ORDERNUMBER}`);
       setErrorMessage(''); // Clear any previous error messages
-      searchData(); // Refresh the search results
+      searchData(lastFilters); // Refresh the search results
     } catch (err) {
       console.error('Delete failed:', err);
       setDeleteMessage('Failed to delete');
@@ -180,6 +274,75 @@ function EditReconciliation() {
     }
   };
 
+  /**
+   * Builds the changes sent for the picked bulk action, keyed by backend column.
+   * @returns {Object|null} - The changes, or null for delete
+   */
+  const getBulkChanges = () => {
+    switch (bulkAction) {
+      case 'status':
+        return { STATUS: bulkValues.status };
+      case 'batch':
+        return { BATCHNUMBER: bulkValues.batchNumber };
+      case 'shipping':
+        return { SHIPOUTDATE: bulkValues.shipOutDate || null, UPSTRACKINGNUMBER: bulkValues.trackingNumber };
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Opens the confirmation summary for the picked bulk action.
+   */
+  const openBulkConfirm = () => {
+    if (bulkAction === 'status' && !bulkValues.status) {
+      setErrorMessage('Please pick a status.');
+      return;
+    }
+    if (bulkAction === 'batch' && !bulkValues.batchNumber) {
+      setErrorMessage('Please enter a batch number.');
+      return;
+    }
+    setBulkResult(null);
+    setBulkConfirmOpen(true);
+  };
+
+  /**
+   * Applies the picked bulk action to all selected lines in one request.
+   * The backend runs it in a single transaction and reports the result per line.
+   */
+  const handleBulkConfirm = async () => {
+    const lineIds = [...selectedRows];
+    setBulkRunning(true);
+    try {
+      const res =
+        bulkAction === 'delete'
+          ? await axios.post('/reconciliation/lines/bulk-delete', { lineIds })
+          : await axios.post('/reconciliation/lines/bulk-update', { lineIds, changes: getBulkChanges() });
+      setBulkResult(res.data);
+      setErrorMessage(''); // Clear any previous error messages
+      searchData(lastFilters); // Refresh the search results
+    } catch (err) {
+      console.error('Bulk action failed:', err);
+      if (err.response?.data?.results) {
+        setBulkResult(err.response.data); // Lines rejected by validation rules are listed in the dialog
+        return;
+      }
+      setErrorMessage(err.response?.data?.message || err.message);
+      setBulkConfirmOpen(false);
+    } finally {
+      setBulkRunning(false);
+    }
+  };
+
+  /**
+   * Closes the bulk confirmation dialog.
+   */
+  const handleBulkClose = () => {
+    setBulkConfirmOpen(false);
+    setBulkResult(null);
+  };
+
   /**
    * Handles the "Select All" checkbox.
    * @param {Object} event - Event object from checkbox
@@ -187,7 +350,7 @@ function EditReconciliation() {
   const handleSelectAll = (event) => {
     const checked = event.target.checked;
     if (checked) {
-      const newSelectedRows = new Set(rows.map((row) => row[0])); // Select all rows by ORDERNUMBER
+      const newSelectedRows = new Set(rows.map((row) => row.LINE_ID)); // Select all lines by LINE_ID
       setSelectedRows(newSelectedRows);
     } else {
       setSelectedRows(new Set());
@@ -195,25 +358,29 @@ function EditReconciliation() {
   };
 
   /**
-   * Handles the selection of an individual row.
-   * @param {string} orderNumber - The ORDERNUMBER of the row
+   * Handles the selection of an individual line.
+   * @param {number} lineId - The LINE_ID of the line
    */
-  const handleSelectRow = (orderNumber) => {
+  const handleSelectRow = (lineId) => {
     const newSelectedRows = new Set(selectedRows);
-    if (newSelectedRows.has(orderNumber)) {
-      newSelectedRows.delete(orderNumber);
+    if (newSelectedRows.has(lineId)) {
+      newSelectedRows.delete(lineId);
     } else {
-      newSelectedRows.add(orderNumber);
+      newSelectedRows.add(lineId);
     }
     setSelectedRows(newSelectedRows);
   };
 
   /**
-   * Checks if a row is selected.
-   * @param {string} orderNumber - The ORDERNUMBER of the row
-   * @returns {boolean} - Whether the row is selected
+   * Checks if a line is selected.
+   * @param {number} lineId - The LINE_ID of the line
+   * @returns {boolean} - Whether the line is selected
    */
-  const isRowSelected = (orderNumber) => selectedRows.has(orderNumber);
+  const isRowSelected = (lineId) => selectedRows.has(lineId);
+
+  const selectedLines = rows.filter((row) => selectedRows.has(row.LINE_ID));
+  const selectedOrderCount = new Set(selectedLines.map((row) => row.ORDERNUMBER)).size;
+  const bulkChanges = getBulkChanges();
 
   return (
     <Container className="edit-reconciliation-container">
@@ -229,26 +396,23 @@ function EditReconciliation() {
       {/* Search Box */}
       <Paper className="edit-reconciliation-search-box">
         <Typography variant="h6">Search Reconciliation Records</Typography>
+        <SavedSearchBar
+          page="edit"
+          criteria={lastFilters && { filters: lastFilters }}
+          activeSearch={activeSearch}
+          onOpen={openSearch}
+          onSaved={setActiveSearch}
+        />
         <Box className="edit-reconciliation-search-fields">
-          <TextField
-            label="Order Number"
-            name="orderNumber"
-            value={filters.orderNumber}
-            onChange={handleFilterChange}
-          />
-          <TextField
-            label="Club Name"
-            name="clubName"
-            value={filters.clubName}
-            onChange={handleFilterChange}
-          />
-          <TextField
-            label="Sales Document"
-            name="salesDocument"
-            value={filters.salesDocument}
-            onChange={handleFilterChange}
-          />
-          <Button variant="contained" onClick={searchData}>
+          {searchOptions && (
+            <FilterBuilder
+              options={searchOptions}
+              conditions={conditions}
+              onChange={setConditions}
+              onSubmit={() => searchData(toFilters(conditions))}
+            />
+          )}
+          <Button variant="contained" onClick={() => searchData(toFilters(conditions))} disabled={!searchOptions}>
             SEARCH
           </Button>
         </Box>
@@ -257,7 +421,20 @@ function EditReconciliation() {
       {/* Results Table */}
       {rows.length > 0 && (
         <Paper className="edit-reconciliation-results">
-          <Typography variant="h6">Search Results</Typography>
+          <Box className="edit-reconciliation-results-header">
+            <Typography variant="h6">Search Results</Typography>
+            <ColumnSettings
+              columns={layout.columns}
+              onChange={layout.update}
+              onReset={layout.reset}
+              labels={RESULT_COLUMNS}
+            />
+          </Box>
+          {truncatedAt > 0 && (
+            <Alert severity="info" className="edit-reconciliation-truncated">
+              Showing the first {truncatedAt} lines. Add filters to narrow the search.
+            </Alert>
+          )}
           <TableContainer>
             <Table size="small">
               <TableHead>
@@ -269,48 +446,49 @@ function EditReconciliation() {
                       indeterminate={selectedRows.size > 0 && selectedRows.size < rows.length}
                     />
                   </TableCell>
-                  <TableCell>Order Number</TableCell>
-                  <TableCell>Sales Doc</TableCell>
-                  <TableCell>Club</TableCell>
-                  <TableCell>Status</TableCell>
-                  <TableCell>Type</TableCell>
+                  {layout.visibleColumns.map(({ column, width }) => (
+                    <TableCell key={column} className="edit-reconciliation-column" sx={{ width: width || undefined }}>
+                      {RESULT_COLUMNS[column]}
+                      <ResizeHandle width={width} onResize={(next) => layout.setWidth(column, next)} />
+                    </TableCell>
+                  ))}
                   <TableCell>Select</TableCell>
-                  <TableCell>Delete</TableCell>
+                  {canDelete && <TableCell>Delete</TableCell>}
                 </TableRow>
               </TableHead>
               <TableBody>
-                {rows.map((row, idx) => (
-                  <TableRow key={idx}>
+                {rows.map((row) => (
+                  <TableRow key={row.LINE_ID} selected={selectedRow?.lineId === row.LINE_ID}>
                     <TableCell padding="checkbox">
                       <Checkbox
-                        checked={isRowSelected(row[0])}
-                        onChange={() => handleSelectRow(row[0])}
+                        checked={isRowSelected(row.LINE_ID)}
+                        onChange={() => handleSelectRow(row.LINE_ID)}
                       />
                     </TableCell>
-                    <TableCell>{row[0]}</TableCell> {/* ORDERNUMBER */}
-                    <TableCell>{row[1]}</TableCell> {/* SALESDOCUMENT */}
-                    <TableCell>{row[6]}</TableCell> {/* CLUB_NAME */}
-                    <TableCell>{row[8]}</TableCell> {/* STATUS */}
-                    <TableCell>{row[7]}</TableCell> {/* ORDERTYPE */}
+                    {layout.visibleColumns.map(({ column }) => (
+                      <TableCell key={column}>{row[column]}</TableCell>
+                    ))}
                     <TableCell>
                       <Button size="small" onClick={() => handleSelect(row)}>
                         Select
                       </Button>
                     </TableCell>
-                    <TableCell>
-                      <Button
-                        size="small"
-                        color="error"
-                        onClick={() => confirmDeleteRow(row[0])}
-                        disabled={deleting}
-                      >
-                        {deleting && rowToDelete === row[0] ? (
-                          <CircularProgress size={20} />
-                        ) : (
-                          'Delete'
-                        )}
-                      </Button>
-                    </TableCell>
+                    {canDelete && (
+                      <TableCell>
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => confirmDeleteRow(row)}
+                          disabled={deleting}
+                        >
+                          {deleting && rowToDelete?.LINE_ID === row.LINE_ID ? (
+                            <CircularProgress size={20} />
+                          ) : (
+                            'Delete'
+                          )}
+                        </Button>
+                      </TableCell>
+                    )}
                   </TableRow>
                 ))}
               </TableBody>
@@ -319,10 +497,78 @@ function EditReconciliation() {
         </Paper>
       )}
 
+      {/* Bulk Actions */}
+      {selectedRows.size > 0 && (
+        <Paper className="edit-reconciliation-bulk">
+          <Typography variant="h6">
+            Bulk Actions ({selectedRows.size} line(s) selected)
+          </Typography>
+          <Box className="edit-reconciliation-bulk-fields">
+            <TextField
+              select
+              label="Action"
+              value={bulkAction}
+              onChange={(e) => setBulkAction(e.target.value)}
+              className="edit-reconciliation-bulk-action"
+            >
+              {bulkActions.map((action) => (
+                <MenuItem key={action.value} value={action.value}>
+                  {action.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            {bulkAction === 'status' && (
+              <TextField
+                select
+                label="Status"
+                value={bulkValues.status}
+                onChange={(e) => setBulkValues({ ...bulkValues, status: e.target.value })}
+                className="edit-reconciliation-bulk-action"
+              >
+                {statusOptions.map((status) => (
+                  <MenuItem key={status} value={status}>
+                    {status}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            {bulkAction === 'batch' && (
+              <TextField
+                label="Batch Number"
+                value={bulkValues.batchNumber}
+                onChange={(e) => setBulkValues({ ...bulkValues, batchNumber: e.target.value })}
+              />
+            )}
+            {bulkAction === 'shipping' && (
+              <>
+                <TextField
+                  label="Ship Out Date (YYYY-MM-DD)"
+                  value={bulkValues.shipOutDate}
+                  onChange={(e) => setBulkValues({ ...bulkValues, shipOutDate: e.target.value })}
+                />
+                <TextField
+                  label="Tracking Number"
+                  value={bulkValues.trackingNumber}
+                  onChange={(e) => setBulkValues({ ...bulkValues, trackingNumber: e.target.value })}
+                />
+              </>
+            )}
+            <Button
+              variant="contained"
+              color={bulkAction === 'delete' ? 'error' : 'primary'}
+              disabled={!bulkAction}
+              onClick={openBulkConfirm}
+            >
+              Apply
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
       {/* Edit Form */}
       {selectedRow && (
         <Paper className="edit-reconciliation-form">
-          <Typography variant="h6">Edit Selected Row</Typography>
+          <Typography variant="h6">Edit Selected Line</Typography>
           <Box className="edit-reconciliation-form-fields">
             <TextField
               label="Order Number"
@@ -338,7 +584,7 @@ function EditReconciliation() {
               fullWidth
             />
             <TextField
-              label="Order Date"
+              label="Order Date (YYYY-MM-DD)"
               name="orderDate"
               value={selectedRow.orderDate || ''}
               onChange={handleEditChange}
@@ -393,10 +639,11 @@ function EditReconciliation() {
               name="status"
               value={selectedRow.status || ''}
               onChange={handleEditChange}
+              helperText={selectedRow.statusNote ? `Originally: ${selectedRow.statusNote}` : undefined}
             >
-              {statusOptions.map((status) => (
-                <MenuItem key={status} value={status}>
-                  {status}
+              {statusChoices(statusModel, selectedRow.savedStatus, canOverrideStatus).map((choice) => (
+                <MenuItem key={choice.value} value={choice.value}>
+                  {choice.label}
                 </MenuItem>
               ))}
             </TextField>
@@ -408,7 +655,7 @@ function EditReconciliation() {
               fullWidth
             />
             <TextField
-              label="Ship Out Date"
+              label="Ship Out Date (YYYY-MM-DD)"
               name="shipOutDate"
               value={selectedRow.shipOutDate || ''}
               onChange={handleEditChange}
@@ -440,8 +687,9 @@ function EditReconciliation() {
         </DialogTitle>
         <DialogContent>
           <DialogContentText id="delete-confirm-description" className="edit-reconciliation-dialog-content">
-            <strong>Warning:</strong> Are you sure you want to delete the record with ORDERNUMBER{' '}
-            <strong>{rowToDelete}</strong>? This action cannot be undone.
+            <strong>Warning:</strong> Are you sure you want to delete the line{' '}
+            <strong>{rowToDelete?.MATERIAL_NUMBER || '(no material)'}</strong> of ORDERNUMBER{' '}
+            <strong>{rowToDelete?.ORDERNUMBER}</strong>? The other lines of this order are kept. This action cannot be undone.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -454,6 +702,85 @@ function EditReconciliation() {
         </DialogActions>
       </Dialog>
 
+      {/* Bulk Confirmation / Result Dialog */}
+      <Dialog open={bulkConfirmOpen} onClose={handleBulkClose} maxWidth="sm" fullWidth>
+        <DialogTitle className={bulkAction === 'delete' ? 'edit-reconciliation-dialog-title' : undefined}>
+          {bulkResult ? 'Bulk Action Result' : 'Confirm Bulk Action'}
+        </DialogTitle>
+        <DialogContent>
+          {!bulkResult ? (
+            <DialogContentText className="edit-reconciliation-dialog-content">
+              {bulkAction === 'delete' ? (
+                <>
+                  <strong>Warning:</strong> This deletes <strong>{selectedRows.size}</strong> line(s) across{' '}
+                  <strong>{selectedOrderCount}</strong> order(s). This action cannot be undone.
+                </>
+              ) : (
+                <>
+                  This updates <strong>{selectedRows.size}</strong> line(s) across{' '}
+                  <strong>{selectedOrderCount}</strong> order(s):
+                </>
+              )}
+            </DialogContentText>
+          ) : (
+            <Alert severity={!bulkResult.success ? 'error' : bulkResult.skippedCount > 0 ? 'warning' : 'success'}>
+              {bulkResult.message}
+            </Alert>
+          )}
+          {!bulkResult && bulkChanges && (
+            <ul>
+              {Object.entries(bulkChanges).map(([field, value]) => (
+                <li key={field}>
+                  {field} → <strong>{value || '(empty)'}</strong>
+                </li>
+              ))}
+            </ul>
+          )}
+          {bulkResult?.results?.some((result) => !result.success) && (
+            <ul className="edit-reconciliation-bulk-failures">
+              {bulkResult.results
+                .filter((result) => !result.success)
+                .map((result) => (
+                  <li key={result.lineId}>
+                    Line {result.lineId}: {result.message}
+                  </li>
+                ))}
+            </ul>
+          )}
+          {bulkResult?.results?.some((result) => result.warnings?.length > 0) && (
+            <ul className="edit-reconciliation-bulk-warnings">
+              {bulkResult.results
+                .filter((result) => result.warnings?.length > 0)
+                .map((result) => (
+                  <li key={result.lineId}>
+                    ⚠️ Line {result.lineId}: {result.warnings.join('; ')}
+                  </li>
+                ))}
+            </ul>
+          )}
+        </DialogContent>
+        <DialogActions>
+          {bulkResult ? (
+            <Button onClick={handleBulkClose} color="primary">
+              Close
+            </Button>
+          ) : (
+            <>
+              <Button onClick={handleBulkClose} color="primary">
+                Cancel
+              </Button>
+              <Button
+                onClick={handleBulkConfirm}
+                color={bulkAction === 'delete' ? 'error' : 'primary'}
+                disabled={bulkRunning}
+              >
+                {bulkRunning ? <CircularProgress size={20} /> : 'Confirm'}
+              </Button>
+            </>
+          )}
+        </DialogActions>
+      </Dialog>
+
       {/* Snackbar: Update ✔️ */}
       <Snackbar
         open={updateSuccess}
@@ -466,6 +793,18 @@ function EditReconciliation() {
         </Alert>
       </Snackbar>
 
+      {/* Snackbar: Validation warnings ⚠️ */}
+      <Snackbar
+        open={!!warningMessage}
+        autoHideDuration={8000}
+        onClose={() => setWarningMessage('')}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert severity="warning" onClose={() => setWarningMessage('')}>
+          {warningMessage}
+        </Alert>
+      </Snackbar>
+
       {/* Snackbar: Delete ✔️ */}
       <Snackbar
         open={!!deleteMessage}
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../api/axios';
+import { Link, useNavigate } from 'react-router-dom';
+import { searchPath } from '../api/dashboard';
+import ExportPanel from '../components/ExportPanel';
+import './LateOrders.css';
+
+// Columns offered by the export, in their default order (see LATE_ORDER_COLUMNS on the backend)
+const EXPORT_COLUMNS = [
+  'LATE_CATEGORY',
+  'ORDERNUMBER',
+  'SALESDOCUMENT',
+  'ORDERDATE',
+  'BATCHNUMBER',
+  'YEAR',
+  'MATERIAL_NUMBER',
+  'CLUB_NAME',
+  'ORDERTYPE',
+  'STATUS',
+  'CDD',
+  'SHIPOUTDATE',
+  'UPSTRACKINGNUMBER',
+  'DELIVERY_STATUS',
+  'DAYS_LATE',
+  'LINE_ID',
+];
+
+const CATEGORIES = ['overdue', 'shippedLate', 'dueSoon'];
+
+const LateOrders = () => {
+  const navigate = useNavigate();
+  const [days, setDays] = useState(''); // Due soon window; empty uses the server's default
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [exportCategory, setExportCategory] = useState('all');
+  const [showExport, setShowExport] = useState(false);
+
+  const loadReport = useCallback(async (dueDays) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const res = await axios.get('/reconciliation/late-orders', { params: dueDays === '' ? {} : { days: dueDays } });
+      setReport(res.data.data);
+      setDays(String(res.data.data.days));
+    } catch (error) {
+      setMessage(error.response?.data?.message || '❌ Failed to load the late orders report.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadReport('');
+  }, [loadReport]);
+
+  /**
+   * A count that opens its lines on the Search Data page.
+   * @param {Object} count - { value, filters }
+   */
+  const renderCount = (count) =>
+    count.value > 0 ? (
+      <button className="late-count" onClick={() => navigate(searchPath(count.filters))}>
+        {count.value.toLocaleString()}
+      </button>
+    ) : (
+      <span className="late-zero">0</span>
+    );
+
+  /**
+   * A breakdown table (by club or by batch).
+   * @param {string} title - Title of the table
+   * @param {string} label - Header of the first column
+   * @param {Object[]} rows - Rows from the report
+   */
+  const renderBreakdown = (title, label, rows) => (
+    <div className="late-section">
+      <h3>{title}</h3>
+      {rows.length === 0 ? (
+        <div className="late-empty">No lines.</div>
+      ) : (
+        <table className="late-table">
+          <thead>
+            <tr>
+              <th>{label}</th>
+              {CATEGORIES.map((category) => (
+                <th key={category}>{report.categories[category]}</th>
+              ))}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.label}>
+                <td>{row.label}</td>
+                {CATEGORIES.map((category) => (
+                  <td key={category}>{renderCount(row[category])}</td>
+                ))}
+                <td>{row.total.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="late-container">
+      {/* Header */}
+      <div className="late-header">
+        <Link to="/dashboard">
+          <button className="home-button">🏠 Home</button>
+        </Link>
+        <span className="late-actions">
+          <label>
+            Due within
+            <input
+              type="number"
+              min="0"
+              max="90"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && loadReport(days)}
+            />
+            days
+          </label>
+          <button className="refresh-button" onClick={() => loadReport(days)} disabled={loading}>
+            {loading ? '⏳ Loading…' : '🔄 Refresh'}
+          </button>
+          {report && (
+            <>
+              <select value={exportCategory} onChange={(e) => setExportCategory(e.target.value)}>
+                <option value="all">All categories</option>
+                {CATEGORIES.map((category) => (
+                  <option key={category} value={category}>
+                    {report.categories[category]}
+                  </option>
+                ))}
+              </select>
+              <button className="export-button" onClick={() => setShowExport(true)}>
+                ⬇️ Export
+              </button>
+            </>
+          )}
+        </span>
+      </div>
+
+      {showExport && report && (
+        <ExportPanel
+          columns={EXPORT_COLUMNS}
+          url="/api/reconciliation/export/late-orders"
+          params={{ days: report.days, category: exportCategory }}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {message && <div className="message">{message}</div>}
+
+      {report && (
+        <>
+          <p className="late-intro">
+            As of {report.today}. Due soon means not shipped and due by {report.dueBy}. Click a count to open its
+            lines.
+          </p>
+
+          {/* Summary */}
+          <div className="late-summary">
+            {CATEGORIES.map((category) => (
+              <button
+                key={category}
+                className={`late-card ${category}`}
+                disabled={report.summary[category].value === 0}
+                onClick={() => navigate(searchPath(report.summary[category].filters))}
+              >
+                <span className="late-card-value">{report.summary[category].value.toLocaleString()}</span>
+                <span className="late-card-label">{report.categories[category]}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* Aging of late lines */}
+          <div className="late-section">
+            <h3>Aging (days past CDD)</h3>
+            <table className="late-table">
+              <thead>
+                <tr>
+                  <th>Days late</th>
+                  <th>{report.categories.overdue}</th>
+                  <th>{report.categories.shippedLate}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.aging.map((bucket) => (
+                  <tr key={bucket.label}>
+                    <td>{bucket.label}</td>
+                    <td>{renderCount(bucket.overdue)}</td>
+                    <td>{renderCount(bucket.shippedLate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="late-breakdowns">
+            {renderBreakdown('By club', 'Club', report.byClub)}
+            {renderBreakdown('By batch', 'Batch', report.byBatch)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LateOrders;
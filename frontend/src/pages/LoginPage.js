@@ -10,6 +10,7 @@ import {
 } from '@mui/material';
 import { Visibility, VisibilityOff } from '@mui/icons-material';
 import axios from '../api/axios';
+import { saveSession } from '../api/session';
 import { useNavigate } from 'react-router-dom';
 
 function LoginPage({ setAuth }) {
@@ -44,15 +45,23 @@ function LoginPage({ setAuth }) {
     try {
       const res = await axios.post('/login', form);
       if (res.data.success) {
-        localStorage.setItem('auth', 'true');
-        localStorage.setItem('username', form.username);
+        saveSession({ token: res.data.token, user: res.data.user });
         setAuth(true);
-        navigate('/dashboard');
+        // Users with a temporary password must pick their own before continuing
+        navigate(res.data.user.mustChangePassword ? '/account/password' : '/dashboard');
       } else {
         setError('Invalid credentials');
       }
     } catch (err) {
       console.error(err);
+      if (err.response?.status === 401) {
+        setError('Invalid credentials');
+        return;
+      }
+      if (err.response?.status === 403 || err.response?.status === 423) {
+        setError(err.response.data.message); // Disabled or locked account
+        return;
+      }
       setError('Login failed. Check server connection.');
     }
   };
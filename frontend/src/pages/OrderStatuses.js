@@ -0,0 +1,488 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody,
+  Box,
+  Snackbar,
+  Alert,
+  MenuItem,
+  Chip,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from '../api/axios';
+import { getStatusModel } from '../api/statuses';
+import './OrderStatuses.css';
+
+const EMPTY_STATUS = { STATUS: '', DESCRIPTION: '', SORT_ORDER: '' };
+const EMPTY_ALIAS = { PATTERN: '', STATUS: '' };
+
+/**
+ * Key of a transition in the set of checked transitions.
+ * @param {string} from - Status changed from
+ * @param {string} to - Status changed to
+ * @returns {string}
+ */
+const transitionKey = (from, to) => `${from}\u0000${to}`;
+
+function OrderStatuses() {
+  const [model, setModel] = useState({ statuses: [], transitions: [], aliases: [] });
+  const [transitions, setTransitions] = useState(new Set()); // Checked transitions, saved together
+  const [legacy, setLegacy] = useState(null); // Legacy STATUS values of existing lines
+  const [form, setForm] = useState(EMPTY_STATUS);
+  const [editing, setEditing] = useState(null); // STATUS being edited, null when creating
+  const [aliasForm, setAliasForm] = useState(EMPTY_ALIAS);
+  const [deleteTarget, setDeleteTarget] = useState(null); // { kind: 'status' or 'alias', item }
+  const [mapConfirmOpen, setMapConfirmOpen] = useState(false);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Loads the status model and the legacy statuses of existing lines.
+   */
+  const loadModel = useCallback(async () => {
+    try {
+      const loaded = await getStatusModel();
+      setModel(loaded);
+      setTransitions(new Set(loaded.transitions.map(({ from, to }) => transitionKey(from, to))));
+      const res = await axios.get('/order-statuses/legacy');
+      setLegacy(res.data);
+    } catch (err) {
+      console.error('Load statuses error:', err);
+      setErrorMessage('Failed to load the order statuses.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadModel();
+  }, [loadModel]);
+
+  /**
+   * Runs a status action and reloads the model.
+   * @param {Function} request - Function returning the axios promise
+   */
+  const runAction = async (request) => {
+    try {
+      const res = await request();
+      setSuccessMessage(res.data.message);
+      loadModel();
+      return true;
+    } catch (err) {
+      console.error('Status action failed:', err);
+      setErrorMessage(err.response?.data?.message || err.message);
+      return false;
+    }
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm(EMPTY_STATUS);
+  };
+
+  /**
+   * Fills the form with a status to edit it.
+   * @param {Object} status - The status
+   */
+  const startEdit = (status) => {
+    setEditing(status.STATUS);
+    setForm({ STATUS: status.STATUS, DESCRIPTION: status.DESCRIPTION || '', SORT_ORDER: String(status.SORT_ORDER) });
+  };
+
+  const handleSave = async () => {
+    const saved = await runAction(() =>
+      editing
+        ? axios.put(`/order-statuses/${encodeURIComponent(editing)}`, {
+            ...form,
+            IS_ACTIVE: model.statuses.find((status) => status.STATUS === editing)?.IS_ACTIVE ?? 1,
+          })
+        : axios.post('/order-statuses', form)
+    );
+    if (saved) resetForm();
+  };
+
+  /**
+   * Puts a status in or out of use.
+   * @param {Object} status - The status
+   */
+  const toggleActive = (status) =>
+    runAction(() =>
+      axios.put(`/order-statuses/${encodeURIComponent(status.STATUS)}`, {
+        ...status,
+        IS_ACTIVE: status.IS_ACTIVE ? 0 : 1,
+      })
+    );
+
+  /**
+   * Checks or unchecks a transition; nothing is saved until "Save transitions".
+   * @param {string} from - Status changed from
+   * @param {string} to - Status changed to
+   */
+  const toggleTransition = (from, to) => {
+    const next = new Set(transitions);
+    const key = transitionKey(from, to);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setTransitions(next);
+  };
+
+  const saveTransitions = () =>
+    runAction(() =>
+      axios.put('/order-statuses/transitions', {
+        transitions: [...transitions].map((key) => {
+          const [from, to] = key.split('\u0000');
+          return { from, to };
+        }),
+      })
+    );
+
+  const handleAddAlias = async () => {
+    const saved = await runAction(() => axios.post('/order-statuses/aliases', aliasForm));
+    if (saved) setAliasForm(EMPTY_ALIAS);
+  };
+
+  const handleDeleteConfirm = async () => {
+    const { kind, item } = deleteTarget;
+    await runAction(() =>
+      kind === 'status'
+        ? axios.delete(`/order-statuses/${encodeURIComponent(item.STATUS)}`)
+        : axios.delete(`/order-statuses/aliases/${item.ALIAS_ID}`)
+    );
+    setDeleteTarget(null);
+  };
+
+  const handleMapConfirm = async () => {
+    setMapConfirmOpen(false);
+    await runAction(() => axios.post('/order-statuses/legacy/map'));
+  };
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const statusNames = model.statuses.map((status) => status.STATUS);
+  const savedTransitions = new Set(model.transitions.map(({ from, to }) => transitionKey(from, to)));
+  const transitionsChanged =
+    transitions.size !== savedTransitions.size || [...transitions].some((key) => !savedTransitions.has(key));
+
+  return (
+    <Container className="statuses-container">
+      {/* Header with Home Menu */}
+      <Box className="statuses-header">
+        <Link to="/dashboard">
+          <Button variant="contained" color="primary" aria-label="Go to Dashboard">
+            🏠 Home
+          </Button>
+        </Link>
+      </Box>
+
+      {/* Create / Edit Status */}
+      <Paper className="statuses-box">
+        <Typography variant="h6">{editing ? `Edit Status ${editing}` : 'Create Status'}</Typography>
+        <Typography variant="body2" color="text.secondary" className="statuses-hint">
+          Lines can only be set to statuses in use. A status taken out of use stays on the lines that have it.
+        </Typography>
+        <Box className="statuses-form-fields">
+          <TextField label="Status" value={form.STATUS} onChange={updateForm('STATUS')} disabled={!!editing} />
+          <TextField label="Description" value={form.DESCRIPTION} onChange={updateForm('DESCRIPTION')} />
+          <TextField
+            label="Order"
+            type="number"
+            value={form.SORT_ORDER}
+            onChange={updateForm('SORT_ORDER')}
+            helperText="Position in the status pickers"
+          />
+          <Button variant="contained" onClick={handleSave}>
+            {editing ? 'SAVE' : 'CREATE'}
+          </Button>
+          {editing && <Button onClick={resetForm}>Cancel</Button>}
+        </Box>
+      </Paper>
+
+      {/* Statuses Table */}
+      <Paper className="statuses-box">
+        <Typography variant="h6">Order Statuses</Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Status</TableCell>
+                <TableCell>Description</TableCell>
+                <TableCell>Order</TableCell>
+                <TableCell>In Use</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {model.statuses.map((status) => (
+                <TableRow key={status.STATUS}>
+                  <TableCell>{status.STATUS}</TableCell>
+                  <TableCell>{status.DESCRIPTION || '—'}</TableCell>
+                  <TableCell>{status.SORT_ORDER}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={status.IS_ACTIVE ? 'In use' : 'Out of use'}
+                      color={status.IS_ACTIVE ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Box className="statuses-actions">
+                      <Button size="small" onClick={() => startEdit(status)}>
+                        Edit
+                      </Button>
+                      <Button size="small" onClick={() => toggleActive(status)}>
+                        {status.IS_ACTIVE ? 'Take out of use' : 'Put in use'}
+                      </Button>
+                      <Button size="small" color="error" onClick={() => setDeleteTarget({ kind: 'status', item: status })}>
+                        Delete
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {model.statuses.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5}>No statuses yet; STATUS is free text until one is created.</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Transition Matrix */}
+      {model.statuses.length > 0 && (
+        <Paper className="statuses-box">
+          <Typography variant="h6">Allowed Transitions</Typography>
+          <Typography variant="body2" color="text.secondary" className="statuses-hint">
+            Check the changes anyone who can edit may make, from the status of a row to the status of a column. Any
+            other change of an existing line's status needs an admin. New lines may start in any status.
+          </Typography>
+          <TableContainer>
+            <Table size="small" className="statuses-matrix">
+              <TableHead>
+                <TableRow>
+                  <TableCell>From \ To</TableCell>
+                  {statusNames.map((to) => (
+                    <TableCell key={to} align="center">
+                      {to}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {statusNames.map((from) => (
+                  <TableRow key={from}>
+                    <TableCell>{from}</TableCell>
+                    {statusNames.map((to) => (
+                      <TableCell key={to} align="center">
+                        {from === to ? (
+                          '—'
+                        ) : (
+                          <Checkbox
+                            size="small"
+                            checked={transitions.has(transitionKey(from, to))}
+                            onChange={() => toggleTransition(from, to)}
+                            inputProps={{ 'aria-label': `${from} to ${to}` }}
+                          />
+                        )}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <Box className="statuses-form-fields">
+            <Button variant="contained" onClick={saveTransitions} disabled={!transitionsChanged}>
+              Save Transitions
+            </Button>
+            {transitionsChanged && (
+              <Button onClick={() => setTransitions(savedTransitions)}>Undo Changes</Button>
+            )}
+          </Box>
+        </Paper>
+      )}
+
+      {/* Legacy Aliases */}
+      <Paper className="statuses-box">
+        <Typography variant="h6">Legacy Status Aliases</Typography>
+        <Typography variant="body2" color="text.secondary" className="statuses-hint">
+          Free text matching a pattern (a regular expression, not case-sensitive) is stored as its status, with the
+          text kept as the line's status note. E.g. ^order shared\b maps "Order shared on 06.23.2025".
+        </Typography>
+        <Box className="statuses-form-fields">
+          <TextField
+            label="Pattern"
+            value={aliasForm.PATTERN}
+            onChange={(e) => setAliasForm({ ...aliasForm, PATTERN: e.target.value })}
+          />
+          <TextField
+            select
+            label="Maps To"
+            value={aliasForm.STATUS}
+            onChange={(e) => setAliasForm({ ...aliasForm, STATUS: e.target.value })}
+          >
+            {statusNames.map((status) => (
+              <MenuItem key={status} value={status}>
+                {status}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button variant="contained" onClick={handleAddAlias}>
+            ADD
+          </Button>
+        </Box>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Pattern</TableCell>
+                <TableCell>Maps To</TableCell>
+                <TableCell>Created By</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {model.aliases.map((alias) => (
+                <TableRow key={alias.ALIAS_ID}>
+                  <TableCell className="statuses-pattern">{alias.PATTERN}</TableCell>
+                  <TableCell>{alias.STATUS}</TableCell>
+                  <TableCell>{alias.CREATED_BY}</TableCell>
+                  <TableCell>
+                    <Button size="small" color="error" onClick={() => setDeleteTarget({ kind: 'alias', item: alias })}>
+                      Delete
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {model.aliases.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={4}>No aliases yet.</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Legacy Statuses of Existing Lines */}
+      {legacy && (
+        <Paper className="statuses-box">
+          <Typography variant="h6">Legacy Statuses in the Data</Typography>
+          <Typography variant="body2" color="text.secondary" className="statuses-hint">
+            {legacy.mappedLines.toLocaleString()} line(s) can be mapped to their status;{' '}
+            {legacy.unmappedLines.toLocaleString()} line(s) have a status nothing maps to yet. Mapping keeps the
+            original text as the status note and is recorded in the history; lines of locked batches are left as
+            they are.
+          </Typography>
+          <Box className="statuses-form-fields">
+            <Button variant="contained" onClick={() => setMapConfirmOpen(true)} disabled={legacy.mappedLines === 0}>
+              Map Legacy Statuses
+            </Button>
+          </Box>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Status Text</TableCell>
+                  <TableCell>Lines</TableCell>
+                  <TableCell>Maps To</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {legacy.data.map((value) => (
+                  <TableRow key={value.value}>
+                    <TableCell>{value.value}</TableCell>
+                    <TableCell>{value.count.toLocaleString()}</TableCell>
+                    <TableCell>
+                      {value.status ? value.status : <Chip size="small" label="No match" color="warning" />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {legacy.data.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={3}>Every line has a status as named.</TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {legacy.truncated && (
+            <Typography variant="body2" color="text.secondary" className="statuses-hint">
+              Only the {legacy.data.length} most used values are listed.
+            </Typography>
+          )}
+        </Paper>
+      )}
+
+      {/* Delete Dialog */}
+      <Dialog open={!!deleteTarget} onClose={() => setDeleteTarget(null)}>
+        <DialogTitle>
+          {deleteTarget?.kind === 'status'
+            ? `Delete the status ${deleteTarget.item.STATUS} with its transitions and aliases?`
+            : `Delete the alias ${deleteTarget?.item.PATTERN}?`}
+        </DialogTitle>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Map Legacy Statuses Dialog */}
+      <Dialog open={mapConfirmOpen} onClose={() => setMapConfirmOpen(false)}>
+        <DialogTitle>Map legacy statuses?</DialogTitle>
+        <DialogContent>
+          {legacy?.mappedLines.toLocaleString()} line(s) get the status their text maps to.
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMapConfirmOpen(false)}>Cancel</Button>
+          <Button onClick={handleMapConfirm} variant="contained">
+            Map
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar: Success ✔️ */}
+      <Snackbar
+        open={!!successMessage}
+        autoHideDuration={3000}
+        onClose={() => setSuccessMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="success" onClose={() => setSuccessMessage('')}>
+          {successMessage}
+        </Alert>
+      </Snackbar>
+
+      {/* Snackbar: Error ❌ */}
+      <Snackbar
+        open={!!errorMessage}
+        autoHideDuration={5000}
+        onClose={() => setErrorMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+}
+
+export default OrderStatuses;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody,
+  Box,
+  Snackbar,
+  Alert,
+  MenuItem,
+  Chip,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from '../api/axios';
+import { downloadFile } from '../api/download';
+import './Reports.css';
+
+// Report types as labelled in the list
+const REPORT_TYPES = {
+  ASOF_CHECK: 'As-of Check',
+  UPLOAD: 'Upload',
+};
+
+function Reports() {
+  const [reports, setReports] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null); // Reports older than this are removed by the server
+  const [filters, setFilters] = useState({ type: '', mine: false });
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Loads the list of past reports for the current filters.
+   */
+  const loadReports = useCallback(async () => {
+    try {
+      const res = await axios.get('/reconciliation/reports', {
+        params: { type: filters.type || undefined, mine: filters.mine || undefined },
+      });
+      setReports(res.data.data || []);
+      setRetentionDays(res.data.retentionDays);
+    } catch (err) {
+      console.error('Load reports error:', err);
+      setErrorMessage('Failed to load reports.');
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  /**
+   * Downloads the CSV of a report.
+   * @param {Object} report - The report row
+   */
+  const handleDownload = async (report) => {
+    try {
+      const prefix = report.REPORT_TYPE === 'ASOF_CHECK' ? 'asof_check_duplicates' : 'upload_report';
+      await downloadFile(report.DOWNLOAD_URL, `${prefix}_${report.REPORT_ID}.csv`);
+    } catch (err) {
+      console.error('Report download error:', err);
+      setErrorMessage('Failed to download the report. It may have expired.');
+    }
+  };
+
+  /**
+   * Downloads the annotated copy of an uploaded file.
+   * @param {Object} report - The report row
+   */
+  const handleAnnotatedDownload = async (report) => {
+    try {
+      await downloadFile(report.ANNOTATED_URL, report.ANNOTATED_FILE);
+    } catch (err) {
+      console.error('Annotated file download error:', err);
+      setErrorMessage('Failed to download the annotated file. It may have expired.');
+    }
+  };
+
+  return (
+    <Container className="reports-container">
+      {/* Header with Home Menu */}
+      <Box className="reports-header">
+        <Link to="/dashboard">
+          <Button variant="contained" color="primary" aria-label="Go to Dashboard">
+            🏠 Home
+          </Button>
+        </Link>
+      </Box>
+
+      <Paper className="reports-results">
+        <Typography variant="h6">Reports</Typography>
+        {retentionDays && (
+          <Typography variant="body2" color="text.secondary">
+            Reports are kept for {retentionDays} days.
+          </Typography>
+        )}
+
+        {/* Filters */}
+        <Box className="reports-filters">
+          <TextField
+            select
+            size="small"
+            label="Type"
+            value={filters.type}
+            onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+            className="reports-type-filter"
+          >
+            <MenuItem value="">All</MenuItem>
+            {Object.entries(REPORT_TYPES).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={filters.mine}
+                onChange={(e) => setFilters({ ...filters, mine: e.target.checked })}
+              />
+            }
+            label="Only my reports"
+          />
+        </Box>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>ID</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Source File</TableCell>
+                <TableCell>Run By</TableCell>
+                <TableCell>Run At</TableCell>
+                <TableCell align="right">Rows Checked</TableCell>
+                <TableCell align="right">Rows Reported</TableCell>
+                <TableCell>Download</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {reports.map((report) => (
+                <TableRow key={report.REPORT_ID}>
+                  <TableCell>{report.REPORT_ID}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={REPORT_TYPES[report.REPORT_TYPE] || report.REPORT_TYPE} />
+                  </TableCell>
+                  <TableCell>{report.SOURCE_FILE || '—'}</TableCell>
+                  <TableCell>{report.CREATED_BY}</TableCell>
+                  <TableCell>{new Date(report.CREATED_AT).toLocaleString()}</TableCell>
+                  <TableCell align="right">{report.TOTAL_ROWS}</TableCell>
+                  <TableCell align="right">{report.REPORT_ROWS}</TableCell>
+                  <TableCell>
+                    <Button size="small" onClick={() => handleDownload(report)}>
+                      ⬇️ CSV
+                    </Button>
+                    {report.ANNOTATED_URL && (
+                      <Button size="small" onClick={() => handleAnnotatedDownload(report)}>
+                        📝 Annotated file
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {reports.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    No reports found.
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Snackbar: Error ❌ */}
+      <Snackbar
+        open={!!errorMessage}
+        autoHideDuration={5000}
+        onClose={() => setErrorMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+}
+
+export default Reports;
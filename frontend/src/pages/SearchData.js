@@ -1,64 +1,212 @@
-import React, { useState } from 'react';
-import axios from 'axios';
-import { Link } from 'react-router-dom';
-import * as XLSX from 'xlsx';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from '../api/axios';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getSavedSearch } from '../api/savedSearches';
+import FilterBuilder, { newCondition, toFilters, fromFilters } from '../components/FilterBuilder';
+import ExportPanel from '../components/ExportPanel';
+import SavedSearchBar from '../components/SavedSearchBar';
+import { useTableLayout, ColumnSettings, ResizeHandle } from '../components/TableLayout';
+import DeliveryStatus from '../components/DeliveryStatus';
 import './SearchData.css';
 
+// Columns holding dates, shown as YYYY-MM-DD
+const DATE_COLUMNS = ['ORDERDATE', 'SHIPOUTDATE'];
+
+/**
+ * Formats a cell for the table: dates from the API as YYYY-MM-DD, the delivery status as a badge,
+ * empty values as a dash.
+ * @param {string} column - The column
+ * @param {any} value - The value
+ * @returns {React.ReactNode}
+ */
+const formatCell = (column, value) => {
+  if (column === 'DELIVERY_STATUS') return <DeliveryStatus value={value} />;
+  if (value === null || value === undefined || value === '') return '—';
+  return DATE_COLUMNS.includes(column) ? String(value).slice(0, 10) : value;
+};
+
+/**
+ * The style of a cell with a width chosen by the user; other cells share the remaining space.
+ * @param {number|null} width - Width in pixels
+ * @returns {Object|undefined}
+ */
+const cellStyle = (width) => (width ? { flex: `0 0 ${width}px` } : undefined);
+
+/**
+ * Reads a search from the page URL (?filters=…&sort=…&dir=…&page=…&pageSize=…), so a search
+ * survives leaving the page and coming back.
+ * @param {URLSearchParams} params - The URL's query
+ * @returns {Object|null} - The query, or null when the URL holds none
+ */
+const queryFromUrl = (params) => {
+  if (!params.get('filters')) return null;
+  try {
+    return {
+      filters: JSON.parse(params.get('filters')),
+      sort: params.get('sort') || 'ORDERNUMBER',
+      dir: params.get('dir') === 'desc' ? 'desc' : 'asc',
+      page: Number(params.get('page')) || 1,
+      pageSize: Number(params.get('pageSize')) || 50,
+    };
+  } catch {
+    return null;
+  }
+};
+
 const SearchData = () => {
-  const [form, setForm] = useState({ ordernumber: '', salesdocument: '' });
+  const [options, setOptions] = useState(null); // Columns, operators and values offered by the filter builder
+  const [conditions, setConditions] = useState([]);
+  const [query, setQuery] = useState(null); // Filters, sorting and page of the search shown
   const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
-  const [isSearched, setIsSearched] = useState(false);
-  const [filters, setFilters] = useState({});
   const [selectedRow, setSelectedRow] = useState(null);
+  const [history, setHistory] = useState([]); // Change history of the selected order
+  const [showExport, setShowExport] = useState(false);
+  const [activeSearch, setActiveSearch] = useState(null); // Saved search currently open
+  const [searchParams, setSearchParams] = useSearchParams();
+  const initialParams = useRef(searchParams); // The URL the page was opened with
 
-  const handleSearch = async () => {
-    if (!form.ordernumber && !form.salesdocument) {
-      alert("Please enter ORDERNUMBER or SALESDOCUMENT");
-      return;
-    }
+  const columns = options ? options.columns.map(({ column }) => column) : [];
+  const layout = useTableLayout('search', columns);
 
-    setResults([]);
-    setMessage('');
-    setIsSearched(true);
+  /**
+   * Runs a saved search: its filters go into the builder and its sorting and page size apply.
+   * @param {Object} search - Saved search (CRITERIA: { filters, sort, dir, pageSize })
+   */
+  const openSearch = (search) => {
+    const { filters, sort, dir, pageSize } = search.CRITERIA;
+    setActiveSearch(search);
+    setSelectedRow(null);
+    setConditions(fromFilters(filters));
+    setQuery({ filters, sort, dir, pageSize, page: 1 });
+  };
 
-    try {
-      const res = await axios.get('http://localhost:5000/api/reconciliation/datasearch', {
-        params: form
+  // Loads the filter options, then the search in the URL: a saved search (?saved=<id>) or the last query
+  useEffect(() => {
+    axios
+      .get('/reconciliation/datasearch/options')
+      .then(async (res) => {
+        setOptions(res.data);
+        const fromUrl = queryFromUrl(initialParams.current);
+        setConditions(fromUrl ? fromFilters(fromUrl.filters) : [newCondition(res.data, 'ORDERNUMBER')]);
+        if (fromUrl) setQuery(fromUrl);
+
+        const savedId = initialParams.current.get('saved');
+        if (savedId) {
+          try {
+            const search = await getSavedSearch(savedId);
+            if (fromUrl) setActiveSearch(search);
+            else openSearch(search);
+          } catch (error) {
+            setMessage(error.response?.data?.message || 'Failed to open the saved search.');
+          }
+        }
+      })
+      .catch((error) => {
+        console.error('Search options error:', error);
+        setMessage('Failed to load the search filters. Please reload the page.');
       });
+  }, []);
+
+  // Keeps the search shown in the URL
+  useEffect(() => {
+    if (!query) return;
+    const params = {
+      filters: JSON.stringify(query.filters),
+      sort: query.sort,
+      dir: query.dir,
+      page: query.page,
+      pageSize: query.pageSize,
+    };
+    if (activeSearch) params.saved = activeSearch.SEARCH_ID;
+    setSearchParams(params, { replace: true });
+  }, [query, activeSearch, setSearchParams]);
 
-      if (res.data.success && res.data.data.length > 0) {
-        setResults(res.data.data);
-      } else {
-        setMessage('No matching records found.');
-      }
+  /**
+   * Loads one page of results for a query; runs whenever the query changes.
+   */
+  const runQuery = useCallback(async (current) => {
+    setLoading(true);
+    setMessage('');
+    try {
+      const res = await axios.get('/reconciliation/datasearch', {
+        params: { ...current, filters: JSON.stringify(current.filters) },
+      });
+      setResults(res.data.data);
+      setTotal(res.data.total);
+      if (res.data.total === 0) setMessage('No matching records found.');
     } catch (error) {
       console.error(error);
-      setMessage('Search failed. Please try again.');
+      setResults([]);
+      setTotal(0);
+      setMessage(error.response?.data?.message || 'Search failed. Please try again.');
+    } finally {
+      setLoading(false);
     }
+  }, []);
+
+  useEffect(() => {
+    if (query) runQuery(query);
+  }, [query, runQuery]);
+
+  /**
+   * Starts a new search with the filters in the builder, from the first page.
+   * Without filters every line is listed, a page at a time.
+   */
+  const handleSearch = () => {
+    const filters = toFilters(conditions);
+    setSelectedRow(null);
+    setQuery((previous) => ({
+      sort: previous?.sort || 'ORDERNUMBER',
+      dir: previous?.dir || 'asc',
+      pageSize: previous?.pageSize || 50,
+      filters,
+      page: 1,
+    }));
   };
 
-  const handleKeyDown = (e) => {
-    if (e.key === 'Enter') handleSearch();
+  /**
+   * Sorts by a column; a second click on the same column reverses the order.
+   * @param {string} column - The column
+   */
+  const handleSort = (column) => {
+    setQuery((previous) => ({
+      ...previous,
+      sort: column,
+      dir: previous.sort === column && previous.dir === 'asc' ? 'desc' : 'asc',
+      page: 1,
+    }));
   };
 
+  /**
+   * Shows a row in the details popup and loads the change history of its order.
+   * @param {Object} row - The clicked row
+   */
+  const handleSelectRow = async (row) => {
+    setSelectedRow(row);
+    setHistory([]);
+    try {
+      const res = await axios.get(`/reconciliation/history/${encodeURIComponent(row.ORDERNUMBER)}`);
+      setHistory(res.data.data || []);
+    } catch (error) {
+      console.error('History error:', error);
+    }
+  };
+
+  /**
+   * Opens the export of every line the search shown matches (not only the current page).
+   */
   const handleExport = () => {
-    if (results.length === 0) {
+    if (total === 0) {
       alert('No results to export!');
       return;
     }
-
-    const worksheet = XLSX.utils.json_to_sheet(results);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Results");
-    XLSX.writeFile(workbook, "reconciliation_search_results.xlsx");
+    setShowExport(true);
   };
 
-  const filteredResults = results.filter(row =>
-    Object.keys(filters).every((key) =>
-      !filters[key] || (row[key]?.toString().toLowerCase().includes(filters[key].toLowerCase()))
-    )
-  );
+  const pageCount = query ? Math.max(1, Math.ceil(total / query.pageSize)) : 1;
 
   return (
     <div className="search-page">
@@ -70,25 +218,38 @@ const SearchData = () => {
         <button className="export-button" onClick={handleExport}>⬇️ Export</button>
       </div>
 
-      {/* Search bar */}
-      <div className={`search-wrapper ${isSearched ? 'moved-up' : ''}`}>
+      {/* Export of the search shown, with the same filters and sorting */}
+      {showExport && (
+        <ExportPanel
+          columns={[...columns, 'LINE_ID']}
+          url="/api/reconciliation/export/search"
+          params={{ filters: JSON.stringify(query.filters), sort: query.sort, dir: query.dir }}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {/* Filter builder */}
+      <div className={`search-wrapper ${query ? 'moved-up' : ''}`}>
+        <SavedSearchBar
+          page="search"
+          criteria={query && { filters: query.filters, sort: query.sort, dir: query.dir, pageSize: query.pageSize }}
+          activeSearch={activeSearch}
+          onOpen={openSearch}
+          onSaved={setActiveSearch}
+        />
         <div className="search-box">
           <span className="search-icon">🔍</span>
-          <input
-            type="text"
-            placeholder="ORDERNUMBER"
-            value={form.ordernumber}
-            onChange={(e) => setForm({ ...form, ordernumber: e.target.value })}
-            onKeyDown={handleKeyDown}
-          />
-          <input
-            type="text"
-            placeholder="SALESDOCUMENT"
-            value={form.salesdocument}
-            onChange={(e) => setForm({ ...form, salesdocument: e.target.value })}
-            onKeyDown={handleKeyDown}
-          />
-          <button onClick={handleSearch}>Search</button>
+          {options && (
+            <FilterBuilder
+              options={options}
+              conditions={conditions}
+              onChange={setConditions}
+              onSubmit={handleSearch}
+            />
+          )}
+          <button onClick={handleSearch} disabled={!options || loading}>
+            {loading ? 'Searching…' : 'Search'}
+          </button>
         </div>
       </div>
 
@@ -98,31 +259,63 @@ const SearchData = () => {
       {/* Table */}
       {results.length > 0 && (
         <div className="table-scroll-container">
+          <div className="table-summary">
+            <span>
+              <strong>{total}</strong> line(s) · page {query.page} of {pageCount}
+            </span>
+            <span className="table-pager">
+              <button
+                onClick={() => setQuery({ ...query, page: query.page - 1 })}
+                disabled={loading || query.page <= 1}
+              >
+                ◀ Previous
+              </button>
+              <button
+                onClick={() => setQuery({ ...query, page: query.page + 1 })}
+                disabled={loading || query.page >= pageCount}
+              >
+                Next ▶
+              </button>
+              <select
+                value={query.pageSize}
+                onChange={(e) => setQuery({ ...query, pageSize: Number(e.target.value), page: 1 })}
+                aria-label="Rows per page"
+              >
+                {options.pageSizes.map((size) => (
+                  <option key={size} value={size}>
+                    {size} per page
+                  </option>
+                ))}
+              </select>
+              <ColumnSettings columns={layout.columns} onChange={layout.update} onReset={layout.reset} />
+            </span>
+          </div>
+
           <div className="table">
-            {/* Header with Filters */}
+            {/* Header, click to sort */}
             <div className="table-header">
-              {Object.keys(results[0]).map((key, i) => (
-                <div key={i} className="table-header-cell">
-                  <div className="column-title">{key}</div>
-                  <input
-                    type="text"
-                    placeholder="Filter"
-                    value={filters[key] || ''}
-                    onChange={(e) => setFilters({ ...filters, [key]: e.target.value })}
-                  />
+              {layout.visibleColumns.map(({ column, width }) => (
+                <div
+                  key={column}
+                  className={`table-header-cell sortable ${query.sort === column ? 'sorted' : ''}`}
+                  style={cellStyle(width)}
+                  onClick={() => handleSort(column)}
+                >
+                  <div className="column-title">
+                    {column} {query.sort === column && (query.dir === 'asc' ? '▲' : '▼')}
+                  </div>
+                  <ResizeHandle width={width} onResize={(next) => layout.setWidth(column, next)} />
                 </div>
               ))}
             </div>
 
-            {/* Filtered Rows */}
-            {filteredResults.map((row, rowIndex) => (
-              <div
-                className="table-row"
-                key={rowIndex}
-                onClick={() => setSelectedRow(row)}
-              >
-                {Object.values(row).map((val, colIndex) => (
-                  <div key={colIndex} className="table-cell">{val ?? '—'}</div>
+            {/* Rows */}
+            {results.map((row) => (
+              <div className="table-row" key={row.LINE_ID} onClick={() => handleSelectRow(row)}>
+                {layout.visibleColumns.map(({ column, width }) => (
+                  <div key={column} className="table-cell" style={cellStyle(width)}>
+                    {formatCell(column, row[column])}
+                  </div>
                 ))}
               </div>
             ))}
@@ -138,7 +331,29 @@ const SearchData = () => {
           <div className="record-detail-content">
             {Object.entries(selectedRow).map(([key, val]) => (
               <div key={key} className="detail-item">
-                <strong>{key}:</strong> <span>{val ?? '—'}</span>
+                <strong>{key}:</strong> <span>{formatCell(key, val)}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Change History Timeline */}
+          <div className="history-timeline">
+            <h4>🕓 Change History</h4>
+            {history.length === 0 && <div className="history-meta">No recorded changes.</div>}
+            {history.map((entry) => (
+              <div key={entry.HISTORY_ID} className={`history-entry ${entry.ACTION.toLowerCase()}`}>
+                <div>
+                  <strong>{entry.ACTION}</strong> {entry.MATERIAL_NUMBER && `· ${entry.MATERIAL_NUMBER}`}
+                </div>
+                <div className="history-meta">
+                  {new Date(entry.CHANGED_AT).toLocaleString()} by {entry.CHANGED_BY}
+                  {entry.SOURCE && ` · ${entry.SOURCE}`}
+                </div>
+                {entry.CHANGES.map((change) => (
+                  <div key={change.field} className="history-change">
+                    {change.field}: {change.from ?? '—'} → {change.to ?? '—'}
+                  </div>
+                ))}
               </div>
             ))}
           </div>
@@ -148,4 +363,4 @@ const SearchData = () => {
   );
 };
 
-export default SearchData;
\ No newline at end of file
+export default SearchData;
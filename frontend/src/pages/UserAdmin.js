@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody,
+  Box,
+  Snackbar,
+  Alert,
+  MenuItem,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from '../api/axios';
+import { getUsername } from '../api/session';
+import './UserAdmin.css';
+
+function UserAdmin() {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]); // Assignable roles, as reported by the backend
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'viewer' });
+  const [resetTarget, setResetTarget] = useState(null); // Username whose password is being reset
+  const [resetPassword, setResetPassword] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Loads the list of users.
+   */
+  const loadUsers = useCallback(async () => {
+    try {
+      const res = await axios.get('/users');
+      setUsers(res.data.data || []);
+      setRoles(res.data.roles || []);
+    } catch (err) {
+      console.error('Load users error:', err);
+      setErrorMessage('Failed to load users.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  /**
+   * Runs a user action and refreshes the list.
+   * @param {Function} request - Function returning the axios promise
+   */
+  const runAction = async (request) => {
+    try {
+      const res = await request();
+      setSuccessMessage(res.data.message);
+      loadUsers();
+      return true;
+    } catch (err) {
+      console.error('User action failed:', err);
+      setErrorMessage(err.response?.data?.message || err.message);
+      return false;
+    }
+  };
+
+  /**
+   * Creates a new user with the entered initial password.
+   */
+  const handleCreate = async () => {
+    const created = await runAction(() => axios.post('/users', newUser));
+    if (created) setNewUser({ username: '', password: '', role: 'viewer' });
+  };
+
+  /**
+   * Sets the temporary password of the user picked in the reset dialog.
+   */
+  const handleResetConfirm = async () => {
+    const done = await runAction(() =>
+      axios.put(`/users/${encodeURIComponent(resetTarget)}/password`, { password: resetPassword })
+    );
+    if (done) {
+      setResetTarget(null);
+      setResetPassword('');
+    }
+  };
+
+  return (
+    <Container className="user-admin-container">
+      {/* Header with Home Menu */}
+      <Box className="user-admin-header">
+        <Link to="/dashboard">
+          <Button variant="contained" color="primary" aria-label="Go to Dashboard">
+            🏠 Home
+          </Button>
+        </Link>
+      </Box>
+
+      {/* Create User */}
+      <Paper className="user-admin-create-box">
+        <Typography variant="h6">Create User</Typography>
+        <Box className="user-admin-create-fields">
+          <TextField
+            label="Username"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+          />
+          <TextField
+            label="Initial Password"
+            type="password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            helperText="The user must change it at first login"
+          />
+          <TextField
+            select
+            label="Role"
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+          >
+            {roles.map((role) => (
+              <MenuItem key={role} value={role}>
+                {role}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button variant="contained" onClick={handleCreate}>
+            CREATE
+          </Button>
+        </Box>
+      </Paper>
+
+      {/* Users Table */}
+      <Paper className="user-admin-results">
+        <Typography variant="h6">Users</Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Username</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Role</TableCell>
+                <TableCell>Last Login</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user.USERNAME}>
+                  <TableCell>{user.USERNAME}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={user.IS_ACTIVE ? 'Active' : 'Disabled'}
+                      color={user.IS_ACTIVE ? 'success' : 'default'}
+                    />{' '}
+                    {user.IS_LOCKED === 1 && <Chip size="small" label="Locked" color="error" />}{' '}
+                    {user.MUST_CHANGE_PASSWORD === 1 && <Chip size="small" label="Temp password" color="warning" />}{' '}
+                    {user.IS_HASHED === 0 && <Chip size="small" label="Legacy password" color="warning" />}
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      select
+                      size="small"
+                      value={user.ROLE}
+                      disabled={user.USERNAME === getUsername()}
+                      onChange={(e) =>
+                        runAction(() =>
+                          axios.put(`/users/${encodeURIComponent(user.USERNAME)}/role`, { role: e.target.value })
+                        )
+                      }
+                    >
+                      {roles.map((role) => (
+                        <MenuItem key={role} value={role}>
+                          {role}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </TableCell>
+                  <TableCell>{user.LAST_LOGIN_AT ? new Date(user.LAST_LOGIN_AT).toLocaleString() : '—'}</TableCell>
+                  <TableCell>
+                    <Box className="user-admin-actions">
+                      <Button
+                        size="small"
+                        color={user.IS_ACTIVE ? 'error' : 'primary'}
+                        disabled={user.USERNAME === getUsername()}
+                        onClick={() =>
+                          runAction(() =>
+                            axios.put(`/users/${encodeURIComponent(user.USERNAME)}/active`, {
+                              active: !user.IS_ACTIVE,
+                            })
+                          )
+                        }
+                      >
+                        {user.IS_ACTIVE ? 'Disable' : 'Enable'}
+                      </Button>
+                      <Button
+                        size="small"
+                        disabled={user.IS_LOCKED !== 1}
+                        onClick={() =>
+                          runAction(() => axios.put(`/users/${encodeURIComponent(user.USERNAME)}/unlock`))
+                        }
+                      >
+                        Unlock
+                      </Button>
+                      <Button size="small" onClick={() => setResetTarget(user.USERNAME)}>
+                        Reset Password
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Reset Password Dialog */}
+      <Dialog open={!!resetTarget} onClose={() => setResetTarget(null)}>
+        <DialogTitle>Reset password for {resetTarget}</DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Temporary Password"
+            type="password"
+            value={resetPassword}
+            onChange={(e) => setResetPassword(e.target.value)}
+            fullWidth
+            margin="normal"
+            helperText="The user is logged out and must change it at next login"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResetTarget(null)}>Cancel</Button>
+          <Button onClick={handleResetConfirm} color="error">
+            Reset
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar: Success ✔️ */}
+      <Snackbar
+        open={!!successMessage}
+        autoHideDuration={3000}
+        onClose={() => setSuccessMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="success" onClose={() => setSuccessMessage('')}>
+          {successMessage}
+        </Alert>
+      </Snackbar>
+
+      {/* Snackbar: Error ❌ */}
+      <Snackbar
+        open={!!errorMessage}
+        autoHideDuration={5000}
+        onClose={() => setErrorMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+}
+
+export default UserAdmin;
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  TableContainer,
+  Table,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody,
+  Box,
+  Snackbar,
+  Alert,
+  MenuItem,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogActions,
+} from '@mui/material';
+import { Link } from 'react-router-dom';
+import axios from '../api/axios';
+import './ValidationRules.css';
+
+const EMPTY_RULE = {
+  RULE_TYPE: 'PATTERN',
+  COLUMN_NAME: '',
+  PATTERN: '',
+  ALLOWED_VALUES: '',
+  OPERATOR: '>=',
+  OTHER_COLUMN: '',
+  SEVERITY: 'ERROR',
+  MESSAGE: '',
+  IS_ACTIVE: 1,
+};
+
+/**
+ * Short description of what a rule checks, for the rules table.
+ * @param {Object} rule - Rule as returned by the backend
+ * @returns {string}
+ */
+const describeRule = (rule) => {
+  switch (rule.RULE_TYPE) {
+    case 'REQUIRED':
+      return 'must have a value';
+    case 'PATTERN':
+      return `matches ${rule.PATTERN}`;
+    case 'ALLOWED_VALUES':
+      return `one of: ${(rule.ALLOWED_VALUES || []).join(', ')}`;
+    case 'COMPARE_DATES':
+      return `${rule.OPERATOR} ${rule.OTHER_COLUMN}`;
+    case 'YEAR_OF_DATE':
+      return `equals the year of ${rule.OTHER_COLUMN}`;
+    default:
+      return rule.RULE_TYPE;
+  }
+};
+
+/**
+ * Body sent to the backend for a rule being edited in the form.
+ * @param {Object} form - Form values (ALLOWED_VALUES as comma separated text)
+ * @returns {Object}
+ */
+const toRequest = (form) => ({
+  ...form,
+  ALLOWED_VALUES: form.ALLOWED_VALUES.split(',').map((value) => value.trim()).filter(Boolean),
+});
+
+function ValidationRules() {
+  const [rules, setRules] = useState([]);
+  const [options, setOptions] = useState({ columns: [], dateColumns: [], ruleTypes: {}, severities: [], operators: [] });
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState(null); // RULE_ID being edited, null when creating
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [successMessage, setSuccessMessage] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /**
+   * Loads the rules and the choices offered by the form.
+   */
+  const loadRules = useCallback(async () => {
+    try {
+      const res = await axios.get('/validation-rules');
+      setRules(res.data.data || []);
+      setOptions(res.data.options);
+    } catch (err) {
+      console.error('Load rules error:', err);
+      setErrorMessage('Failed to load validation rules.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  /**
+   * Runs a rule action and refreshes the list.
+   * @param {Function} request - Function returning the axios promise
+   */
+  const runAction = async (request) => {
+    try {
+      const res = await request();
+      setSuccessMessage(res.data.message);
+      loadRules();
+      return true;
+    } catch (err) {
+      console.error('Rule action failed:', err);
+      setErrorMessage(err.response?.data?.message || err.message);
+      return false;
+    }
+  };
+
+  /**
+   * Fills the form with a rule to edit it.
+   * @param {Object} rule - The rule
+   */
+  const startEdit = (rule) => {
+    setEditingId(rule.RULE_ID);
+    setForm({
+      ...EMPTY_RULE,
+      ...Object.fromEntries(Object.entries(rule).filter(([, value]) => value !== null)),
+      ALLOWED_VALUES: (rule.ALLOWED_VALUES || []).join(', '),
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_RULE);
+  };
+
+  /**
+   * Saves the form as a new rule or over the rule being edited.
+   */
+  const handleSave = async () => {
+    const saved = await runAction(() =>
+      editingId
+        ? axios.put(`/validation-rules/${editingId}`, toRequest(form))
+        : axios.post('/validation-rules', toRequest(form))
+    );
+    if (saved) resetForm();
+  };
+
+  /**
+   * Enables or disables a rule.
+   * @param {Object} rule - The rule
+   */
+  const toggleActive = (rule) =>
+    runAction(() =>
+      axios.put(`/validation-rules/${rule.RULE_ID}`, { ...rule, IS_ACTIVE: rule.IS_ACTIVE ? 0 : 1 })
+    );
+
+  const handleDeleteConfirm = async () => {
+    await runAction(() => axios.delete(`/validation-rules/${deleteTarget.RULE_ID}`));
+    setDeleteTarget(null);
+  };
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const isDateRule = form.RULE_TYPE === 'COMPARE_DATES';
+  const columnChoices = isDateRule ? options.dateColumns : options.columns;
+
+  return (
+    <Container className="rules-container">
+      {/* Header with Home Menu */}
+      <Box className="rules-header">
+        <Link to="/dashboard">
+          <Button variant="contained" color="primary" aria-label="Go to Dashboard">
+            🏠 Home
+          </Button>
+        </Link>
+      </Box>
+
+      {/* Create / Edit Rule */}
+      <Paper className="rules-form-box">
+        <Typography variant="h6">{editingId ? `Edit Rule #${editingId}` : 'Create Rule'}</Typography>
+        <Typography variant="body2" color="text.secondary" className="rules-hint">
+          Rules run on every upload and every edit. Errors reject the row or the edit; warnings are reported and let
+          it through. Rules other than "Required" ignore empty values.
+        </Typography>
+        <Box className="rules-form-fields">
+          <TextField select label="Rule Type" value={form.RULE_TYPE} onChange={updateForm('RULE_TYPE')}>
+            {Object.entries(options.ruleTypes).map(([type, label]) => (
+              <MenuItem key={type} value={type}>
+                {label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField select label="Column" value={form.COLUMN_NAME} onChange={updateForm('COLUMN_NAME')}>
+            {columnChoices.map((column) => (
+              <MenuItem key={column} value={column}>
+                {column}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          {form.RULE_TYPE === 'PATTERN' && (
+            <TextField
+              label="Pattern"
+              value={form.PATTERN}
+              onChange={updateForm('PATTERN')}
+              helperText="Regular expression, e.g. ^Week\d{1,2}#\d+$"
+            />
+          )}
+          {form.RULE_TYPE === 'ALLOWED_VALUES' && (
+            <TextField
+              label="Allowed Values"
+              value={form.ALLOWED_VALUES}
+              onChange={updateForm('ALLOWED_VALUES')}
+              helperText="Comma separated, not case-sensitive"
+            />
+          )}
+          {isDateRule && (
+            <TextField select label="Operator" value={form.OPERATOR} onChange={updateForm('OPERATOR')}>
+              {options.operators.map((operator) => (
+                <MenuItem key={operator} value={operator}>
+                  {operator}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+          {(isDateRule || form.RULE_TYPE === 'YEAR_OF_DATE') && (
+            <TextField
+              select
+              label={isDateRule ? 'Compared To' : 'Date Column'}
+              value={form.OTHER_COLUMN}
+              onChange={updateForm('OTHER_COLUMN')}
+            >
+              {options.dateColumns.map((column) => (
+                <MenuItem key={column} value={column}>
+                  {column}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
+          <TextField select label="Severity" value={form.SEVERITY} onChange={updateForm('SEVERITY')}>
+            {options.severities.map((severity) => (
+              <MenuItem key={severity} value={severity}>
+                {severity}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Message"
+            value={form.MESSAGE}
+            onChange={updateForm('MESSAGE')}
+            helperText="Shown when the rule fails (optional)"
+          />
+          <Button variant="contained" onClick={handleSave}>
+            {editingId ? 'SAVE' : 'CREATE'}
+          </Button>
+          {editingId && <Button onClick={resetForm}>Cancel</Button>}
+        </Box>
+      </Paper>
+
+      {/* Rules Table */}
+      <Paper className="rules-results">
+        <Typography variant="h6">Validation Rules</Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Column</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Rule</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Message</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rules.map((rule) => (
+                <TableRow key={rule.RULE_ID}>
+                  <TableCell>{rule.COLUMN_NAME}</TableCell>
+                  <TableCell>{options.ruleTypes[rule.RULE_TYPE] || rule.RULE_TYPE}</TableCell>
+                  <TableCell className="rules-definition">{describeRule(rule)}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={rule.SEVERITY}
+                      color={rule.SEVERITY === 'ERROR' ? 'error' : 'warning'}
+                    />
+                  </TableCell>
+                  <TableCell>{rule.MESSAGE || '—'}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={rule.IS_ACTIVE ? 'Active' : 'Disabled'}
+                      color={rule.IS_ACTIVE ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Box className="rules-actions">
+                      <Button size="small" onClick={() => startEdit(rule)}>
+                        Edit
+                      </Button>
+                      <Button size="small" onClick={() => toggleActive(rule)}>
+                        {rule.IS_ACTIVE ? 'Disable' : 'Enable'}
+                      </Button>
+                      <Button size="small" color="error" onClick={() => setDeleteTarget(rule)}>
+                        Delete
+                      </Button>
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {rules.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7}>No validation rules yet.</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Delete Rule Dialog */}
+      <Dialog open={!!deleteTarget} onClose={() => setDeleteTarget(null)}>
+        <DialogTitle>
+          Delete the {deleteTarget && (options.ruleTypes[deleteTarget.RULE_TYPE] || '').toLowerCase()} rule for{' '}
+          {deleteTarget?.COLUMN_NAME}?
+        </DialogTitle>
+        <DialogActions>
+          <Button onClick={() => setDeleteTarget(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Snackbar: Success ✔️ */}
+      <Snackbar
+        open={!!successMessage}
+        autoHideDuration={3000}
+        onClose={() => setSuccessMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="success" onClose={() => setSuccessMessage('')}>
+          {successMessage}
+        </Alert>
+      </Snackbar>
+
+      {/* Snackbar: Error ❌ */}
+      <Snackbar
+        open={!!errorMessage}
+        autoHideDuration={5000}
+        onClose={() => setErrorMessage('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+}
+
+export default ValidationRules;